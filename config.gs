@@ -62,6 +62,9 @@ const CONFIG = {
 
   // Zeabur 轉錄 API 設定
   ZEABUR_TRANSCRIPTION_URL: 'https://sales-audio-transcript.zeabur.app/transcribe',
+  ZEABUR_API_KEY: 'YOUR_ZEABUR_API_KEY_HERE', // 對應 Zeabur 的 API_KEYS 其中一把金鑰
+  WEBHOOK_SECRET: 'YOUR_WEBHOOK_SECRET_HERE', // 對應 Zeabur 的 WEBHOOK_SECRET，用於驗證回調簽章
+  WEBHOOK_SIGNATURE_TOLERANCE_SEC: 300, // 回調簽章允許的時間差 (秒)
 
   // 偵錯模式
   DEBUG_MODE: true,
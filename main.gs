@@ -257,6 +257,13 @@ async function processNextTask(task) {
     
     const audioFormData = { caseId: task.caseId, audioFileLink: task.audioFileLink };
     const result = await callTranscriptionAPI(audioFormData);
+
+    // 轉錄服務忙碌 (429)：放回待處理，下次觸發時再送出，不計入錯誤次數
+    if (result.busy) {
+      markTranscriptionStatus(task.caseId, 'Pending');
+      console.log(`⏳ 轉錄服務忙碌中，${result.retryAfterSec} 秒後再試: ${task.caseId}`);
+      return;
+    }
     
     if (!result.success) {
       throw new Error(result.message || '轉錄請求送出失敗');
@@ -276,15 +283,24 @@ async function processNextTask(task) {
 async function callTranscriptionAPI(audioFormData) {
   try {
     const { caseId, audioFileLink } = audioFormData;
-    const fileIdMatch = audioFileLink.match(/id=([a-zA-Z0-9_-]+)/);
-    if (!fileIdMatch) throw new Error('無法從音檔連結中提取 File ID');
+    if (!audioFileLink) throw new Error('缺少音檔連結');
     
-    const requestData = { fileId: fileIdMatch[1], fileName: `${caseId}_audio`, caseId: caseId };
+    // Zeabur 會自行解析 Google Drive 分享連結 (open?id=... 或 /file/d/.../view)
+    const requestData = {
+      source: { type: 'drive', url: audioFileLink },
+      fileName: `${caseId}_audio`,
+      caseId: caseId
+    };
     console.log(`📤 發送轉錄請求 (異步):`, JSON.stringify(requestData, null, 2));
 
+    const headers = { 'Content-Type': 'application/json' };
+    if (isConfigured(CONFIG.ZEABUR_API_KEY)) {
+      headers['Authorization'] = `Bearer ${CONFIG.ZEABUR_API_KEY}`;
+    }
+
     const response = UrlFetchApp.fetch(CONFIG.ZEABUR_TRANSCRIPTION_URL, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: headers,
       payload: JSON.stringify(requestData),
       muteHttpExceptions: true,
       timeout: 10000
@@ -293,9 +309,15 @@ async function callTranscriptionAPI(audioFormData) {
     const responseCode = response.getResponseCode();
     const responseText = response.getContentText();
 
-    if (responseCode === 200) {
-      console.log(`✅ 轉錄請求已成功送出: ${caseId}`);
-      return { success: true, message: '轉錄請求已送出' };
+    // Zeabur 非同步模式回傳 202 與 jobId
+    if (responseCode === 200 || responseCode === 202) {
+      const jobId = responseCode === 202 ? JSON.parse(responseText).jobId : null;
+      console.log(`✅ 轉錄請求已成功送出: ${caseId}, Job ID: ${jobId}`);
+      return { success: true, message: '轉錄請求已送出', jobId: jobId };
+    } else if (responseCode === 429) {
+      const headers = response.getHeaders();
+      const retryAfterSec = parseInt(headers['Retry-After'] || headers['retry-after'], 10) || 60;
+      return { success: false, busy: true, retryAfterSec: retryAfterSec, message: responseText };
     } else {
       const errorMsg = `轉錄請求失敗 (${responseCode}): ${responseText}`;
       console.error(errorMsg);
@@ -326,6 +348,13 @@ function doPost(e) {
       return ContentService.createTextOutput('Error: Missing request data').setMimeType(ContentService.MimeType.TEXT);
     }
 
+    // 驗證 Zeabur 的 HMAC 簽章，拒絕偽造或重放的回調
+    const verification = verifyWebhookSignature(e);
+    if (!verification.valid) {
+      console.error(`❌ Webhook 簽章驗證失敗: ${verification.reason}`);
+      return ContentService.createTextOutput(`Error: Invalid signature (${verification.reason})`).setMimeType(ContentService.MimeType.TEXT);
+    }
+
     // 解析 JSON 資料
     const requestData = JSON.parse(e.postData.contents);
     console.log('📄 收到的資料:', JSON.stringify(requestData, null, 2));
@@ -357,6 +386,56 @@ function doPost(e) {
   }
 }
 
+/**
+ * 驗證 webhook 簽章
+ * doPost 無法讀取請求標頭，Zeabur 會將 timestamp 與 signature 附加在查詢參數
+ * 簽章為 HMAC-SHA256("<timestamp>.<原始內容>")，同一簽章只接受一次
+ */
+function verifyWebhookSignature(e) {
+  if (!isConfigured(CONFIG.WEBHOOK_SECRET)) {
+    console.warn('⚠️ 未設定 WEBHOOK_SECRET，略過 webhook 簽章驗證');
+    return { valid: true };
+  }
+
+  const timestamp = parseInt(e.parameter && e.parameter.timestamp, 10);
+  const signature = e.parameter && e.parameter.signature;
+  if (!timestamp || !signature) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - timestamp) > CONFIG.WEBHOOK_SIGNATURE_TOLERANCE_SEC) {
+    return { valid: false, reason: 'timestamp_out_of_tolerance' };
+  }
+
+  const message = Utilities.newBlob(`${timestamp}.${e.postData.contents}`).getBytes();
+  const key = Utilities.newBlob(CONFIG.WEBHOOK_SECRET).getBytes();
+  const expected = Utilities.computeHmacSha256Signature(message, key)
+    .map(byte => ('0' + (byte & 0xff).toString(16)).slice(-2))
+    .join('');
+
+  if (expected !== signature) {
+    return { valid: false, reason: 'signature_mismatch' };
+  }
+
+  // 以 Script Cache 記錄已處理過的簽章，阻擋重放
+  const cache = CacheService.getScriptCache();
+  const cacheKey = `webhook-sig-${signature}`;
+  if (cache.get(cacheKey)) {
+    return { valid: false, reason: 'replayed' };
+  }
+  cache.put(cacheKey, '1', Math.min(21600, CONFIG.WEBHOOK_SIGNATURE_TOLERANCE_SEC * 2));
+
+  return { valid: true };
+}
+
+/**
+ * 設定值是否已填入 (非空白且不是範例佔位字串)
+ */
+function isConfigured(value) {
+  return Boolean(value) && !/^YOUR_.*_HERE$/.test(value);
+}
+
 /**
  * 更新轉錄結果到 Google Sheet
  */
@@ -381,8 +460,10 @@ function updateTranscriptionResult(caseId, transcriptText, status = 'Completed')
         // 更新轉錄狀態
         sheet.getRange(`${CONFIG.COLUMNS.TRANSCRIPTION_STATUS}${rowIndex}`).setValue(status);
         
-        // 更新資料狀態，標記為準備進行 AI 分析
-        sheet.getRange(`${CONFIG.COLUMNS.DATA_STATUS}${rowIndex}`).setValue('Transcription Completed - Ready for AI Analysis');
+        // 更新資料狀態，只有轉錄完成才標記為準備進行 AI 分析 (Failed / Cancelled 不進入分析)
+        if (status === 'Completed') {
+          sheet.getRange(`${CONFIG.COLUMNS.DATA_STATUS}${rowIndex}`).setValue('Transcription Completed - Ready for AI Analysis');
+        }
         
         // 重置重試次數
         sheet.getRange(`${CONFIG.COLUMNS.RETRY_COUNT}${rowIndex}`).setValue(0);
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * OpenAI 相容轉錄 API 的模擬伺服器
+ * 測試 openai-api 後端時代替真正的 API，不需要金鑰也不會送出音檔：
+ *   MOCK_PORT=4010 npm run mock-transcription-server
+ *   TRANSCRIPTION_BACKEND=openai-api OPENAI_API_BASE_URL=http://localhost:4010/v1 npm start
+ *
+ * 環境變數：
+ * - MOCK_PORT: 監聽的連接埠 (預設 4010)
+ * - MOCK_TRANSCRIPT: 回傳的逐字稿，依句號切成片段 (每段 5 秒)
+ * - MOCK_LATENCY_MS: 每個請求延遲的毫秒數，模擬轉錄時間
+ * - MOCK_API_KEY: 設定時要求 Authorization: Bearer <MOCK_API_KEY>
+ * - MOCK_FAIL_RATE: 回傳 500 的機率 (0-1)，測試重試
+ */
+
+const express = require('express');
+const multer = require('multer');
+
+const PORT = Number(process.env.MOCK_PORT) || 4010;
+const TRANSCRIPT = process.env.MOCK_TRANSCRIPT || '您好，這裡是業務部。請問您對我們的方案有什麼問題。我們明天再聯絡。';
+const LATENCY_MS = Number(process.env.MOCK_LATENCY_MS) || 0;
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE) || 0;
+const SEGMENT_SEC = 5;
+
+const app = express();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100 * 1024 * 1024 } });
+
+function apiError(res, status, message) {
+  res.status(status).json({ error: { message, type: 'invalid_request_error' } });
+}
+
+app.use((req, res, next) => {
+  const apiKey = process.env.MOCK_API_KEY;
+  if (apiKey && req.get('authorization') !== `Bearer ${apiKey}`) {
+    return apiError(res, 401, 'Incorrect API key provided');
+  }
+  next();
+});
+
+app.get('/v1/models', (req, res) => {
+  res.json({ object: 'list', data: [{ id: 'whisper-1', object: 'model', owned_by: 'mock' }] });
+});
+
+app.post('/v1/audio/transcriptions', upload.single('file'), async (req, res) => {
+  if (!req.file) return apiError(res, 400, 'file is required');
+  if (!req.body.model) return apiError(res, 400, 'model is required');
+
+  await new Promise(resolve => setTimeout(resolve, LATENCY_MS));
+  if (Math.random() < FAIL_RATE) return apiError(res, 500, 'Mock server error');
+
+  const sentences = TRANSCRIPT.match(/[^。！？.!?]+[。！？.!?]?/g) || [];
+  const segments = sentences.map((text, index) => ({
+    id: index,
+    start: index * SEGMENT_SEC,
+    end: (index + 1) * SEGMENT_SEC,
+    text,
+    no_speech_prob: 0.01
+  }));
+  console.log(`🎤 ${req.file.originalname} (${(req.file.size / 1024).toFixed(1)} KB, 模型: ${req.body.model}, 語言: ${req.body.language || 'auto'})`);
+
+  if (req.body.response_format === 'text') {
+    return res.type('text/plain').send(TRANSCRIPT);
+  }
+  if (req.body.response_format !== 'verbose_json') {
+    return res.json({ text: TRANSCRIPT });
+  }
+  res.json({
+    task: 'transcribe',
+    language: req.body.language || 'chinese',
+    duration: segments.length * SEGMENT_SEC,
+    text: TRANSCRIPT,
+    segments
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 模擬轉錄 API 已啟動: http://localhost:${PORT}/v1`);
+});
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const winston = require('winston');
+const { formatErrors } = require('./services/requestValidator');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const DATA_DIR = path.join(__dirname, '../data');
+const REDACTED = '[REDACTED]';
+
+// whisper_transcribe.py 支援的模型
+const WHISPER_MODELS = ['tiny', 'base', 'small', 'medium', 'large', 'large-v2', 'large-v3'];
+
+// 轉錄後端 (src/services/transcriptionBackends.js)
+const TRANSCRIPTION_BACKENDS = ['openai-whisper', 'faster-whisper', 'whisper-cpp', 'openai-api'];
+
+/**
+ * 所有設定項目
+ * - path: 在設定物件中的位置 (設定檔使用相同的巢狀結構)
+ * - env: 對應的環境變數 (未列出的項目只能由設定檔覆寫)
+ * - list: 環境變數以逗號分隔
+ * - json: 環境變數為 JSON 字串
+ * - secret: GET /config 中遮蔽
+ */
+const SETTINGS = [
+  // 服務
+  { path: 'server.port', env: 'PORT', schema: { type: 'integer', minimum: 1, maximum: 65535 }, default: 3000 },
+  { path: 'server.syncRequestTimeoutMs', env: 'SYNC_REQUEST_TIMEOUT_MS', schema: { type: 'integer', minimum: 1000 }, default: 45 * 60 * 1000 },
+  { path: 'server.shutdownDrainTimeoutMs', env: 'SHUTDOWN_DRAIN_TIMEOUT_MS', schema: { type: 'integer', minimum: 0 }, default: 20000 },
+
+  // 日誌 (檔案依日期與大小輪替，maxFiles 可為檔案數或保留天數，例如 14d)
+  { path: 'logging.level', env: 'LOG_LEVEL', schema: { type: 'string', enum: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'] }, default: 'info' },
+  { path: 'logging.dir', env: 'LOG_DIR', schema: { type: 'string', minLength: 1 }, default: path.join(DATA_DIR, 'logs') },
+  { path: 'logging.file', env: 'LOG_FILE', schema: { type: 'string', pattern: '\\.log$' }, default: 'app.log' },
+  { path: 'logging.datePattern', env: 'LOG_DATE_PATTERN', schema: { type: 'string', minLength: 1 }, default: 'YYYY-MM-DD' },
+  { path: 'logging.maxSize', env: 'LOG_MAX_SIZE', schema: { type: 'string', pattern: '^\\d+[kmg]?$' }, default: '20m' },
+  { path: 'logging.maxFiles', env: 'LOG_MAX_FILES', schema: { type: 'string', pattern: '^\\d+d?$' }, default: '14d' },
+
+  // 就緒檢查 (GET /ready、npm run health-check)
+  { path: 'readiness.minFreeDiskMB', env: 'READY_MIN_FREE_DISK_MB', schema: { type: 'integer', minimum: 0 }, default: 1024 },
+  { path: 'readiness.checkTimeoutMs', env: 'READY_CHECK_TIMEOUT_MS', schema: { type: 'integer', minimum: 1000 }, default: 20000 },
+  { path: 'readiness.cacheTtlMs', env: 'READY_CACHE_TTL_MS', schema: { type: 'integer', minimum: 0 }, default: 30000 },
+
+  // 任務佇列
+  { path: 'jobs.concurrency', env: 'CONCURRENT_JOBS', schema: { type: 'integer', minimum: 1 }, default: 1 },
+  { path: 'jobs.maxAttempts', env: 'JOB_MAX_ATTEMPTS', schema: { type: 'integer', minimum: 1 }, default: 3 },
+  { path: 'jobs.storePath', env: 'JOB_STORE_PATH', schema: { type: 'string', minLength: 1 }, default: path.join(DATA_DIR, 'jobs.json') },
+
+  // 批次轉錄 (POST /transcribe/batch)
+  { path: 'batch.downloadConcurrency', env: 'BATCH_DOWNLOAD_CONCURRENCY', schema: { type: 'integer', minimum: 1, maximum: 10 }, default: 2 },
+  { path: 'batch.maxItems', env: 'BATCH_MAX_ITEMS', schema: { type: 'integer', minimum: 1 }, default: 500 },
+  { path: 'batch.storePath', env: 'BATCH_STORE_PATH', schema: { type: 'string', minLength: 1 }, default: path.join(DATA_DIR, 'batches.json') },
+
+  // 准入控制 (memoryBudgetMB 為 null 時使用容器記憶體的 75%)
+  { path: 'admission.maxQueuedJobs', env: 'ADMISSION_MAX_QUEUED_JOBS', schema: { type: 'integer', minimum: 0 }, default: 10 },
+  { path: 'admission.memoryBudgetMB', env: 'ADMISSION_MEMORY_BUDGET_MB', schema: { type: ['integer', 'null'], minimum: 1 }, default: null },
+  { path: 'admission.baseMemoryMB', env: 'WHISPER_BASE_MEMORY_MB', schema: { type: 'integer', minimum: 1 }, default: 1024 },
+  { path: 'admission.memoryPerAudioMinuteMB', env: 'WHISPER_MEMORY_PER_MINUTE_MB', schema: { type: 'integer', minimum: 0 }, default: 16 },
+
+  // Whisper
+  { path: 'whisper.model', env: 'WHISPER_MODEL_SIZE', schema: { type: 'string', enum: WHISPER_MODELS }, default: 'base' },
+  { path: 'whisper.processTimeoutMs', env: 'WHISPER_PROCESS_TIMEOUT_MS', schema: { type: 'integer', minimum: 1000 }, default: 29 * 60 * 1000 },
+  // 常駐 Whisper 程序：記憶體超過上限時回收，閒置時定期 ping (0 為停用)
+  { path: 'whisper.workerMaxMemoryMB', env: 'WHISPER_WORKER_MAX_MEMORY_MB', schema: { type: 'integer', minimum: 0 }, default: 4096 },
+  { path: 'whisper.workerPingIntervalMs', env: 'WHISPER_WORKER_PING_INTERVAL_MS', schema: { type: 'integer', minimum: 0 }, default: 30000 },
+  { path: 'whisper.workerPingTimeoutMs', env: 'WHISPER_WORKER_PING_TIMEOUT_MS', schema: { type: 'integer', minimum: 100 }, default: 10000 },
+
+  // 轉錄後端：部署預設的後端，請求可透過 options.backend 改用 allowedBackends 中的其他後端
+  { path: 'transcription.backend', env: 'TRANSCRIPTION_BACKEND', schema: { type: 'string', enum: TRANSCRIPTION_BACKENDS }, default: 'openai-whisper' },
+  { path: 'transcription.allowedBackends', env: 'TRANSCRIPTION_ALLOWED_BACKENDS', list: true, schema: { type: 'array', items: { type: 'string', enum: TRANSCRIPTION_BACKENDS }, uniqueItems: true }, default: [] },
+  // faster-whisper (與 openai-whisper 共用常駐程序的設定)
+  { path: 'fasterWhisper.device', env: 'FASTER_WHISPER_DEVICE', schema: { type: 'string', enum: ['cpu', 'cuda', 'auto'] }, default: 'cpu' },
+  { path: 'fasterWhisper.computeType', env: 'FASTER_WHISPER_COMPUTE_TYPE', schema: { type: 'string', minLength: 1 }, default: 'int8' },
+  // whisper.cpp：執行檔與 ggml 模型目錄 (模型檔名為 ggml-<模型>.bin)
+  { path: 'whisperCpp.binary', env: 'WHISPER_CPP_BINARY', schema: { type: 'string', minLength: 1 }, default: 'whisper-cli' },
+  { path: 'whisperCpp.modelDir', env: 'WHISPER_CPP_MODEL_DIR', schema: { type: 'string', minLength: 1 }, default: path.join(DATA_DIR, 'whisper-cpp') },
+  { path: 'whisperCpp.threads', env: 'WHISPER_CPP_THREADS', schema: { type: 'integer', minimum: 1 }, default: 4 },
+  // OpenAI 相容的 HTTP 轉錄 API (POST {baseUrl}/audio/transcriptions)
+  { path: 'openaiApi.baseUrl', env: 'OPENAI_API_BASE_URL', schema: { type: 'string', pattern: '^https?://' }, default: 'https://api.openai.com/v1' },
+  { path: 'openaiApi.apiKey', env: 'OPENAI_API_KEY', secret: true, schema: { type: ['string', 'null'] }, default: null },
+  { path: 'openaiApi.model', env: 'OPENAI_API_MODEL', schema: { type: 'string', minLength: 1 }, default: 'whisper-1' },
+  { path: 'openaiApi.timeoutMs', env: 'OPENAI_API_TIMEOUT_MS', schema: { type: 'integer', minimum: 1000 }, default: 10 * 60 * 1000 },
+  { path: 'openaiApi.maxFileSizeMB', env: 'OPENAI_API_MAX_FILE_SIZE_MB', schema: { type: 'integer', minimum: 1 }, default: 25 },
+
+  // 分塊：在預定位置前後 silenceToleranceSec 秒內找停頓切開，相鄰分塊重疊 overlapSec 秒
+  { path: 'chunking.overlapSec', env: 'CHUNK_OVERLAP_SEC', schema: { type: 'number', minimum: 0, maximum: 60 }, default: 3 },
+  { path: 'chunking.silenceToleranceSec', env: 'CHUNK_SILENCE_TOLERANCE_SEC', schema: { type: 'number', minimum: 0 }, default: 30 },
+  { path: 'chunking.silenceNoiseDb', env: 'CHUNK_SILENCE_NOISE_DB', schema: { type: 'number', maximum: 0 }, default: -35 },
+  { path: 'chunking.minSilenceSec', env: 'CHUNK_MIN_SILENCE_SEC', schema: { type: 'number', exclusiveMinimum: 0 }, default: 0.5 },
+
+  // 說話者分離 (未在請求 options.diarize 指定時的預設值)
+  { path: 'diarization.enabled', env: 'DIARIZATION_ENABLED', schema: { type: 'boolean' }, default: false },
+  { path: 'diarization.labelSalesperson', env: 'DIARIZATION_LABEL_SALESPERSON', schema: { type: 'boolean' }, default: true },
+
+  // 上傳
+  { path: 'upload.dir', env: 'UPLOAD_DIR', schema: { type: 'string', minLength: 1 }, default: path.join(DATA_DIR, 'uploads') },
+  { path: 'upload.maxSizeMB', env: 'UPLOAD_MAX_SIZE_MB', schema: { type: 'integer', minimum: 1 }, default: 500 },
+
+  // 音檔來源
+  { path: 'audioSource.allowedDirs', env: 'AUDIO_SOURCE_ALLOWED_DIRS', list: true, schema: { type: 'array', items: { type: 'string', minLength: 1 } }, default: [] },
+  { path: 'httpSource.maxRedirects', env: 'HTTP_SOURCE_MAX_REDIRECTS', schema: { type: 'integer', minimum: 0 }, default: 5 },
+  { path: 'httpSource.maxSizeMB', env: 'HTTP_SOURCE_MAX_SIZE_MB', schema: { type: 'integer', minimum: 1 }, default: 500 },
+  { path: 'httpSource.responseTimeoutMs', env: 'HTTP_SOURCE_RESPONSE_TIMEOUT_MS', schema: { type: 'integer', minimum: 1000 }, default: 30000 },
+  { path: 'httpSource.downloadTimeoutMs', env: 'HTTP_SOURCE_DOWNLOAD_TIMEOUT_MS', schema: { type: 'integer', minimum: 1000 }, default: 10 * 60 * 1000 },
+  // http 來源預設拒絕內部網路位址 (loopback、私有網路、link-local、雲端 metadata)，列在此處的主機名稱例外
+  { path: 'httpSource.allowedPrivateHosts', env: 'HTTP_SOURCE_ALLOWED_PRIVATE_HOSTS', list: true, schema: { type: 'array', items: { type: 'string', minLength: 1 } }, default: [] },
+
+  // Webhook 通知
+  { path: 'webhook.url', env: 'WEBHOOK_URL', schema: { type: ['string', 'null'], pattern: '^https?://' }, default: null },
+  { path: 'webhook.secret', env: 'WEBHOOK_SECRET', secret: true, schema: { type: ['string', 'null'] }, default: null },
+  { path: 'webhook.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', schema: { type: 'integer', minimum: 1 }, default: 4 },
+  { path: 'webhook.retryBaseDelayMs', env: 'WEBHOOK_RETRY_BASE_DELAY_MS', schema: { type: 'integer', minimum: 0 }, default: 2000 },
+  { path: 'webhook.retryMaxDelayMs', env: 'WEBHOOK_RETRY_MAX_DELAY_MS', schema: { type: 'integer', minimum: 0 }, default: 30000 },
+  { path: 'webhook.timeoutMs', env: 'WEBHOOK_TIMEOUT_MS', schema: { type: 'integer', minimum: 1000 }, default: 30000 },
+  { path: 'transcripts.dir', env: 'TRANSCRIPT_DIR', schema: { type: 'string', minLength: 1 }, default: path.join(DATA_DIR, 'transcripts') },
+  { path: 'deadLetters.dir', env: 'DEAD_LETTER_DIR', schema: { type: 'string', minLength: 1 }, default: path.join(DATA_DIR, 'dead-letters') },
+  // 分塊檢查點 (任務重試時跳過已完成的分塊)，逾 ttlHours 未更新即清理
+  { path: 'checkpoints.dir', env: 'CHECKPOINT_DIR', schema: { type: 'string', minLength: 1 }, default: path.join(DATA_DIR, 'checkpoints') },
+  { path: 'checkpoints.ttlHours', env: 'CHECKPOINT_TTL_HOURS', schema: { type: 'number', exclusiveMinimum: 0 }, default: 72 },
+  { path: 'checkpoints.sweepIntervalMs', env: 'CHECKPOINT_SWEEP_INTERVAL_MS', schema: { type: 'integer', minimum: 1000 }, default: 60 * 60 * 1000 },
+
+  // API 金鑰 ("名稱:金鑰" 或 "金鑰")
+  { path: 'auth.apiKeys', env: 'API_KEYS', list: true, secret: true, schema: { type: 'array', items: { type: 'string', minLength: 1 } }, default: [] },
+
+  // Google 服務帳戶
+  {
+    path: 'google.serviceAccountKey',
+    env: 'GOOGLE_SERVICE_ACCOUNT_KEY',
+    json: true,
+    secret: true,
+    schema: {
+      type: ['object', 'null'],
+      required: ['client_email', 'private_key'],
+      properties: {
+        client_email: { type: 'string', minLength: 1 },
+        private_key: { type: 'string', pattern: 'BEGIN PRIVATE KEY' }
+      }
+    },
+    default: null
+  },
+  { path: 'google.spreadsheetId', env: 'GOOGLE_SPREADSHEET_ID', schema: { type: ['string', 'null'] }, default: null },
+
+  // 品質等級分數門檻
+  { path: 'quality.thresholds.excellent', schema: { type: 'number', minimum: 0, maximum: 100 }, default: 90 },
+  { path: 'quality.thresholds.good', schema: { type: 'number', minimum: 0, maximum: 100 }, default: 75 },
+  { path: 'quality.thresholds.acceptable', schema: { type: 'number', minimum: 0, maximum: 100 }, default: 60 },
+  { path: 'quality.thresholds.poor', schema: { type: 'number', minimum: 0, maximum: 100 }, default: 40 },
+  { path: 'quality.thresholds.fail', schema: { type: 'number', minimum: 0, maximum: 100 }, default: 25 },
+  // 中文字元比例低於此值時降低品質分數，並列為品質問題
+  { path: 'quality.minChineseRatio', schema: { type: 'number', minimum: 0, maximum: 1 }, default: 0.5 },
+  // 品質分數、信心度低於門檻或重複內容比例高於門檻時列為品質問題
+  { path: 'quality.minScore', env: 'QUALITY_THRESHOLD_SCORE', schema: { type: 'number', minimum: 0, maximum: 100 }, default: 60 },
+  { path: 'quality.minConfidence', env: 'QUALITY_THRESHOLD_CONFIDENCE', schema: { type: 'number', minimum: 0, maximum: 1 }, default: 0.6 },
+  { path: 'quality.maxRepetitionRatio', env: 'QUALITY_MAX_REPETITION_RATIO', schema: { type: 'number', minimum: 0, maximum: 1 }, default: 0.4 },
+  // 品質統計檔案
+  { path: 'quality.statsPath', env: 'QUALITY_STATS_PATH', schema: { type: 'string', minLength: 1 }, default: path.join(DATA_DIR, 'quality-stats.json') },
+  // 品質歷史保留筆數 (GET /admin/quality/history)
+  { path: 'quality.historySize', env: 'QUALITY_HISTORY_SIZE', schema: { type: 'integer', minimum: 10 }, default: 1000 }
+];
+
+/**
+ * 設定不正確 (啟動時丟出)
+ * details 為 [{ field, source, message }]
+ */
+class ConfigError extends Error {
+  constructor(details) {
+    super(`設定錯誤:\n${details.map(detail => `  - ${detail.field} (${detail.source}): ${detail.message}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.details = details;
+  }
+}
+
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), object);
+}
+
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, object);
+  parent[last] = value;
+}
+
+/**
+ * 由 SETTINGS 組出巢狀的 JSON schema (不允許未知的欄位，避免設定檔拼錯字被忽略)
+ */
+function buildSchema() {
+  const root = { type: 'object', additionalProperties: false, properties: {} };
+
+  for (const setting of SETTINGS) {
+    const keys = setting.path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      if (!node.properties[key]) {
+        node.properties[key] = { type: 'object', additionalProperties: false, properties: {} };
+      }
+      return node.properties[key];
+    }, root);
+    parent.properties[last] = setting.schema;
+  }
+
+  return root;
+}
+
+const validateConfig = new Ajv({ allErrors: true, strict: false, coerceTypes: true }).compile(buildSchema());
+
+/**
+ * 讀取設定檔 (JSON，結構與設定物件相同)
+ */
+function readConfigFile(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ConfigError([{ field: 'CONFIG_FILE', source: file, message: `無法讀取設定檔: ${error.message}` }]);
+  }
+
+  try {
+    const parsed = JSON.parse(content);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('最外層必須是物件');
+    }
+    return parsed;
+  } catch (error) {
+    throw new ConfigError([{ field: 'CONFIG_FILE', source: file, message: `設定檔不是有效的 JSON: ${error.message}` }]);
+  }
+}
+
+/**
+ * 解析環境變數值 (空字串視為未設定)
+ * @returns {{ value?: any, error?: string }}
+ */
+function parseEnvValue(setting, raw) {
+  if (setting.list) {
+    return { value: raw.split(',').map(entry => entry.trim()).filter(Boolean) };
+  }
+  if (setting.json) {
+    try {
+      return { value: JSON.parse(raw) };
+    } catch (error) {
+      return { error: `不是有效的 JSON: ${error.message}` };
+    }
+  }
+  return { value: raw };
+}
+
+/**
+ * 載入設定：預設值 < 設定檔 (CONFIG_FILE) < 環境變數
+ * @param {object} [env] 環境變數 (預設 process.env)
+ * @returns {{ values: object, sources: object, configFile: string|null }}
+ * @throws {ConfigError} 設定不正確時列出所有問題
+ */
+function loadConfig(env = process.env) {
+  const configFile = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+  const fileValues = configFile ? readConfigFile(configFile) : {};
+  const values = JSON.parse(JSON.stringify(fileValues));
+  const sources = {};
+  const details = [];
+
+  for (const setting of SETTINGS) {
+    const raw = setting.env ? env[setting.env] : undefined;
+
+    if (raw !== undefined && raw !== '') {
+      const { value, error } = parseEnvValue(setting, raw);
+      sources[setting.path] = `env:${setting.env}`;
+      if (error) {
+        details.push({ field: setting.path, source: sources[setting.path], message: error });
+        continue;
+      }
+      setPath(values, setting.path, value);
+    } else if (getPath(fileValues, setting.path) !== undefined) {
+      sources[setting.path] = 'file';
+    } else {
+      sources[setting.path] = 'default';
+      setPath(values, setting.path, JSON.parse(JSON.stringify(setting.default)));
+    }
+  }
+
+  if (!validateConfig(values)) {
+    for (const error of formatErrors(validateConfig.errors, 'config')) {
+      const field = error.field.replace(/^config\.?/, '');
+      const setting = SETTINGS.find(item => field === item.path || field.startsWith(`${item.path}.`));
+      details.push({
+        field: field || '(root)',
+        source: setting ? sources[setting.path] : 'file',
+        message: error.message
+      });
+    }
+  }
+
+  if (details.length > 0) {
+    throw new ConfigError(details);
+  }
+
+  // 環境變數中的 private key 常以 \n 跳脫換行
+  const serviceAccountKey = values.google.serviceAccountKey;
+  if (serviceAccountKey) {
+    serviceAccountKey.private_key = serviceAccountKey.private_key.replace(/\\n/g, '\n');
+  }
+
+  values.audioSource.allowedDirs = values.audioSource.allowedDirs.map(dir => path.resolve(dir));
+
+  return { values, sources, configFile };
+}
+
+/**
+ * 遮蔽機密欄位 (API 金鑰保留名稱，服務帳戶保留 client_email 等識別資訊)
+ */
+function redactValue(value) {
+  if (value === null || value === undefined || value === '') return value;
+  if (Array.isArray(value)) {
+    return value.map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0 ? `${entry.slice(0, separator)}:${REDACTED}` : REDACTED;
+    });
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+      key,
+      /private_key/.test(key) ? REDACTED : field
+    ]));
+  }
+  return REDACTED;
+}
+
+/**
+ * 產生可公開給維運人員檢視的設定 (GET /config)
+ */
+function redactConfig(loaded = current) {
+  const config = JSON.parse(JSON.stringify(loaded.values));
+  for (const setting of SETTINGS.filter(item => item.secret)) {
+    setPath(config, setting.path, redactValue(getPath(loaded.values, setting.path)));
+  }
+
+  return {
+    config,
+    sources: loaded.sources,
+    configFile: loaded.configFile
+  };
+}
+
+// 啟動時載入一次，設定不正確時直接結束程序
+let current;
+try {
+  current = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  logger.error(error.message, { details: error.details });
+  process.exit(1);
+}
+
+module.exports = {
+  config: current.values,
+  loadConfig,
+  redactConfig,
+  ConfigError,
+  WHISPER_MODELS,
+  TRANSCRIPTION_BACKENDS
+};
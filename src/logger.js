@@ -0,0 +1,134 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+require('winston-daily-rotate-file');
+const { config } = require('./config');
+
+/**
+ * 關聯 ID (requestId、caseId、jobId、batchId) 隨非同步流程傳遞
+ * 同一個請求或任務的下載、轉錄、品質與通知日誌都會帶上相同的欄位
+ */
+const contextStorage = new AsyncLocalStorage();
+
+const CONTEXT_FIELDS = ['requestId', 'caseId', 'jobId', 'batchId'];
+
+/**
+ * 在新的關聯範圍中執行 fn，沿用外層範圍的欄位
+ * @param {object} fields 例如 { jobId, caseId }
+ */
+function runWithContext(fields, fn) {
+  return contextStorage.run({ ...getContext(), ...fields }, fn);
+}
+
+/**
+ * 在任何關聯範圍之外執行 fn (例如建立跨請求共用的常駐程序，避免其事件沿用建立時的請求欄位)
+ */
+function runWithoutContext(fn) {
+  return contextStorage.exit(fn);
+}
+
+/**
+ * 取得目前範圍的關聯欄位
+ */
+function getContext() {
+  return contextStorage.getStore() || {};
+}
+
+/**
+ * 在目前範圍補上欄位 (例如請求解析出 caseId 之後)
+ */
+function setContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// 將目前範圍的關聯欄位寫入每一筆日誌 (日誌本身已有的欄位優先)
+const correlation = winston.format((info) => {
+  const context = getContext();
+  for (const field of CONTEXT_FIELDS) {
+    if (context[field] !== undefined && info[field] === undefined) {
+      info[field] = context[field];
+    }
+  }
+  return info;
+});
+
+// 所有模組共用同一組輸出，避免多個檔案 transport 同時寫入 app.log
+const rootLogger = winston.createLogger({
+  level: config.logging.level,
+  format: winston.format.combine(
+    correlation(),
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+let fileTransport = null;
+
+/**
+ * 開始寫入日誌檔 (服務啟動時呼叫，只載入模組的測試與指令不會建立檔案)
+ * LOG_FILE 位於 LOG_DIR 下，依日期與大小輪替為 app-2024-01-01.log、app-2024-01-01.log.1 ...，app.log 指向目前的檔案
+ */
+function enableFileLogging() {
+  if (fileTransport) return;
+  const { dir, datePattern, maxSize, maxFiles } = config.logging;
+  const file = path.resolve(dir, config.logging.file);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  // 舊版直接寫入 app.log，保留為 app-previous.log，讓出位置給連結
+  try {
+    if (fs.lstatSync(file).isFile()) {
+      fs.renameSync(file, file.replace(/\.log$/, '-previous.log'));
+    }
+  } catch (error) {
+    // 檔案不存在
+  }
+
+  fileTransport = new winston.transports.DailyRotateFile({
+    filename: file.replace(/\.log$/, '-%DATE%.log'),
+    datePattern,
+    maxSize,
+    maxFiles,
+    createSymlink: true,
+    symlinkName: path.basename(file),
+    auditFile: path.join(path.dirname(file), '.log-audit.json')
+  });
+  rootLogger.add(fileTransport);
+}
+
+/**
+ * 建立模組的日誌 (日誌帶有 module 欄位)
+ * @param {string} moduleName
+ */
+function createLogger(moduleName) {
+  return rootLogger.child({ module: moduleName });
+}
+
+/**
+ * Express 中介軟體：沿用 X-Request-Id 或產生新的請求 ID，並在回應標頭回傳
+ * 讀取請求內容的中介軟體 (express.json、multer) 會遺失非同步範圍，需放在它們之後；
+ * 同一個請求再次經過時沿用 req.requestId
+ */
+function requestContext(req, res, next) {
+  if (!req.requestId) {
+    const incoming = req.get('x-request-id');
+    req.requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.requestId);
+  }
+  contextStorage.run({ requestId: req.requestId }, next);
+}
+
+module.exports = {
+  createLogger,
+  enableFileLogging,
+  runWithContext,
+  runWithoutContext,
+  getContext,
+  setContext,
+  requestContext
+};
@@ -0,0 +1,1197 @@
+const { version } = require('../package.json');
+const { OPTIONS_SCHEMA } = require('./services/transcriptionOptions');
+const { OUTPUT_FORMATS } = require('./services/subtitleFormatter');
+const { config, TRANSCRIPTION_BACKENDS } = require('./config');
+
+/**
+ * API 規格 (OpenAPI 3.0)
+ * 以 /openapi.json 對外提供，請求驗證 (requestValidator) 也直接使用這份文件中的 schema
+ */
+
+const JOB_STATUSES = ['Queued', 'Processing', 'Completed', 'Failed', 'Cancelled'];
+const QUALITY_LEVELS = ['EXCELLENT', 'GOOD', 'ACCEPTABLE', 'POOR', 'FAIL'];
+// 批次項目加入任務佇列前為 Pending
+const BATCH_ITEM_STATUSES = ['Pending', ...JOB_STATUSES];
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const jsonResponse = (description, schemaRef) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaRef}` } } }
+});
+
+const jobIdParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: '任務 ID (由 /transcribe 回傳的 jobId)',
+  schema: { type: 'string', minLength: 1 }
+};
+
+const batchIdParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: '批次 ID (由 /transcribe/batch 回傳的 batchId)',
+  schema: { type: 'string', minLength: 1 }
+};
+
+const deadLetterIdParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'dead-letter ID',
+  schema: { type: 'string', minLength: 1 }
+};
+
+const idempotencyKeyParameter = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: '相同金鑰的重試會回傳同一個任務 (原任務失敗或取消時才重新建立)',
+  schema: { type: 'string', minLength: 1, maxLength: 255 }
+};
+
+const qualityHistoryParameters = [
+  { name: 'from', in: 'query', required: false, description: '紀錄時間起點 (YYYY-MM-DD 或 ISO 8601，UTC)', schema: { type: 'string', minLength: 10 } },
+  { name: 'to', in: 'query', required: false, description: '紀錄時間終點 (不含；只有日期時包含當天)', schema: { type: 'string', minLength: 10 } },
+  { name: 'caseId', in: 'query', required: false, schema: { type: 'string', minLength: 1 } },
+  { name: 'success', in: 'query', required: false, description: 'true 只列成功、false 只列失敗', schema: { type: 'boolean' } },
+  { name: 'limit', in: 'query', required: false, description: '只保留最新的幾筆', schema: { type: 'integer', minimum: 1 } }
+];
+
+const transcriptionResponses = {
+  200: jsonResponse('同步模式的轉錄結果，或 caseId 已完成時回傳保存的結果', 'TranscriptionResult'),
+  202: jsonResponse('非同步模式：任務已受理', 'JobAccepted'),
+  400: jsonResponse('請求參數驗證失敗', 'ValidationError'),
+  401: errorResponse('缺少或無效的 API 金鑰'),
+  409: errorResponse('同步模式下任務被取消'),
+  422: errorResponse('Idempotency-Key 已用於其他 caseId'),
+  429: {
+    description: '服務忙碌中 (等待中的任務已達上限)，依 Retry-After 秒數後重試',
+    headers: { 'Retry-After': { schema: { type: 'integer' }, description: '建議重試前等待的秒數' } },
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/AdmissionRejected' } } }
+  },
+  500: errorResponse('轉錄處理失敗'),
+  503: errorResponse('服務正在關閉')
+};
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Zeabur 簡化轉錄服務',
+    version,
+    description: '為 GAS 智能佇列設計的音檔轉錄服務。設定 API_KEYS 時，除了 /、/health 與 /openapi.json 以外都需要 API 金鑰。'
+  },
+  security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+  paths: {
+    '/': {
+      get: {
+        operationId: 'getServiceInfo',
+        summary: '服務資訊',
+        security: [],
+        responses: { 200: jsonResponse('服務資訊', 'ServiceInfo') }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenApiSpec',
+        summary: '取得本文件',
+        security: [],
+        responses: { 200: { description: 'OpenAPI 3 文件', content: { 'application/json': { schema: { type: 'object' } } } } }
+      }
+    },
+    '/transcribe': {
+      post: {
+        operationId: 'createTranscription',
+        summary: '建立轉錄任務',
+        description: '音檔來源可用舊的 fileId，或 source 物件。以 caseId 做冪等處理：執行中的 caseId 會附加到既有任務，已完成的 caseId 直接回傳保存的結果 (force=true 時重新轉錄)。',
+        parameters: [
+          idempotencyKeyParameter,
+          { name: 'force', in: 'query', required: false, description: '忽略已完成的結果並重新轉錄', schema: { type: 'boolean' } }
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/TranscribeRequest' } } }
+        },
+        responses: transcriptionResponses
+      }
+    },
+    '/transcribe/upload': {
+      post: {
+        operationId: 'uploadTranscription',
+        summary: '直接上傳音檔轉錄 (不經過 Google Drive)',
+        parameters: [
+          idempotencyKeyParameter,
+          { name: 'force', in: 'query', required: false, description: '忽略已完成的結果並重新轉錄', schema: { type: 'boolean' } }
+        ],
+        requestBody: {
+          required: true,
+          content: { 'multipart/form-data': { schema: { $ref: '#/components/schemas/UploadRequest' } } }
+        },
+        responses: {
+          ...transcriptionResponses,
+          413: errorResponse('檔案超過大小上限'),
+          415: errorResponse('不支援的音檔格式')
+        }
+      }
+    },
+    '/transcribe/batch': {
+      post: {
+        operationId: 'createBatch',
+        summary: '批次轉錄 Google Drive 檔案 (有限並行下載，逐一送入任務佇列)',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/BatchRequest' } } }
+        },
+        responses: {
+          202: jsonResponse('批次已受理', 'Batch'),
+          400: jsonResponse('請求參數驗證失敗', 'ValidationError'),
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          503: errorResponse('服務正在關閉')
+        }
+      }
+    },
+    '/batches': {
+      get: {
+        operationId: 'listBatches',
+        summary: '列出最近的批次 (新到舊，不含項目明細)',
+        parameters: [
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } }
+        ],
+        responses: {
+          200: {
+            description: '批次列表',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    count: { type: 'integer' },
+                    batches: { type: 'array', items: { $ref: '#/components/schemas/Batch' } }
+                  }
+                }
+              }
+            }
+          },
+          401: errorResponse('缺少或無效的 API 金鑰')
+        }
+      }
+    },
+    '/batches/{id}': {
+      get: {
+        operationId: 'getBatch',
+        summary: '查詢批次與各項目狀態',
+        parameters: [batchIdParameter],
+        responses: {
+          200: jsonResponse('批次狀態', 'Batch'),
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到批次')
+        }
+      }
+    },
+    '/transcripts': {
+      get: {
+        operationId: 'listTranscripts',
+        summary: '查詢已保存的轉錄結果 (新到舊，不含逐字稿)',
+        parameters: [
+          { name: 'from', in: 'query', required: false, description: '轉錄完成時間起點 (YYYY-MM-DD 或 ISO 8601，UTC)', schema: { type: 'string', minLength: 10 } },
+          { name: 'to', in: 'query', required: false, description: '轉錄完成時間終點 (不含；只有日期時包含當天)', schema: { type: 'string', minLength: 10 } },
+          { name: 'qualityLevel', in: 'query', required: false, schema: { type: 'string', enum: QUALITY_LEVELS } },
+          { name: 'processingMethod', in: 'query', required: false, schema: { type: 'string', minLength: 1 } },
+          { name: 'page', in: 'query', required: false, schema: { type: 'integer', minimum: 1, default: 1 } },
+          { name: 'pageSize', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } }
+        ],
+        responses: {
+          200: jsonResponse('轉錄結果摘要', 'TranscriptPage'),
+          400: jsonResponse('查詢參數驗證失敗', 'ValidationError'),
+          401: errorResponse('缺少或無效的 API 金鑰')
+        }
+      }
+    },
+    '/transcripts/{caseId}': {
+      get: {
+        operationId: 'getTranscript',
+        summary: '取得 caseId 最近一次的完整轉錄結果',
+        parameters: [
+          { name: 'caseId', in: 'path', required: true, schema: { type: 'string', minLength: 1 } }
+        ],
+        responses: {
+          200: jsonResponse('轉錄結果', 'TranscriptRecord'),
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到轉錄結果')
+        }
+      }
+    },
+    '/transcripts/{caseId}/export': {
+      get: {
+        operationId: 'exportTranscript',
+        summary: '以字幕或帶時間戳的格式下載 caseId 的轉錄結果',
+        parameters: [
+          { name: 'caseId', in: 'path', required: true, schema: { type: 'string', minLength: 1 } },
+          { name: 'format', in: 'query', required: true, schema: { type: 'string', enum: OUTPUT_FORMATS } }
+        ],
+        responses: {
+          200: {
+            description: '匯出檔案 (srt、vtt、text 或 json)',
+            content: {
+              'application/x-subrip': { schema: { type: 'string' } },
+              'text/vtt': { schema: { type: 'string' } },
+              'text/plain': { schema: { type: 'string' } },
+              'application/json': { schema: { type: 'object' } }
+            }
+          },
+          400: jsonResponse('查詢參數驗證失敗', 'ValidationError'),
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到轉錄結果'),
+          409: errorResponse('此結果沒有時間戳 (舊版結果)')
+        }
+      }
+    },
+    '/jobs': {
+      get: {
+        operationId: 'listJobs',
+        summary: '列出最近的任務 (新到舊)',
+        parameters: [
+          { name: 'status', in: 'query', required: false, schema: { type: 'string', enum: JOB_STATUSES } },
+          { name: 'caseId', in: 'query', required: false, schema: { type: 'string', minLength: 1 } },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } }
+        ],
+        responses: {
+          200: {
+            description: '任務列表 (不含轉錄結果)',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    count: { type: 'integer' },
+                    jobs: { type: 'array', items: { $ref: '#/components/schemas/Job' } }
+                  }
+                }
+              }
+            }
+          },
+          400: jsonResponse('查詢參數驗證失敗', 'ValidationError'),
+          401: errorResponse('缺少或無效的 API 金鑰')
+        }
+      }
+    },
+    '/jobs/{id}': {
+      get: {
+        operationId: 'getJob',
+        summary: '查詢任務狀態與結果',
+        parameters: [jobIdParameter],
+        responses: {
+          200: jsonResponse('任務狀態', 'Job'),
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到任務')
+        }
+      },
+      delete: {
+        operationId: 'cancelJob',
+        summary: '取消任務 (終止 Whisper / ffmpeg 子進程)',
+        parameters: [jobIdParameter],
+        responses: {
+          202: jsonResponse('已取消或正在取消', 'JobCancelled'),
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到任務'),
+          409: errorResponse('任務已結束')
+        }
+      }
+    },
+    '/jobs/{id}/cancel': {
+      post: {
+        operationId: 'cancelJobPost',
+        summary: '取消任務 (同 DELETE /jobs/{id})',
+        parameters: [jobIdParameter],
+        responses: {
+          202: jsonResponse('已取消或正在取消', 'JobCancelled'),
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到任務'),
+          409: errorResponse('任務已結束')
+        }
+      }
+    },
+    '/jobs/{id}/events': {
+      get: {
+        operationId: 'streamJobEvents',
+        summary: '任務進度串流 (Server-Sent Events)',
+        description: '事件: snapshot (連線時的目前狀態)、progress ({ stage, progress, elapsedSec, eta, at })、result (最終結果後關閉連線)。EventSource 無法自訂標頭，可改用 api_key 查詢參數驗證。',
+        parameters: [
+          jobIdParameter,
+          { name: 'api_key', in: 'query', required: false, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: '事件串流', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到任務')
+        }
+      }
+    },
+    '/quality': {
+      get: {
+        operationId: 'getQualityReport',
+        summary: '品質監控報告',
+        responses: {
+          200: { description: '品質報告', content: { 'application/json': { schema: { type: 'object' } } } },
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          500: errorResponse('生成品質報告失敗')
+        }
+      }
+    },
+    '/admin/quality/history': {
+      get: {
+        operationId: 'listQualityHistory',
+        summary: '查詢品質歷史紀錄 (舊到新)',
+        parameters: qualityHistoryParameters,
+        responses: {
+          200: {
+            description: '品質紀錄',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    total: { type: 'integer' },
+                    items: { type: 'array', items: { $ref: '#/components/schemas/QualityRecord' } }
+                  }
+                }
+              }
+            }
+          },
+          400: jsonResponse('查詢參數驗證失敗', 'ValidationError'),
+          401: errorResponse('缺少或無效的 API 金鑰')
+        }
+      }
+    },
+    '/admin/quality/history/export': {
+      get: {
+        operationId: 'exportQualityHistory',
+        summary: '以 CSV 匯出品質歷史紀錄',
+        parameters: qualityHistoryParameters,
+        responses: {
+          200: { description: 'CSV (UTF-8 BOM)', content: { 'text/csv': { schema: { type: 'string' } } } },
+          400: jsonResponse('查詢參數驗證失敗', 'ValidationError'),
+          401: errorResponse('缺少或無效的 API 金鑰')
+        }
+      }
+    },
+    '/admin/quality/cases/{caseId}': {
+      get: {
+        operationId: 'getQualityRecord',
+        summary: '取得 caseId 的品質紀錄與評估問題',
+        parameters: [
+          { name: 'caseId', in: 'path', required: true, schema: { type: 'string', minLength: 1 } }
+        ],
+        responses: {
+          200: {
+            description: '品質紀錄',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    caseId: { type: 'string' },
+                    latest: { $ref: '#/components/schemas/QualityRecord' },
+                    evaluation: {
+                      type: 'object',
+                      nullable: true,
+                      description: '最近一次成功轉錄的評估 (失敗時為 null)',
+                      properties: {
+                        hasIssues: { type: 'boolean' },
+                        issues: { type: 'array', items: { type: 'string' } },
+                        overallQuality: { type: 'string', enum: ['good', 'fair', 'poor'] }
+                      }
+                    },
+                    attempts: { type: 'array', items: { $ref: '#/components/schemas/QualityRecord' } }
+                  }
+                }
+              }
+            }
+          },
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到品質紀錄')
+        }
+      }
+    },
+    '/admin/quality/reset': {
+      post: {
+        operationId: 'resetQualityStats',
+        summary: '重置品質統計 (需設定 API_KEYS)',
+        responses: {
+          200: { description: '重置結果，previous 為重置前的品質報告', content: { 'application/json': { schema: { type: 'object' } } } },
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          403: errorResponse('未設定 API_KEYS，無法使用此端點')
+        }
+      }
+    },
+    '/health': {
+      get: {
+        operationId: 'getHealth',
+        summary: '健康檢查',
+        security: [],
+        responses: { 200: jsonResponse('服務狀態', 'Health') }
+      }
+    },
+    '/ready': {
+      get: {
+        operationId: 'getReadiness',
+        summary: '就緒檢查 (轉錄所需的程式、模型、暫存空間與憑證)',
+        security: [],
+        responses: {
+          200: jsonResponse('所有檢查通過', 'Readiness'),
+          503: jsonResponse('有檢查未通過或服務正在關閉', 'Readiness')
+        }
+      }
+    },
+    '/metrics': {
+      get: {
+        operationId: 'getMetrics',
+        summary: 'Prometheus 指標',
+        responses: {
+          200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } },
+          401: errorResponse('缺少或無效的 API 金鑰')
+        }
+      }
+    },
+    '/config': {
+      get: {
+        operationId: 'getConfig',
+        summary: '目前生效的設定 (機密欄位已遮蔽)',
+        responses: {
+          200: jsonResponse('設定', 'ConfigReport'),
+          401: errorResponse('缺少或無效的 API 金鑰')
+        }
+      }
+    },
+    '/backends': {
+      get: {
+        operationId: 'listBackends',
+        summary: '可用的轉錄後端、能力與目前能否使用',
+        responses: {
+          200: jsonResponse('轉錄後端', 'BackendList'),
+          401: errorResponse('缺少或無效的 API 金鑰')
+        }
+      }
+    },
+    '/test': {
+      get: {
+        operationId: 'testConnections',
+        summary: '測試 Google Services 連線',
+        responses: {
+          200: { description: '連線狀態', content: { 'application/json': { schema: { type: 'object' } } } },
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          500: errorResponse('連線測試失敗')
+        }
+      }
+    },
+    '/admin/dead-letters': {
+      get: {
+        operationId: 'listDeadLetters',
+        summary: '列出送達失敗的通知',
+        parameters: [
+          { name: 'caseId', in: 'query', required: false, schema: { type: 'string', minLength: 1 } }
+        ],
+        responses: {
+          200: {
+            description: 'dead-letter 列表 (不含逐字稿內容)',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    count: { type: 'integer' },
+                    deadLetters: { type: 'array', items: { $ref: '#/components/schemas/DeadLetterSummary' } }
+                  }
+                }
+              }
+            }
+          },
+          400: jsonResponse('查詢參數驗證失敗', 'ValidationError'),
+          401: errorResponse('缺少或無效的 API 金鑰')
+        }
+      }
+    },
+    '/admin/dead-letters/replay': {
+      post: {
+        operationId: 'replayAllDeadLetters',
+        summary: '依序重送所有 dead-letter',
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  caseId: { type: 'string', minLength: 1 },
+                  limit: { type: 'integer', minimum: 1 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: '重送結果 (正在重送中的計入 skipped)', content: { 'application/json': { schema: { type: 'object' } } } },
+          400: jsonResponse('請求參數驗證失敗', 'ValidationError'),
+          401: errorResponse('缺少或無效的 API 金鑰')
+        }
+      }
+    },
+    '/admin/dead-letters/{id}': {
+      get: {
+        operationId: 'getDeadLetter',
+        summary: '取得單筆 dead-letter (含完整通知內容)',
+        parameters: [deadLetterIdParameter],
+        responses: {
+          200: { description: 'dead-letter', content: { 'application/json': { schema: { type: 'object' } } } },
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到 dead-letter')
+        }
+      },
+      delete: {
+        operationId: 'deleteDeadLetter',
+        summary: '放棄並刪除 dead-letter',
+        parameters: [deadLetterIdParameter],
+        responses: {
+          200: { description: '已刪除', content: { 'application/json': { schema: { type: 'object' } } } },
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到 dead-letter')
+        }
+      }
+    },
+    '/admin/dead-letters/{id}/replay': {
+      post: {
+        operationId: 'replayDeadLetter',
+        summary: '重送單筆 dead-letter (成功後移除)',
+        parameters: [deadLetterIdParameter],
+        responses: {
+          200: { description: '重送成功', content: { 'application/json': { schema: { type: 'object' } } } },
+          401: errorResponse('缺少或無效的 API 金鑰'),
+          404: errorResponse('找不到 dead-letter'),
+          409: { description: '此 dead-letter 正在重送中 (inProgress: true)', content: { 'application/json': { schema: { type: 'object' } } } },
+          502: { description: '重送仍失敗 (replayCount 已累加)', content: { 'application/json': { schema: { type: 'object' } } } }
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    schemas: {
+      TranscribeRequest: {
+        type: 'object',
+        required: ['caseId'],
+        anyOf: [{ required: ['fileId'] }, { required: ['source'] }],
+        properties: {
+          caseId: { type: 'string', minLength: 1, description: '案件 ID，同時作為冪等鍵' },
+          fileName: { type: 'string' },
+          fileId: { type: 'string', minLength: 1, description: '舊版欄位：Google Drive 檔案 ID (未提供 source 時必填)' },
+          source: { $ref: '#/components/schemas/AudioSource' },
+          mode: { type: 'string', enum: ['async', 'sync'], default: 'async' },
+          force: { type: 'boolean', description: '忽略已完成的結果並重新轉錄' },
+          options: { $ref: '#/components/schemas/TranscriptionOptions' }
+        }
+      },
+      TranscriptionOptions: OPTIONS_SCHEMA,
+      EffectiveTranscriptionOptions: {
+        type: 'object',
+        description: '實際使用的轉錄設定 (未指定的欄位為預設值，null 表示使用 Whisper 預設)',
+        properties: {
+          backend: { type: 'string', enum: TRANSCRIPTION_BACKENDS },
+          model: { type: 'string' },
+          language: { type: 'string' },
+          initialPrompt: { type: 'string', nullable: true },
+          temperature: { type: 'number', nullable: true },
+          beamSize: { type: 'integer', nullable: true },
+          chunkDurationSec: { type: 'integer' },
+          outputFormats: { type: 'array', items: { type: 'string', enum: OUTPUT_FORMATS } },
+          diarize: { type: 'boolean' },
+          speakers: { type: 'integer' },
+          labelSalesperson: { type: 'boolean' }
+        }
+      },
+      Diarization: {
+        type: 'object',
+        nullable: true,
+        description: '說話者分離結果 (未啟用或失敗時為 null)',
+        properties: {
+          method: { type: 'string', enum: ['channel', 'clustering'], description: 'channel: 依立體聲聲道；clustering: 依頻譜分群' },
+          speakers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', description: 'S1、S2 ... (依首次出現順序)' },
+                label: { type: 'string', description: '業務、客戶，或未標示角色時的「說話者 N」' },
+                role: { type: 'string', nullable: true, enum: ['salesperson', 'customer', null] },
+                speakingSec: { type: 'number' },
+                segmentCount: { type: 'integer' }
+              }
+            }
+          }
+        }
+      },
+      Segment: {
+        type: 'object',
+        description: '帶時間戳的片段 (秒，相對於錄音開頭)',
+        properties: {
+          start: { type: 'number' },
+          end: { type: 'number' },
+          text: { type: 'string' },
+          speaker: { type: 'string', description: '說話者 ID (有說話者分離時)' }
+        }
+      },
+      Chunking: {
+        type: 'object',
+        nullable: true,
+        description: '分塊邊界 (音檔未超過分塊長度時為 null)，供除錯使用',
+        properties: {
+          overlapSec: { type: 'number', description: '相鄰分塊重疊的秒數' },
+          boundaries: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                targetSec: { type: 'number', description: '依分塊長度預定的切點' },
+                cutSec: { type: 'number', description: '實際切點 (下一塊的開始)' },
+                silence: {
+                  type: 'object',
+                  nullable: true,
+                  description: '切點所在的停頓，容許範圍內沒有停頓時為 null',
+                  properties: { start: { type: 'number' }, end: { type: 'number' } }
+                },
+                overlapEndSec: { type: 'number', description: '前一塊延伸到的位置' },
+                merge: { type: 'string', enum: ['text', 'time'], description: 'text: 比對重疊區文字去除重複；time: 文字對不上時，兩塊同時有內容的部分以重疊區中點切開' },
+                matchedChars: { type: 'integer' }
+              }
+            }
+          }
+        }
+      },
+      BackendUsed: {
+        type: 'object',
+        description: '實際轉錄的後端與模型 (openai-api 為 OPENAI_API_MODEL)',
+        properties: {
+          name: { type: 'string', enum: TRANSCRIPTION_BACKENDS },
+          model: { type: 'string' }
+        }
+      },
+      Resume: {
+        type: 'object',
+        nullable: true,
+        description: '分塊檢查點的使用情形 (音檔未分塊時為 null)；重試時沿用已完成的片段',
+        properties: {
+          checkpointKey: { type: 'string', description: 'caseId 加上音檔與設定的雜湊' },
+          resumed: { type: 'boolean', description: '是否沿用了先前完成的片段' },
+          totalChunks: { type: 'integer' },
+          reusedChunks: { type: 'integer' },
+          transcribedChunks: { type: 'integer' },
+          savedWhisperSec: { type: 'number', description: '沿用的片段原本花費的 Whisper 處理時間' }
+        }
+      },
+      TranscriptOutputs: {
+        type: 'object',
+        nullable: true,
+        description: '依 options.outputFormats 產生的格式 (json 為 { segments } 物件，其他為字串)',
+        properties: {
+          srt: { type: 'string' },
+          vtt: { type: 'string' },
+          text: { type: 'string' },
+          json: { type: 'object', properties: { segments: { type: 'array', items: { $ref: '#/components/schemas/Segment' } } } }
+        }
+      },
+      AudioSource: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string', enum: ['drive', 'http', 'file'] },
+          fileId: { type: 'string', minLength: 1, description: 'drive: Google Drive 檔案 ID' },
+          url: { type: 'string', minLength: 1, description: 'drive: 分享連結 (drive.google.com 或 docs.google.com)；http: 音檔網址' },
+          path: { type: 'string', minLength: 1, description: 'file: 伺服器上的路徑 (需位於 AUDIO_SOURCE_ALLOWED_DIRS)' }
+        }
+      },
+      UploadRequest: {
+        type: 'object',
+        required: ['audio'],
+        properties: {
+          audio: { type: 'string', format: 'binary', description: '音檔' },
+          caseId: { type: 'string', minLength: 1, description: '未提供時自動產生' },
+          mode: { type: 'string', enum: ['async', 'sync'], default: 'async' },
+          notify: { type: 'string', enum: ['true', 'false'], default: 'true', description: 'false 時不通知 GAS' },
+          force: { type: 'string', enum: ['true', 'false'] },
+          options: { type: 'string', description: 'JSON 字串，格式同 TranscriptionOptions' }
+        }
+      },
+      BatchRequest: {
+        type: 'object',
+        required: ['items'],
+        properties: {
+          items: {
+            type: 'array',
+            minItems: 1,
+            maxItems: config.batch.maxItems,
+            items: {
+              type: 'object',
+              required: ['fileId', 'caseId'],
+              properties: {
+                fileId: { type: 'string', minLength: 1, description: 'Google Drive 檔案 ID' },
+                caseId: { type: 'string', minLength: 1, description: '批次內不可重複' },
+                fileName: { type: 'string' }
+              }
+            }
+          },
+          options: { $ref: '#/components/schemas/TranscriptionOptions' },
+          notify: { type: 'boolean', default: true, description: 'false 時不通知 GAS' },
+          force: { type: 'boolean', description: '忽略已完成的結果並重新轉錄' }
+        }
+      },
+      Batch: {
+        type: 'object',
+        properties: {
+          batchId: { type: 'string' },
+          status: { type: 'string', enum: ['Running', 'Completed'], description: '所有項目都結束 (含失敗、取消) 時為 Completed' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          finishedAt: { type: 'string', format: 'date-time', nullable: true },
+          statusUrl: { type: 'string' },
+          summary: {
+            type: 'object',
+            properties: {
+              total: { type: 'integer' },
+              pending: { type: 'integer', description: '下載中或等待佇列空位' },
+              queued: { type: 'integer' },
+              processing: { type: 'integer' },
+              completed: { type: 'integer' },
+              failed: { type: 'integer' },
+              cancelled: { type: 'integer' },
+              reused: { type: 'integer', description: '沿用既有任務或已完成結果的項目數' }
+            }
+          },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                fileId: { type: 'string' },
+                caseId: { type: 'string' },
+                status: { type: 'string', enum: BATCH_ITEM_STATUSES },
+                jobId: { type: 'string', nullable: true },
+                reused: { type: 'string', enum: ['active', 'completed'], nullable: true },
+                error: { type: 'object', nullable: true },
+                statusUrl: { type: 'string', nullable: true },
+                updatedAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      },
+      JobAccepted: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          message: { type: 'string' },
+          jobId: { type: 'string' },
+          caseId: { type: 'string' },
+          status: { type: 'string', enum: JOB_STATUSES },
+          deduplicated: { type: 'boolean' },
+          reused: { type: 'string', enum: ['idempotency_key', 'active', 'completed'] },
+          statusUrl: { type: 'string' }
+        }
+      },
+      TranscriptionResult: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          message: { type: 'string' },
+          jobId: { type: 'string' },
+          caseId: { type: 'string' },
+          status: { type: 'string', enum: JOB_STATUSES },
+          transcript: { type: 'string' },
+          labeledTranscript: { type: 'string', nullable: true, description: '依說話者分段的逐字稿 (「業務：...」)，有說話者分離時才有' },
+          segments: { type: 'array', items: { $ref: '#/components/schemas/Segment' } },
+          chunking: { $ref: '#/components/schemas/Chunking' },
+          resume: { $ref: '#/components/schemas/Resume' },
+          diarization: { $ref: '#/components/schemas/Diarization' },
+          outputs: { $ref: '#/components/schemas/TranscriptOutputs' },
+          quality: { $ref: '#/components/schemas/Quality' },
+          processingMethod: { type: 'string', description: '實際轉錄的後端，與 webhook metadata 的 processingMethod 相同' },
+          backend: { $ref: '#/components/schemas/BackendUsed' },
+          options: { $ref: '#/components/schemas/EffectiveTranscriptionOptions' },
+          notification: { $ref: '#/components/schemas/Notification' },
+          deduplicated: { type: 'boolean' },
+          reused: { type: 'string', enum: ['idempotency_key', 'active', 'completed'] }
+        }
+      },
+      Quality: {
+        type: 'object',
+        properties: {
+          score: { type: 'number' },
+          confidence: { type: 'number' },
+          chineseRatio: { type: 'number' }
+        }
+      },
+      Notification: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          success: { type: 'boolean' },
+          method: { type: 'string', enum: ['webhook', 'fallback_sheets', 'dead_letter'] },
+          attempts: { type: 'integer' },
+          deadLetterId: { type: 'string' },
+          error: { type: 'string' }
+        }
+      },
+      Job: {
+        type: 'object',
+        properties: {
+          jobId: { type: 'string' },
+          caseId: { type: 'string' },
+          status: { type: 'string', enum: JOB_STATUSES },
+          stage: { type: 'string' },
+          progress: { type: 'object', nullable: true },
+          elapsedSec: { type: 'integer' },
+          eta: { type: 'object', nullable: true },
+          audioDurationSec: { type: 'number', nullable: true, description: '下載完成後取得的音檔長度 (秒)' },
+          stageHistory: {
+            type: 'array',
+            items: { type: 'object', properties: { stage: { type: 'string' }, at: { type: 'string', format: 'date-time' } } }
+          },
+          attempts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                number: { type: 'integer' },
+                startedAt: { type: 'string', format: 'date-time' },
+                finishedAt: { type: 'string', format: 'date-time', nullable: true },
+                error: { type: 'string', nullable: true }
+              }
+            }
+          },
+          createdAt: { type: 'string', format: 'date-time' },
+          startedAt: { type: 'string', format: 'date-time', nullable: true },
+          updatedAt: { type: 'string', format: 'date-time' },
+          finishedAt: { type: 'string', format: 'date-time', nullable: true },
+          error: {
+            type: 'object',
+            nullable: true,
+            properties: { message: { type: 'string' }, stage: { type: 'string' }, at: { type: 'string', format: 'date-time' } }
+          },
+          result: { type: 'object', nullable: true, description: '任務完成後的結果 (列表中不包含)。服務重啟前完成的任務由轉錄結果保存取回逐字稿，取不回時只有摘要並帶有 detached: true' }
+        }
+      },
+      JobCancelled: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          message: { type: 'string' },
+          jobId: { type: 'string' },
+          caseId: { type: 'string' },
+          status: { type: 'string', enum: JOB_STATUSES }
+        }
+      },
+      DeadLetterSummary: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          caseId: { type: 'string' },
+          status: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          deliveryAttempts: { type: 'integer' },
+          lastError: { type: 'string' },
+          webhookError: { type: 'string', nullable: true },
+          replayCount: { type: 'integer' },
+          lastReplayAt: { type: 'string', format: 'date-time', nullable: true },
+          transcriptLength: { type: 'integer' }
+        }
+      },
+      ServiceInfo: {
+        type: 'object',
+        properties: {
+          service: { type: 'string' },
+          version: { type: 'string' },
+          status: { type: 'string' },
+          description: { type: 'string' },
+          queueManagement: { type: 'string' },
+          chunkStrategy: { type: 'string' }
+        }
+      },
+      Health: {
+        type: 'object',
+        properties: {
+          status: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+          uptime: { type: 'number' },
+          memory: { type: 'object' },
+          service: { type: 'string' },
+          version: { type: 'string' },
+          queue: {
+            type: 'object',
+            properties: {
+              queued: { type: 'integer' },
+              running: { type: 'integer' },
+              maxConcurrency: { type: 'integer' },
+              total: { type: 'integer' }
+            }
+          },
+          capacity: { $ref: '#/components/schemas/Capacity' },
+          backends: {
+            type: 'object',
+            description: '已啟用的轉錄後端 (第一次使用時啟用)',
+            properties: {
+              default: { type: 'string', enum: TRANSCRIPTION_BACKENDS },
+              active: {
+                type: 'object',
+                description: '各後端的統計：openai-whisper / faster-whisper 為常駐程序池 (WhisperWorkers)，其他為 { transcribed, failed }',
+                additionalProperties: { type: 'object' }
+              }
+            }
+          },
+          deadLetters: { type: 'integer' },
+          transcripts: { type: 'integer', description: '已保存的轉錄結果數' },
+          checkpoints: { type: 'integer', description: '尚未完成的分塊轉錄檢查點數' }
+        }
+      },
+      QualityRecord: {
+        type: 'object',
+        properties: {
+          timestamp: { type: 'string', format: 'date-time' },
+          caseId: { type: 'string' },
+          jobId: { type: 'string', nullable: true },
+          success: { type: 'boolean' },
+          processingMethod: { type: 'string', nullable: true },
+          score: { type: 'number', description: '成功時才有' },
+          confidence: { type: 'number' },
+          qualityLevel: { type: 'string', enum: QUALITY_LEVELS },
+          issues: { type: 'array', items: { type: 'string' }, description: '品質評估發現的問題' },
+          overallQuality: { type: 'string', enum: ['good', 'fair', 'poor'] },
+          error: { type: 'string', description: '失敗時的錯誤訊息' }
+        }
+      },
+      Readiness: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['ready', 'not_ready'] },
+          ready: { type: 'boolean', description: '所有檢查是否通過' },
+          shuttingDown: { type: 'boolean' },
+          checkedAt: { type: 'string', format: 'date-time', description: '檢查時間 (READY_CACHE_TTL_MS 內沿用上次結果)' },
+          checks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', enum: ['ffmpeg', 'ffprobe', 'backend', 'diskSpace', 'credentials'] },
+                status: { type: 'string', enum: ['pass', 'fail'] },
+                latencyMs: { type: 'integer' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      TranscriptTimings: {
+        type: 'object',
+        properties: {
+          startedAt: { type: 'string', format: 'date-time' },
+          finishedAt: { type: 'string', format: 'date-time' },
+          totalSec: { type: 'number' },
+          downloadSec: { type: 'number' },
+          preprocessSec: { type: 'number' },
+          whisperSec: { type: 'number' },
+          diarizeSec: { type: 'number', description: '未進行說話者分離時省略' },
+          notifySec: { type: 'number', description: '不通知 GAS 時省略' }
+        }
+      },
+      TranscriptRecord: {
+        type: 'object',
+        properties: {
+          caseId: { type: 'string' },
+          jobId: { type: 'string' },
+          transcript: { type: 'string' },
+          labeledTranscript: { type: 'string', nullable: true, description: '依說話者分段的逐字稿 (「業務：...」)，有說話者分離時才有' },
+          segments: { type: 'array', items: { $ref: '#/components/schemas/Segment' } },
+          chunking: { $ref: '#/components/schemas/Chunking' },
+          diarization: { $ref: '#/components/schemas/Diarization' },
+          outputs: { $ref: '#/components/schemas/TranscriptOutputs' },
+          quality: { $ref: '#/components/schemas/Quality' },
+          qualityLevel: { type: 'string', enum: QUALITY_LEVELS },
+          audioInfo: { type: 'object' },
+          options: { $ref: '#/components/schemas/EffectiveTranscriptionOptions' },
+          processingMethod: { type: 'string' },
+          source: { type: 'object', properties: { type: { type: 'string' } } },
+          timings: { $ref: '#/components/schemas/TranscriptTimings' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          revision: { type: 'integer', description: '重新轉錄 (force) 時遞增' }
+        }
+      },
+      TranscriptSummary: {
+        type: 'object',
+        properties: {
+          caseId: { type: 'string' },
+          jobId: { type: 'string' },
+          completedAt: { type: 'string', format: 'date-time' },
+          qualityLevel: { type: 'string', enum: QUALITY_LEVELS },
+          qualityScore: { type: 'number' },
+          processingMethod: { type: 'string' },
+          model: { type: 'string' },
+          language: { type: 'string' },
+          audioDurationSec: { type: 'number', nullable: true },
+          transcriptLength: { type: 'integer' },
+          processingSec: { type: 'number' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          revision: { type: 'integer' }
+        }
+      },
+      TranscriptPage: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          page: { type: 'integer' },
+          pageSize: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          items: { type: 'array', items: { $ref: '#/components/schemas/TranscriptSummary' } }
+        }
+      },
+      Capacity: {
+        type: 'object',
+        properties: {
+          acceptingJobs: { type: 'boolean' },
+          running: { type: 'integer' },
+          maxConcurrency: { type: 'integer' },
+          queued: { type: 'integer' },
+          maxQueuedJobs: { type: 'integer' },
+          memoryBudgetMB: { type: 'integer' },
+          memoryReservedMB: { type: 'integer' },
+          memoryAvailableMB: { type: 'integer' },
+          realtimeFactor: { type: 'number', description: '處理時間 / 音檔長度的歷史平均' },
+          retryAfterSec: { type: 'integer', description: '不接受新任務時，建議等待的秒數' }
+        }
+      },
+      WhisperWorkers: {
+        type: 'object',
+        description: '常駐 Whisper 程序池；計數為服務啟動後的累計次數',
+        properties: {
+          size: { type: 'integer', description: '程序數上限 (與 CONCURRENT_JOBS 相同)' },
+          waiting: { type: 'integer', description: '等待可用程序的請求數' },
+          started: { type: 'integer' },
+          stopped: { type: 'integer' },
+          recycled: { type: 'integer', description: '記憶體超過上限而回收' },
+          killed: { type: 'integer', description: '任務中斷或轉錄逾時而終止' },
+          unresponsive: { type: 'integer', description: '未回應 ping 而終止' },
+          crashed: { type: 'integer' },
+          workers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                pid: { type: 'integer' },
+                engine: { type: 'string', enum: ['openai-whisper', 'faster-whisper'] },
+                model: { type: 'string' },
+                state: { type: 'string', enum: ['starting', 'idle', 'busy', 'stopping', 'exited'] },
+                memoryMB: { type: 'number', nullable: true },
+                jobsCompleted: { type: 'integer' },
+                startedAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
+          }
+        }
+      },
+      BackendList: {
+        type: 'object',
+        properties: {
+          default: { type: 'string', enum: TRANSCRIPTION_BACKENDS, description: 'TRANSCRIPTION_BACKEND' },
+          allowed: { type: 'array', items: { type: 'string', enum: TRANSCRIPTION_BACKENDS }, description: '請求可透過 options.backend 指定的後端' },
+          backends: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', enum: TRANSCRIPTION_BACKENDS },
+                default: { type: 'boolean' },
+                local: { type: 'boolean', description: '在本機轉錄 (false 表示音檔會送到外部 API)' },
+                models: { type: 'array', items: { type: 'string' } },
+                audioFormat: { type: 'string', enum: ['mp3', 'wav'], description: '預處理後送給後端的格式' },
+                options: {
+                  type: 'object',
+                  description: '是否支援各轉錄選項 (不支援的選項會被忽略)',
+                  properties: {
+                    initialPrompt: { type: 'boolean' },
+                    temperature: { type: 'boolean' },
+                    beamSize: { type: 'boolean' }
+                  }
+                },
+                maxFileSizeMB: { type: 'integer', nullable: true, description: '單一片段的檔案大小上限' },
+                health: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', enum: ['pass', 'fail'] },
+                    message: { type: 'string' },
+                    latencyMs: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      ConfigReport: {
+        type: 'object',
+        properties: {
+          config: { type: 'object', description: '生效的設定值，API 金鑰、webhook 密鑰與服務帳戶私鑰以 [REDACTED] 取代' },
+          sources: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: '每個設定項目的來源：default、file 或 env:<環境變數名稱>'
+          },
+          configFile: { type: 'string', nullable: true, description: 'CONFIG_FILE 指定的設定檔' }
+        }
+      },
+      AdmissionRejected: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' },
+          retryAfterSec: { type: 'integer' },
+          capacity: { $ref: '#/components/schemas/Capacity' }
+        }
+      },
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          success: { type: 'boolean' },
+          error: { type: 'string' },
+          message: { type: 'string' },
+          jobId: { type: 'string' }
+        }
+      },
+      ValidationError: {
+        type: 'object',
+        required: ['error', 'details'],
+        properties: {
+          error: { type: 'string' },
+          details: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', description: '欄位路徑，例如 body.source.type、query.limit' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = spec;
@@ -4,37 +4,70 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const winston = require('winston');
 const fs = require('fs');
-const axios = require('axios');
-const { transcribeAudio, assessTranscriptionQuality } = require('./services/transcriptionService');
-const { downloadFromGoogleDrive } = require('./services/googleDriveService');
-const { updateGoogleSheet } = require('./services/googleSheetsService');
-const QualityMonitor = require('./services/qualityMonitor');
+// 設定不正確時在此結束程序，其餘模組都由此讀取設定
+const { config, redactConfig } = require('./config');
+const { createLogger, enableFileLogging, requestContext, setContext } = require('./logger');
 
-// 設定日誌
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'app.log' })
-  ]
-});
+// 在載入其他模組前開始寫入日誌檔，保留啟動過程的日誌
+enableFileLogging();
+
+const { transcribeAudio, getAudioInfo, assessTranscriptionQuality, chunkCheckpointStore } = require('./services/transcriptionService');
+const { getBackendStats, describeBackends, getAllowedBackends, shutdownBackends } = require('./services/transcriptionBackends');
+const { parseSourceRequest, getJobSource, fetchAudioSource, describeSource, AudioSourceError } = require('./services/audioSourceService');
+const { receiveAudioUpload, generateCaseId, removeUpload, UploadError } = require('./services/uploadService');
+const QualityMonitor = require('./services/qualityMonitor');
+const JobManager = require('./services/jobManager');
+const { createJobEventStream } = require('./services/jobEventStream');
+const AdmissionController = require('./services/admissionController');
+const BatchManager = require('./services/batchManager');
+const TranscriptStore = require('./services/transcriptStore');
+const { createApiKeyAuth, isAuthEnabled } = require('./services/authService');
+const metrics = require('./services/metricsService');
+const { createRequestValidator, ValidationError } = require('./services/requestValidator');
+const { resolveTranscriptionOptions } = require('./services/transcriptionOptions');
+const openApiSpec = require('./openapi');
+const { notifyGoogleAppsScript, replayDeadLetter, replayAllDeadLetters, deadLetterStore } = require('./services/webhookService');
+const { getReadiness } = require('./services/readinessService');
+const { buildOutputs, formatSegments, FORMAT_FILES } = require('./services/subtitleFormatter');
+
+// 設定日誌 (寫入 console 與 LOG_DIR 下依日期、大小輪替的 app.log)
+const logger = createLogger('server');
 
 const app = express();
-const port = process.env.PORT || 3000;
+const port = config.server.port;
 
 // 初始化品質監控
 const qualityMonitor = new QualityMonitor();
 
+// 保存每個 caseId 的轉錄結果，供 /transcripts 查詢
+const transcriptStore = new TranscriptStore();
+
+// 初始化持久化任務佇列 (重啟後恢復中斷的任務)
+// 並行數未滿時，仍需准入控制確認記憶體足夠才會開始下一個任務
+// 佇列檔案只保存結果摘要，逐字稿由 transcriptStore 取回 (同一 caseId 重新轉錄後只取得最新任務的結果)
+const jobManager = new JobManager({
+  maxConcurrency: config.jobs.concurrency,
+  maxAttempts: config.jobs.maxAttempts,
+  canStart: (job) => admissionController.canStart(job),
+  loadResult: (job) => {
+    const record = transcriptStore.get(job.caseId);
+    return record && record.jobId === job.id ? record : null;
+  }
+});
+const admissionController = new AdmissionController(jobManager);
+// 批次轉錄：佇列已滿時等待空位，不回傳 429
+const batchManager = new BatchManager(jobManager, {
+  admit: () => admissionController.assertCanAdmit()
+});
+metrics.bindJobManager(jobManager);
+
 // 設定中介軟體
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+// 請求 ID 與 caseId 會附加在此請求及其任務的所有日誌
+app.use(requestContext);
 
 // 記錄所有請求
 app.use((req, res, next) => {
@@ -42,95 +75,150 @@ app.use((req, res, next) => {
   next();
 });
 
-// 簡化版 - 移除佇列系統，由 GAS 管理佇列
-logger.info('🔄 Zeabur 簡化版 - 專職轉錄服務 (佇列由 GAS 管理)');
+// API 金鑰驗證 (/、/health、/ready 保持公開)
+const requireApiKey = createApiKeyAuth();
+// SSE 端點允許以 ?api_key= 帶入金鑰 (EventSource 無法自訂標頭)
+const requireApiKeyForStream = createApiKeyAuth({ allowQueryToken: true });
+// 重置統計等破壞性操作：未設定 API_KEYS 時也拒絕
+const requireAdminKey = createApiKeyAuth({ required: true });
+if (!isAuthEnabled()) {
+  logger.warn('⚠️ API_KEYS 環境變數未設置，API 不需驗證即可存取');
+}
+
+// 依 OpenAPI 規格驗證路徑參數、查詢參數與請求內容
+const validate = createRequestValidator(openApiSpec);
+
+// 內建持久化任務佇列，GAS 仍負責送出轉錄請求
+logger.info('🔄 Zeabur 轉錄服務 - 內建持久化任務佇列');
 
 /**
- * 通知 Google Apps Script webhook 轉錄完成
+ * 通知 Google Apps Script 任務已取消
  */
-async function notifyGoogleAppsScript(caseId, transcript, status, metadata = {}) {
-  const webhookUrl = process.env.WEBHOOK_URL;
-  
-  if (!webhookUrl) {
-    logger.warn('⚠️ WEBHOOK_URL 環境變數未設置，跳過 webhook 通知');
-    // 如果沒有 webhook URL，就使用原本的直接更新 Google Sheets 方式
-    return await updateGoogleSheet(caseId, transcript, status, metadata);
-  }
-
+async function notifyJobCancelled(caseId) {
   try {
-    logger.info(`📡 發送 webhook 通知到 Google Apps Script: ${caseId}`);
-    
-    const webhookPayload = {
-      caseId: caseId,
-      transcriptText: transcript,
-      status: status,
-      metadata: metadata,
-      timestamp: new Date().toISOString()
-    };
-
-    const response = await axios.post(webhookUrl, webhookPayload, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000 // 30 秒超時
-    });
-
-    if (response.status === 200 || response.data === 'Success') {
-      logger.info(`✅ Webhook 通知成功 - Case ID: ${caseId}`);
-      return { success: true, method: 'webhook' };
-    } else {
-      throw new Error(`Webhook 回應異常: ${response.status} - ${response.data}`);
-    }
-
-  } catch (error) {
-    logger.error(`❌ Webhook 通知失敗 - Case ID: ${caseId}, Error: ${error.message}`);
-    
-    // Webhook 失敗時，改用直接更新 Google Sheets 作為備援
-    logger.info(`🔄 改用直接更新 Google Sheets 作為備援...`);
-    try {
-      await updateGoogleSheet(caseId, transcript, status, metadata);
-      logger.info(`✅ 備援更新成功 - Case ID: ${caseId}`);
-      return { success: true, method: 'fallback_sheets' };
-    } catch (fallbackError) {
-      logger.error(`❌ 備援更新也失敗 - Case ID: ${caseId}, Error: ${fallbackError.message}`);
-      throw fallbackError;
-    }
+    await notifyGoogleAppsScript(caseId, '轉錄已取消', 'Cancelled');
+  } catch (notifyError) {
+    logger.error(`通知 Google Apps Script 取消狀態失敗: ${notifyError.message}`);
   }
 }
 
 // 任務處理函數 (移除佇列依賴)
-async function processTranscriptionJob(jobData) {
-  const { fileId, fileName, caseId } = jobData.data || jobData;
-  let localFilePath = null;
+async function processTranscriptionJob(jobData, { onProgress = () => {}, signal, jobId } = {}) {
+  const data = jobData.data || jobData;
+  const { fileName, caseId, notify = true } = data;
+  const source = getJobSource(data);
+  // 舊任務沒有 options，使用預設設定
+  const transcriptionOptions = data.options || resolveTranscriptionOptions();
+  let cleanupDir = null;
+  let notification = null;
+
+  const startedAt = new Date();
+  const timings = { startedAt: startedAt.toISOString() };
 
   try {
     logger.info(`🎬 開始處理轉錄任務 - Case ID: ${caseId}`);
 
-    // 1. 從 Google Drive 下載音檔
-    logger.info(`📥 步驟 1/4: 正在從 Google Drive 下載音檔...`);
-    localFilePath = await downloadFromGoogleDrive(fileId, fileName);
+    // 1. 依來源取得音檔 (Google Drive、HTTP、本地路徑或直接上傳)
+    logger.info(`📥 步驟 1/4: 正在取得音檔: ${describeSource(source)}`);
+    onProgress('download');
+    const downloadStart = Date.now();
+    const fetched = await fetchAudioSource(source, {
+      fileName,
+      onProgress: (percent) => onProgress('download', { percent }),
+      signal
+    });
+    const localFilePath = fetched.filePath;
+    cleanupDir = fetched.cleanupDir;
+    timings.downloadSec = (Date.now() - downloadStart) / 1000;
+    metrics.observeStageDuration('download', timings.downloadSec);
+
+    // 依實際音檔長度更新預估記憶體
+    const probedAudioInfo = await getAudioInfo(localFilePath);
+    admissionController.updateAudioDuration(jobId, probedAudioInfo.duration);
 
     // 2. 使用 OpenAI whisper 進行轉錄
     logger.info(`🤖 步驟 2/4: 使用 OpenAI whisper 轉錄...`);
-    const { transcript, quality, audioInfo } = await transcribeAudio(localFilePath);
-    const processingMethod = 'openai-whisper';
+    const { transcript, segments, chunking, resume, diarization, labeledTranscript, quality, audioInfo, backend, stats } = await transcribeAudio(localFilePath, {
+      onProgress,
+      signal,
+      audioInfo: probedAudioInfo,
+      transcriptionOptions,
+      // 長錄音每完成一個片段即保存檢查點，重試時只轉錄未完成的片段
+      caseId
+    });
+    // 實際轉錄的後端 (openai-whisper、faster-whisper、whisper-cpp、openai-api)
+    const processingMethod = backend.name;
+    // 依 options.outputFormats 產生字幕等格式 (舊任務沒有此設定)
+    const speakers = diarization ? diarization.speakers : [];
+    const outputs = buildOutputs(segments, transcriptionOptions.outputFormats, speakers);
+    metrics.recordTranscription(audioInfo, stats);
+    timings.preprocessSec = stats.preprocessSec;
+    timings.whisperSec = stats.whisperSec;
+    if (stats.diarizeSec !== undefined) timings.diarizeSec = stats.diarizeSec;
 
     // 3. 記錄品質監控
     logger.info(`📊 步驟 3/4: 記錄品質監控...`);
+    onProgress('quality');
     qualityMonitor.recordTranscription({
       success: true,
       caseId: caseId,
+      jobId,
       quality: quality,
       processingMethod: processingMethod
     });
 
     // 4. 透過 webhook 通知 Google Apps Script
-    logger.info(`📝 步驟 4/4: 通知 Google Apps Script webhook...`);
-    await notifyGoogleAppsScript(caseId, transcript, 'Completed', {
-      processingMethod: processingMethod,
-      qualityScore: quality.score,
-      confidence: quality.confidence
-    });
+    if (notify) {
+      logger.info(`📝 步驟 4/4: 通知 Google Apps Script webhook...`);
+      onProgress('notify');
+      const notifyStart = Date.now();
+      // 有說話者分離時送出標示說話者的逐字稿 (「業務：...」「客戶：...」)
+      notification = await notifyGoogleAppsScript(caseId, labeledTranscript || transcript, 'Completed', {
+        processingMethod: processingMethod,
+        qualityScore: quality.score,
+        confidence: quality.confidence,
+        ...(diarization ? { diarization: { method: diarization.method, speakers } } : {})
+      });
+      timings.notifySec = (Date.now() - notifyStart) / 1000;
+      metrics.observeStageDuration('notify', timings.notifySec);
+    } else {
+      logger.info(`⏭️ 步驟 4/4: 此任務設定為不通知 Google Apps Script`);
+    }
+
+    timings.finishedAt = new Date().toISOString();
+    timings.totalSec = (Date.parse(timings.finishedAt) - startedAt.getTime()) / 1000;
+
+    // 保存失敗不影響任務結果 (逐字稿已透過 webhook 送出並保存在任務結果中)
+    try {
+      transcriptStore.save({
+        caseId,
+        jobId,
+        transcript,
+        labeledTranscript,
+        segments,
+        chunking,
+        diarization,
+        outputs,
+        quality,
+        qualityLevel: qualityMonitor.getQualityLevel(quality.score),
+        audioInfo,
+        options: transcriptionOptions,
+        processingMethod,
+        source: { type: source.type },
+        timings
+      });
+    } catch (storeError) {
+      logger.error(`保存轉錄結果失敗 - Case ID: ${caseId}: ${storeError.message}`);
+    }
+
+    // 轉錄結果已保存，不再需要分塊檢查點 (未移除的由定期清理處理)
+    if (resume) {
+      try {
+        chunkCheckpointStore.remove(resume.checkpointKey);
+      } catch (checkpointError) {
+        logger.warn(`移除分塊檢查點失敗 - Case ID: ${caseId}: ${checkpointError.message}`);
+      }
+    }
 
     logger.info(`🎉 轉錄任務完成 - Case ID: ${caseId}`);
     logger.info(`📈 最終結果: 方法=${processingMethod}, 品質=${quality.score}/100, 文字長度=${transcript.length}字元`);
@@ -138,33 +226,55 @@ async function processTranscriptionJob(jobData) {
     return { 
       success: true, 
       transcript, 
+      labeledTranscript,
+      segments,
+      chunking,
+      resume,
+      diarization,
+      outputs,
       caseId, 
       quality, 
-      processingMethod 
+      audioInfo,
+      processingMethod,
+      backend,
+      options: transcriptionOptions,
+      timings,
+      notification
     };
 
   } catch (error) {
+    // 任務被取消或因服務關閉而中斷，不視為轉錄失敗
+    if (signal && signal.aborted) {
+      if (signal.reason instanceof JobManager.JobCancelledError && notify) {
+        await notifyJobCancelled(caseId);
+      }
+      logger.warn(`🛑 轉錄任務已中斷 - Case ID: ${caseId}, 原因: ${signal.reason.message}`);
+      throw error;
+    }
+
     logger.error(`❌ 轉錄失敗 - Case ID: ${caseId}, Error: ${error.message}`);
     qualityMonitor.recordTranscription({
       success: false,
       caseId: caseId,
+      jobId,
       error: error.message
     });
     
     // 嘗試通知 Google Apps Script 失敗狀態
-    try {
-      await notifyGoogleAppsScript(caseId, `轉錄失敗: ${error.message}`, 'Failed');
-    } catch (notifyError) {
-      logger.error(`通知 Google Apps Script 失敗狀態也失敗: ${notifyError.message}`);
+    if (notify) {
+      try {
+        await notifyGoogleAppsScript(caseId, `轉錄失敗: ${error.message}`, 'Failed');
+      } catch (notifyError) {
+        logger.error(`通知 Google Apps Script 失敗狀態也失敗: ${notifyError.message}`);
+      }
     }
     
     throw error;
   } finally {
-    // 清理本地臨時檔案
-    if (localFilePath && fs.existsSync(localFilePath)) {
+    // 清理本地臨時檔案 (本地 file 來源不會被刪除)
+    if (cleanupDir && fs.existsSync(cleanupDir)) {
         try {
-            const dir = require('path').dirname(localFilePath);
-            fs.rmSync(dir, { recursive: true, force: true });
+            fs.rmSync(cleanupDir, { recursive: true, force: true });
             logger.info(`🗑️ 已清理臨時目錄`);
         } catch(e) {
             logger.warn(`⚠️ 清理臨時目錄失敗: ${e.message}`);
@@ -175,54 +285,187 @@ async function processTranscriptionJob(jobData) {
 
 // --- API Endpoints ---
 
-app.get('/', (req, res) => {
+app.get('/', validate('getServiceInfo'), (req, res) => {
   res.json({
     service: 'Zeabur 簡化轉錄服務',
     version: '2.0.1', 
     status: 'running',
     description: '專為 GAS 智能佇列設計的單純轉錄服務，優化分塊策略',
-    queueManagement: 'Managed by GAS Smart Queue',
+    queueManagement: 'Persistent on-disk job queue (requests sent by GAS Smart Queue)',
     chunkStrategy: '30分鐘分塊，序列處理避免資源過載'
   });
 });
 
-// 簡化版 /transcribe API - 僅支援 direct 模式
-app.post('/transcribe', async (req, res) => {
+// API 規格 (OpenAPI 3)，供 GAS 與其他呼叫端依固定契約開發
+app.get('/openapi.json', validate('getOpenApiSpec'), (req, res) => {
+  res.json(openApiSpec);
+});
+
+/**
+ * 取得冪等設定：Idempotency-Key 標頭與 force 參數 (body 或查詢參數)
+ */
+function getIdempotencyOptions(req) {
+  const idempotencyKey = req.get('idempotency-key') || null;
+  const force = [true, 'true'].includes((req.body || {}).force) || req.query.force === true;
+  return { idempotencyKey, force };
+}
+
+/**
+ * multipart 表單中的 options 欄位為 JSON 字串
+ */
+function parseFormOptions(value) {
+  if (value === undefined || value === '') return undefined;
+
   try {
-    const { fileId, fileName, caseId } = req.body;
-    if (!fileId || !caseId) {
-      return res.status(400).json({ error: '缺少必要參數: fileId 或 caseId' });
-    }
+    return JSON.parse(value);
+  } catch (error) {
+    throw new ValidationError([{ field: 'body.options', message: `不是有效的 JSON: ${error.message}` }]);
+  }
+}
 
-    logger.info(`🚀 開始轉錄任務 - Case ID: ${caseId}`);
-    
-    // 設定請求超時為 45 分鐘
-    req.setTimeout(45 * 60 * 1000);
-    
-    try {
-      const result = await processTranscriptionJob({ 
-        data: { fileId, fileName, caseId } 
-      });
-      
-      res.json({
-        success: true,
-        message: '轉錄任務已完成',
-        caseId,
-        transcript: result.transcript,
-        quality: result.quality,
-        processingMethod: 'openai-whisper-direct'
-      });
-      
-    } catch (directError) {
-      logger.error(`轉錄處理失敗: ${directError.message}`);
-      res.status(500).json({ 
+/**
+ * 服務飽和時回傳 429 與 Retry-After
+ */
+function respondWithAdmissionError(res, error) {
+  res.set('Retry-After', String(error.retryAfterSec));
+  return res.status(error.statusCode).json({
+    error: error.message,
+    retryAfterSec: error.retryAfterSec,
+    capacity: admissionController.getCapacity()
+  });
+}
+
+/**
+ * 依模式回應任務：async 立即回傳 202，sync 等待任務結束後回傳結果
+ * reused 為 submit 回傳的重複請求原因，已完成的任務在 async 模式下直接回傳保存的結果
+ */
+async function respondWithJob(req, res, job, mode, reused = null) {
+  const deduplication = reused ? { deduplicated: true, reused } : {};
+
+  if (mode === 'async' && reused === 'completed') {
+    const result = jobManager.getResult(job);
+    return res.json({
+      success: true,
+      message: '此 caseId 已完成轉錄，回傳已保存的結果 (傳入 force=true 可重新轉錄)',
+      jobId: job.id,
+      caseId: job.caseId,
+      status: job.status,
+      ...deduplication,
+      transcript: result.transcript,
+      labeledTranscript: result.labeledTranscript,
+      segments: result.segments,
+      diarization: result.diarization,
+      outputs: result.outputs,
+      quality: result.quality,
+      processingMethod: result.processingMethod,
+      options: result.options,
+      statusUrl: `/jobs/${job.id}`
+    });
+  }
+
+  if (mode === 'async') {
+    return res.status(202).json({
+      success: true,
+      message: reused ? '已有相同的轉錄任務，回傳既有任務' : '轉錄任務已受理',
+      jobId: job.id,
+      caseId: job.caseId,
+      status: job.status,
+      ...deduplication,
+      statusUrl: `/jobs/${job.id}`
+    });
+  }
+
+  // 同步模式等待轉錄完成 (預設 45 分鐘)
+  req.setTimeout(config.server.syncRequestTimeoutMs);
+
+  try {
+    const result = await jobManager.waitFor(job.id);
+
+    res.json({
+      success: true,
+      message: '轉錄任務已完成',
+      jobId: job.id,
+      caseId: job.caseId,
+      transcript: result.transcript,
+      labeledTranscript: result.labeledTranscript,
+      segments: result.segments,
+      chunking: result.chunking,
+      resume: result.resume,
+      diarization: result.diarization,
+      outputs: result.outputs,
+      quality: result.quality,
+      processingMethod: result.processingMethod,
+      backend: result.backend,
+      options: result.options,
+      notification: result.notification,
+      ...deduplication
+    });
+
+  } catch (directError) {
+    if (directError instanceof JobManager.JobCancelledError) {
+      return res.status(409).json({
         success: false,
-        error: '轉錄處理失敗', 
-        message: directError.message 
+        jobId: job.id,
+        error: '轉錄任務已取消'
       });
     }
 
+    logger.error(`轉錄處理失敗: ${directError.message}`);
+    res.status(500).json({
+      success: false,
+      jobId: job.id,
+      error: '轉錄處理失敗',
+      message: directError.message
+    });
+  }
+}
+
+// /transcribe API
+// 預設為非同步模式：立即回傳 202 與 jobId，由 /jobs/:id 查詢進度
+// 傳入 mode: 'sync' 可保留舊的同步行為 (等待轉錄完成後才回應)
+// 音檔來源可用舊的 fileId，或 source: { type: 'drive'|'http'|'file', ... }
+// 以 caseId 為冪等鍵：執行中的 caseId 會附加到既有任務，已完成的 caseId 回傳保存的結果 (force=true 時重新轉錄)
+// 也可帶 Idempotency-Key 標頭，相同金鑰的重試會回傳同一個任務
+app.post('/transcribe', requireApiKey, validate('createTranscription'), async (req, res, next) => {
+  try {
+    const { fileName, caseId, mode = 'async' } = req.body;
+    const options = resolveTranscriptionOptions(req.body.options);
+
+    let source;
+    try {
+      source = parseSourceRequest(req.body);
+    } catch (sourceError) {
+      if (sourceError instanceof AudioSourceError) {
+        return res.status(sourceError.statusCode).json({ error: sourceError.message });
+      }
+      throw sourceError;
+    }
+
+    if (jobManager.shuttingDown) {
+      return res.status(503).json({ error: '服務正在關閉，請稍後重試' });
+    }
+
+    setContext({ caseId });
+    logger.info(`🚀 開始轉錄任務 - Case ID: ${caseId}, 模式: ${mode}`);
+
+    const { job, reused } = jobManager.submit({ source, fileName, caseId, options, requestId: req.requestId }, {
+      ...getIdempotencyOptions(req),
+      admit: () => admissionController.assertCanAdmit()
+    });
+
+    await respondWithJob(req, res, job, mode, reused);
+
   } catch (error) {
+    if (error instanceof JobManager.IdempotencyKeyConflictError) {
+      return res.status(422).json({ error: error.message });
+    }
+    if (error instanceof AdmissionController.AdmissionError) {
+      return respondWithAdmissionError(res, error);
+    }
+    if (error instanceof ValidationError) {
+      return next(error);
+    }
+
     logger.error(`轉錄 API 請求失敗: ${error.message}`);
     res.status(500).json({ 
       success: false,
@@ -232,8 +475,214 @@ app.post('/transcribe', async (req, res) => {
   }
 });
 
+// 直接上傳音檔 (multipart/form-data，檔案欄位為 audio)，不經過 Google Drive
+// 其他欄位: caseId (選填，未提供時自動產生)、mode (async/sync)、notify (false 時不通知 GAS)、options (JSON 字串)
+app.post('/transcribe/upload', requireApiKey, receiveAudioUpload, requestContext, validate('uploadTranscription'), async (req, res, next) => {
+  try {
+    const { mode = 'async' } = req.body;
+    const caseId = req.body.caseId || generateCaseId();
+    const notify = req.body.notify !== 'false';
+    const options = resolveTranscriptionOptions(parseFormOptions(req.body.options));
+
+    if (jobManager.shuttingDown) {
+      removeUpload(req.file.path);
+      return res.status(503).json({ error: '服務正在關閉，請稍後重試' });
+    }
+
+    setContext({ caseId });
+    logger.info(`🚀 收到上傳音檔 - Case ID: ${caseId}, 檔案: ${req.file.originalname}, 大小: ${(req.file.size / (1024 * 1024)).toFixed(2)} MB`);
+
+    let submitted;
+    try {
+      submitted = jobManager.submit({
+        caseId,
+        fileName: req.file.originalname,
+        source: { type: 'upload', path: req.file.path },
+        notify,
+        options,
+        requestId: req.requestId
+      }, {
+        ...getIdempotencyOptions(req),
+        admit: () => admissionController.assertCanAdmit()
+      });
+    } catch (submitError) {
+      removeUpload(req.file.path);
+      if (submitError instanceof JobManager.IdempotencyKeyConflictError) {
+        return res.status(422).json({ error: submitError.message });
+      }
+      if (submitError instanceof AdmissionController.AdmissionError) {
+        return respondWithAdmissionError(res, submitError);
+      }
+      throw submitError;
+    }
+    const { job, reused } = submitted;
+
+    // 重複的請求沿用既有任務，這次上傳的檔案用不到
+    if (reused) {
+      removeUpload(req.file.path);
+    }
+
+    await respondWithJob(req, res, job, mode, reused);
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return next(error);
+    }
+
+    logger.error(`上傳轉錄 API 請求失敗: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: '內部伺服器錯誤',
+      message: error.message
+    });
+  }
+});
+
+// 批次轉錄 Google Drive 檔案 (取代 GAS 逐列送出，適合補跑大量錄音)
+// 以 BATCH_DOWNLOAD_CONCURRENCY 限制同時下載數，每個檔案下載完成後送入任務佇列，佇列已滿時暫停下載
+app.post('/transcribe/batch', requireApiKey, validate('createBatch'), (req, res, next) => {
+  try {
+    const { items, notify = true, force = false } = req.body;
+    const options = resolveTranscriptionOptions(req.body.options);
+
+    const seen = new Set();
+    const duplicates = [];
+    items.forEach((item, index) => {
+      if (seen.has(item.caseId)) {
+        duplicates.push({ field: `body.items.${index}.caseId`, message: `caseId 在批次中重複: ${item.caseId}` });
+      }
+      seen.add(item.caseId);
+    });
+    if (duplicates.length > 0) {
+      throw new ValidationError(duplicates);
+    }
+
+    if (jobManager.shuttingDown) {
+      return res.status(503).json({ error: '服務正在關閉，請稍後重試' });
+    }
+
+    const batch = batchManager.create(items, { options, notify, force });
+    res.status(202).json(batchManager.toJSON(batch));
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return next(error);
+    }
+
+    logger.error(`批次轉錄 API 請求失敗: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: '內部伺服器錯誤',
+      message: error.message
+    });
+  }
+});
+
+// 批次列表端點
+app.get('/batches', requireApiKey, validate('listBatches'), (req, res) => {
+  const batches = batchManager.listBatches(req.query.limit)
+    .map(batch => batchManager.toJSON(batch, { includeItems: false }));
+
+  res.json({ count: batches.length, batches });
+});
+
+// 批次狀態端點
+app.get('/batches/:id', requireApiKey, validate('getBatch'), (req, res) => {
+  const batch = batchManager.getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: `找不到批次: ${req.params.id}` });
+  }
+
+  res.json(batchManager.toJSON(batch));
+});
+
+/**
+ * 解析日期查詢參數 (YYYY-MM-DD 或 ISO 8601 時間)
+ * endOfDay 為 true 時，只有日期的值包含當天 (回傳隔天 00:00)
+ */
+function parseDateQuery(value, field, endOfDay = false) {
+  if (value === undefined) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError([{ field: `query.${field}`, message: `無效的日期: ${value}` }]);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+// 轉錄結果列表 (新到舊，不含逐字稿)
+app.get('/transcripts', requireApiKey, validate('listTranscripts'), (req, res, next) => {
+  try {
+    const { qualityLevel, processingMethod, page, pageSize } = req.query;
+    const result = transcriptStore.list({
+      from: parseDateQuery(req.query.from, 'from'),
+      to: parseDateQuery(req.query.to, 'to', true),
+      qualityLevel,
+      processingMethod,
+      page,
+      pageSize
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 單一 caseId 的完整轉錄結果
+app.get('/transcripts/:caseId', requireApiKey, validate('getTranscript'), (req, res) => {
+  const transcript = transcriptStore.get(req.params.caseId);
+  if (!transcript) {
+    return res.status(404).json({ error: `找不到轉錄結果: ${req.params.caseId}` });
+  }
+
+  res.json(transcript);
+});
+
+// 下載字幕 (srt、vtt) 或帶時間戳的文字 / JSON，方便對照錄音的時間點
+app.get('/transcripts/:caseId/export', requireApiKey, validate('exportTranscript'), (req, res) => {
+  const { caseId } = req.params;
+  const { format } = req.query;
+  const record = transcriptStore.get(caseId);
+  if (!record) {
+    return res.status(404).json({ error: `找不到轉錄結果: ${caseId}` });
+  }
+  if (!Array.isArray(record.segments)) {
+    return res.status(409).json({ error: `此轉錄結果沒有時間戳，請重新轉錄 (force=true): ${caseId}` });
+  }
+
+  const { contentType, extension } = FORMAT_FILES[format];
+  const output = formatSegments(record.segments, format, record.diarization ? record.diarization.speakers : []);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${encodeURIComponent(caseId)}.${extension}"`);
+  res.send(format === 'json' ? JSON.stringify({ caseId, ...output }, null, 2) : output);
+});
+
+// 任務列表端點
+app.get('/jobs', requireApiKey, validate('listJobs'), (req, res) => {
+  const { status, caseId, limit } = req.query;
+
+  const jobs = jobManager.listJobs({ status, caseId, limit })
+    .map(job => JobManager.toJSON(job, { includeResult: false }));
+
+  res.json({ count: jobs.length, jobs });
+});
+
+// 任務狀態端點
+app.get('/jobs/:id', requireApiKey, validate('getJob'), (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `找不到任務: ${req.params.id}` });
+  }
+
+  res.json(JobManager.toJSON(job, { result: jobManager.getResult(job) }));
+});
+
 // 品質監控端點
-app.get('/quality', (req, res) => {
+app.get('/quality', requireApiKey, validate('getQualityReport'), (req, res) => {
   try {
     const report = qualityMonitor.generateQualityReport();
     res.json(report);
@@ -243,8 +692,59 @@ app.get('/quality', (req, res) => {
   }
 });
 
+// 品質歷史 (舊到新)，可依時間區間、caseId 與成功/失敗篩選
+function queryQualityHistory(query) {
+  return qualityMonitor.getHistory({
+    from: parseDateQuery(query.from, 'from'),
+    to: parseDateQuery(query.to, 'to', true),
+    caseId: query.caseId,
+    success: query.success,
+    limit: query.limit
+  });
+}
+
+app.get('/admin/quality/history', requireApiKey, validate('listQualityHistory'), (req, res, next) => {
+  try {
+    const items = queryQualityHistory(req.query);
+    res.json({ total: items.length, items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 匯出 CSV (條件同 /admin/quality/history)，方便每週檢視品質趨勢
+app.get('/admin/quality/history/export', requireApiKey, validate('exportQualityHistory'), (req, res, next) => {
+  try {
+    const csv = qualityMonitor.toCsv(queryQualityHistory(req.query));
+    const fileName = `quality-history-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 單一 caseId 的品質紀錄與評估問題
+app.get('/admin/quality/cases/:caseId', requireApiKey, validate('getQualityRecord'), (req, res) => {
+  const record = qualityMonitor.getCaseRecord(req.params.caseId);
+  if (!record) {
+    return res.status(404).json({ error: `找不到品質紀錄: ${req.params.caseId}` });
+  }
+
+  res.json(record);
+});
+
+// 重置品質統計 (需設定 API_KEYS)，回傳重置前的報告
+app.post('/admin/quality/reset', requireAdminKey, validate('resetQualityStats'), (req, res) => {
+  const previous = qualityMonitor.generateQualityReport();
+  qualityMonitor.resetStats();
+  logger.warn(`⚠️ 品質統計已重置 - 操作者: ${req.apiKeyName}`);
+  res.json({ success: true, resetAt: new Date().toISOString(), previous });
+});
+
 // 簡化版健康檢查端點
-app.get('/health', async (req, res) => {
+app.get('/health', validate('getHealth'), async (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
@@ -253,12 +753,65 @@ app.get('/health', async (req, res) => {
     service: 'zeabur-transcription-simplified',
     version: '2.0.1',
     chunkDuration: '30 minutes',
-    processingMode: 'sequential'
+    processingMode: 'sequential',
+    queue: jobManager.getStats(),
+    capacity: admissionController.getCapacity(),
+    backends: getBackendStats(),
+    deadLetters: deadLetterStore.count(),
+    transcripts: transcriptStore.count(),
+    checkpoints: chunkCheckpointStore.count()
   });
 });
 
+// 就緒檢查：ffmpeg/ffprobe、預設的轉錄後端、暫存空間、服務帳戶憑證；任一項失敗或關閉中時回傳 503
+app.get('/ready', validate('getReadiness'), async (req, res, next) => {
+  try {
+    const readiness = await getReadiness();
+    const ready = readiness.ready && !jobManager.shuttingDown;
+    if (!ready) {
+      logger.warn(`⚠️ 服務尚未就緒: ${readiness.checks.filter(check => check.status === 'fail').map(check => `${check.name} (${check.message})`).join(', ') || '服務正在關閉'}`);
+    }
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      shuttingDown: jobManager.shuttingDown,
+      ...readiness
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Prometheus 指標端點 (text exposition format)
+app.get('/metrics', requireApiKey, validate('getMetrics'), async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error(`產生指標失敗: ${error.message}`);
+    res.status(500).end();
+  }
+});
+
+// 目前生效的設定 (機密欄位已遮蔽)，sources 標示每個值來自預設值、設定檔或環境變數
+app.get('/config', requireApiKey, validate('getConfig'), (req, res) => {
+  res.json(redactConfig());
+});
+
+// 可用的轉錄後端：能力 (模型、音檔格式、支援的選項) 與目前能否使用
+app.get('/backends', requireApiKey, validate('listBackends'), async (req, res, next) => {
+  try {
+    res.json({
+      default: config.transcription.backend,
+      allowed: getAllowedBackends(),
+      backends: await describeBackends()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // 測試連接端點
-app.get('/test', async (req, res) => {
+app.get('/test', requireApiKey, validate('testConnections'), async (req, res) => {
   try {
     // 測試 Google Services 連接
     const { checkConnection: checkSheetsConnection } = require('./services/googleSheetsService');
@@ -284,8 +837,126 @@ app.get('/test', async (req, res) => {
   }
 });
 
+// 取消任務端點 (DELETE /jobs/:id 與 POST /jobs/:id/cancel 皆可)
+// 執行中的任務會終止 Whisper / ffmpeg 子進程並清理暫存檔，再以 Cancelled 狀態通知 GAS
+const cancelJobHandler = (req, res) => {
+  let cancelled;
+  try {
+    cancelled = jobManager.cancel(req.params.id);
+  } catch (error) {
+    return res.status(409).json({ error: error.message });
+  }
+
+  if (!cancelled) {
+    return res.status(404).json({ error: `找不到任務: ${req.params.id}` });
+  }
+
+  const { job, wasRunning } = cancelled;
+
+  // 尚未開始的任務不會經過處理流程，在此直接通知 GAS
+  // 不等待通知完成 (webhook 重試可能需要數分鐘)，失敗只記錄日誌
+  if (!wasRunning && job.data.notify !== false) {
+    notifyJobCancelled(job.caseId).catch(error => {
+      logger.error(`通知 Google Apps Script 取消狀態失敗 - Case ID: ${job.caseId}: ${error.message}`);
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    message: wasRunning ? '正在取消執行中的任務' : '任務已取消',
+    jobId: job.id,
+    caseId: job.caseId,
+    status: job.status
+  });
+};
+
+app.delete('/jobs/:id', requireApiKey, validate('cancelJob'), cancelJobHandler);
+app.post('/jobs/:id/cancel', requireApiKey, validate('cancelJobPost'), cancelJobHandler);
+
+// 任務進度串流端點 (Server-Sent Events)
+// 事件: snapshot (連線時的目前狀態)、progress (階段/下載百分比/片段開始與完成)、result (最終結果後關閉連線)
+app.get('/jobs/:id/events', requireApiKeyForStream, validate('streamJobEvents'), createJobEventStream(jobManager));
+
+// Dead-letter 管理端點：webhook 重試與 Sheets 備援都失敗的通知會保留在磁碟上，可於 GAS 恢復後重送
+app.get('/admin/dead-letters', requireApiKey, validate('listDeadLetters'), (req, res) => {
+  const entries = deadLetterStore.list({ caseId: req.query.caseId })
+    .map(({ payload, ...entry }) => ({ ...entry, transcriptLength: (payload.transcript || '').length }));
+
+  res.json({ count: entries.length, deadLetters: entries });
+});
+
+app.get('/admin/dead-letters/:id', requireApiKey, validate('getDeadLetter'), (req, res) => {
+  const entry = deadLetterStore.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: `找不到 dead-letter: ${req.params.id}` });
+  }
+
+  res.json(entry);
+});
+
+// 批次重送 (依建立時間順序逐筆送出)，可用 caseId、limit 篩選
+app.post('/admin/dead-letters/replay', requireApiKey, validate('replayAllDeadLetters'), async (req, res) => {
+  try {
+    const { caseId, limit } = req.body || {};
+    const summary = await replayAllDeadLetters({ caseId, limit });
+    res.json({ success: summary.failed === 0, ...summary });
+  } catch (error) {
+    logger.error(`批次重送 dead-letter 失敗: ${error.message}`);
+    res.status(500).json({ error: '批次重送失敗', message: error.message });
+  }
+});
+
+app.post('/admin/dead-letters/:id/replay', requireApiKey, validate('replayDeadLetter'), async (req, res) => {
+  try {
+    const result = await replayDeadLetter(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: `找不到 dead-letter: ${req.params.id}` });
+    }
+    if (result.inProgress) {
+      return res.status(409).json(result);
+    }
+
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    logger.error(`重送 dead-letter 失敗: ${error.message}`);
+    res.status(500).json({ error: '重送失敗', message: error.message });
+  }
+});
+
+app.delete('/admin/dead-letters/:id', requireApiKey, validate('deleteDeadLetter'), (req, res) => {
+  if (!deadLetterStore.remove(req.params.id)) {
+    return res.status(404).json({ error: `找不到 dead-letter: ${req.params.id}` });
+  }
+
+  res.json({ success: true, id: req.params.id });
+});
+
+// 佇列處理器：由持久化佇列依最大並行數呼叫
+jobManager.setProcessor(processTranscriptionJob);
+
+// 定期清理逾 CHECKPOINT_TTL_HOURS 未更新的分塊檢查點
+chunkCheckpointStore.startSweeper();
+
 // 錯誤處理中介軟體
 app.use((error, req, res, next) => {
+  if (error instanceof ValidationError) {
+    // 上傳請求驗證失敗時，已寫入磁碟的檔案不會再被使用
+    if (req.file) {
+      removeUpload(req.file.path);
+    }
+    return res.status(error.statusCode).json({ error: error.message, details: error.details });
+  }
+
+  // express.json 無法解析的請求內容
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: '請求內容不是有效的 JSON', details: [{ field: 'body', message: error.message }] });
+  }
+
+  if (error instanceof UploadError) {
+    logger.warn(`上傳被拒絕: ${error.message}`);
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
   logger.error(`未處理的錯誤: ${error.message}`);
   res.status(500).json({ error: '內部伺服器錯誤' });
 });
@@ -293,18 +964,39 @@ app.use((error, req, res, next) => {
 // 啟動服務器
 const server = app.listen(port, '0.0.0.0', () => {
   logger.info(`🚀 Zeabur 簡化轉錄服務 (v2.0.1) 已啟動在 port ${port}`);
-  logger.info(`🕒 請求超時設定: 45 分鐘`);
+  logger.info(`🕒 請求超時設定: ${Math.round(config.server.syncRequestTimeoutMs / 60000)} 分鐘`);
   logger.info(`✅ 服務已就緒，等待 GAS 請求...`);
 });
 
-// 簡化版優雅關閉
-const gracefulShutdown = () => {
+// 優雅關閉：停止接收請求，等待執行中任務完成，逾時則寫回佇列待重啟後恢復
+let shuttingDown = false;
+const gracefulShutdown = async () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
   logger.info('收到關閉信號，正在關閉服務器...');
   server.close(() => {
-    logger.info('服務器已關閉');
-    process.exit(0);
+    logger.info('服務器已停止接收新連線');
   });
+
+  try {
+    batchManager.shutdown();
+    const { drained, checkpointed } = await jobManager.shutdown({ timeoutMs: config.server.shutdownDrainTimeoutMs });
+    logger.info(`任務佇列已關閉 - 完成: ${drained.length}, 寫回佇列: ${checkpointed.length}`);
+  } catch (error) {
+    logger.error(`關閉任務佇列失敗: ${error.message}`);
+  }
+
+  try {
+    await shutdownBackends();
+    logger.info('轉錄後端已關閉 (Whisper 常駐程序已結束)');
+  } catch (error) {
+    logger.error(`關閉轉錄後端失敗: ${error.message}`);
+  }
+
+  logger.info('服務器已關閉');
+  process.exit(0);
 };
 
 process.on('SIGTERM', gracefulShutdown);
-process.on('SIGINT', gracefulShutdown);
\ No newline at end of file
+process.on('SIGINT', gracefulShutdown);
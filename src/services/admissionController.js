@@ -0,0 +1,199 @@
+const os = require('os');
+const { createLogger } = require('../logger');
+const { DEFAULT_OPTIONS: DEFAULT_TRANSCRIPTION_OPTIONS, MODEL_MEMORY_FACTOR } = require('./transcriptionOptions');
+const { config } = require('../config');
+
+const logger = createLogger('admissionController');
+
+/**
+ * 服務已飽和，請求被拒絕 (429)
+ */
+class AdmissionError extends Error {
+  constructor(message, retryAfterSec) {
+    super(message);
+    this.name = 'AdmissionError';
+    this.statusCode = 429;
+    this.retryAfterSec = retryAfterSec;
+  }
+}
+
+/**
+ * 容器可用記憶體 (MB)：有 cgroup 限制時取限制值
+ */
+function detectMemoryLimitMB() {
+  const constrained = typeof process.constrainedMemory === 'function' ? process.constrainedMemory() : 0;
+  const total = constrained > 0 ? Math.min(constrained, os.totalmem()) : os.totalmem();
+  return Math.round(total / (1024 * 1024));
+}
+
+// 准入控制預設設定
+const DEFAULT_OPTIONS = {
+  // 等待中的任務上限，超過時回傳 429
+  maxQueuedJobs: config.admission.maxQueuedJobs,
+  // 可分配給轉錄任務的記憶體 (預設為容器記憶體的 75%)
+  memoryBudgetMB: config.admission.memoryBudgetMB || Math.round(detectMemoryLimitMB() * 0.75),
+  // base 模型與 Python 程序的固定記憶體 (其他模型依 MODEL_MEMORY_FACTOR 換算)
+  baseMemoryMB: config.admission.baseMemoryMB,
+  // 每分鐘音檔額外需要的記憶體 (只計算單一片段，片段以外的音檔不會同時載入)
+  memoryPerAudioMinuteMB: config.admission.memoryPerAudioMinuteMB,
+  // 尚無歷史資料時使用的估計值
+  defaultJobDurationSec: 600,
+  defaultRealtimeFactor: 1
+};
+
+// 歷史平均值的平滑係數
+const EWMA_ALPHA = 0.3;
+
+/**
+ * 准入控制
+ * - 任務開始前依預估記憶體檢查是否還有空間 (記憶體不足時留在佇列等待)
+ * - 等待中的任務達上限時拒絕新請求，並依執行中任務的剩餘時間計算 Retry-After
+ */
+class AdmissionController {
+  constructor(jobManager, options = {}) {
+    this.jobManager = jobManager;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.reservations = new Map(); // jobId -> MB
+    this.realtimeFactor = this.options.defaultRealtimeFactor;
+    this.averageJobDurationSec = this.options.defaultJobDurationSec;
+
+    jobManager.on('started', (job) => this.reserve(job));
+    jobManager.on('finished', (job) => {
+      this.release(job.id);
+      this.learn(job);
+    });
+
+    logger.info(`准入控制: 記憶體預算 ${this.options.memoryBudgetMB} MB, 等待中任務上限 ${this.options.maxQueuedJobs}`);
+  }
+
+  /**
+   * 依模型與音檔長度估計任務需要的記憶體 (MB)，長度未知時以一個完整片段估計
+   */
+  estimateMemoryMB(job) {
+    const { baseMemoryMB, memoryPerAudioMinuteMB } = this.options;
+    const { model, chunkDurationSec } = { ...DEFAULT_TRANSCRIPTION_OPTIONS, ...(job.data && job.data.options) };
+    const durationSec = job.audioDurationSec;
+    const effectiveSec = durationSec > 0 ? Math.min(durationSec, chunkDurationSec) : chunkDurationSec;
+    return Math.round(baseMemoryMB * (MODEL_MEMORY_FACTOR[model] || 1) + memoryPerAudioMinuteMB * (effectiveSec / 60));
+  }
+
+  getReservedMemoryMB() {
+    let total = 0;
+    for (const mb of this.reservations.values()) total += mb;
+    return total;
+  }
+
+  /**
+   * 佇列排程時呼叫：記憶體足夠才開始任務 (沒有執行中任務時一律放行，避免永遠無法開始)
+   */
+  canStart(job) {
+    if (this.reservations.size === 0) return true;
+    return this.getReservedMemoryMB() + this.estimateMemoryMB(job) <= this.options.memoryBudgetMB;
+  }
+
+  reserve(job) {
+    this.reservations.set(job.id, this.estimateMemoryMB(job));
+  }
+
+  release(jobId) {
+    if (this.reservations.delete(jobId)) {
+      this.jobManager.schedule();
+    }
+  }
+
+  /**
+   * 下載完成取得音檔長度後更新預估記憶體，釋出的空間可讓等待中的任務開始
+   */
+  updateAudioDuration(jobId, durationSec) {
+    const job = this.jobManager.getJob(jobId);
+    if (!job) return;
+
+    job.audioDurationSec = durationSec;
+    if (this.reservations.has(jobId)) {
+      this.reservations.set(jobId, this.estimateMemoryMB(job));
+      this.jobManager.schedule();
+    }
+  }
+
+  /**
+   * 從完成的任務更新處理速度估計
+   */
+  learn(job) {
+    if (job.status !== 'Completed' || !job.startedAt || !job.finishedAt) return;
+
+    const elapsedSec = (Date.parse(job.finishedAt) - Date.parse(job.startedAt)) / 1000;
+    this.averageJobDurationSec = EWMA_ALPHA * elapsedSec + (1 - EWMA_ALPHA) * this.averageJobDurationSec;
+
+    if (job.audioDurationSec > 0) {
+      this.realtimeFactor = EWMA_ALPHA * (elapsedSec / job.audioDurationSec) + (1 - EWMA_ALPHA) * this.realtimeFactor;
+    }
+  }
+
+  /**
+   * 估計執行中任務的剩餘秒數
+   */
+  estimateRemainingSec(job) {
+    if (job.eta && job.eta.scope === 'transcription') {
+      return job.eta.seconds;
+    }
+
+    const elapsedSec = job.startedAt ? (Date.now() - Date.parse(job.startedAt)) / 1000 : 0;
+    const expectedSec = job.audioDurationSec > 0
+      ? job.audioDurationSec * this.realtimeFactor
+      : this.averageJobDurationSec;
+    return Math.max(0, expectedSec - elapsedSec);
+  }
+
+  /**
+   * 佇列空出一個位置所需的時間：最早結束的執行中任務
+   */
+  estimateRetryAfterSec() {
+    const running = Array.from(this.jobManager.running.keys())
+      .map(jobId => this.jobManager.getJob(jobId))
+      .filter(Boolean);
+
+    const soonest = running.length > 0
+      ? Math.min(...running.map(job => this.estimateRemainingSec(job)))
+      : this.averageJobDurationSec;
+
+    return Math.min(3600, Math.max(1, Math.ceil(soonest)));
+  }
+
+  /**
+   * 新任務加入佇列前呼叫，飽和時丟出 AdmissionError
+   */
+  assertCanAdmit() {
+    const { queued } = this.jobManager.getStats();
+    if (queued >= this.options.maxQueuedJobs) {
+      const retryAfterSec = this.estimateRetryAfterSec();
+      logger.warn(`服務已飽和，拒絕新任務 - 等待中 ${queued}/${this.options.maxQueuedJobs}, Retry-After ${retryAfterSec} 秒`);
+      throw new AdmissionError(`服務忙碌中：等待中的任務已達上限 (${this.options.maxQueuedJobs})，請稍後重試`, retryAfterSec);
+    }
+  }
+
+  /**
+   * 目前容量 (用於健康檢查)
+   */
+  getCapacity() {
+    const { queued, running, maxConcurrency } = this.jobManager.getStats();
+    const reservedMB = this.getReservedMemoryMB();
+    const acceptingJobs = queued < this.options.maxQueuedJobs;
+
+    return {
+      acceptingJobs,
+      running,
+      maxConcurrency,
+      queued,
+      maxQueuedJobs: this.options.maxQueuedJobs,
+      memoryBudgetMB: this.options.memoryBudgetMB,
+      memoryReservedMB: reservedMB,
+      memoryAvailableMB: Math.max(0, this.options.memoryBudgetMB - reservedMB),
+      realtimeFactor: Number(this.realtimeFactor.toFixed(2)),
+      retryAfterSec: acceptingJobs ? 0 : this.estimateRetryAfterSec()
+    };
+  }
+}
+
+AdmissionController.AdmissionError = AdmissionError;
+
+module.exports = AdmissionController;
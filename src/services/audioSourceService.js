@@ -0,0 +1,363 @@
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const tmp = require('tmp');
+const axios = require('axios');
+const { createLogger } = require('../logger');
+const { downloadFromGoogleDrive, sanitizeFileName } = require('./googleDriveService');
+const { config } = require('../config');
+
+const logger = createLogger('audioSourceService');
+
+// 請求可指定的音檔來源類型 (upload 僅供 /transcribe/upload 內部使用)
+const SOURCE_TYPES = ['drive', 'http', 'file'];
+
+// HTTP(S) 下載設定
+// responseTimeoutMs 為等待伺服器回應的時間，downloadTimeoutMs 為整個下載的時間上限
+const HTTP_SOURCE_CONFIG = config.httpSource;
+
+// drive 來源的分享連結只接受這些主機
+const DRIVE_HOSTS = ['drive.google.com', 'docs.google.com'];
+
+// 本地路徑來源只能讀取這些目錄下的檔案 (未設定時停用 file 來源)
+const ALLOWED_LOCAL_DIRS = config.audioSource.allowedDirs;
+
+// http 來源不可連線的位址，避免請求者透過本服務存取內部網路 (SSRF)
+// IPv4 與 IPv6 分開：同一個 BlockList 中的 IPv4-mapped 規則也會比對到所有 IPv4 位址
+const BLOCKED_ADDRESSES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.ipv4.addSubnet(prefix, bits, 'ipv4'));
+[
+  // ::ffff:0:0/96 為 IPv4-mapped 位址，64:ff9b::/96 為 NAT64，2002::/16 為 6to4，一律拒絕以免繞過 IPv4 的規則
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.ipv6.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * 音檔來源錯誤 (請求內容不正確時使用 400)
+ */
+class AudioSourceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AudioSourceError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 從 Google Drive 分享連結中取出 File ID
+ * 支援 /file/d/<id>/view、open?id=<id>、uc?id=<id> 等格式，主機必須是 drive.google.com 或 docs.google.com
+ * @returns {string|null}
+ */
+function parseDriveFileId(link) {
+  if (!link || typeof link !== 'string') return null;
+
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    return null;
+  }
+  if (!DRIVE_HOSTS.includes(url.hostname)) return null;
+
+  const pathMatch = url.pathname.match(/\/d\/([a-zA-Z0-9_-]{10,})/);
+  if (pathMatch) return pathMatch[1];
+
+  const queryMatch = (url.searchParams.get('id') || '').match(/^[a-zA-Z0-9_-]{10,}$/);
+  if (queryMatch) return queryMatch[0];
+
+  return null;
+}
+
+/**
+ * 將請求內容轉換為標準的來源描述
+ * 同時支援新的 { source: { type, ... } } 與舊的 { fileId } (兩者至少一個由 API 規格驗證)
+ * @param {object} body { source, fileId }
+ * @returns {object} { type: 'drive', fileId } | { type: 'http', url } | { type: 'file', path }
+ */
+function parseSourceRequest(body) {
+  const { source, fileId } = body;
+
+  if (!source) {
+    return { type: 'drive', fileId };
+  }
+
+  if (typeof source !== 'object' || !SOURCE_TYPES.includes(source.type)) {
+    throw new AudioSourceError(`無效的 source.type: ${source && source.type} (可用值: ${SOURCE_TYPES.join(', ')})`);
+  }
+
+  switch (source.type) {
+    case 'drive': {
+      const driveFileId = source.fileId || parseDriveFileId(source.url);
+      if (!driveFileId) {
+        throw new AudioSourceError('drive 來源需要 fileId 或有效的 Google Drive 分享連結 (url)');
+      }
+      return { type: 'drive', fileId: driveFileId };
+    }
+
+    case 'http': {
+      let url;
+      try {
+        url = new URL(source.url);
+      } catch (error) {
+        throw new AudioSourceError(`無效的 http 來源網址: ${source.url}`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new AudioSourceError(`http 來源只支援 http/https 協定: ${url.protocol}`);
+      }
+      // 主機名稱在下載時解析後再檢查一次
+      assertPublicHost(url.hostname);
+      return { type: 'http', url: url.toString() };
+    }
+
+    case 'file': {
+      if (!source.path) {
+        throw new AudioSourceError('file 來源需要 path');
+      }
+      resolveAllowedLocalPath(source.path);
+      return { type: 'file', path: source.path };
+    }
+  }
+}
+
+/**
+ * 檢查本地路徑是否位於允許的目錄下，回傳實際路徑
+ */
+function resolveAllowedLocalPath(filePath) {
+  if (ALLOWED_LOCAL_DIRS.length === 0) {
+    throw new AudioSourceError('file 來源未啟用 (未設定 AUDIO_SOURCE_ALLOWED_DIRS)', 403);
+  }
+
+  let realPath;
+  try {
+    realPath = fs.realpathSync(path.resolve(filePath));
+  } catch (error) {
+    throw new AudioSourceError(`找不到本地音檔: ${filePath}`, 404);
+  }
+
+  // 以實際路徑比對，避免透過 ../ 或符號連結跳出允許的目錄
+  const isAllowed = ALLOWED_LOCAL_DIRS.some(dir => {
+    const realDir = fs.existsSync(dir) ? fs.realpathSync(dir) : dir;
+    return realPath.startsWith(realDir + path.sep);
+  });
+  if (!isAllowed) {
+    throw new AudioSourceError(`本地音檔不在允許的目錄內: ${filePath}`, 403);
+  }
+
+  if (!fs.statSync(realPath).isFile()) {
+    throw new AudioSourceError(`本地路徑不是檔案: ${filePath}`);
+  }
+
+  return realPath;
+}
+
+/**
+ * 是否為內部網路位址 (非 IP 時回傳 false)
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_ADDRESSES.ipv4.check(address, 'ipv4');
+  if (family === 6) return BLOCKED_ADDRESSES.ipv6.check(address, 'ipv6');
+  return false;
+}
+
+function isAllowedPrivateHost(hostname) {
+  return config.httpSource.allowedPrivateHosts.some(host => host.toLowerCase() === hostname.toLowerCase());
+}
+
+/**
+ * 拒絕指向內部網路的主機 (IP 或 localhost)，HTTP_SOURCE_ALLOWED_PRIVATE_HOSTS 中的主機除外
+ * @throws {AudioSourceError} 403
+ */
+function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (isAllowedPrivateHost(host)) return;
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    throw new AudioSourceError(`不允許從內部網路位址下載: ${hostname}`, 403);
+  }
+}
+
+/**
+ * 解析主機名稱並拒絕內部網路位址 (每次連線都經過此處，包含重新導向後的主機，解析結果與實際連線的位址相同)
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked && !isAllowedPrivateHost(hostname)) {
+      return callback(new AudioSourceError(`不允許從內部網路位址下載: ${hostname} (${blocked.address})`, 403));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * 取得任務的來源描述 (相容於舊版只有 fileId / uploadedFilePath 的任務資料)
+ */
+function getJobSource(jobData) {
+  if (jobData.source) return jobData.source;
+  if (jobData.uploadedFilePath) return { type: 'upload', path: jobData.uploadedFilePath };
+  return { type: 'drive', fileId: jobData.fileId };
+}
+
+/**
+ * 從 HTTP(S) 網址下載音檔
+ * 處理重新導向、大小上限與逾時
+ * @param {Function} [onProgress] (percent, downloadedBytes, totalBytes)，伺服器未提供大小時不通知
+ * @param {AbortSignal} [signal] 任務取消時中斷下載
+ */
+async function downloadFromUrl(url, fileName, onProgress = () => {}, signal = null) {
+  const maxBytes = HTTP_SOURCE_CONFIG.maxSizeMB * 1024 * 1024;
+  const controller = new AbortController();
+  const downloadTimer = setTimeout(() => controller.abort(), HTTP_SOURCE_CONFIG.downloadTimeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) {
+    signal.throwIfAborted();
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  logger.info(`開始下載 HTTP 音檔: ${url}`);
+
+  try {
+    // IP 位址不經過 DNS 解析，連線前先檢查
+    assertPublicHost(new URL(url).hostname);
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      maxRedirects: HTTP_SOURCE_CONFIG.maxRedirects,
+      timeout: HTTP_SOURCE_CONFIG.responseTimeoutMs,
+      signal: controller.signal,
+      lookup: lookupPublicAddress,
+      beforeRedirect: (options) => {
+        if (!['http:', 'https:'].includes(options.protocol)) {
+          throw new Error(`不允許重新導向到 ${options.protocol} 協定`);
+        }
+        assertPublicHost(options.hostname);
+      }
+    });
+
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    if (contentLength > maxBytes) {
+      response.data.destroy();
+      throw new Error(`音檔大小 ${(contentLength / (1024 * 1024)).toFixed(2)} MB 超過上限 ${HTTP_SOURCE_CONFIG.maxSizeMB} MB`);
+    }
+
+    // 重新導向後以最終網址的檔名為準
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+    const urlName = decodeURIComponent(path.basename(new URL(finalUrl).pathname));
+    const tempDir = tmp.dirSync({ unsafeCleanup: true });
+    const localFilePath = path.join(tempDir.name, sanitizeFileName(urlName || fileName || 'audio_file'));
+
+    await new Promise((resolve, reject) => {
+      const writeStream = fs.createWriteStream(localFilePath);
+      let downloadedBytes = 0;
+      let lastNotifiedProgress = -1;
+
+      response.data.on('data', (chunk) => {
+        downloadedBytes += chunk.length;
+        if (downloadedBytes > maxBytes) {
+          response.data.destroy(new Error(`音檔大小超過上限 ${HTTP_SOURCE_CONFIG.maxSizeMB} MB`));
+          return;
+        }
+
+        if (contentLength > 0) {
+          const progress = Math.floor((downloadedBytes / contentLength) * 100);
+          if (progress > lastNotifiedProgress) {
+            lastNotifiedProgress = progress;
+            onProgress(Math.min(100, progress), downloadedBytes, contentLength);
+          }
+        }
+      });
+      response.data.on('error', (error) => {
+        writeStream.destroy();
+        reject(controller.signal.aborted ? new Error(`下載逾時 (${HTTP_SOURCE_CONFIG.downloadTimeoutMs / 1000} 秒)`) : error);
+      });
+      writeStream.on('error', reject);
+      writeStream.on('finish', resolve);
+
+      response.data.pipe(writeStream);
+    }).catch((error) => {
+      fs.rmSync(tempDir.name, { recursive: true, force: true });
+      throw error;
+    });
+
+    logger.info(`HTTP 音檔下載完成: ${localFilePath}`);
+    return localFilePath;
+
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    const message = axios.isCancel(error) ? `下載逾時 (${HTTP_SOURCE_CONFIG.downloadTimeoutMs / 1000} 秒)` : error.message;
+    logger.error(`從 HTTP 下載音檔失敗: ${message}`);
+    throw new Error(`從 HTTP 下載音檔失敗: ${message}`);
+  } finally {
+    clearTimeout(downloadTimer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * 依來源取得本地音檔
+ * @param {object} source 來源描述 (見 parseSourceRequest)
+ * @param {object} [options] { fileName, onProgress: (percent, downloadedBytes, totalBytes) => void, signal: AbortSignal }
+ * @returns {Promise<{ filePath: string, cleanupDir: string|null }>}
+ *   cleanupDir 為任務結束後可刪除的目錄；本地 file 來源不會被刪除
+ */
+async function fetchAudioSource(source, options = {}) {
+  const { fileName, onProgress, signal } = options;
+
+  switch (source.type) {
+    case 'drive': {
+      const filePath = await downloadFromGoogleDrive(source.fileId, fileName, { onProgress, signal });
+      return { filePath, cleanupDir: path.dirname(filePath) };
+    }
+
+    case 'http': {
+      const filePath = await downloadFromUrl(source.url, fileName, onProgress, signal);
+      return { filePath, cleanupDir: path.dirname(filePath) };
+    }
+
+    case 'file': {
+      const filePath = resolveAllowedLocalPath(source.path);
+      logger.info(`使用本地音檔: ${filePath}`);
+      return { filePath, cleanupDir: null };
+    }
+
+    case 'upload': {
+      if (!fs.existsSync(source.path)) {
+        throw new Error(`上傳的音檔不存在: ${source.path}`);
+      }
+      return { filePath: source.path, cleanupDir: path.dirname(source.path) };
+    }
+
+    default:
+      throw new AudioSourceError(`不支援的音檔來源: ${source.type}`);
+  }
+}
+
+/**
+ * 來源的簡短描述 (用於日誌)
+ */
+function describeSource(source) {
+  switch (source.type) {
+    case 'drive': return `Google Drive (${source.fileId})`;
+    case 'http': return `HTTP (${source.url})`;
+    case 'file': return `本地檔案 (${source.path})`;
+    case 'upload': return '直接上傳';
+    default: return source.type;
+  }
+}
+
+module.exports = {
+  parseSourceRequest,
+  parseDriveFileId,
+  getJobSource,
+  fetchAudioSource,
+  describeSource,
+  isPrivateAddress,
+  AudioSourceError,
+  SOURCE_TYPES
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { createLogger } = require('../logger');
+const { config } = require('../config');
+
+const logger = createLogger('authService');
+
+/**
+ * 解析設定中的 API 金鑰 (API_KEYS 環境變數以逗號分隔)
+ * 可加上名稱方便輪替與稽核: "gas:key1,dashboard:key2,key3"
+ * 輪替方式：先加入新金鑰並部署，呼叫端改用新金鑰後再移除舊金鑰
+ * @param {string[]} [entries]
+ * @returns {Array<{ name: string, digest: Buffer }>}
+ */
+function parseApiKeys(entries = config.auth.apiKeys) {
+  return entries
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      const name = separator > 0 ? entry.slice(0, separator) : `key-${index + 1}`;
+      const key = separator > 0 ? entry.slice(separator + 1) : entry;
+      return { name, digest: digest(key) };
+    });
+}
+
+/**
+ * 先做雜湊再比較，讓 timingSafeEqual 的輸入長度固定
+ */
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * 從請求中取出 API 金鑰 (Authorization: Bearer 或 X-API-Key)
+ */
+function extractApiKey(req, allowQueryToken) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  const headerKey = req.get('x-api-key');
+  if (headerKey) return headerKey.trim();
+
+  // EventSource 無法自訂標頭，SSE 端點允許以查詢參數帶入
+  if (allowQueryToken && req.query.api_key) {
+    return String(req.query.api_key);
+  }
+
+  return null;
+}
+
+/**
+ * 建立 API 金鑰驗證中介軟體
+ * 未設定 API_KEYS 時不啟用驗證 (保持舊部署可用)，並於啟動時警告；
+ * required 為 true 時 (重置統計等破壞性操作) 未設定金鑰則一律拒絕
+ * @param {object} [options] { allowQueryToken, keys, required }
+ */
+function createApiKeyAuth(options = {}) {
+  const { allowQueryToken = false, required = false } = options;
+  const keys = options.keys || parseApiKeys();
+
+  return (req, res, next) => {
+    if (keys.length === 0) {
+      if (required) {
+        return res.status(403).json({ error: '此端點需要 API 金鑰驗證，請先設定 API_KEYS' });
+      }
+      next();
+      return;
+    }
+
+    const apiKey = extractApiKey(req, allowQueryToken);
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: '缺少 API 金鑰 (Authorization: Bearer <key> 或 X-API-Key)' });
+    }
+
+    const candidate = digest(apiKey);
+    const matched = keys.find(key => crypto.timingSafeEqual(key.digest, candidate));
+    if (!matched) {
+      logger.warn(`API 金鑰驗證失敗: ${req.method} ${req.path} - ${req.ip}`);
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'API 金鑰無效' });
+    }
+
+    req.apiKeyName = matched.name;
+    next();
+  };
+}
+
+/**
+ * 是否已設定 API 金鑰
+ */
+function isAuthEnabled() {
+  return parseApiKeys().length > 0;
+}
+
+module.exports = {
+  createApiKeyAuth,
+  parseApiKeys,
+  isAuthEnabled
+};
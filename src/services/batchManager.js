@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger, runWithContext, getContext } = require('../logger');
+const { downloadMultipleFiles } = require('./googleDriveService');
+const { storeUpload, removeUpload } = require('./uploadService');
+const { config } = require('../config');
+
+const logger = createLogger('batchManager');
+
+// 批次狀態
+const BATCH_STATUS = {
+  RUNNING: 'Running',
+  COMPLETED: 'Completed'
+};
+
+// 項目在加入任務佇列前為 Pending，之後沿用任務狀態 (Queued / Processing / Completed / Failed / Cancelled)
+const ITEM_PENDING = 'Pending';
+const FINISHED_ITEM_STATUSES = ['Completed', 'Failed', 'Cancelled'];
+
+// 批次預設設定
+const DEFAULT_OPTIONS = {
+  storePath: config.batch.storePath,
+  downloadConcurrency: config.batch.downloadConcurrency,
+  // 保留的已結束批次數量上限
+  maxFinishedBatches: 50,
+  // 佇列已滿時最長等待多久再重試 (毫秒)
+  maxAdmissionWaitMs: 30000,
+  // 建立任務前呼叫，可丟出帶有 retryAfterSec 的錯誤表示佇列已滿 (例如 AdmissionError)
+  admit: () => {}
+};
+
+/**
+ * 批次轉錄
+ * 以有限的並行數從 Google Drive 下載，每個下載完成的檔案都作為獨立任務送入任務佇列
+ * 佇列已滿時暫停下載，等待佇列有空位，避免一次下載整個月的錄音
+ * 批次狀態寫入 BATCH_STORE_PATH (預設 data/batches.json)，服務重啟後會繼續下載尚未加入佇列的項目
+ */
+class BatchManager {
+  constructor(jobManager, options = {}) {
+    this.jobManager = jobManager;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.batches = new Map();
+    this.controllers = new Map(); // batchId -> AbortController
+
+    jobManager.on('started', (job) => this.updateItemFromJob(job));
+    jobManager.on('finished', (job) => this.updateItemFromJob(job));
+
+    this.loadBatches();
+  }
+
+  /**
+   * 建立批次並開始下載
+   * @param {Array<{ fileId: string, caseId: string, fileName?: string }>} items
+   * @param {object} [settings] { options, notify, force }
+   * @returns {object} batch
+   */
+  create(items, settings = {}) {
+    const { options, notify = true, force = false } = settings;
+    const now = new Date().toISOString();
+
+    const batch = {
+      id: crypto.randomUUID(),
+      requestId: getContext().requestId || null,
+      status: BATCH_STATUS.RUNNING,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      options,
+      notify,
+      force,
+      items: items.map((item, index) => ({
+        index,
+        fileId: item.fileId,
+        caseId: item.caseId,
+        fileName: item.fileName || null,
+        status: ITEM_PENDING,
+        jobId: null,
+        reused: null,
+        error: null,
+        updatedAt: now
+      }))
+    };
+
+    this.batches.set(batch.id, batch);
+    this.pruneFinishedBatches();
+    this.saveBatches();
+
+    logger.info(`批次已建立 - Batch ID: ${batch.id}, 項目: ${batch.items.length}`);
+    this.run(batch);
+
+    return batch;
+  }
+
+  /**
+   * 下載尚未加入佇列的項目 (背景執行)
+   */
+  run(batch) {
+    const controller = new AbortController();
+    this.controllers.set(batch.id, controller);
+
+    runWithContext({ requestId: batch.requestId || undefined, batchId: batch.id }, () => this.process(batch, controller.signal))
+      .catch(error => logger.error(`批次處理失敗 - Batch ID: ${batch.id}: ${error.message}`))
+      .finally(() => {
+        this.controllers.delete(batch.id);
+        this.refreshStatus(batch);
+      });
+  }
+
+  async process(batch, signal) {
+    const pending = batch.items.filter(item => item.status === ITEM_PENDING);
+
+    // 已在佇列或已完成的 caseId 不需要再下載
+    const toDownload = pending.filter(item => {
+      const existing = this.jobManager.findActiveJob(item.caseId) ||
+        (batch.force ? null : this.jobManager.findCompletedJob(item.caseId));
+      if (existing) {
+        this.linkJob(batch, item, existing, existing.status === 'Completed' ? 'completed' : 'active');
+        return false;
+      }
+      return true;
+    });
+
+    if (toDownload.length === 0) return;
+
+    logger.info(`批次開始下載 - Batch ID: ${batch.id}, 檔案: ${toDownload.length}, 並行數: ${this.options.downloadConcurrency}`);
+
+    await downloadMultipleFiles(toDownload.map(item => item.fileId), {
+      concurrency: this.options.downloadConcurrency,
+      signal,
+      onDownloaded: (result) => this.submitItem(batch, toDownload[result.index], result, signal)
+    });
+  }
+
+  /**
+   * 下載完成後加入任務佇列；佇列已滿時等待後重試
+   */
+  async submitItem(batch, item, result, signal) {
+    if (!result.success) {
+      // 服務關閉造成的中斷保留為 Pending，重啟後重新下載
+      if (signal.aborted) return;
+      this.updateItem(batch, item, { status: 'Failed', error: { stage: 'download', message: result.error } });
+      return;
+    }
+
+    let filePath;
+    try {
+      filePath = storeUpload(result.filePath);
+    } catch (error) {
+      this.updateItem(batch, item, { status: 'Failed', error: { stage: 'download', message: `保存下載檔案失敗: ${error.message}` } });
+      return;
+    }
+
+    while (!signal.aborted) {
+      try {
+        const { job, reused } = this.jobManager.submit({
+          caseId: item.caseId,
+          fileName: item.fileName || path.basename(result.filePath),
+          source: { type: 'upload', path: filePath },
+          notify: batch.notify,
+          options: batch.options,
+          batchId: batch.id,
+          requestId: batch.requestId
+        }, {
+          force: batch.force,
+          admit: this.options.admit
+        });
+
+        // 下載期間同一個 caseId 已由其他請求加入佇列
+        if (reused) {
+          removeUpload(filePath);
+        }
+        this.linkJob(batch, item, job, reused);
+        return;
+      } catch (error) {
+        if (error.retryAfterSec === undefined || this.jobManager.shuttingDown) {
+          removeUpload(filePath);
+          if (!this.jobManager.shuttingDown) {
+            this.updateItem(batch, item, { status: 'Failed', error: { stage: 'queue', message: error.message } });
+          }
+          return;
+        }
+
+        const waitMs = Math.min(this.options.maxAdmissionWaitMs, error.retryAfterSec * 1000);
+        logger.info(`佇列已滿，批次項目 ${item.caseId} 最多等待 ${Math.round(waitMs / 1000)} 秒後重試`);
+        await this.waitForQueueSlot(waitMs, signal);
+      }
+    }
+
+    removeUpload(filePath);
+  }
+
+  /**
+   * 等待佇列空出位置 (有任務開始執行或結束時)，最多等待 ms 毫秒，中斷時提前結束
+   */
+  waitForQueueSlot(ms, signal) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', done);
+        this.jobManager.removeListener('started', done);
+        this.jobManager.removeListener('finished', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      signal.addEventListener('abort', done, { once: true });
+      this.jobManager.once('started', done);
+      this.jobManager.once('finished', done);
+    });
+  }
+
+  linkJob(batch, item, job, reused) {
+    this.updateItem(batch, item, {
+      jobId: job.id,
+      reused: reused || null,
+      status: job.status,
+      error: job.error || null
+    });
+  }
+
+  /**
+   * 任務開始或結束時同步項目狀態 (任務可能在批次結束前就被移出任務佇列檔案)
+   * 沿用既有任務的項目也會指向其他請求建立的任務，因此依 jobId 比對所有進行中的批次
+   */
+  updateItemFromJob(job) {
+    for (const batch of this.batches.values()) {
+      if (batch.status !== BATCH_STATUS.RUNNING) continue;
+      for (const item of batch.items.filter(entry => entry.jobId === job.id)) {
+        this.updateItem(batch, item, { status: job.status, error: job.error || null });
+      }
+    }
+  }
+
+  updateItem(batch, item, changes) {
+    Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+    batch.updatedAt = item.updatedAt;
+    this.refreshStatus(batch);
+  }
+
+  /**
+   * 所有項目都結束時標記批次完成
+   */
+  refreshStatus(batch) {
+    const finished = batch.items.every(item => FINISHED_ITEM_STATUSES.includes(this.getItemStatus(item)));
+    if (finished && batch.status !== BATCH_STATUS.COMPLETED) {
+      batch.status = BATCH_STATUS.COMPLETED;
+      batch.finishedAt = new Date().toISOString();
+      const summary = this.summarize(batch);
+      logger.info(`批次已結束 - Batch ID: ${batch.id}, 完成: ${summary.completed}, 失敗: ${summary.failed}, 取消: ${summary.cancelled}`);
+    }
+    this.saveBatches();
+  }
+
+  /**
+   * 項目目前狀態 (任務仍在佇列中時以任務為準，例如服務重啟後恢復的任務)
+   */
+  getItemStatus(item) {
+    const job = item.jobId && this.jobManager.getJob(item.jobId);
+    return job ? job.status : item.status;
+  }
+
+  /**
+   * 各狀態的項目數
+   */
+  summarize(batch) {
+    const summary = { total: batch.items.length, pending: 0, queued: 0, processing: 0, completed: 0, failed: 0, cancelled: 0, reused: 0 };
+    for (const item of batch.items) {
+      summary[this.getItemStatus(item).toLowerCase()]++;
+      if (item.reused) summary.reused++;
+    }
+    return summary;
+  }
+
+  getBatch(batchId) {
+    return this.batches.get(batchId) || null;
+  }
+
+  /**
+   * 列出批次 (新到舊)
+   */
+  listBatches(limit = 20) {
+    return Array.from(this.batches.values()).reverse().slice(0, limit);
+  }
+
+  /**
+   * 停止下載 (服務關閉時呼叫)，未加入佇列的項目會在重啟後繼續
+   */
+  shutdown() {
+    for (const controller of this.controllers.values()) {
+      controller.abort(new Error('服務關閉，批次下載已暫停'));
+    }
+    this.saveBatches();
+  }
+
+  pruneFinishedBatches() {
+    const finished = Array.from(this.batches.values()).filter(batch => batch.status === BATCH_STATUS.COMPLETED);
+    const excess = finished.length - this.options.maxFinishedBatches;
+
+    for (let i = 0; i < excess; i++) {
+      this.batches.delete(finished[i].id);
+    }
+  }
+
+  /**
+   * 保存批次 (先寫入暫存檔再改名，避免寫到一半時重啟造成檔案毀損)
+   */
+  saveBatches() {
+    try {
+      const dir = path.dirname(this.options.storePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tempPath = `${this.options.storePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Array.from(this.batches.values()), null, 2));
+      fs.renameSync(tempPath, this.options.storePath);
+    } catch (error) {
+      logger.error(`保存批次失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 載入批次並繼續下載上次未完成的項目
+   */
+  loadBatches() {
+    try {
+      if (!fs.existsSync(this.options.storePath)) return;
+
+      const batches = JSON.parse(fs.readFileSync(this.options.storePath, 'utf8'));
+      for (const batch of batches) {
+        this.batches.set(batch.id, batch);
+      }
+
+      batches.filter(batch => batch.status === BATCH_STATUS.RUNNING).forEach(batch => this.failOrphanedItems(batch));
+      const resumed = batches.filter(batch => batch.status === BATCH_STATUS.RUNNING);
+      logger.info(`批次已載入: ${this.batches.size} 筆，繼續處理 ${resumed.length} 個未完成的批次`);
+      resumed.forEach(batch => this.run(batch));
+    } catch (error) {
+      logger.error(`載入批次失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 已加入佇列但任務已不存在的項目標記為失敗 (例如任務佇列檔案遺失或被清除)，否則批次永遠不會結束
+   */
+  failOrphanedItems(batch) {
+    const orphaned = batch.items.filter(item =>
+      item.jobId && !FINISHED_ITEM_STATUSES.includes(item.status) && !this.jobManager.getJob(item.jobId));
+
+    for (const item of orphaned) {
+      logger.warn(`批次項目的任務已不存在，標記為失敗 - Batch ID: ${batch.id}, Case ID: ${item.caseId}, Job ID: ${item.jobId}`);
+      this.updateItem(batch, item, { status: 'Failed', error: '任務已不在任務佇列中，請重新送出' });
+    }
+  }
+
+  /**
+   * 轉換為 API 回應格式
+   * @param {object} batch
+   * @param {object} [options] { includeItems }
+   */
+  toJSON(batch, options = {}) {
+    const { includeItems = true } = options;
+    return {
+      batchId: batch.id,
+      status: batch.status,
+      createdAt: batch.createdAt,
+      updatedAt: batch.updatedAt,
+      finishedAt: batch.finishedAt,
+      statusUrl: `/batches/${batch.id}`,
+      summary: this.summarize(batch),
+      ...(includeItems ? {
+        items: batch.items.map(item => ({
+          fileId: item.fileId,
+          caseId: item.caseId,
+          status: this.getItemStatus(item),
+          jobId: item.jobId,
+          reused: item.reused,
+          error: item.error,
+          statusUrl: item.jobId ? `/jobs/${item.jobId}` : null,
+          updatedAt: item.updatedAt
+        }))
+      } : {})
+    };
+  }
+}
+
+module.exports = BatchManager;
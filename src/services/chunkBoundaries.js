@@ -0,0 +1,150 @@
+/**
+ * 分塊邊界與合併
+ * 分塊在預定位置附近的停頓處切開，相鄰分塊重疊 overlapSec 秒；
+ * 轉錄後比對重疊區的文字，去除重複的內容再接起來
+ * 片段格式: { start, end, text }，時間為秒 (相對於原始錄音)
+ */
+
+// 重疊區文字至少要有這麼多個相同字元才視為對齊成功，否則依時間切開
+const MIN_MATCH_CHARS = 4;
+
+// 比對時忽略空白、標點與大小寫 (同一段語音在不同分塊中的標點常常不同)
+const IGNORED_CHARS = /[\s\p{P}\p{S}]/u;
+
+/**
+ * 在 [target - toleranceSec, target + toleranceSec] 內選擇切點
+ * 優先選擇離預定位置最近的停頓 (同樣近時選較長的)，切在停頓中間
+ * @param {number} target 預定的切點 (秒)
+ * @param {object[]} silences 偵測到的停頓 [{ start, end }]，超出容許範圍的部分不列入
+ * @returns {{ at: number, silence: object|null }} 找不到停頓時在預定位置切開
+ */
+function chooseCutPoint(target, silences, toleranceSec) {
+  let best = null;
+  for (const silence of silences) {
+    const start = Math.max(silence.start, target - toleranceSec);
+    const end = Math.min(silence.end, target + toleranceSec);
+    if (end <= start) continue;
+
+    const middle = (start + end) / 2;
+    const distance = Math.abs(middle - target);
+    if (!best || distance < best.distance || (distance === best.distance && end - start > best.length)) {
+      best = { at: middle, distance, length: end - start, silence: { start: round(silence.start), end: round(silence.end) } };
+    }
+  }
+  return best ? { at: round(best.at), silence: best.silence } : { at: target, silence: null };
+}
+
+/**
+ * 把片段文字接成逐字稿 (英數字之間補空白，中文直接相連)
+ */
+function joinSegmentTexts(segments) {
+  return segments.reduce((text, segment) => {
+    if (!segment.text) return text;
+    const needsSpace = text && /[A-Za-z0-9.,!?;:]$/.test(text) && /^[A-Za-z0-9]/.test(segment.text);
+    return text + (needsSpace ? ' ' : '') + segment.text;
+  }, '');
+}
+
+/**
+ * 將片段文字展開為可比對的字元，記錄每個字元來自哪個片段的哪個位置
+ */
+function toComparableChars(segments) {
+  const chars = [];
+  segments.forEach((segment, segmentIndex) => {
+    // end 為 UTF-16 位置，方便 slice
+    let end = 0;
+    for (const char of segment.text) {
+      end += char.length;
+      if (!IGNORED_CHARS.test(char)) {
+        chars.push({ char: char.toLowerCase(), segmentIndex, end });
+      }
+    }
+  });
+  return chars;
+}
+
+/**
+ * 兩段文字的最長共同子字串 (重疊區只有數秒的內容，直接動態規劃)
+ * @returns {{ length: number, aEnd: number, bEnd: number }} aEnd / bEnd 為共同部分最後一個字元的位置
+ */
+function longestCommonRun(a, b) {
+  let best = { length: 0, aEnd: -1, bEnd: -1 };
+  let previousRow = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const row = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      if (a[i - 1].char === b[j - 1].char) {
+        row[j] = previousRow[j - 1] + 1;
+        if (row[j] > best.length) best = { length: row[j], aEnd: i - 1, bEnd: j - 1 };
+      }
+    }
+    previousRow = row;
+  }
+  return best;
+}
+
+/**
+ * 合併相鄰分塊的片段
+ * 前一塊在重疊區的結尾與後一塊在重疊區的開頭是同一段語音，找出兩者相同的文字，
+ * 保留前一塊到相同文字結束為止，後一塊從相同文字之後開始；對不上時 (例如重疊區只有停頓) 依時間去除重複
+ * @param {object[]} previous 已合併的片段
+ * @param {object[]} next 下一塊的片段
+ * @param {{ start: number, end: number }} overlap 重疊區 (秒)
+ * @returns {{ segments: object[], method: 'text' | 'time', matchedChars: number }}
+ */
+function mergeChunkSegments(previous, next, overlap) {
+  const tailIndex = previous.findIndex(segment => segment.end > overlap.start);
+  const tail = tailIndex === -1 ? [] : previous.slice(tailIndex);
+  const kept = tailIndex === -1 ? previous : previous.slice(0, tailIndex);
+  const headCount = next.findIndex(segment => segment.start >= overlap.end);
+  const head = headCount === -1 ? next : next.slice(0, headCount);
+  const rest = headCount === -1 ? [] : next.slice(headCount);
+
+  const tailChars = toComparableChars(tail);
+  const headChars = toComparableChars(head);
+  const match = longestCommonRun(tailChars, headChars);
+
+  if (match.length >= MIN_MATCH_CHARS) {
+    const tailCut = tailChars[match.aEnd];
+    const headCut = headChars[match.bEnd];
+    const tailSegment = tail[tailCut.segmentIndex];
+    const headSegment = head[headCut.segmentIndex];
+    const remainder = headSegment.text.slice(headCut.end).trim();
+
+    const merged = [
+      ...kept,
+      ...tail.slice(0, tailCut.segmentIndex),
+      { ...tailSegment, text: tailSegment.text.slice(0, tailCut.end).trim() }
+    ];
+    if (remainder) {
+      merged.push({ ...headSegment, start: Math.max(headSegment.start, tailSegment.end), text: remainder });
+    }
+    merged.push(...head.slice(headCut.segmentIndex + 1), ...rest);
+    return { segments: merged, method: 'text', matchedChars: match.length };
+  }
+
+  // 兩塊在同一時間都有內容時，重疊區中點之前取前一塊、之後取後一塊；只有一塊有內容的部分照常保留
+  const middle = (overlap.start + overlap.end) / 2;
+  const isBefore = segment => (segment.start + segment.end) / 2 < middle;
+  const overlapsAny = (segment, others) => others.some(other => other.start < segment.end && segment.start < other.end);
+  return {
+    segments: [
+      ...kept,
+      ...tail.filter(segment => isBefore(segment) || !overlapsAny(segment, head)),
+      ...head.filter(segment => !isBefore(segment) || !overlapsAny(segment, tail)),
+      ...rest
+    ],
+    method: 'time',
+    matchedChars: 0
+  };
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = {
+  chooseCutPoint,
+  mergeChunkSegments,
+  joinSegmentTexts
+};
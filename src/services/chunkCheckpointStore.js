@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+const { config } = require('../config');
+
+const logger = createLogger('chunkCheckpointStore');
+
+/**
+ * 分塊轉錄的檢查點
+ * 長錄音每完成一塊就保存該塊的文字與片段，任務失敗重試時只轉錄尚未完成的分塊
+ *
+ * 檢查點以 caseId 加上內容雜湊識別：雜湊涵蓋音檔內容與影響分塊結果的設定 (模型、語言、提示詞、分塊長度、停頓偵測等)，
+ * 音檔或設定改變時不會沿用舊的結果。每個檢查點存成一個 JSON 檔，逾 CHECKPOINT_TTL_HOURS 未更新即由定期清理移除
+ */
+class ChunkCheckpointStore {
+  constructor(options = {}) {
+    this.dir = options.dir || config.checkpoints.dir;
+    this.ttlMs = (options.ttlHours || config.checkpoints.ttlHours) * 60 * 60 * 1000;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * 計算檢查點的 key (讀取整個音檔計算 SHA-256)
+   * @param {string} caseId
+   * @param {string} inputPath 原始音檔
+   * @param {object} settings 影響分塊結果的設定
+   * @returns {Promise<string>}
+   */
+  async createKey(caseId, inputPath, settings) {
+    const contentHash = await hashFile(inputPath);
+    const digest = crypto.createHash('sha256')
+      .update(contentHash)
+      .update(JSON.stringify(settings))
+      .digest('hex')
+      .slice(0, 16);
+    return `${encodeURIComponent(caseId)}-${digest}`;
+  }
+
+  /**
+   * 讀取檢查點，不存在或已過期時回傳 null
+   * @returns {object|null} { key, caseId, plan, chunks: { [index]: result }, createdAt, updatedAt }
+   */
+  load(key) {
+    const entry = this.read(this.filePath(key));
+    if (!entry) return null;
+    if (Date.now() - Date.parse(entry.updatedAt) > this.ttlMs) {
+      this.remove(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * 建立檢查點並保存分塊計畫 (重試時沿用相同的切點)
+   * 同一個 caseId 的其他檢查點 (音檔或設定已改變) 一併移除
+   * @param {object} plan { chunks: [{ offset, end }], boundaries }
+   */
+  create(key, caseId, plan) {
+    const prefix = `${encodeURIComponent(caseId)}-`;
+    if (fs.existsSync(this.dir)) {
+      for (const name of fs.readdirSync(this.dir)) {
+        if (name.startsWith(prefix) && name.endsWith('.json') && name !== `${key}.json`) {
+          fs.rmSync(path.join(this.dir, name), { force: true });
+        }
+      }
+    }
+
+    const now = new Date().toISOString();
+    const entry = { key, caseId, plan, chunks: {}, createdAt: now, updatedAt: now };
+    this.write(entry);
+    return entry;
+  }
+
+  /**
+   * 保存完成的分塊
+   * @param {object} entry load / create 回傳的檢查點 (同步更新)
+   * @param {number} index 分塊序號 (從 0 開始)
+   * @param {object} result { text, segments (相對於分塊開頭), language, quality, processingSec }
+   */
+  saveChunk(entry, index, result) {
+    entry.chunks[index] = { ...result, finishedAt: new Date().toISOString() };
+    entry.updatedAt = entry.chunks[index].finishedAt;
+    this.write(entry);
+  }
+
+  /**
+   * 移除檢查點 (任務完成後)
+   */
+  remove(key) {
+    const filePath = this.filePath(key);
+    if (!fs.existsSync(filePath)) return false;
+    fs.rmSync(filePath, { force: true });
+    return true;
+  }
+
+  /**
+   * 移除逾時未更新的檢查點
+   * @returns {number} 移除的數量
+   */
+  sweep() {
+    if (!fs.existsSync(this.dir)) return 0;
+
+    let removed = 0;
+    for (const name of fs.readdirSync(this.dir)) {
+      const filePath = path.join(this.dir, name);
+      try {
+        // 寫入中斷留下的暫存檔也一併清理
+        if (!name.endsWith('.json') && !name.endsWith('.json.tmp')) continue;
+        if (Date.now() - fs.statSync(filePath).mtimeMs <= this.ttlMs) continue;
+        fs.rmSync(filePath, { force: true });
+        removed++;
+      } catch (error) {
+        logger.warn(`清理檢查點失敗 (${name}): ${error.message}`);
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`🧹 已清理 ${removed} 個過期的分塊檢查點`);
+    }
+    return removed;
+  }
+
+  /**
+   * 啟動定期清理 (啟動時先清理一次)
+   */
+  startSweeper(intervalMs = config.checkpoints.sweepIntervalMs) {
+    this.sweep();
+    this.sweepTimer = setInterval(() => this.sweep(), intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopSweeper() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * 數量 (用於健康檢查)
+   */
+  count() {
+    if (!fs.existsSync(this.dir)) return 0;
+    return fs.readdirSync(this.dir).filter(name => name.endsWith('.json')).length;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  write(entry) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const filePath = this.filePath(entry.key);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entry));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  read(filePath) {
+    try {
+      if (!fs.existsSync(filePath)) return null;
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.error(`讀取檢查點失敗 (${filePath}): ${error.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * 音檔內容的 SHA-256
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+module.exports = ChunkCheckpointStore;
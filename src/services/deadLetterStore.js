@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+const { config } = require('../config');
+
+const logger = createLogger('deadLetterStore');
+
+/**
+ * 送達失敗的 webhook 通知 (dead letter)
+ * 每筆存成一個 JSON 檔，服務重啟後仍可重送
+ */
+class DeadLetterStore {
+  constructor(dir = config.deadLetters.dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * 新增一筆送達失敗的通知
+   * @param {object} payload { caseId, transcript, status, metadata }
+   * @param {object} failure { attempts, error, webhookError }
+   * @returns {object} entry
+   */
+  add(payload, failure) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      caseId: payload.caseId,
+      status: payload.status,
+      payload,
+      createdAt: now,
+      updatedAt: now,
+      deliveryAttempts: failure.attempts,
+      lastError: failure.error,
+      webhookError: failure.webhookError || null,
+      replayCount: 0,
+      lastReplayAt: null
+    };
+
+    this.write(entry);
+    logger.warn(`通知已寫入 dead-letter - ID: ${entry.id}, Case ID: ${entry.caseId}, 錯誤: ${failure.error}`);
+    return entry;
+  }
+
+  /**
+   * 列出所有 dead letter (舊到新)
+   * @param {object} [filter] { caseId }
+   */
+  list(filter = {}) {
+    if (!fs.existsSync(this.dir)) return [];
+
+    let entries = fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.read(path.join(this.dir, name)))
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    if (filter.caseId) {
+      entries = entries.filter(entry => entry.caseId === filter.caseId);
+    }
+
+    return entries;
+  }
+
+  /**
+   * 取得單筆 dead letter
+   */
+  get(id) {
+    if (!/^[0-9a-f-]+$/i.test(id)) return null;
+    return this.read(this.filePath(id));
+  }
+
+  /**
+   * 記錄重送失敗
+   */
+  recordReplayFailure(id, error, webhookError = null) {
+    const entry = this.get(id);
+    if (!entry) return null;
+
+    entry.replayCount++;
+    entry.lastReplayAt = new Date().toISOString();
+    entry.updatedAt = entry.lastReplayAt;
+    entry.lastError = error;
+    entry.webhookError = webhookError;
+    this.write(entry);
+    return entry;
+  }
+
+  /**
+   * 移除 dead letter (重送成功或手動刪除)
+   */
+  remove(id) {
+    const filePath = this.filePath(id);
+    if (!/^[0-9a-f-]+$/i.test(id) || !fs.existsSync(filePath)) return false;
+
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  /**
+   * 數量 (用於健康檢查)
+   */
+  count() {
+    if (!fs.existsSync(this.dir)) return 0;
+    return fs.readdirSync(this.dir).filter(name => name.endsWith('.json')).length;
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  write(entry) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const filePath = this.filePath(entry.id);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entry, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  read(filePath) {
+    try {
+      if (!fs.existsSync(filePath)) return null;
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.error(`讀取 dead-letter 失敗 (${filePath}): ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = DeadLetterStore;
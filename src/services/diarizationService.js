@@ -0,0 +1,400 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('diarizationService');
+
+/**
+ * 說話者分離 (僅使用 CPU，不需額外模型)
+ * 立體聲錄音 (例如電話錄音的雙聲道) 依兩個聲道的能量判斷；
+ * 單聲道或兩個聲道內容相近時，以每個片段的頻譜特徵做 k-means 分群
+ */
+
+const SAMPLE_RATE = 16000;
+// 每個分析音框 512 個取樣 (32 ms)
+const FRAME_SIZE = 512;
+const FRAMES_PER_SEC = SAMPLE_RATE / FRAME_SIZE;
+// mel 頻帶數與範圍 (涵蓋人聲)
+const MEL_BANDS = 20;
+const MEL_MIN_HZ = 100;
+const MEL_MAX_HZ = 7000;
+// 兩個聲道能量相差 2 倍以上才視為可區分；可區分的片段不到一半時改用分群
+const CHANNEL_RATIO = 2;
+const MIN_SEPARABLE_FRACTION = 0.5;
+// 每個片段只取能量較高的音框計算特徵 (略過停頓)
+const VOICED_FRACTION = 0.6;
+const KMEANS_MAX_ITERATIONS = 50;
+
+const SALESPERSON_LABEL = '業務';
+const CUSTOMER_LABEL = '客戶';
+
+// ---- 頻譜分析 ----
+
+const hannWindow = Float64Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1)));
+
+const bitReversal = (() => {
+  const bits = Math.log2(FRAME_SIZE);
+  return Uint16Array.from({ length: FRAME_SIZE }, (_, i) => {
+    let reversed = 0;
+    for (let bit = 0; bit < bits; bit++) {
+      reversed = (reversed << 1) | ((i >> bit) & 1);
+    }
+    return reversed;
+  });
+})();
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+// 三角形 mel 濾波器，每個頻帶為 [起始 bin, 權重陣列]
+const melFilters = (() => {
+  const melMin = hzToMel(MEL_MIN_HZ);
+  const melMax = hzToMel(MEL_MAX_HZ);
+  const edges = Array.from({ length: MEL_BANDS + 2 }, (_, i) =>
+    (melToHz(melMin + ((melMax - melMin) * i) / (MEL_BANDS + 1)) * FRAME_SIZE) / SAMPLE_RATE);
+
+  return Array.from({ length: MEL_BANDS }, (_, band) => {
+    const [left, center, right] = [edges[band], edges[band + 1], edges[band + 2]];
+    const first = Math.ceil(left);
+    const weights = [];
+    for (let bin = first; bin <= Math.floor(right); bin++) {
+      weights.push(bin <= center ? (bin - left) / (center - left) : (right - bin) / (right - center));
+    }
+    return { first, weights };
+  });
+})();
+
+/**
+ * 音框的 log mel 頻帶能量 (原地 FFT)
+ */
+function melEnergies(samples) {
+  const real = new Float64Array(FRAME_SIZE);
+  const imag = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    real[bitReversal[i]] = samples[i] * hannWindow[i];
+  }
+
+  for (let size = 2; size <= FRAME_SIZE; size *= 2) {
+    const half = size / 2;
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < FRAME_SIZE; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tr = real[b] * cos - imag[b] * sin;
+        const ti = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+
+  const bands = new Float32Array(MEL_BANDS);
+  melFilters.forEach(({ first, weights }, band) => {
+    let energy = 0;
+    weights.forEach((weight, offset) => {
+      const bin = first + offset;
+      energy += weight * (real[bin] * real[bin] + imag[bin] * imag[bin]);
+    });
+    bands[band] = Math.log(energy + 1e-10);
+  });
+  return bands;
+}
+
+/**
+ * 以 ffmpeg 解碼為 16 kHz PCM，逐音框計算各聲道能量與混音後的 mel 頻帶能量
+ * @returns {Promise<{ channelEnergy: number[][], bands: Float32Array[] }>}
+ */
+function analyzeAudio(inputPath, channels, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const channelEnergy = Array.from({ length: channels }, () => []);
+    const bands = [];
+    const frameBytes = FRAME_SIZE * channels * 2;
+    const mixed = new Float64Array(FRAME_SIZE);
+    let pending = Buffer.alloc(0);
+
+    const command = ffmpeg(inputPath)
+      .noVideo()
+      .audioChannels(channels)
+      .audioFrequency(SAMPLE_RATE)
+      .format('s16le');
+
+    const onAbort = () => {
+      logger.warn('🛑 任務已中斷，終止說話者分離的 FFmpeg 進程');
+      command.kill('SIGKILL');
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    // 程序結束且輸出讀取完畢後才回傳，避免遺漏最後的資料
+    let commandEnded = false;
+    let streamEnded = false;
+    const tryResolve = () => {
+      if (!commandEnded || !streamEnded) return;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve({ channelEnergy, bands });
+    };
+
+    command
+      .on('end', () => {
+        commandEnded = true;
+        tryResolve();
+      })
+      .on('error', (err) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(signal && signal.aborted ? signal.reason : err);
+      });
+
+    const stream = command.pipe();
+    stream.on('data', (data) => {
+      pending = pending.length > 0 ? Buffer.concat([pending, data]) : data;
+      let offset = 0;
+      for (; offset + frameBytes <= pending.length; offset += frameBytes) {
+        const energies = new Array(channels).fill(0);
+        for (let i = 0; i < FRAME_SIZE; i++) {
+          let sum = 0;
+          for (let channel = 0; channel < channels; channel++) {
+            const sample = pending.readInt16LE(offset + (i * channels + channel) * 2) / 32768;
+            energies[channel] += sample * sample;
+            sum += sample;
+          }
+          mixed[i] = sum / channels;
+        }
+        energies.forEach((energy, channel) => channelEnergy[channel].push(energy / FRAME_SIZE));
+        bands.push(melEnergies(mixed));
+      }
+      pending = pending.subarray(offset);
+    });
+    stream.on('end', () => {
+      streamEnded = true;
+      tryResolve();
+    });
+  });
+}
+
+// ---- 指派說話者 ----
+
+/**
+ * 片段對應的音框範圍
+ */
+function frameRange(segment, frameCount) {
+  const first = Math.min(frameCount - 1, Math.floor(segment.start * FRAMES_PER_SEC));
+  const last = Math.min(frameCount, Math.max(first + 1, Math.ceil(segment.end * FRAMES_PER_SEC)));
+  return [Math.max(0, first), last];
+}
+
+/**
+ * 依聲道能量指派 (0、1)；多數片段無法區分時回傳 null
+ */
+function assignByChannel(segments, channelEnergy) {
+  const frameCount = channelEnergy[0].length;
+  const ratios = segments.map(segment => {
+    const [first, last] = frameRange(segment, frameCount);
+    let left = 1e-10;
+    let right = 1e-10;
+    for (let i = first; i < last; i++) {
+      left += channelEnergy[0][i];
+      right += channelEnergy[1][i];
+    }
+    return left / right;
+  });
+
+  const separable = ratios.filter(ratio => ratio >= CHANNEL_RATIO || ratio <= 1 / CHANNEL_RATIO).length;
+  if (separable < segments.length * MIN_SEPARABLE_FRACTION) {
+    return null;
+  }
+  return ratios.map(ratio => (ratio >= 1 ? 0 : 1));
+}
+
+/**
+ * 每個片段的特徵：能量較高音框的 mel 頻帶平均與標準差
+ */
+function segmentFeatures(segment, bands) {
+  const [first, last] = frameRange(segment, bands.length);
+  const frames = bands.slice(first, last)
+    .map(frame => ({ frame, energy: frame.reduce((sum, value) => sum + value, 0) }))
+    .sort((a, b) => b.energy - a.energy)
+    .slice(0, Math.max(1, Math.round((last - first) * VOICED_FRACTION)))
+    .map(({ frame }) => frame);
+
+  const mean = new Array(MEL_BANDS).fill(0);
+  const variance = new Array(MEL_BANDS).fill(0);
+  frames.forEach(frame => frame.forEach((value, band) => { mean[band] += value / frames.length; }));
+  frames.forEach(frame => frame.forEach((value, band) => { variance[band] += Math.pow(value - mean[band], 2) / frames.length; }));
+  return [...mean, ...variance.map(Math.sqrt)];
+}
+
+/**
+ * 以片段長度加權的 k-means；初始中心為最長的片段，其後依序取離現有中心最遠的片段
+ */
+function kmeans(points, weights, k) {
+  const distance = (a, b) => a.reduce((sum, value, i) => sum + Math.pow(value - b[i], 2), 0);
+  const nearest = (point, centroids) => centroids.reduce((best, centroid, index) =>
+    (distance(point, centroid) < distance(point, centroids[best]) ? index : best), 0);
+
+  let longest = 0;
+  weights.forEach((weight, index) => { if (weight > weights[longest]) longest = index; });
+  const centroids = [points[longest].slice()];
+  while (centroids.length < k) {
+    let farthest = 0;
+    let farthestDistance = -1;
+    points.forEach((point, index) => {
+      const d = Math.min(...centroids.map(centroid => distance(point, centroid)));
+      if (d > farthestDistance) {
+        farthest = index;
+        farthestDistance = d;
+      }
+    });
+    centroids.push(points[farthest].slice());
+  }
+
+  let assignments = points.map(point => nearest(point, centroids));
+  for (let iteration = 0; iteration < KMEANS_MAX_ITERATIONS; iteration++) {
+    centroids.forEach((centroid, cluster) => {
+      const members = points.map((point, index) => index).filter(index => assignments[index] === cluster);
+      const total = members.reduce((sum, index) => sum + weights[index], 0);
+      if (total === 0) return;
+      centroid.fill(0);
+      members.forEach(index => points[index].forEach((value, dim) => { centroid[dim] += (value * weights[index]) / total; }));
+    });
+
+    const next = points.map(point => nearest(point, centroids));
+    if (next.every((cluster, index) => cluster === assignments[index])) break;
+    assignments = next;
+  }
+  return assignments;
+}
+
+/**
+ * 依頻譜特徵分群 (特徵先標準化，避免單一頻帶主導距離)
+ */
+function assignByClustering(segments, bands, speakerCount) {
+  const features = segments.map(segment => segmentFeatures(segment, bands));
+  const dims = features[0].length;
+  for (let dim = 0; dim < dims; dim++) {
+    const values = features.map(feature => feature[dim]);
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const std = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length) || 1;
+    features.forEach(feature => { feature[dim] = (feature[dim] - mean) / std; });
+  }
+
+  const weights = segments.map(segment => Math.max(0.1, segment.end - segment.start));
+  return kmeans(features, weights, Math.min(speakerCount, segments.length));
+}
+
+/**
+ * 依首次出現順序編號 (S1、S2 ...)，並統計說話時間
+ * labelSalesperson 時說話時間最長者標為業務，其他為客戶
+ * @returns {object[]} { id, label, role, speakingSec, segmentCount, cluster }
+ */
+function buildSpeakers(segments, assignments, labelSalesperson) {
+  const order = [];
+  assignments.forEach(cluster => { if (!order.includes(cluster)) order.push(cluster); });
+
+  const speakers = order.map((cluster, index) => ({
+    id: `S${index + 1}`,
+    label: `說話者 ${index + 1}`,
+    role: null,
+    speakingSec: 0,
+    segmentCount: 0,
+    cluster
+  }));
+  segments.forEach((segment, index) => {
+    const speaker = speakers.find(candidate => candidate.cluster === assignments[index]);
+    speaker.speakingSec += segment.end - segment.start;
+    speaker.segmentCount++;
+  });
+
+  if (labelSalesperson) {
+    const dominant = speakers.reduce((best, speaker) => (speaker.speakingSec > best.speakingSec ? speaker : best));
+    const customers = speakers.filter(speaker => speaker !== dominant);
+    dominant.role = 'salesperson';
+    dominant.label = SALESPERSON_LABEL;
+    customers.forEach((speaker, index) => {
+      speaker.role = 'customer';
+      speaker.label = customers.length > 1 ? `${CUSTOMER_LABEL} ${index + 1}` : CUSTOMER_LABEL;
+    });
+  }
+
+  speakers.forEach(speaker => { speaker.speakingSec = Math.round(speaker.speakingSec * 10) / 10; });
+  return speakers;
+}
+
+/**
+ * 為片段指派說話者 (片段會加上 speaker 欄位)
+ * @param {string} inputPath 原始音檔 (保留聲道資訊，不使用轉為單聲道的預處理檔)
+ * @param {object[]} segments { start, end, text }
+ * @param {object} [options] { audioInfo, speakers (分群數，預設 2), labelSalesperson, signal }
+ * @returns {Promise<{ method: string, speakers: object[] }>} method 為 channel 或 clustering
+ */
+async function diarizeSegments(inputPath, segments, options = {}) {
+  const { audioInfo = {}, speakers: speakerCount = 2, labelSalesperson = false, signal } = options;
+  const channels = audioInfo.channels >= 2 ? 2 : 1;
+
+  const { channelEnergy, bands } = await analyzeAudio(inputPath, channels, signal);
+  if (bands.length === 0) {
+    throw new Error('無法解碼音訊進行說話者分離');
+  }
+
+  let method = 'clustering';
+  let assignments = channels === 2 ? assignByChannel(segments, channelEnergy) : null;
+  if (assignments) {
+    method = 'channel';
+  } else {
+    if (channels === 2) {
+      logger.info('兩個聲道內容相近，改用頻譜分群');
+    }
+    assignments = assignByClustering(segments, bands, speakerCount);
+  }
+
+  const speakers = buildSpeakers(segments, assignments, labelSalesperson);
+  segments.forEach((segment, index) => {
+    segment.speaker = speakers.find(speaker => speaker.cluster === assignments[index]).id;
+  });
+  speakers.forEach(speaker => { delete speaker.cluster; });
+
+  logger.info(`說話者分離完成 (${method}): ${speakers.map(speaker => `${speaker.label} ${speaker.speakingSec}s`).join(', ')}`);
+  return { method, speakers };
+}
+
+/**
+ * 中日韓文字之間不加空格，其他文字以空格分隔
+ */
+function joinText(left, right) {
+  if (!left) return right;
+  const cjk = /[\u3000-\u9fff\uff00-\uffef]/;
+  return cjk.test(left.slice(-1)) && cjk.test(right[0]) ? left + right : `${left} ${right}`;
+}
+
+/**
+ * 依說話者分段的逐字稿 (連續同一人的片段合併為一段)
+ * 例如「業務：...」換行「客戶：...」
+ */
+function toLabeledTranscript(segments, speakers) {
+  const labels = Object.fromEntries(speakers.map(speaker => [speaker.id, speaker.label]));
+  const turns = [];
+  for (const segment of segments) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.text = joinText(last.text, segment.text);
+    } else {
+      turns.push({ speaker: segment.speaker, text: segment.text });
+    }
+  }
+  return turns.map(turn => `${labels[turn.speaker] || turn.speaker}：${turn.text}`).join('\n');
+}
+
+module.exports = {
+  diarizeSegments,
+  buildSpeakers,
+  toLabeledTranscript
+};
@@ -0,0 +1,55 @@
+#!/usr/bin/env python3
+"""
+faster-whisper 轉錄引擎 (CTranslate2，CPU 上比 OpenAI Whisper 快且省記憶體)
+由 whisper_worker.py --engine faster-whisper 載入，回傳格式與 whisper_transcribe.py 相同
+"""
+
+import os
+import sys
+from pathlib import Path
+
+from whisper_transcribe import build_result, failure_result
+
+
+def load_model(model_name):
+    """載入 faster-whisper 模型 (裝置與精度由 FASTER_WHISPER_DEVICE、FASTER_WHISPER_COMPUTE_TYPE 指定)"""
+    from faster_whisper import WhisperModel
+    return WhisperModel(
+        model_name,
+        device=os.getenv("FASTER_WHISPER_DEVICE", "cpu"),
+        compute_type=os.getenv("FASTER_WHISPER_COMPUTE_TYPE", "int8"),
+    )
+
+
+def transcribe_with_model(model, audio_path, language="zh", initial_prompt=None, temperature=None, beam_size=None):
+    """
+    使用已載入的模型轉錄音檔
+
+    Returns:
+        dict: 轉錄結果，失敗時 success 為 False
+    """
+    try:
+        if not Path(audio_path).exists():
+            raise FileNotFoundError(f"音檔不存在: {audio_path}")
+
+        options = {"language": None if language == "auto" else language}
+        if initial_prompt:
+            options["initial_prompt"] = initial_prompt
+        if temperature is not None:
+            options["temperature"] = temperature
+        if beam_size is not None:
+            options["beam_size"] = beam_size
+
+        print(f"🎵 開始轉錄: {Path(audio_path).name}", file=sys.stderr)
+        # segments 是 generator，逐段解碼
+        raw_segments, info = model.transcribe(audio_path, **options)
+        segments = [
+            {"start": segment.start, "end": segment.end, "text": segment.text, "no_speech_prob": segment.no_speech_prob}
+            for segment in raw_segments
+        ]
+
+        text = "".join(segment["text"] for segment in segments).strip()
+        return build_result(text, info.language or language, segments)
+
+    except Exception as e:
+        return failure_result(e)
@@ -2,20 +2,13 @@ const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
 const tmp = require('tmp');
-const winston = require('winston');
+const { createLogger } = require('../logger');
+const { config } = require('../config');
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [new winston.transports.Console()]
-});
+const logger = createLogger('googleDriveService');
 
 // Google Drive API 設定
 const SCOPES = ['https://www.googleapis.com/auth/drive.readonly'];
-const SERVICE_ACCOUNT_KEY = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
 
 let driveClient = null;
 
@@ -26,25 +19,12 @@ function initializeDriveClient() {
   if (driveClient) return driveClient;
   
   try {
-    if (!SERVICE_ACCOUNT_KEY) {
+    // 憑證格式已在啟動時由設定模組驗證
+    const credentials = config.google.serviceAccountKey;
+    if (!credentials) {
       throw new Error('GOOGLE_SERVICE_ACCOUNT_KEY 環境變數未設置');
     }
     
-    let credentials;
-    try {
-      credentials = JSON.parse(SERVICE_ACCOUNT_KEY);
-      
-      // 修復 private key 格式問題
-      if (credentials.private_key) {
-        credentials.private_key = credentials.private_key.replace(/\\n/g, '\n');
-      }
-      
-      logger.info('Google 服務帳戶憑證解析成功');
-    } catch (parseError) {
-      logger.error(`解析 Google 服務帳戶 JSON 失敗: ${parseError.message}`);
-      throw new Error(`無效的 Google 服務帳戶 JSON 格式: ${parseError.message}`);
-    }
-    
     const auth = new google.auth.GoogleAuth({
       credentials: credentials,
       scopes: SCOPES
@@ -62,8 +42,13 @@ function initializeDriveClient() {
 
 /**
  * 從 Google Drive 下載檔案
+ * @param {string} fileId
+ * @param {string} [fileName]
+ * @param {object} [options] { onProgress: (percent, downloadedBytes, totalBytes) => void, signal: AbortSignal }
  */
-async function downloadFromGoogleDrive(fileId, fileName = 'audio_file') {
+async function downloadFromGoogleDrive(fileId, fileName = 'audio_file', options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const { signal } = options;
   try {
     logger.info(`開始下載 Google Drive 檔案: ${fileId}`);
     
@@ -88,12 +73,24 @@ async function downloadFromGoogleDrive(fileId, fileName = 'audio_file') {
     const response = await drive.files.get({
       fileId: fileId,
       alt: 'media'
-    }, { responseType: 'stream' });
+    }, { responseType: 'stream', signal });
     
     return new Promise((resolve, reject) => {
       const writeStream = fs.createWriteStream(localFilePath);
+
+      // 任務取消時中斷下載並移除暫存目錄
+      const onAbort = () => {
+        response.data.destroy();
+        writeStream.destroy();
+        fs.rmSync(tempDir.name, { recursive: true, force: true });
+        reject(signal.reason);
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
       let downloadedSize = 0;
       let lastReportedProgress = 0;
+      let lastNotifiedProgress = -1;
       
       response.data.on('error', (error) => {
         logger.error(`檔案下載失敗: ${error.message}`);
@@ -104,6 +101,12 @@ async function downloadFromGoogleDrive(fileId, fileName = 'audio_file') {
         downloadedSize += chunk.length;
         const progress = (downloadedSize / (fileSize * 1024 * 1024)) * 100;
         
+        // 每增加 1% 通知一次進度 (供 SSE 即時顯示)
+        if (Math.floor(progress) > lastNotifiedProgress) {
+          lastNotifiedProgress = Math.floor(progress);
+          onProgress(Math.min(100, lastNotifiedProgress), downloadedSize, fileSize * 1024 * 1024);
+        }
+        
         // 只有當進度增加超過20%時才報告
         if (progress - lastReportedProgress >= 20) {
           logger.info(`下載進度: ${progress.toFixed(1)}%`);
@@ -112,6 +115,7 @@ async function downloadFromGoogleDrive(fileId, fileName = 'audio_file') {
       });
       
       response.data.on('end', () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
         logger.info(`檔案下載完成: ${localFilePath}`);
         resolve(localFilePath);
       });
@@ -195,23 +199,40 @@ function sanitizeFileName(fileName) {
 }
 
 /**
- * 批次下載多個檔案
+ * 批次下載多個檔案 (最多同時下載 concurrency 個)
+ * @param {string[]} fileIds
+ * @param {object} [options] { concurrency, signal, onDownloaded }
+ *   onDownloaded: async (result) => void，每個檔案下載完成或失敗時呼叫；
+ *   等待它結束後才下載下一個檔案，可藉此控制下載速度 (例如等待佇列有空位)
+ * @returns {Promise<{ successful: object[], failed: object[], totalCount: number }>}
+ *   result 為 { index, fileId, filePath, success: true } 或 { index, fileId, error, success: false }，index 為 fileIds 中的位置
  */
-async function downloadMultipleFiles(fileIds) {
-  const downloadPromises = fileIds.map(async (fileId) => {
-    try {
-      const filePath = await downloadFromGoogleDrive(fileId);
-      return { fileId, filePath, success: true };
-    } catch (error) {
-      logger.error(`下載檔案 ${fileId} 失敗: ${error.message}`);
-      return { fileId, error: error.message, success: false };
+async function downloadMultipleFiles(fileIds, options = {}) {
+  const { concurrency = 3, signal, onDownloaded = () => {} } = options;
+  const results = new Array(fileIds.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < fileIds.length && !(signal && signal.aborted)) {
+      const index = nextIndex++;
+      const fileId = fileIds[index];
+      try {
+        const filePath = await downloadFromGoogleDrive(fileId, undefined, { signal });
+        results[index] = { index, fileId, filePath, success: true };
+      } catch (error) {
+        logger.error(`下載檔案 ${fileId} 失敗: ${error.message}`);
+        results[index] = { index, fileId, error: error.message, success: false };
+      }
+      await onDownloaded(results[index]);
     }
-  });
-  
-  const results = await Promise.all(downloadPromises);
-  
-  const successful = results.filter(r => r.success);
-  const failed = results.filter(r => !r.success);
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, fileIds.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  const settled = results.filter(Boolean);
+  const successful = settled.filter(r => r.success);
+  const failed = settled.filter(r => !r.success);
   
   logger.info(`批次下載完成: ${successful.length} 成功, ${failed.length} 失敗`);
   
@@ -241,5 +262,6 @@ module.exports = {
   getFileInfo,
   checkFileAccess,
   downloadMultipleFiles,
-  cleanupLocalFile
+  cleanupLocalFile,
+  sanitizeFileName
 };
\ No newline at end of file
@@ -1,19 +1,12 @@
 const { google } = require('googleapis');
-const winston = require('winston');
+const { createLogger } = require('../logger');
+const { config } = require('../config');
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [new winston.transports.Console()]
-});
+const logger = createLogger('googleSheetsService');
 
 // Google Sheets API 設定
 const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
-const SERVICE_ACCOUNT_KEY = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
-const SPREADSHEET_ID = process.env.GOOGLE_SPREADSHEET_ID;
+const SPREADSHEET_ID = config.google.spreadsheetId;
 
 let sheetsClient = null;
 
@@ -24,7 +17,9 @@ function initializeSheetsClient() {
   if (sheetsClient) return sheetsClient;
   
   try {
-    if (!SERVICE_ACCOUNT_KEY) {
+    // 憑證格式已在啟動時由設定模組驗證
+    const credentials = config.google.serviceAccountKey;
+    if (!credentials) {
       throw new Error('GOOGLE_SERVICE_ACCOUNT_KEY 環境變數未設置');
     }
     
@@ -32,21 +27,6 @@ function initializeSheetsClient() {
       throw new Error('GOOGLE_SPREADSHEET_ID 環境變數未設置');
     }
     
-    let credentials;
-    try {
-      credentials = JSON.parse(SERVICE_ACCOUNT_KEY);
-      
-      // 修復 private key 格式問題
-      if (credentials.private_key) {
-        credentials.private_key = credentials.private_key.replace(/\\n/g, '\n');
-      }
-      
-      logger.info('Google 服務帳戶憑證解析成功');
-    } catch (parseError) {
-      logger.error(`解析 Google 服務帳戶 JSON 失敗: ${parseError.message}`);
-      throw new Error(`無效的 Google 服務帳戶 JSON 格式: ${parseError.message}`);
-    }
-    
     const auth = new google.auth.GoogleAuth({
       credentials: credentials,
       scopes: SCOPES
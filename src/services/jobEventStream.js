@@ -0,0 +1,69 @@
+const JobManager = require('./jobManager');
+
+// 定期送出註解行的間隔，避免閒置連線被代理伺服器關閉
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * 建立任務進度串流 (Server-Sent Events) 的路由處理函數
+ * 事件: snapshot (連線時的目前狀態)、progress (階段/下載百分比/片段開始與完成)、result (最終結果後關閉連線)
+ * @param {JobManager} jobManager
+ * @param {object} [options] { heartbeatMs }
+ */
+function createJobEventStream(jobManager, options = {}) {
+  const { heartbeatMs = HEARTBEAT_INTERVAL_MS } = options;
+
+  return (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `找不到任務: ${req.params.id}` });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // 避免反向代理緩衝事件
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    sendEvent('snapshot', JobManager.toJSON(job, { includeResult: false }));
+
+    if (job.finishedAt) {
+      sendEvent('result', JobManager.toJSON(job, { result: jobManager.getResult(job) }));
+      return res.end();
+    }
+
+    const onProgress = (updatedJob) => {
+      if (updatedJob.id !== job.id) return;
+      const { stage, progress, elapsedSec, eta, updatedAt } = JobManager.toJSON(updatedJob, { includeResult: false });
+      sendEvent('progress', { stage, progress, elapsedSec, eta, at: updatedAt });
+    };
+
+    const onFinished = (finishedJob) => {
+      if (finishedJob.id !== job.id) return;
+      sendEvent('result', JobManager.toJSON(finishedJob, { result: jobManager.getResult(finishedJob) }));
+      cleanup();
+      res.end();
+    };
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      jobManager.removeListener('progress', onProgress);
+      jobManager.removeListener('finished', onFinished);
+    };
+
+    jobManager.on('progress', onProgress);
+    jobManager.on('finished', onFinished);
+    req.on('close', cleanup);
+  };
+}
+
+module.exports = {
+  createJobEventStream
+};
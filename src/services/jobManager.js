@@ -0,0 +1,641 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createLogger, runWithContext } = require('../logger');
+const { config } = require('../config');
+
+const logger = createLogger('jobManager');
+
+// 任務狀態
+const JOB_STATUS = {
+  QUEUED: 'Queued',
+  PROCESSING: 'Processing',
+  COMPLETED: 'Completed',
+  FAILED: 'Failed',
+  CANCELLED: 'Cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * 任務被取消時，透過 AbortSignal 傳遞給處理流程的錯誤
+ */
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super('任務已取消');
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+  }
+}
+
+/**
+ * 同一個 Idempotency-Key 被用於不同 caseId 的請求
+ */
+class IdempotencyKeyConflictError extends Error {
+  constructor(idempotencyKey, caseId) {
+    super(`Idempotency-Key 已用於其他 caseId: ${caseId}`);
+    this.name = 'IdempotencyKeyConflictError';
+    this.idempotencyKey = idempotencyKey;
+    this.caseId = caseId;
+  }
+}
+
+// 佇列預設設定
+const DEFAULT_OPTIONS = {
+  storePath: config.jobs.storePath,
+  maxConcurrency: 1,
+  // 同一任務最多執行次數 (含重啟後恢復執行)，避免會讓容器崩潰的任務無限重試
+  maxAttempts: 3,
+  // 保留在佇列檔案中的已結束任務數量上限
+  maxFinishedJobs: 200,
+  // (job) => boolean，並行數未滿時再檢查是否可開始 (例如記憶體是否足夠)
+  canStart: () => true,
+  // (job) => object|null，讀取已完成任務的完整結果 (佇列檔案只保存摘要)
+  loadResult: () => null
+};
+
+// 不寫入佇列檔案的結果欄位 (逐字稿等大型內容由 loadResult 取回)
+const DETACHED_RESULT_FIELDS = ['transcript', 'labeledTranscript', 'segments', 'outputs'];
+
+/**
+ * 持久化任務佇列
+ * 任務狀態寫入 JOB_STORE_PATH (預設 data/jobs.json)，服務重啟後會恢復中斷的任務
+ *
+ * 事件:
+ * - started (job): 任務開始執行
+ * - progress (job): 任務階段或進度更新
+ * - finished (job): 任務結束 (Completed / Failed / Cancelled)
+ */
+class JobManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // 每個 SSE 連線與同步請求都會註冊監聽器，不設上限
+    this.setMaxListeners(0);
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.jobs = new Map();
+    this.running = new Map(); // jobId -> Promise
+    this.controllers = new Map(); // jobId -> AbortController
+    this.checkpointed = new Set(); // 關閉時寫回佇列的任務
+    this.processor = null;
+    this.shuttingDown = false;
+
+    this.loadJobs();
+  }
+
+  /**
+   * 設定任務處理函數並開始消化佇列
+   * @param {Function} processor async (data, { onProgress, signal, jobId }) => result
+   */
+  setProcessor(processor) {
+    this.processor = processor;
+    this.schedule();
+  }
+
+  /**
+   * 冪等地提交任務，避免 GAS 重試時同一個 caseId 被重複轉錄
+   * 1. 帶有相同 Idempotency-Key 的任務若未失敗或取消，直接回傳該任務
+   * 2. 同一個 caseId 已在等待或執行中時，附加到既有任務 (force 也不會重複執行)
+   * 3. 同一個 caseId 已完成時回傳已保存的結果，除非 force 為 true
+   * @param {object} data 任務資料
+   * @param {object} [options] { idempotencyKey, force, admit }
+   *   admit: 真正建立新任務前呼叫，可丟出錯誤拒絕請求 (重複的請求不會呼叫)
+   * @returns {{ job: object, reused: string|null }} reused 為 idempotency_key / active / completed，新任務為 null
+   */
+  submit(data, options = {}) {
+    const { idempotencyKey = null, force = false, admit } = options;
+
+    if (idempotencyKey) {
+      const keyed = this.findJobByIdempotencyKey(idempotencyKey);
+      if (keyed && keyed.caseId !== data.caseId) {
+        throw new IdempotencyKeyConflictError(idempotencyKey, keyed.caseId);
+      }
+      if (keyed && ![JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(keyed.status)) {
+        logger.info(`Idempotency-Key 重複，回傳既有任務 - Job ID: ${keyed.id}, Case ID: ${keyed.caseId}`);
+        return { job: keyed, reused: 'idempotency_key' };
+      }
+    }
+
+    const active = this.findActiveJob(data.caseId);
+    if (active) {
+      logger.info(`Case ID 已有進行中的任務，附加到既有任務 - Job ID: ${active.id}, Case ID: ${active.caseId}`);
+      return { job: active, reused: 'active' };
+    }
+
+    if (!force) {
+      const completed = this.findCompletedJob(data.caseId);
+      if (completed) {
+        logger.info(`Case ID 已完成轉錄，回傳已保存的結果 - Job ID: ${completed.id}, Case ID: ${completed.caseId}`);
+        return { job: completed, reused: 'completed' };
+      }
+    }
+
+    if (admit) {
+      admit();
+    }
+
+    return { job: this.enqueue(data, { idempotencyKey }), reused: null };
+  }
+
+  /**
+   * 建立新任務並放入佇列
+   * @param {object} data 任務資料 ({ fileId, fileName, caseId })
+   * @param {object} [options] { idempotencyKey }
+   * @returns {object} job
+   */
+  enqueue(data, options = {}) {
+    if (this.shuttingDown) {
+      throw new Error('服務正在關閉，暫不接受新任務');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      caseId: data.caseId,
+      status: JOB_STATUS.QUEUED,
+      stage: 'queued',
+      progress: null,
+      stageHistory: [{ stage: 'queued', at: now }],
+      attempts: [],
+      createdAt: now,
+      startedAt: null,
+      updatedAt: now,
+      finishedAt: null,
+      error: null,
+      result: null,
+      idempotencyKey: options.idempotencyKey || null,
+      data
+    };
+
+    this.jobs.set(job.id, job);
+    this.pruneFinishedJobs();
+    this.saveJobs();
+
+    logger.info(`任務已加入佇列 - Job ID: ${job.id}, Case ID: ${job.caseId}, 佇列長度: ${this.getQueuedJobs().length}`);
+    this.schedule();
+
+    return job;
+  }
+
+  /**
+   * 等待任務結束 (同步模式使用)
+   * @returns {Promise<object>} 任務結果，失敗時 reject
+   */
+  waitFor(jobId) {
+    return new Promise((resolve, reject) => {
+      const settle = (job) => {
+        if (job.status === JOB_STATUS.COMPLETED) {
+          resolve(this.getResult(job));
+        } else if (job.status === JOB_STATUS.CANCELLED) {
+          reject(new JobCancelledError(job.id));
+        } else {
+          reject(new Error(job.error ? job.error.message : '任務失敗'));
+        }
+      };
+
+      const job = this.jobs.get(jobId);
+      if (!job) {
+        reject(new Error(`找不到任務: ${jobId}`));
+        return;
+      }
+      if (FINISHED_STATUSES.includes(job.status)) {
+        settle(job);
+        return;
+      }
+
+      const onFinished = (finishedJob) => {
+        if (finishedJob.id !== jobId) return;
+        this.removeListener('finished', onFinished);
+        settle(finishedJob);
+      };
+      this.on('finished', onFinished);
+    });
+  }
+
+  /**
+   * 依照最大並行數啟動佇列中的任務
+   */
+  schedule() {
+    if (!this.processor || this.shuttingDown) return;
+
+    const queued = this.getQueuedJobs();
+    // 依先進先出順序，排在最前面的任務無法開始時後面的任務也一起等待
+    while (this.running.size < this.options.maxConcurrency && queued.length > 0 && this.options.canStart(queued[0])) {
+      const job = queued.shift();
+      // 任務日誌帶上建立任務的請求 ID 與 caseId (四個欄位都指定，不沿用觸發排程的請求)
+      const context = { requestId: job.data.requestId, caseId: job.caseId, jobId: job.id, batchId: job.data.batchId };
+      const promise = runWithContext(context, () => this.runJob(job)).finally(() => {
+        this.running.delete(job.id);
+        this.schedule();
+      });
+      this.running.set(job.id, promise);
+    }
+  }
+
+  /**
+   * 執行任務並更新狀態
+   */
+  async runJob(job) {
+    const attempt = { number: job.attempts.length + 1, startedAt: new Date().toISOString(), finishedAt: null, error: null };
+    job.attempts.push(attempt);
+    job.status = JOB_STATUS.PROCESSING;
+    job.startedAt = attempt.startedAt;
+    job.error = null;
+    this.updateStage(job.id, 'start');
+
+    logger.info(`開始執行任務 - Job ID: ${job.id}, Case ID: ${job.caseId}, 第 ${attempt.number} 次嘗試`);
+
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    this.emit('started', job);
+
+    try {
+      const result = await this.processor(job.data, {
+        onProgress: (stage, progress) => this.updateStage(job.id, stage, progress),
+        signal: controller.signal,
+        jobId: job.id
+      });
+
+      job.status = JOB_STATUS.COMPLETED;
+      job.result = result;
+      this.updateStage(job.id, 'done');
+    } catch (error) {
+      if (this.checkpointed.has(job.id)) {
+        // 服務關閉時中斷，狀態已由 shutdown() 寫回佇列
+      } else if (controller.signal.aborted) {
+        job.status = JOB_STATUS.CANCELLED;
+        attempt.error = '任務已取消';
+        this.updateStage(job.id, 'cancelled');
+      } else {
+        job.status = JOB_STATUS.FAILED;
+        job.error = { message: error.message, stage: job.stage, at: new Date().toISOString() };
+        attempt.error = error.message;
+        this.updateStage(job.id, 'failed');
+      }
+    } finally {
+      this.controllers.delete(job.id);
+      if (!this.checkpointed.has(job.id)) {
+        this.finishAttempt(job, attempt);
+      }
+    }
+  }
+
+  /**
+   * 結束本次執行並通知監聽者
+   */
+  finishAttempt(job, attempt) {
+    attempt.finishedAt = new Date().toISOString();
+    job.finishedAt = attempt.finishedAt;
+    this.saveJobs();
+    logger.info(`任務結束 - Job ID: ${job.id}, Case ID: ${job.caseId}, 狀態: ${job.status}`);
+    this.emit('finished', job);
+  }
+
+  /**
+   * 取消任務
+   * 等待中的任務直接標記為 Cancelled；執行中的任務會中斷處理流程 (終止 Whisper / ffmpeg 子進程)
+   * @returns {{ job: object, wasRunning: boolean }|null} 找不到任務時回傳 null
+   * @throws {Error} 任務已結束時
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`任務已結束 (${job.status})，無法取消`);
+    }
+
+    const controller = this.controllers.get(jobId);
+    if (controller) {
+      logger.info(`取消執行中任務 - Job ID: ${job.id}, Case ID: ${job.caseId}`);
+      controller.abort(new JobCancelledError(job.id));
+      return { job, wasRunning: true };
+    }
+
+    logger.info(`取消等待中任務 - Job ID: ${job.id}, Case ID: ${job.caseId}`);
+    job.status = JOB_STATUS.CANCELLED;
+    job.finishedAt = new Date().toISOString();
+    this.updateStage(job.id, 'cancelled');
+    this.saveJobs();
+    this.emit('finished', job);
+
+    return { job, wasRunning: false };
+  }
+
+  /**
+   * 更新任務階段 (download, preprocess, chunk, notify ...)
+   * 只有階段改變時才寫入檔案，單純的進度更新 (下載百分比等) 僅通知監聽者
+   * @param {string} jobId
+   * @param {string} stage
+   * @param {object} [progress] 例如 { percent: 40 } 或 { current: 2, total: 4, status: 'started' }
+   */
+  updateStage(jobId, stage, progress = null) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    const now = new Date().toISOString();
+    const stageChanged = job.stage !== stage;
+    if (stageChanged) {
+      job.stageHistory.push({ stage, at: now });
+    }
+    job.stage = stage;
+    job.progress = progress;
+    job.updatedAt = now;
+    job.eta = this.estimateRemaining(job, Date.parse(now));
+
+    this.emit('progress', job);
+    if (stageChanged) {
+      this.saveJobs();
+    }
+  }
+
+  /**
+   * 估算剩餘時間
+   * - 下載階段：依已下載百分比推算下載剩餘時間
+   * - 轉錄階段：依已完成片段的平均耗時推算剩餘片段所需時間
+   * @returns {{ scope: string, seconds: number }|null}
+   */
+  estimateRemaining(job, nowMs) {
+    const { stage, progress } = job;
+    if (!progress) return null;
+
+    // 只看本次執行的階段紀錄
+    const lastStartIndex = job.stageHistory.map(entry => entry.stage).lastIndexOf('start');
+    const currentRun = job.stageHistory.slice(Math.max(0, lastStartIndex));
+
+    if (stage === 'download' && progress.percent > 0 && progress.percent < 100) {
+      const downloadEntry = currentRun.find(entry => entry.stage === 'download');
+      const elapsed = nowMs - Date.parse(downloadEntry.at);
+      return { scope: 'download', seconds: Math.round((elapsed * (100 - progress.percent) / progress.percent) / 1000) };
+    }
+
+    if (['preprocess', 'chunk'].includes(stage) && progress.total) {
+      const completed = progress.status === 'finished' ? progress.current : progress.current - 1;
+      const firstEntry = currentRun.find(entry => entry.stage === 'preprocess');
+      if (completed <= 0 || !firstEntry) return null;
+
+      const perChunk = (nowMs - Date.parse(firstEntry.at)) / completed;
+      return { scope: 'transcription', seconds: Math.round((perChunk * (progress.total - completed)) / 1000) };
+    }
+
+    return null;
+  }
+
+  /**
+   * 取得單一任務
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * 取得 caseId 等待中或執行中的任務
+   */
+  findActiveJob(caseId) {
+    return Array.from(this.jobs.values())
+      .find(job => job.caseId === caseId && !FINISHED_STATUSES.includes(job.status)) || null;
+  }
+
+  /**
+   * 取得 caseId 最近一次完成的任務
+   */
+  findCompletedJob(caseId) {
+    return this.listJobs({ caseId, status: JOB_STATUS.COMPLETED, limit: 1 })[0] || null;
+  }
+
+  /**
+   * 依 Idempotency-Key 取得最近的任務
+   */
+  findJobByIdempotencyKey(idempotencyKey) {
+    return Array.from(this.jobs.values()).reverse()
+      .find(job => job.idempotencyKey === idempotencyKey) || null;
+  }
+
+  /**
+   * 列出任務 (新到舊)
+   * @param {object} [filter] { status, caseId, limit }
+   */
+  listJobs(filter = {}) {
+    let jobs = Array.from(this.jobs.values()).reverse();
+
+    if (filter.status) {
+      jobs = jobs.filter(job => job.status === filter.status);
+    }
+    if (filter.caseId) {
+      jobs = jobs.filter(job => job.caseId === filter.caseId);
+    }
+
+    return jobs.slice(0, filter.limit || 50);
+  }
+
+  /**
+   * 取得等待中的任務 (先進先出)
+   */
+  getQueuedJobs() {
+    return Array.from(this.jobs.values())
+      .filter(job => job.status === JOB_STATUS.QUEUED && !this.running.has(job.id));
+  }
+
+  /**
+   * 佇列概況
+   */
+  getStats() {
+    return {
+      queued: this.getQueuedJobs().length,
+      running: this.running.size,
+      maxConcurrency: this.options.maxConcurrency,
+      total: this.jobs.size
+    };
+  }
+
+  /**
+   * 關閉佇列：停止派發新任務，等待執行中任務完成
+   * 超過 timeoutMs 仍未完成的任務會被寫回佇列，待下次啟動時恢復
+   * @param {object} [options] { timeoutMs }
+   * @returns {Promise<{ drained: string[], checkpointed: string[] }>}
+   */
+  async shutdown({ timeoutMs = 20000 } = {}) {
+    this.shuttingDown = true;
+
+    const runningIds = Array.from(this.running.keys());
+    if (runningIds.length === 0) {
+      this.saveJobs();
+      return { drained: [], checkpointed: [] };
+    }
+
+    logger.info(`等待 ${runningIds.length} 個執行中任務完成 (最長 ${timeoutMs / 1000} 秒)...`);
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(resolve, timeoutMs);
+    });
+    await Promise.race([Promise.allSettled(this.running.values()), timeout]);
+    clearTimeout(timer);
+
+    const checkpointed = [];
+    for (const jobId of this.running.keys()) {
+      const job = this.jobs.get(jobId);
+      const attempt = job.attempts[job.attempts.length - 1];
+      attempt.finishedAt = new Date().toISOString();
+      attempt.error = '服務關閉時中斷';
+      job.status = JOB_STATUS.QUEUED;
+      this.updateStage(job.id, 'interrupted');
+      checkpointed.push(job.id);
+
+      // 中斷處理流程，確保 Whisper / ffmpeg 子進程不會在服務結束後繼續執行
+      this.checkpointed.add(job.id);
+      const controller = this.controllers.get(job.id);
+      if (controller) {
+        controller.abort(new Error('服務關閉，任務已寫回佇列'));
+      }
+      logger.warn(`任務未完成，已寫回佇列 - Job ID: ${job.id}, Case ID: ${job.caseId}`);
+    }
+    this.saveJobs();
+
+    return {
+      drained: runningIds.filter(id => !checkpointed.includes(id)),
+      checkpointed
+    };
+  }
+
+  /**
+   * 移除過舊的已結束任務，避免佇列檔案無限成長
+   */
+  pruneFinishedJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => FINISHED_STATUSES.includes(job.status));
+    const excess = finished.length - this.options.maxFinishedJobs;
+
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+
+  /**
+   * 任務的完整結果
+   * 本次執行完成的任務保留在記憶體中；重啟後載入的任務只有摘要，以 loadResult 取回逐字稿等欄位
+   * @returns {object|null} 取不回時只有摘要
+   */
+  getResult(job) {
+    if (!job.result || !job.result.detached) return job.result;
+
+    const loaded = this.options.loadResult(job);
+    if (!loaded) return job.result;
+
+    const { detached, ...summary } = job.result;
+    const result = { ...summary };
+    for (const field of DETACHED_RESULT_FIELDS) {
+      result[field] = loaded[field];
+    }
+    return result;
+  }
+
+  /**
+   * 保存佇列 (先寫入暫存檔再改名，避免寫到一半時重啟造成檔案毀損)
+   * 任務結果只保存摘要，避免每次寫入都包含所有逐字稿
+   */
+  saveJobs() {
+    try {
+      const dir = path.dirname(this.options.storePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tempPath = `${this.options.storePath}.tmp`;
+      const jobs = Array.from(this.jobs.values()).map(job => ({ ...job, result: summarizeResult(job.result) }));
+      fs.writeFileSync(tempPath, JSON.stringify(jobs, null, 2));
+      fs.renameSync(tempPath, this.options.storePath);
+    } catch (error) {
+      logger.error(`保存任務佇列失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 載入佇列並恢復上次中斷的任務
+   */
+  loadJobs() {
+    try {
+      if (!fs.existsSync(this.options.storePath)) return;
+
+      const jobs = JSON.parse(fs.readFileSync(this.options.storePath, 'utf8'));
+      let recovered = 0;
+
+      for (const job of jobs) {
+        if (job.status === JOB_STATUS.PROCESSING) {
+          const attempt = job.attempts[job.attempts.length - 1];
+          if (attempt && !attempt.finishedAt) {
+            attempt.finishedAt = job.updatedAt;
+            attempt.error = '服務重啟時中斷';
+          }
+
+          if (job.attempts.length >= this.options.maxAttempts) {
+            job.status = JOB_STATUS.FAILED;
+            job.error = { message: `任務已中斷 ${job.attempts.length} 次，不再重試`, stage: job.stage, at: new Date().toISOString() };
+            job.finishedAt = job.error.at;
+            job.stage = 'failed';
+            logger.warn(`任務多次中斷，標記為失敗 - Job ID: ${job.id}, Case ID: ${job.caseId}`);
+          } else {
+            job.status = JOB_STATUS.QUEUED;
+            job.stage = 'recovered';
+            job.stageHistory.push({ stage: 'recovered', at: new Date().toISOString() });
+            recovered++;
+          }
+        }
+
+        this.jobs.set(job.id, job);
+      }
+
+      this.saveJobs();
+      logger.info(`任務佇列已載入: ${this.jobs.size} 筆，恢復 ${recovered} 個中斷任務，等待中 ${this.getQueuedJobs().length} 個`);
+    } catch (error) {
+      logger.error(`載入任務佇列失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 將任務轉換為 API 回應格式
+   * @param {object} job
+   * @param {object} [options] { includeResult, result }
+   *   result 預設為 job.result，重啟後載入的任務應傳入 getResult 取回的完整結果
+   */
+  static toJSON(job, options = {}) {
+    const { includeResult = true, result = job.result } = options;
+    const endedAt = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+    return {
+      jobId: job.id,
+      caseId: job.caseId,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      elapsedSec: job.startedAt ? Math.round((endedAt - Date.parse(job.startedAt)) / 1000) : 0,
+      eta: job.eta || null,
+      audioDurationSec: job.audioDurationSec || null,
+      stageHistory: job.stageHistory,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      ...(includeResult ? { result } : {})
+    };
+  }
+}
+
+/**
+ * 佇列檔案保存的結果摘要 (去掉逐字稿等大型欄位，標記 detached)
+ */
+function summarizeResult(result) {
+  if (!result || typeof result !== 'object' || result.detached) return result;
+
+  const summary = { ...result, detached: true };
+  for (const field of DETACHED_RESULT_FIELDS) {
+    delete summary[field];
+  }
+  return summary;
+}
+
+JobManager.JOB_STATUS = JOB_STATUS;
+JobManager.JobCancelledError = JobCancelledError;
+JobManager.IdempotencyKeyConflictError = IdempotencyKeyConflictError;
+
+module.exports = JobManager;
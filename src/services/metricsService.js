@@ -0,0 +1,134 @@
+const client = require('prom-client');
+
+// 獨立的 registry，避免與其他套件註冊的預設指標互相干擾
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const jobsTotal = new client.Counter({
+  name: 'transcription_jobs_total',
+  help: '結束的轉錄任務數 (依結果分類)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const stageDuration = new client.Histogram({
+  name: 'transcription_stage_duration_seconds',
+  help: '各處理階段耗時 (download / preprocess / whisper / diarize / notify)',
+  labelNames: ['stage'],
+  buckets: [0.1, 0.5, 1, 5, 10, 30, 60, 120, 300, 600, 1200, 1800, 3600],
+  registers: [register]
+});
+
+const audioSecondsTotal = new client.Counter({
+  name: 'transcription_audio_seconds_total',
+  help: '已轉錄的音檔總長度 (秒)',
+  registers: [register]
+});
+
+const audioDuration = new client.Histogram({
+  name: 'transcription_audio_duration_seconds',
+  help: '每個任務的音檔長度',
+  buckets: [60, 300, 600, 1200, 1800, 3600, 5400, 7200],
+  registers: [register]
+});
+
+const realtimeFactor = new client.Histogram({
+  name: 'transcription_realtime_factor',
+  help: '處理時間 / 音檔長度 (預處理 + Whisper)，小於 1 表示比即時快',
+  buckets: [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5],
+  registers: [register]
+});
+
+const chunksPerJob = new client.Histogram({
+  name: 'transcription_chunks_per_job',
+  help: '每個任務切分的音檔片段數',
+  buckets: [1, 2, 3, 4, 6, 8, 12],
+  registers: [register]
+});
+
+const webhookFailuresTotal = new client.Counter({
+  name: 'transcription_webhook_failures_total',
+  help: '通知 GAS 失敗次數 (webhook 為每次重試，fallback_sheets 為直接更新 Sheets 備援)',
+  labelNames: ['method'],
+  registers: [register]
+});
+
+// 預先建立所有標籤組合，讓 rate() 在第一次發生前也有 0 值可用
+['completed', 'failed', 'cancelled'].forEach(outcome => jobsTotal.inc({ outcome }, 0));
+['webhook', 'fallback_sheets'].forEach(method => webhookFailuresTotal.inc({ method }, 0));
+
+// 抓取指標時才讀取佇列即時狀態
+let boundJobManager = null;
+
+new client.Gauge({
+  name: 'transcription_jobs_in_flight',
+  help: '目前執行中的轉錄任務數',
+  registers: [register],
+  collect() {
+    if (boundJobManager) this.set(boundJobManager.getStats().running);
+  }
+});
+
+new client.Gauge({
+  name: 'transcription_jobs_queued',
+  help: '目前等待中的轉錄任務數',
+  registers: [register],
+  collect() {
+    if (boundJobManager) this.set(boundJobManager.getStats().queued);
+  }
+});
+
+/**
+ * 綁定任務佇列：任務結束時依結果累計
+ */
+function bindJobManager(jobManager) {
+  boundJobManager = jobManager;
+  jobManager.on('finished', (job) => {
+    jobsTotal.inc({ outcome: job.status.toLowerCase() });
+  });
+}
+
+/**
+ * 記錄處理階段耗時
+ * @param {string} stage download | preprocess | whisper | diarize | notify
+ * @param {number} seconds
+ */
+function observeStageDuration(stage, seconds) {
+  stageDuration.observe({ stage }, seconds);
+}
+
+/**
+ * 記錄一次成功轉錄的音檔統計
+ * @param {object} audioInfo getAudioInfo 的結果 (duration 為秒)
+ * @param {object} stats transcribeAudio 回傳的 { chunkCount, preprocessSec, whisperSec }
+ */
+function recordTranscription(audioInfo, stats) {
+  observeStageDuration('preprocess', stats.preprocessSec);
+  observeStageDuration('whisper', stats.whisperSec);
+  if (stats.diarizeSec !== undefined) {
+    observeStageDuration('diarize', stats.diarizeSec);
+  }
+  chunksPerJob.observe(stats.chunkCount);
+
+  if (audioInfo && audioInfo.duration > 0) {
+    audioSecondsTotal.inc(audioInfo.duration);
+    audioDuration.observe(audioInfo.duration);
+    realtimeFactor.observe((stats.preprocessSec + stats.whisperSec) / audioInfo.duration);
+  }
+}
+
+/**
+ * 記錄通知失敗
+ * @param {string} method webhook | fallback_sheets
+ */
+function recordWebhookFailure(method) {
+  webhookFailuresTotal.inc({ method });
+}
+
+module.exports = {
+  register,
+  bindJobManager,
+  observeStageDuration,
+  recordTranscription,
+  recordWebhookFailure
+};
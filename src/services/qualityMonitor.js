@@ -1,35 +1,24 @@
-const winston = require('winston');
+const { createLogger } = require('../logger');
 const fs = require('fs');
 const path = require('path');
+const { config } = require('../config');
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [new winston.transports.Console()]
-});
+const logger = createLogger('qualityMonitor');
 
-// 品質監控配置
-const QUALITY_THRESHOLDS = {
-  EXCELLENT: 90,
-  GOOD: 75,
-  ACCEPTABLE: 60,
-  POOR: 40,
-  FAIL: 25
-};
+// 品質等級分數門檻 (可由設定檔 quality.thresholds 調整)
+const QUALITY_THRESHOLDS = config.quality.thresholds;
+// 保留的歷史紀錄筆數
+const HISTORY_SIZE = config.quality.historySize;
 
-// 品質評估閾值
-const QUALITY_EVALUATION = {
-  minScore: 60,           // 最低可接受品質分數
-  minConfidence: 0.6,     // 最低可接受信心度
-  maxRepetition: 0.4,     // 最大可接受重複比例
-  minChinese: 0.5         // 最低中文字元比例
-};
+// CSV 匯出欄位
+const CSV_COLUMNS = ['timestamp', 'caseId', 'jobId', 'success', 'score', 'confidence', 'qualityLevel', 'processingMethod', 'issues', 'error'];
 
 class QualityMonitor {
-  constructor() {
+  /**
+   * @param {object} [options] { statsPath } 預設為設定 quality.statsPath
+   */
+  constructor(options = {}) {
+    this.statsPath = options.statsPath || config.quality.statsPath;
     this.stats = {
       totalTranscriptions: 0,
       successfulTranscriptions: 0,
@@ -45,52 +34,73 @@ class QualityMonitor {
   }
 
   /**
-   * 記錄轉錄結果
+   * 記錄轉錄結果 (成功與失敗都寫入歷史，成功時附上品質評估)
+   * @param {object} result { success, caseId, jobId, quality, processingMethod, error }
    */
   recordTranscription(result) {
     this.stats.totalTranscriptions++;
     
+    const entry = {
+      timestamp: new Date(),
+      caseId: result.caseId,
+      jobId: result.jobId || null,
+      success: Boolean(result.success),
+      processingMethod: result.processingMethod || null
+    };
+
     if (result.success) {
       this.stats.successfulTranscriptions++;
       this.stats.consecutiveFailures = 0;
       
       // 更新品質統計
       const quality = result.quality || { score: 0, confidence: 0.0 };
-      this.stats.qualityHistory.push({
-        timestamp: new Date(),
+      const evaluation = this.evaluateQuality({ score: 0, confidence: 0.0, ...quality });
+      Object.assign(entry, {
         score: quality.score || 0,
         confidence: quality.confidence || 0.0,
-        caseId: result.caseId
+        qualityLevel: this.getQualityLevel(quality.score || 0),
+        issues: evaluation.issues,
+        overallQuality: evaluation.overallQuality
       });
       
-      // 保持最近100次記錄
-      if (this.stats.qualityHistory.length > 100) {
-        this.stats.qualityHistory.shift();
-      }
-      
-      // 更新平均值
-      this.updateAverages();
-      
       logger.info(`轉錄成功記錄 - Case ID: ${result.caseId}, 品質: ${quality.score || 0}/100`);
       
     } else {
       this.stats.failedTranscriptions++;
       this.stats.consecutiveFailures++;
       this.stats.lastFailureTime = new Date();
+      entry.error = result.error;
       
       logger.error(`轉錄失敗記錄 - Case ID: ${result.caseId}, 錯誤: ${result.error}`);
     }
+
+    this.stats.qualityHistory.push(entry);
+    // 保持最近 QUALITY_HISTORY_SIZE 次記錄
+    if (this.stats.qualityHistory.length > HISTORY_SIZE) {
+      this.stats.qualityHistory.splice(0, this.stats.qualityHistory.length - HISTORY_SIZE);
+    }
+
+    if (result.success) {
+      // 更新平均值
+      this.updateAverages();
+    }
     
     this.saveStats();
   }
 
+  /**
+   * 成功的轉錄紀錄 (舊版紀錄沒有 success 欄位，皆為成功)
+   */
+  successfulHistory() {
+    return this.stats.qualityHistory.filter(item => item.success !== false);
+  }
+
   /**
    * 更新平均值
    */
   updateAverages() {
-    if (this.stats.qualityHistory.length === 0) return;
-    
-    const recent = this.stats.qualityHistory.slice(-20); // 最近20次
+    const recent = this.successfulHistory().slice(-20); // 最近20次
+    if (recent.length === 0) return;
     
     this.stats.averageQuality = recent.reduce((sum, item) => sum + item.score, 0) / recent.length;
     this.stats.averageConfidence = recent.reduce((sum, item) => sum + item.confidence, 0) / recent.length;
@@ -103,22 +113,22 @@ class QualityMonitor {
     const issues = [];
     
     // 檢查品質分數
-    if (quality.score < 60) {
+    if (quality.score < config.quality.minScore) {
       issues.push(`品質分數較低: ${quality.score}/100`);
     }
     
     // 檢查信心度
-    if (quality.confidence < 0.6) {
+    if (quality.confidence < config.quality.minConfidence) {
       issues.push(`信心度較低: ${quality.confidence.toFixed(2)}`);
     }
     
     // 檢查重複內容
-    if (quality.repetitionRatio > 0.4) {
+    if (quality.repetitionRatio > config.quality.maxRepetitionRatio) {
       issues.push(`重複內容偏多: ${(quality.repetitionRatio * 100).toFixed(1)}%`);
     }
     
     // 檢查中文字元比例
-    if (quality.chineseRatio < 0.5) {
+    if (quality.chineseRatio < config.quality.minChineseRatio) {
       issues.push(`中文字元偏少: ${(quality.chineseRatio * 100).toFixed(1)}%`);
     }
     
@@ -139,10 +149,10 @@ class QualityMonitor {
    * 獲取品質等級
    */
   getQualityLevel(score) {
-    if (score >= QUALITY_THRESHOLDS.EXCELLENT) return 'EXCELLENT';
-    if (score >= QUALITY_THRESHOLDS.GOOD) return 'GOOD';
-    if (score >= QUALITY_THRESHOLDS.ACCEPTABLE) return 'ACCEPTABLE';
-    if (score >= QUALITY_THRESHOLDS.POOR) return 'POOR';
+    if (score >= QUALITY_THRESHOLDS.excellent) return 'EXCELLENT';
+    if (score >= QUALITY_THRESHOLDS.good) return 'GOOD';
+    if (score >= QUALITY_THRESHOLDS.acceptable) return 'ACCEPTABLE';
+    if (score >= QUALITY_THRESHOLDS.poor) return 'POOR';
     return 'FAIL';
   }
 
@@ -154,7 +164,7 @@ class QualityMonitor {
       ? (this.stats.successfulTranscriptions / this.stats.totalTranscriptions) * 100 
       : 0;
     
-    const recentQuality = this.stats.qualityHistory.slice(-10);
+    const recentQuality = this.successfulHistory().slice(-10);
     const qualityTrend = this.calculateTrend(recentQuality.map(q => q.score));
     
     return {
@@ -181,6 +191,66 @@ class QualityMonitor {
     };
   }
 
+  /**
+   * 查詢歷史紀錄 (舊到新)
+   * @param {object} [filter] { from, to, caseId, success, limit }
+   *   from / to 為 Date (to 不含)，limit 只保留最新的幾筆
+   * @returns {object[]}
+   */
+  getHistory(filter = {}) {
+    const { from, to, caseId, success, limit } = filter;
+
+    const matched = this.stats.qualityHistory.filter(item => {
+      const timestamp = item.timestamp.getTime();
+      if (from && timestamp < from.getTime()) return false;
+      if (to && timestamp >= to.getTime()) return false;
+      if (caseId && item.caseId !== caseId) return false;
+      if (success !== undefined && (item.success !== false) !== success) return false;
+      return true;
+    });
+
+    return limit ? matched.slice(-limit) : matched;
+  }
+
+  /**
+   * 單一 caseId 的品質紀錄：最近一次的評估與所有嘗試
+   * @returns {object|null}
+   */
+  getCaseRecord(caseId) {
+    const attempts = this.getHistory({ caseId });
+    if (attempts.length === 0) return null;
+
+    const latest = attempts[attempts.length - 1];
+    return {
+      caseId,
+      latest,
+      // 舊版紀錄沒有保存評估結果，以分數與信心度重新評估
+      evaluation: latest.success === false
+        ? null
+        : latest.issues
+          ? { hasIssues: latest.issues.length > 0, issues: latest.issues, overallQuality: latest.overallQuality }
+          : this.evaluateQuality({ score: latest.score, confidence: latest.confidence }),
+      attempts
+    };
+  }
+
+  /**
+   * 將歷史紀錄轉為 CSV (UTF-8 BOM，Excel 可直接開啟中文)
+   * @param {object[]} entries getHistory 的結果
+   * @returns {string}
+   */
+  toCsv(entries) {
+    const rows = entries.map(item => CSV_COLUMNS.map(column => {
+      const value = item[column];
+      if (column === 'timestamp') return value.toISOString();
+      if (column === 'success') return value === false ? 'false' : 'true';
+      if (Array.isArray(value)) return csvCell(value.join('; '));
+      return value === undefined || value === null ? '' : csvCell(String(value));
+    }).join(','));
+
+    return '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
   /**
    * 計算趨勢
    */
@@ -228,14 +298,13 @@ class QualityMonitor {
    */
   saveStats() {
     try {
-      const statsPath = path.join(__dirname, '../../data/quality-stats.json');
-      const dir = path.dirname(statsPath);
+      const dir = path.dirname(this.statsPath);
       
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
       
-      fs.writeFileSync(statsPath, JSON.stringify(this.stats, null, 2));
+      fs.writeFileSync(this.statsPath, JSON.stringify(this.stats, null, 2));
     } catch (error) {
       logger.error(`保存統計資料失敗: ${error.message}`);
     }
@@ -246,10 +315,8 @@ class QualityMonitor {
    */
   loadStats() {
     try {
-      const statsPath = path.join(__dirname, '../../data/quality-stats.json');
-      
-      if (fs.existsSync(statsPath)) {
-        const data = fs.readFileSync(statsPath, 'utf8');
+      if (fs.existsSync(this.statsPath)) {
+        const data = fs.readFileSync(this.statsPath, 'utf8');
         this.stats = { ...this.stats, ...JSON.parse(data) };
         
         // 轉換日期字串回 Date 物件
@@ -290,4 +357,12 @@ class QualityMonitor {
   }
 }
 
+/**
+ * CSV 欄位跳脫；以 = + - @ 開頭的值加上 ' 避免被試算表當成公式
+ */
+function csvCell(value) {
+  const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
 module.exports = QualityMonitor;
\ No newline at end of file
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const { config } = require('../config');
+
+/**
+ * 就緒檢查：轉錄所需的外部程式、轉錄後端 (模組、模型或 API)、暫存空間及服務帳戶憑證
+ * GET /ready 與 health-check 腳本共用 (此模組不使用 logger，腳本執行時不會寫入日誌檔)
+ */
+
+// 與 whisper 套件相同的模型快取位置，回傳 JSON: { python, version, modelPath, cached }
+const WHISPER_PROBE_SCRIPT = `
+import json, os, platform, sys
+import whisper
+url = whisper._MODELS.get(sys.argv[1])
+root = os.path.join(os.getenv("XDG_CACHE_HOME", os.path.join(os.path.expanduser("~"), ".cache")), "whisper")
+model_path = os.path.join(root, os.path.basename(url)) if url else None
+print(json.dumps({"python": platform.python_version(), "version": getattr(whisper, "__version__", None), "modelPath": model_path, "cached": bool(model_path and os.path.isfile(model_path))}))
+`;
+
+// faster-whisper 的模型存於 Hugging Face 快取，只查本機不下載
+const FASTER_WHISPER_PROBE_SCRIPT = `
+import json, platform, sys
+import faster_whisper
+from faster_whisper.utils import download_model
+try:
+    model_path = download_model(sys.argv[1], local_files_only=True)
+except Exception:
+    model_path = None
+print(json.dumps({"python": platform.python_version(), "version": getattr(faster_whisper, "__version__", None), "modelPath": model_path, "cached": bool(model_path)}))
+`;
+
+/**
+ * 執行外部程式，逾時或結束碼非 0 時拋出錯誤
+ */
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: config.readiness.checkTimeoutMs }, (error, stdout, stderr) => {
+      if (error) {
+        const reason = error.code === 'ENOENT'
+          ? `找不到 ${command}`
+          : error.killed ? `${command} 執行逾時` : (stderr.trim().split('\n').pop() || error.message);
+        return reject(new Error(reason));
+      }
+      resolve(stdout.trim());
+    });
+  });
+}
+
+async function checkBinary(command) {
+  const output = await run(command, ['-version']);
+  return output.split('\n')[0];
+}
+
+/**
+ * 執行 Python 模組檢查腳本，模型未下載時拋出錯誤
+ */
+async function probePythonModule(moduleName, script, model) {
+  let probe;
+  try {
+    probe = JSON.parse(await run('python3', ['-c', script, model]));
+  } catch (error) {
+    throw new Error(`無法載入 ${moduleName} 模組: ${error.message}`);
+  }
+  if (!probe.cached) {
+    throw new Error(`模型 ${model} 尚未下載${probe.modelPath ? ` (${probe.modelPath})` : ''}`);
+  }
+  const moduleVersion = probe.version ? `${moduleName} ${probe.version}` : moduleName;
+  return `Python ${probe.python}，${moduleVersion}，模型 ${model}: ${probe.modelPath}`;
+}
+
+async function checkWhisperCpp(model) {
+  const { binary, modelDir } = config.whisperCpp;
+  const modelPath = path.join(modelDir, `ggml-${model}.bin`);
+  if (!fs.existsSync(modelPath)) {
+    throw new Error(`模型 ${model} 尚未下載 (${modelPath})`);
+  }
+  await run(binary, ['--help']);
+  return `${binary}，模型 ${model}: ${modelPath}`;
+}
+
+async function checkOpenAIApi() {
+  const { baseUrl, apiKey, model } = config.openaiApi;
+  try {
+    await axios.get(`${baseUrl.replace(/\/+$/, '')}/models`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      timeout: config.readiness.checkTimeoutMs
+    });
+  } catch (error) {
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    throw new Error(`${baseUrl} 無法使用: ${reason}`);
+  }
+  return `${baseUrl}，模型 ${model}`;
+}
+
+// 各轉錄後端的檢查 (transcriptionBackends 的 health() 也使用)
+const BACKEND_CHECKS = {
+  'openai-whisper': model => probePythonModule('whisper', WHISPER_PROBE_SCRIPT, model),
+  'faster-whisper': model => probePythonModule('faster-whisper', FASTER_WHISPER_PROBE_SCRIPT, model),
+  'whisper-cpp': checkWhisperCpp,
+  'openai-api': checkOpenAIApi
+};
+
+/**
+ * 檢查轉錄後端能否使用 (預設模型)
+ * @param {string} [name] 後端名稱，預設為 TRANSCRIPTION_BACKEND
+ * @returns {Promise<string>} 說明文字
+ */
+function checkBackend(name = config.transcription.backend) {
+  return BACKEND_CHECKS[name](config.whisper.model);
+}
+
+/**
+ * 就緒檢查只檢查預設的後端，說明加上後端名稱
+ */
+async function checkDefaultBackend() {
+  const name = config.transcription.backend;
+  try {
+    return `${name}: ${await checkBackend(name)}`;
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+}
+
+async function checkDiskSpace() {
+  const dir = os.tmpdir();
+  const stats = await fs.promises.statfs(dir);
+  const freeMB = Math.floor((stats.bavail * stats.bsize) / (1024 * 1024));
+  const message = `${dir} 可用 ${freeMB} MB`;
+  if (freeMB < config.readiness.minFreeDiskMB) {
+    throw new Error(`${message}，低於 ${config.readiness.minFreeDiskMB} MB`);
+  }
+  return message;
+}
+
+async function checkCredentials() {
+  const key = config.google.serviceAccountKey;
+  if (!key) {
+    throw new Error('GOOGLE_SERVICE_ACCOUNT_KEY 未設置');
+  }
+  try {
+    crypto.createPrivateKey(key.private_key);
+  } catch (error) {
+    throw new Error(`服務帳戶私鑰無法解析: ${error.message}`);
+  }
+  return key.client_email;
+}
+
+// 檢查項目 (依序顯示)
+const CHECKS = [
+  { name: 'ffmpeg', run: () => checkBinary('ffmpeg') },
+  { name: 'ffprobe', run: () => checkBinary('ffprobe') },
+  { name: 'backend', run: checkDefaultBackend },
+  { name: 'diskSpace', run: checkDiskSpace },
+  { name: 'credentials', run: checkCredentials }
+];
+
+/**
+ * 執行所有檢查 (並行)，每項回傳狀態、耗時與說明
+ * @returns {Promise<{ ready: boolean, checkedAt: string, checks: object[] }>}
+ */
+async function runReadinessChecks() {
+  const checks = await Promise.all(CHECKS.map(async (check) => {
+    const startedAt = Date.now();
+    try {
+      const message = await check.run();
+      return { name: check.name, status: 'pass', latencyMs: Date.now() - startedAt, message };
+    } catch (error) {
+      return { name: check.name, status: 'fail', latencyMs: Date.now() - startedAt, message: error.message };
+    }
+  }));
+
+  return {
+    ready: checks.every(check => check.status === 'pass'),
+    checkedAt: new Date().toISOString(),
+    checks
+  };
+}
+
+// 探針頻繁呼叫，短時間內沿用上次結果 (載入 whisper 模組需要數秒)
+let cached = null;
+let pending = null;
+
+/**
+ * 取得就緒狀態 (READY_CACHE_TTL_MS 內沿用上次結果，同時間的請求共用同一次檢查)
+ */
+async function getReadiness() {
+  if (cached && Date.now() - Date.parse(cached.checkedAt) < config.readiness.cacheTtlMs) {
+    return cached;
+  }
+  if (!pending) {
+    pending = runReadinessChecks()
+      .then(result => {
+        cached = result;
+        return result;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+}
+
+module.exports = {
+  runReadinessChecks,
+  checkBackend,
+  getReadiness
+};
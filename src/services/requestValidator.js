@@ -0,0 +1,189 @@
+const Ajv = require('ajv');
+const localize = require('ajv-i18n/localize/zh-TW');
+
+/**
+ * 請求不符合 API 規格
+ * details 為 [{ field, message }]，field 例如 body.source.type、query.limit
+ */
+class ValidationError extends Error {
+  constructor(details) {
+    super('請求參數驗證失敗');
+    this.name = 'ValidationError';
+    this.statusCode = 400;
+    this.details = details;
+  }
+}
+
+const SPEC_ID = 'openapi.json';
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * 將 ajv 錯誤轉換為 { field, message }
+ * @param {string} location body / query / path / header
+ */
+function formatErrors(errors, location) {
+  localize(errors);
+
+  // anyOf 的每個選項都只是缺少欄位時 (例如 fileId 或 source)，合併為一筆說明
+  const merged = new Map();
+  for (const error of errors.filter(entry => entry.keyword === 'anyOf')) {
+    const branches = errors.filter(entry => entry.schemaPath.startsWith(`${error.schemaPath}/`));
+    if (branches.length > 0 && branches.every(entry => entry.keyword === 'required')) {
+      merged.set(error, branches);
+    }
+  }
+  const skipped = new Set([...merged.values()].flat());
+
+  return errors.filter(error => !skipped.has(error)).map(error => {
+    if (merged.has(error)) {
+      const missing = merged.get(error).map(entry => entry.params.missingProperty);
+      return {
+        field: [location, ...error.instancePath.split('/').filter(Boolean)].join('.'),
+        message: `必須提供 ${missing.join(' 或 ')}`
+      };
+    }
+
+    const segments = error.instancePath.split('/').filter(Boolean);
+    if (error.keyword === 'required') {
+      segments.push(error.params.missingProperty);
+    }
+    if (error.keyword === 'additionalProperties') {
+      segments.push(error.params.additionalProperty);
+    }
+
+    const message = error.keyword === 'enum'
+      ? `${error.message} (可用值: ${error.params.allowedValues.join(', ')})`
+      : error.message;
+
+    return {
+      field: [location, ...segments].join('.'),
+      message
+    };
+  });
+}
+
+/**
+ * 將 parameters 轉換為單一物件 schema (query / path / header 各一個)
+ */
+function buildParameterSchema(parameters, location) {
+  const matched = parameters.filter(param => param.in === location);
+  if (matched.length === 0) return null;
+
+  // HTTP 標頭名稱不分大小寫，Node 會轉成小寫
+  const nameOf = (param) => (location === 'header' ? param.name.toLowerCase() : param.name);
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(matched.map(param => [nameOf(param), param.schema])),
+    required: matched.filter(param => param.required).map(nameOf)
+  };
+}
+
+/**
+ * 依 API 規格建立請求驗證器
+ * @param {object} spec OpenAPI 3 文件
+ * @returns {Function} (operationId) => express 中介軟體，驗證失敗時以 ValidationError 交給錯誤處理中介軟體
+ */
+function createRequestValidator(spec) {
+  const formats = { binary: true, 'date-time': true };
+  // 請求內容保持原始型別；查詢參數與路徑參數都是字串，需要轉型並套用預設值
+  const bodyAjv = new Ajv({ allErrors: true, strict: false, formats });
+  const parameterAjv = new Ajv({ allErrors: true, strict: false, formats, coerceTypes: true, useDefaults: true });
+  bodyAjv.addSchema(spec, SPEC_ID);
+
+  const operations = new Map();
+
+  for (const pathItem of Object.values(spec.paths)) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const parameters = operation.parameters || [];
+      const validators = {};
+
+      for (const location of ['path', 'query', 'header']) {
+        const schema = buildParameterSchema(parameters, location);
+        if (schema) validators[location] = parameterAjv.compile(schema);
+      }
+
+      const content = operation.requestBody && operation.requestBody.content;
+      if (content && content['application/json']) {
+        const schema = content['application/json'].schema;
+        // 參照 components 的 schema 需以本文件為基準解析，內嵌的 schema 直接編譯
+        validators.json = bodyAjv.compile(schema.$ref ? { $ref: `${SPEC_ID}${schema.$ref}` } : schema);
+        validators.bodyRequired = Boolean(operation.requestBody.required);
+      }
+      if (content && content['multipart/form-data']) {
+        const schema = resolveSchema(spec, content['multipart/form-data'].schema);
+        // 檔案欄位由 multer 放在 req.file，其餘欄位在 req.body
+        const fileFields = Object.keys(schema.properties).filter(name => schema.properties[name].format === 'binary');
+        validators.fileFields = fileFields.filter(name => (schema.required || []).includes(name));
+        validators.form = bodyAjv.compile({
+          ...schema,
+          properties: Object.fromEntries(Object.entries(schema.properties).filter(([name]) => !fileFields.includes(name))),
+          required: (schema.required || []).filter(name => !fileFields.includes(name))
+        });
+      }
+
+      operations.set(operation.operationId, validators);
+    }
+  }
+
+  return (operationId) => {
+    const validators = operations.get(operationId);
+    if (!validators) {
+      throw new Error(`API 規格中找不到 operationId: ${operationId}`);
+    }
+
+    return (req, res, next) => {
+      const details = [];
+      const check = (validate, data, location) => {
+        if (validate && !validate(data)) {
+          details.push(...formatErrors(validate.errors, location));
+        }
+      };
+
+      check(validators.path, req.params, 'path');
+      check(validators.query, req.query, 'query');
+      check(validators.header, req.headers, 'header');
+
+      if (validators.json) {
+        const hasBody = req.body && Object.keys(req.body).length > 0;
+        if (hasBody || validators.bodyRequired) {
+          check(validators.json, req.body || {}, 'body');
+        }
+      }
+
+      if (validators.form) {
+        for (const field of validators.fileFields) {
+          if (!req.file || req.file.fieldname !== field) {
+            details.push({ field: `body.${field}`, message: '缺少上傳檔案' });
+          }
+        }
+        check(validators.form, { ...req.body }, 'body');
+      }
+
+      if (details.length > 0) {
+        return next(new ValidationError(details));
+      }
+      next();
+    };
+  };
+}
+
+/**
+ * 取得 $ref 指向的 schema (僅支援本文件內的 #/components/schemas/...)
+ */
+function resolveSchema(spec, schema) {
+  if (!schema.$ref) return schema;
+  return schema.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node[key], spec);
+}
+
+module.exports = {
+  createRequestValidator,
+  formatErrors,
+  ValidationError
+};
@@ -0,0 +1,108 @@
+/**
+ * 將帶時間戳的片段轉為字幕與匯出格式
+ * 片段格式: { start, end, text, speaker? }，時間為秒 (已加上分塊的起始時間)
+ */
+
+// 支援的輸出格式
+const OUTPUT_FORMATS = ['srt', 'vtt', 'text', 'json'];
+
+// 匯出時的 Content-Type 與副檔名
+const FORMAT_FILES = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * 秒數轉為 HH:MM:SS + 毫秒 (SRT 以逗號分隔毫秒，WebVTT 以句點)
+ */
+function formatTimestamp(seconds, separator = '.', withMillis = true) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  const time = `${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
+  return withMillis ? `${time}${separator}${pad(totalMs % 1000, 3)}` : time;
+}
+
+/**
+ * 片段的說話者名稱 (未進行說話者分離時為 null)
+ */
+function speakerLabel(segment, labels) {
+  if (!segment.speaker) return null;
+  return labels[segment.speaker] || segment.speaker;
+}
+
+function toSrt(segments, labels) {
+  return segments
+    .map((segment, index) => {
+      const speaker = speakerLabel(segment, labels);
+      const text = speaker ? `${speaker}：${segment.text}` : segment.text;
+      return `${index + 1}\n${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}\n${text}\n`;
+    })
+    .join('\n');
+}
+
+function toVtt(segments, labels) {
+  const cues = segments
+    .map(segment => {
+      // WebVTT 以 voice 標籤標示說話者
+      const speaker = speakerLabel(segment, labels);
+      const text = speaker ? `<v ${speaker}>${segment.text}` : segment.text;
+      return `${formatTimestamp(segment.start)} --> ${formatTimestamp(segment.end)}\n${text}\n`;
+    })
+    .join('\n');
+  return `WEBVTT\n\n${cues}`;
+}
+
+function toText(segments, labels) {
+  return segments
+    .map(segment => {
+      const speaker = speakerLabel(segment, labels);
+      const time = `[${formatTimestamp(segment.start, '.', false)} - ${formatTimestamp(segment.end, '.', false)}]`;
+      return speaker ? `${time} ${speaker}：${segment.text}` : `${time} ${segment.text}`;
+    })
+    .join('\n');
+}
+
+/**
+ * 轉為指定格式
+ * @param {object[]} segments
+ * @param {string} format srt / vtt / text / json (json 回傳物件，其他回傳字串)
+ * @param {object[]} [speakers] 說話者分離的結果，用於顯示名稱 (業務、客戶 ...)
+ */
+function formatSegments(segments, format, speakers = []) {
+  const labels = Object.fromEntries(speakers.map(speaker => [speaker.id, speaker.label]));
+  switch (format) {
+    case 'srt':
+      return toSrt(segments, labels);
+    case 'vtt':
+      return toVtt(segments, labels);
+    case 'text':
+      return toText(segments, labels);
+    case 'json':
+      return speakers.length > 0 ? { speakers, segments } : { segments };
+    default:
+      throw new Error(`不支援的輸出格式: ${format}`);
+  }
+}
+
+/**
+ * 依請求的格式產生輸出 (options.outputFormats)
+ * @returns {object|null} { srt, vtt, ... }，未指定格式時為 null
+ */
+function buildOutputs(segments, formats = [], speakers = []) {
+  if (formats.length === 0) return null;
+  return Object.fromEntries(formats.map(format => [format, formatSegments(segments, format, speakers)]));
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  FORMAT_FILES,
+  formatSegments,
+  buildOutputs,
+  formatTimestamp
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+const { config } = require('../config');
+
+const logger = createLogger('transcriptStore');
+
+/**
+ * 轉錄結果保存
+ * 每個 caseId 存成一個 JSON 檔 (重新轉錄時覆寫)，下游分析可直接查詢而不需讀取 Google Sheets
+ * 列表查詢使用記憶體中的摘要索引 (不含逐字稿)，啟動時由檔案重建
+ */
+class TranscriptStore {
+  constructor(dir = config.transcripts.dir) {
+    this.dir = dir;
+    this.index = new Map(); // caseId -> 摘要
+    this.loadIndex();
+  }
+
+  /**
+   * 保存轉錄結果
+   * @param {object} record { caseId, jobId, transcript, quality, qualityLevel, audioInfo, options, processingMethod, timings, source }
+   * @returns {object} 保存的紀錄
+   */
+  save(record) {
+    const previous = this.index.get(record.caseId);
+    const entry = {
+      ...record,
+      createdAt: previous ? previous.createdAt : record.timings.finishedAt,
+      updatedAt: new Date().toISOString(),
+      revision: previous ? previous.revision + 1 : 1
+    };
+
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const filePath = this.filePath(entry.caseId);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entry, null, 2));
+    fs.renameSync(tempPath, filePath);
+
+    this.index.set(entry.caseId, summarize(entry));
+    logger.info(`轉錄結果已保存 - Case ID: ${entry.caseId}, 版本: ${entry.revision}`);
+    return entry;
+  }
+
+  /**
+   * 取得單一 caseId 的完整結果
+   */
+  get(caseId) {
+    if (!this.index.has(caseId)) return null;
+    return this.read(this.filePath(caseId));
+  }
+
+  /**
+   * 依條件查詢摘要 (新到舊)
+   * @param {object} [filter] { from, to, qualityLevel, processingMethod, page, pageSize }
+   *   from / to 為 Date，比對轉錄完成時間 (to 不含)
+   * @returns {{ total: number, page: number, pageSize: number, totalPages: number, items: object[] }}
+   */
+  list(filter = {}) {
+    const { from, to, qualityLevel, processingMethod, page = 1, pageSize = 20 } = filter;
+
+    const matched = Array.from(this.index.values())
+      .filter(entry => {
+        const completedAt = Date.parse(entry.completedAt);
+        if (from && completedAt < from.getTime()) return false;
+        if (to && completedAt >= to.getTime()) return false;
+        if (qualityLevel && entry.qualityLevel !== qualityLevel) return false;
+        if (processingMethod && entry.processingMethod !== processingMethod) return false;
+        return true;
+      })
+      .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+
+    return {
+      total: matched.length,
+      page,
+      pageSize,
+      totalPages: Math.ceil(matched.length / pageSize),
+      items: matched.slice((page - 1) * pageSize, page * pageSize)
+    };
+  }
+
+  /**
+   * 數量 (用於健康檢查)
+   */
+  count() {
+    return this.index.size;
+  }
+
+  /**
+   * caseId 可能包含任意字元，編碼後作為檔名
+   */
+  filePath(caseId) {
+    return path.join(this.dir, `${encodeURIComponent(caseId)}.json`);
+  }
+
+  read(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.error(`讀取轉錄結果失敗 (${filePath}): ${error.message}`);
+      return null;
+    }
+  }
+
+  loadIndex() {
+    if (!fs.existsSync(this.dir)) return;
+
+    for (const name of fs.readdirSync(this.dir).filter(file => file.endsWith('.json'))) {
+      const entry = this.read(path.join(this.dir, name));
+      if (entry) {
+        this.index.set(entry.caseId, summarize(entry));
+      }
+    }
+    logger.info(`轉錄結果索引已載入: ${this.index.size} 筆`);
+  }
+}
+
+/**
+ * 列表使用的摘要 (不含逐字稿)
+ */
+function summarize(entry) {
+  return {
+    caseId: entry.caseId,
+    jobId: entry.jobId,
+    completedAt: entry.timings.finishedAt,
+    qualityLevel: entry.qualityLevel,
+    qualityScore: entry.quality ? entry.quality.score : null,
+    processingMethod: entry.processingMethod,
+    model: entry.options ? entry.options.model : null,
+    language: entry.options ? entry.options.language : null,
+    audioDurationSec: entry.audioInfo ? entry.audioInfo.duration : null,
+    transcriptLength: entry.transcript ? entry.transcript.length : 0,
+    processingSec: entry.timings.totalSec,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+    revision: entry.revision
+  };
+}
+
+module.exports = TranscriptStore;
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const { createLogger } = require('../logger');
+const { WhisperWorkerPool } = require('./whisperWorker');
+const { checkBackend } = require('./readinessService');
+const { config, WHISPER_MODELS, TRANSCRIPTION_BACKENDS } = require('../config');
+
+const logger = createLogger('transcriptionBackends');
+
+/**
+ * 轉錄後端
+ * 每個後端提供相同的介面，transcriptionService 不需要知道實際由誰轉錄：
+ * - name: 後端名稱 (記錄在任務結果的 processingMethod)
+ * - transcribe(audioPath, options, { signal }): 轉錄一個音檔，回傳 { text, language, segments: [{ start, end, text }], quality? }，失敗時拋出錯誤
+ *   options 為 toWorkerOptions 的格式 { model, language, initialPrompt, temperature, beamSize }
+ * - resolveModel(options): 實際使用的模型
+ * - capabilities(): { name, local, models, audioFormat, options: { initialPrompt, temperature, beamSize }, maxFileSizeMB }
+ * - health(): 能否使用 (與 GET /ready 相同的檢查)，回傳說明文字，無法使用時拋出錯誤
+ * - getStats() / shutdown()
+ */
+
+/**
+ * 常駐 Python 程序的後端 (openai-whisper、faster-whisper)，每個引擎各自一個程序池
+ */
+class WhisperWorkerBackend {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.pool = new WhisperWorkerPool({
+      size: config.jobs.concurrency,
+      engine: name,
+      env: options.env,
+      requestTimeoutMs: config.whisper.processTimeoutMs,
+      maxMemoryMB: config.whisper.workerMaxMemoryMB,
+      pingIntervalMs: config.whisper.workerPingIntervalMs,
+      pingTimeoutMs: config.whisper.workerPingTimeoutMs
+    });
+  }
+
+  async transcribe(audioPath, options, { signal } = {}) {
+    const result = await this.pool.transcribe(audioPath, options, { signal });
+    // 程序內的轉錄錯誤 (例如模型無法載入) 放在結果中回傳，不是協定錯誤
+    if (result.success === false) {
+      throw new Error(`Transcription failed: ${result.error}`);
+    }
+    return result;
+  }
+
+  resolveModel(options) {
+    return options.model;
+  }
+
+  capabilities() {
+    return {
+      name: this.name,
+      local: true,
+      models: WHISPER_MODELS,
+      audioFormat: 'mp3',
+      options: { initialPrompt: true, temperature: true, beamSize: true },
+      maxFileSizeMB: null
+    };
+  }
+
+  health() {
+    return checkBackend(this.name);
+  }
+
+  getStats() {
+    return this.pool.getStats();
+  }
+
+  shutdown() {
+    return this.pool.shutdown();
+  }
+}
+
+/**
+ * whisper.cpp 執行檔 (whisper-cli)，每個音檔執行一次，輸出 JSON 後讀取
+ * 只接受 16 kHz WAV，模型為 WHISPER_CPP_MODEL_DIR 下的 ggml-<模型>.bin
+ */
+class WhisperCppBackend {
+  constructor() {
+    this.name = 'whisper-cpp';
+    this.counters = { transcribed: 0, failed: 0 };
+  }
+
+  async transcribe(audioPath, options, { signal } = {}) {
+    const { binary, modelDir, threads } = config.whisperCpp;
+    const outputBase = `${audioPath.replace(/\.[^.]+$/, '')}_whisper_cpp`;
+    const args = [
+      '-m', path.join(modelDir, `ggml-${options.model}.bin`),
+      '-f', audioPath,
+      '-l', options.language,
+      '-t', String(threads),
+      '-oj', '-of', outputBase, '-np'
+    ];
+    if (options.initialPrompt) args.push('--prompt', options.initialPrompt);
+    if (options.temperature !== null) args.push('-tp', String(options.temperature));
+    if (options.beamSize) args.push('-bs', String(options.beamSize));
+
+    let output;
+    try {
+      await runFile(binary, args, { signal, timeout: config.whisper.processTimeoutMs });
+      output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+    } catch (error) {
+      this.counters.failed++;
+      if (signal && signal.aborted) throw signal.reason;
+      throw new Error(`whisper.cpp 轉錄失敗: ${error.message}`);
+    } finally {
+      fs.rmSync(`${outputBase}.json`, { force: true });
+    }
+
+    // offsets 為毫秒
+    const segments = (output.transcription || [])
+      .map(item => ({ start: item.offsets.from / 1000, end: item.offsets.to / 1000, text: item.text.trim() }))
+      .filter(segment => segment.text);
+    this.counters.transcribed++;
+    return {
+      text: segments.map(segment => segment.text).join('').trim(),
+      language: (output.result && output.result.language) || options.language,
+      segments
+    };
+  }
+
+  resolveModel(options) {
+    return options.model;
+  }
+
+  capabilities() {
+    return {
+      name: this.name,
+      local: true,
+      models: WHISPER_MODELS,
+      audioFormat: 'wav',
+      options: { initialPrompt: true, temperature: true, beamSize: true },
+      maxFileSizeMB: null
+    };
+  }
+
+  health() {
+    return checkBackend(this.name);
+  }
+
+  getStats() {
+    return { ...this.counters };
+  }
+
+  async shutdown() {}
+}
+
+/**
+ * OpenAI 相容的 HTTP 轉錄 API (POST {OPENAI_API_BASE_URL}/audio/transcriptions，verbose_json 取得片段時間)
+ * 使用 OPENAI_API_MODEL 指定的模型，請求的 model 與 beamSize 不適用
+ */
+class OpenAIApiBackend {
+  constructor() {
+    this.name = 'openai-api';
+    this.counters = { transcribed: 0, failed: 0 };
+  }
+
+  async transcribe(audioPath, options, { signal } = {}) {
+    const { baseUrl, apiKey, model, timeoutMs, maxFileSizeMB } = config.openaiApi;
+    const { size } = await fs.promises.stat(audioPath);
+    if (size > maxFileSizeMB * 1024 * 1024) {
+      this.counters.failed++;
+      throw new Error(`音檔 ${(size / 1024 / 1024).toFixed(1)} MB 超過轉錄 API 上限 ${maxFileSizeMB} MB，請縮短 chunkDurationSec`);
+    }
+
+    const form = new FormData();
+    form.append('file', new Blob([await fs.promises.readFile(audioPath)], { type: 'audio/mpeg' }), path.basename(audioPath));
+    form.append('model', model);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'segment');
+    if (options.language !== 'auto') form.append('language', options.language);
+    if (options.initialPrompt) form.append('prompt', options.initialPrompt);
+    if (options.temperature !== null) form.append('temperature', String(options.temperature));
+
+    let response;
+    try {
+      response = await axios.post(`${baseUrl.replace(/\/+$/, '')}/audio/transcriptions`, form, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        timeout: timeoutMs,
+        maxBodyLength: Infinity,
+        signal
+      });
+    } catch (error) {
+      this.counters.failed++;
+      if (signal && signal.aborted) throw signal.reason;
+      const detail = error.response
+        ? `HTTP ${error.response.status}${apiErrorMessage(error.response.data)}`
+        : error.message;
+      throw new Error(`轉錄 API 請求失敗: ${detail}`);
+    }
+
+    const data = response.data || {};
+    const segments = (data.segments || [])
+      .map(segment => ({ start: segment.start, end: segment.end, text: String(segment.text || '').trim() }))
+      .filter(segment => segment.text);
+    this.counters.transcribed++;
+    return {
+      text: String(data.text || '').trim(),
+      language: data.language || options.language,
+      segments
+    };
+  }
+
+  resolveModel() {
+    return config.openaiApi.model;
+  }
+
+  capabilities() {
+    return {
+      name: this.name,
+      local: false,
+      models: [config.openaiApi.model],
+      audioFormat: 'mp3',
+      options: { initialPrompt: true, temperature: true, beamSize: false },
+      maxFileSizeMB: config.openaiApi.maxFileSizeMB
+    };
+  }
+
+  health() {
+    return checkBackend(this.name);
+  }
+
+  getStats() {
+    return { ...this.counters };
+  }
+
+  async shutdown() {}
+}
+
+/**
+ * API 錯誤回應中的說明 ({ error: { message } })
+ */
+function apiErrorMessage(data) {
+  const message = data && data.error && (data.error.message || data.error);
+  return typeof message === 'string' ? ` - ${message}` : '';
+}
+
+/**
+ * 執行外部程式，中斷時終止程序
+ */
+function runFile(command, args, options) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { ...options, killSignal: 'SIGKILL', maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const reason = error.code === 'ENOENT'
+          ? `找不到 ${command}`
+          : error.killed ? `執行逾時 (${options.timeout} ms)` : (stderr.trim().split('\n').pop() || error.message);
+        return reject(new Error(reason));
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+const FACTORIES = {
+  'openai-whisper': () => new WhisperWorkerBackend('openai-whisper'),
+  'faster-whisper': () => new WhisperWorkerBackend('faster-whisper', {
+    env: { FASTER_WHISPER_DEVICE: config.fasterWhisper.device, FASTER_WHISPER_COMPUTE_TYPE: config.fasterWhisper.computeType }
+  }),
+  'whisper-cpp': () => new WhisperCppBackend(),
+  'openai-api': () => new OpenAIApiBackend()
+};
+
+// 第一次使用時建立 (未使用的後端不會啟動程序)
+const backends = new Map();
+
+/**
+ * 取得後端
+ * @param {string} [name] 預設為 TRANSCRIPTION_BACKEND
+ */
+function getBackend(name = config.transcription.backend) {
+  if (!FACTORIES[name]) {
+    throw new Error(`未知的轉錄後端: ${name} (可用: ${TRANSCRIPTION_BACKENDS.join(', ')})`);
+  }
+  if (!backends.has(name)) {
+    backends.set(name, FACTORIES[name]());
+    logger.info(`🔌 啟用轉錄後端: ${name}`);
+  }
+  return backends.get(name);
+}
+
+/**
+ * 請求可以使用的後端：部署預設的後端加上 TRANSCRIPTION_ALLOWED_BACKENDS
+ */
+function getAllowedBackends() {
+  return [...new Set([config.transcription.backend, ...config.transcription.allowedBackends])];
+}
+
+/**
+ * 已啟用後端的統計 (GET /health)
+ */
+function getBackendStats() {
+  return {
+    default: config.transcription.backend,
+    active: Object.fromEntries([...backends].map(([name, backend]) => [name, backend.getStats()]))
+  };
+}
+
+/**
+ * 列出可用的後端與其能力、檢查結果 (GET /backends)
+ */
+async function describeBackends() {
+  return Promise.all(getAllowedBackends().map(async (name) => {
+    const backend = getBackend(name);
+    const startedAt = Date.now();
+    let health;
+    try {
+      health = { status: 'pass', message: await backend.health() };
+    } catch (error) {
+      health = { status: 'fail', message: error.message };
+    }
+    return {
+      ...backend.capabilities(),
+      default: name === config.transcription.backend,
+      health: { ...health, latencyMs: Date.now() - startedAt }
+    };
+  }));
+}
+
+/**
+ * 關閉已啟用的後端 (服務關閉時)
+ */
+async function shutdownBackends() {
+  await Promise.all([...backends.values()].map(backend => backend.shutdown()));
+}
+
+module.exports = {
+  getBackend,
+  getAllowedBackends,
+  getBackendStats,
+  describeBackends,
+  shutdownBackends
+};
@@ -0,0 +1,125 @@
+const Ajv = require('ajv');
+const { ValidationError, formatErrors } = require('./requestValidator');
+const { config, WHISPER_MODELS: ALLOWED_MODELS, TRANSCRIPTION_BACKENDS } = require('../config');
+const { OUTPUT_FORMATS } = require('./subtitleFormatter');
+const { getAllowedBackends } = require('./transcriptionBackends');
+
+// Whisper 支援的語言代碼 (auto 表示自動偵測)
+const ALLOWED_LANGUAGES = [
+  'auto',
+  'en', 'zh', 'de', 'es', 'ru', 'ko', 'fr', 'ja', 'pt', 'tr', 'pl', 'ca', 'nl', 'ar', 'sv', 'it', 'id', 'hi', 'fi', 'vi',
+  'he', 'uk', 'el', 'ms', 'cs', 'ro', 'da', 'hu', 'ta', 'no', 'th', 'ur', 'hr', 'bg', 'lt', 'la', 'mi', 'ml', 'cy', 'sk',
+  'te', 'fa', 'lv', 'bn', 'sr', 'az', 'sl', 'kn', 'et', 'mk', 'br', 'eu', 'is', 'hy', 'ne', 'mn', 'bs', 'kk', 'sq', 'sw',
+  'gl', 'mr', 'pa', 'si', 'km', 'sn', 'yo', 'so', 'af', 'oc', 'ka', 'be', 'tg', 'sd', 'gu', 'am', 'yi', 'lo', 'uz', 'fo',
+  'ht', 'ps', 'tk', 'nn', 'mt', 'sa', 'lb', 'my', 'bo', 'tl', 'mg', 'as', 'tt', 'haw', 'ln', 'ha', 'ba', 'jw', 'su', 'yue'
+];
+
+// 各模型相對於 base 的記憶體用量 (准入控制估算記憶體時使用)
+const MODEL_MEMORY_FACTOR = {
+  tiny: 0.5,
+  base: 1,
+  small: 2,
+  medium: 5,
+  large: 10,
+  'large-v2': 10,
+  'large-v3': 10
+};
+
+// 未指定時的轉錄設定 (iPhone 中文業務錄音)
+const DEFAULT_OPTIONS = {
+  // 轉錄後端 (TRANSCRIPTION_BACKEND)，請求只能改用 TRANSCRIPTION_ALLOWED_BACKENDS 中的後端
+  backend: config.transcription.backend,
+  model: config.whisper.model,
+  language: 'zh',
+  initialPrompt: null,
+  // null 表示使用 Whisper 預設 (溫度 0 起，失敗時逐步提高)
+  temperature: null,
+  beamSize: null,
+  // 30 分鐘分塊，避免過多片段；同時是 Python 程序逾時 (29 分鐘) 可處理的上限
+  chunkDurationSec: 30 * 60,
+  // 除了逐字稿與 segments 之外，在結果中附上的格式 (srt、vtt、text、json)
+  outputFormats: [],
+  // 說話者分離：單聲道時分群的人數，labelSalesperson 時說話最多的人標為業務
+  diarize: config.diarization.enabled,
+  speakers: 2,
+  labelSalesperson: config.diarization.labelSalesperson
+};
+
+// 請求中的 options 物件 (也用於 OpenAPI 文件)
+const OPTIONS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    backend: {
+      type: 'string',
+      enum: TRANSCRIPTION_BACKENDS,
+      description: `轉錄後端，預設 ${DEFAULT_OPTIONS.backend}；只能使用部署允許的後端 (GET /backends)`
+    },
+    model: { type: 'string', enum: ALLOWED_MODELS, description: `Whisper 模型，預設 ${DEFAULT_OPTIONS.model} (openai-api 使用 API 設定的模型)` },
+    language: { type: 'string', enum: ALLOWED_LANGUAGES, description: '語言代碼，auto 為自動偵測，預設 zh' },
+    initialPrompt: { type: 'string', maxLength: 1000, description: '提示詞 (例如產品名稱、專有名詞)，每個片段都會套用' },
+    temperature: { type: 'number', minimum: 0, maximum: 1 },
+    beamSize: { type: 'integer', minimum: 1, maximum: 10, description: '僅在 temperature 為 0 (或未指定) 時有效' },
+    chunkDurationSec: { type: 'integer', minimum: 60, maximum: DEFAULT_OPTIONS.chunkDurationSec, description: '分塊長度 (秒)' },
+    outputFormats: {
+      type: 'array',
+      items: { type: 'string', enum: OUTPUT_FORMATS },
+      uniqueItems: true,
+      description: '在結果的 outputs 中附上的格式：srt、vtt (WebVTT)、text (每行帶時間戳) 或 json'
+    },
+    diarize: { type: 'boolean', description: '轉錄後進行說話者分離 (立體聲依聲道，否則依頻譜分群)' },
+    speakers: { type: 'integer', minimum: 2, maximum: 6, description: '分群的說話者人數，預設 2 (依聲道分離時固定為 2)' },
+    labelSalesperson: { type: 'boolean', description: '將說話時間最長的人標為「業務」，其他人為「客戶」' }
+  }
+};
+
+const validateOptions = new Ajv({ allErrors: true, strict: false }).compile(OPTIONS_SCHEMA);
+
+/**
+ * 驗證請求的轉錄設定並與預設值合併
+ * @param {object} [requested] 請求中的 options
+ * @param {string} [field] 錯誤訊息中的欄位路徑前綴
+ * @returns {object} 實際使用的設定
+ * @throws {ValidationError}
+ */
+function resolveTranscriptionOptions(requested, field = 'body.options') {
+  if (requested === undefined || requested === null) {
+    return { ...DEFAULT_OPTIONS };
+  }
+
+  if (!validateOptions(requested)) {
+    throw new ValidationError(formatErrors(validateOptions.errors, field));
+  }
+
+  const allowedBackends = getAllowedBackends();
+  if (requested.backend && !allowedBackends.includes(requested.backend)) {
+    throw new ValidationError([{
+      field: `${field}.backend`,
+      message: `此部署未開放 ${requested.backend} 後端 (可用值: ${allowedBackends.join(', ')})`
+    }]);
+  }
+
+  return { ...DEFAULT_OPTIONS, ...requested };
+}
+
+/**
+ * 轉錄後端 (transcriptionBackends) 的轉錄選項，常駐 Whisper 程序 (whisper_worker.py) 使用相同格式
+ */
+function toWorkerOptions(options) {
+  return {
+    model: options.model,
+    language: options.language,
+    initialPrompt: options.initialPrompt || null,
+    temperature: options.temperature === undefined ? null : options.temperature,
+    beamSize: options.beamSize || null
+  };
+}
+
+module.exports = {
+  resolveTranscriptionOptions,
+  toWorkerOptions,
+  DEFAULT_OPTIONS,
+  OPTIONS_SCHEMA,
+  ALLOWED_MODELS,
+  MODEL_MEMORY_FACTOR
+};
@@ -2,24 +2,22 @@ const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const tmp = require('tmp');
-const winston = require('winston');
-const { spawn } = require('child_process');
-
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [new winston.transports.Console()]
-});
+const { createLogger } = require('../logger');
+const { DEFAULT_OPTIONS, toWorkerOptions } = require('./transcriptionOptions');
+const { getBackend } = require('./transcriptionBackends');
+const { diarizeSegments, toLabeledTranscript } = require('./diarizationService');
+const { chooseCutPoint, mergeChunkSegments, joinSegmentTexts } = require('./chunkBoundaries');
+const ChunkCheckpointStore = require('./chunkCheckpointStore');
+const { config } = require('../config');
+
+const logger = createLogger('transcriptionService');
 
 // Configuration for iPhone recordings and chunking (adapted from remote)
 const IPHONE_OPTIMIZED_CONFIG = {
-  // Using 'base' model for OpenAI whisper (can be changed to 'large-v3' if resources allow)
-  modelName: 'base',
-  // Chunking strategy for iPhone recordings - 增加到 30 分鐘避免過多分塊
-  chunkDuration: 30 * 60, // 30 minutes per chunk, to avoid too many parallel processes
+  // Default model for OpenAI whisper (WHISPER_MODEL_SIZE, or per request via options.model)
+  modelName: DEFAULT_OPTIONS.model,
+  // Chunking strategy for iPhone recordings - 增加到 30 分鐘避免過多分塊 (per request via options.chunkDurationSec)
+  chunkDuration: DEFAULT_OPTIONS.chunkDurationSec, // 30 minutes per chunk, to avoid too many parallel processes
   // Audio preprocessing parameters (already in preprocessiPhoneAudio)
   preprocessing: {
     bitrate: 64,
@@ -32,86 +30,40 @@ const IPHONE_OPTIMIZED_CONFIG = {
   },
   // OpenAI whisper specific options
   whisperOptions: {
-    language: 'zh'
+    language: DEFAULT_OPTIONS.language
   }
 };
 
+// Finished chunks of long recordings, so a retried job only transcribes the missing ones
+const chunkCheckpointStore = new ChunkCheckpointStore();
+
 /**
- * Calls the Python script to transcribe audio using OpenAI whisper.
- * @param {string} audioPath The path to the audio file.
- * @returns {Promise<string>} A promise that resolves with the transcribed text.
+ * Transcribes audio with the backend chosen for the job (see transcriptionBackends).
+ * @param {string} audioPath The path to the audio file, in the backend's audioFormat.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] Aborting stops the backend's process or request.
+ * @param {object} [options.transcriptionOptions] Effective options from resolveTranscriptionOptions.
+ * @returns {Promise<object>} A promise that resolves with the backend result ({ text, segments, quality?, ... }).
  */
-// 全域變數追蹤當前進程，確保同時只有一個 Whisper 進程運行
-function transcribeWithOpenAIWhisper(audioPath) {
-  return new Promise((resolve, reject) => {
-    const pythonScriptPath = path.join(__dirname, 'whisper_transcribe.py');
-    logger.info(`🚀 啟動 Python Whisper 進程: ${path.basename(audioPath)}`);
-    
-    const pythonProcess = spawn('python3', [pythonScriptPath, audioPath, '--output-json'], {
-      timeout: 29 * 60 * 1000 // 29 minutes timeout for the Python process
-    });
-
-    let transcript = '';
-    let errorMessage = '';
-    let scriptExited = false;
-    let stdoutClosed = false;
-    let stderrClosed = false;
-
-    const tryResolve = () => {
-      // Ensure we only resolve/reject once, and only after the process has exited
-      // and all output streams are closed.
-      if (scriptExited && stdoutClosed && stderrClosed) {
-        if (pythonProcess.exitCode === 0) {
-          logger.info('✅ Python script finished successfully.');
-          try {
-            const result = JSON.parse(transcript.trim());
-            resolve(result);
-          } catch (parseError) {
-            logger.warn('Could not parse Python script output as JSON, falling back to plain text.');
-            resolve(transcript.trim());
-          }
-        } else {
-          logger.error(`❌ Python script exited with code ${pythonProcess.exitCode}`);
-          reject(new Error(`Transcription failed with exit code ${pythonProcess.exitCode}. Error: ${errorMessage}`));
-        }
-      }
-    };
-
-    pythonProcess.stdout.on('data', (data) => {
-      transcript += data.toString();
-    });
-    pythonProcess.stdout.on('close', () => {
-      stdoutClosed = true;
-      tryResolve();
-    });
-
-    pythonProcess.stderr.on('data', (data) => {
-      const stderrLine = data.toString();
-      logger.error(`[Python Script]: ${stderrLine}`);
-      errorMessage += stderrLine;
-    });
-    pythonProcess.stderr.on('close', () => {
-      stderrClosed = true;
-      tryResolve();
-    });
+async function transcribeWithBackend(audioPath, options = {}) {
+  const { signal, transcriptionOptions = DEFAULT_OPTIONS } = options;
+  const backend = getBackend(transcriptionOptions.backend);
+  const workerOptions = toWorkerOptions(transcriptionOptions);
+  logger.info(`🚀 送出轉錄請求: ${path.basename(audioPath)} (後端: ${backend.name}, 模型: ${backend.resolveModel(workerOptions)}, 語言: ${transcriptionOptions.language})`);
 
-    pythonProcess.on('exit', (code) => {
-      scriptExited = true;
-      pythonProcess.exitCode = code; // Store exit code
-      logger.info(`🔄 Python Whisper 進程結束`);
-      tryResolve();
-    });
+  return backend.transcribe(audioPath, workerOptions, { signal });
+}
 
-    pythonProcess.on('error', (err) => {
-      logger.error('❌ Failed to start Python script.', err);
-      reject(err);
-    });
-    
-    pythonProcess.on('timeout', () => {
-      logger.error('⏰ Python script timed out.');
-      pythonProcess.kill();
-    });
-  });
+/**
+ * Warns about requested options the backend cannot apply (they are ignored, not rejected).
+ */
+function warnUnsupportedOptions(backend, transcriptionOptions) {
+  const supported = backend.capabilities().options;
+  const ignored = Object.keys(supported).filter(option => !supported[option]
+    && transcriptionOptions[option] !== null && transcriptionOptions[option] !== undefined);
+  if (ignored.length > 0) {
+    logger.warn(`⚠️ 轉錄後端 ${backend.name} 不支援 ${ignored.join(', ')}，將忽略這些設定`);
+  }
 }
 
 /**
@@ -155,79 +107,249 @@ function detectiPhoneRecording(metadata) {
   return isiPhoneFormat && isiPhoneCodec;
 }
 
+/**
+ * Runs a fluent-ffmpeg command, killing it when the signal is aborted.
+ */
+function runFfmpegCommand(command, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      logger.warn('🛑 任務已中斷，終止 FFmpeg 進程');
+      command.kill('SIGKILL');
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    command
+      .on('end', () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      })
+      .on('error', (err) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(signal && signal.aborted ? signal.reason : err);
+      })
+      .run();
+  });
+}
+
 /**
  * Pre-processes audio files, especially for iPhone recordings.
+ * @param {object} [options] { signal, format: 'mp3' (default) or 'wav' (16-bit PCM, for whisper.cpp) }
  */
-async function preprocessiPhoneAudio(inputPath, outputPath, audioInfo) {
+async function preprocessiPhoneAudio(inputPath, outputPath, audioInfo, options = {}) {
+  const { signal, format = 'mp3' } = options;
   return new Promise((resolve, reject) => {
     logger.info(`Starting audio preprocessing for: ${inputPath}`);
     
-    const ffmpegCommand = ffmpeg(inputPath)
-      .audioCodec('libmp3lame')
-      .audioBitrate('64k')
+    const ffmpegCommand = ffmpeg(inputPath);
+    if (format === 'wav') {
+      ffmpegCommand.audioCodec('pcm_s16le').format('wav');
+    } else {
+      ffmpegCommand.audioCodec('libmp3lame').audioBitrate('64k');
+    }
+    ffmpegCommand
       .audioFrequency(16000)
       .audioChannels(1)
       .audioFilters('highpass=f=80', 'lowpass=f=8000')
       .output(outputPath);
     
-    ffmpegCommand
-      .on('start', (commandLine) => {
-        logger.info(`FFmpeg command: ${commandLine}`);
-      })
-      .on('end', () => {
+    ffmpegCommand.on('start', (commandLine) => {
+      logger.info(`FFmpeg command: ${commandLine}`);
+    });
+
+    runFfmpegCommand(ffmpegCommand, signal)
+      .then(() => {
         logger.info(`Preprocessing finished: ${outputPath}`);
         resolve(outputPath);
       })
-      .on('error', (err) => {
+      .catch((err) => {
         logger.error(`Preprocessing failed: ${err.message}`);
         reject(err);
-      })
-      .run();
+      });
   });
 }
 
 /**
  * Extracts an audio chunk (from remote)
+ * @param {object} [options] { outputDir, signal }
  */
-async function extractChunk(inputPath, startTime, endTime) {
-  const chunkPath = tmp.tmpNameSync({ postfix: `_chunk_${Date.now()}.wav` });
+async function extractChunk(inputPath, startTime, endTime, options = {}) {
+  const { outputDir, signal } = options;
+  const chunkPath = tmp.tmpNameSync({ postfix: `_chunk_${Date.now()}.wav`, tmpdir: outputDir });
   
-  return new Promise((resolve, reject) => {
-    ffmpeg(inputPath)
-      .seekInput(startTime)
-      .duration(endTime - startTime)
-      .audioCodec('pcm_s16le')
-      .audioFrequency(16000)  // whisper-node requires 16kHz
-      .audioChannels(1)
-      .format('wav')
-      .output(chunkPath)
-      .on('end', () => resolve(chunkPath))
-      .on('error', reject)
-      .run();
+  const command = ffmpeg(inputPath)
+    .seekInput(startTime)
+    .duration(endTime - startTime)
+    .audioCodec('pcm_s16le')
+    .audioFrequency(16000)  // whisper-node requires 16kHz
+    .audioChannels(1)
+    .format('wav')
+    .output(chunkPath);
+
+  await runFfmpegCommand(command, signal);
+  return chunkPath;
+}
+
+/**
+ * Finds pauses between from and from + duration with ffmpeg silencedetect.
+ * @returns {Promise<Array<{ start: number, end: number }>>} times in seconds from the start of the file
+ */
+async function detectSilences(inputPath, from, duration, signal) {
+  const { silenceNoiseDb, minSilenceSec } = config.chunking;
+  const silences = [];
+  let silenceStart = null;
+
+  const command = ffmpeg(inputPath)
+    .seekInput(from)
+    .duration(duration)
+    .noVideo()
+    .audioFilters(`silencedetect=noise=${silenceNoiseDb}dB:d=${minSilenceSec}`)
+    .format('null')
+    .output('-');
+
+  // silencedetect reports times relative to the seek position
+  command.on('stderr', (line) => {
+    const start = line.match(/silence_start: (-?[\d.]+)/);
+    const end = line.match(/silence_end: (-?[\d.]+)/);
+    if (start) {
+      silenceStart = from + Math.max(0, Number(start[1]));
+    } else if (end && silenceStart !== null) {
+      silences.push({ start: silenceStart, end: from + Number(end[1]) });
+      silenceStart = null;
+    }
   });
+
+  await runFfmpegCommand(command, signal);
+  // A pause still running at the end of the window
+  if (silenceStart !== null) silences.push({ start: silenceStart, end: from + duration });
+  return silences;
 }
 
 /**
- * Splits audio by time into chunks (from remote)
+ * Plans chunks of about chunkDuration seconds. Each cut is placed at the pause nearest to
+ * its chunk mark (within CHUNK_SILENCE_TOLERANCE_SEC), and every chunk but the last runs
+ * CHUNK_OVERLAP_SEC past its cut so that words at the boundary are heard whole by at least one chunk.
+ * @param {object} [options] { signal, audioInfo }
+ * @returns {Promise<{ chunks: Array<{ offset: number, end: number }>, boundaries: object[] }>}
+ *   offset / end are the chunk's start and end times in seconds; boundaries describe each cut
  */
-async function splitByTime(inputPath, chunkDuration) {
-  const audioInfo = await getAudioInfo(inputPath);
+async function planChunks(inputPath, chunkDuration, options = {}) {
+  const { signal } = options;
+  const audioInfo = options.audioInfo || await getAudioInfo(inputPath);
   const totalDuration = audioInfo.duration;
-  const numChunks = Math.ceil(totalDuration / chunkDuration);
-  
+  const { overlapSec } = config.chunking;
+  // The search window must not reach back to the previous cut
+  const toleranceSec = Math.min(config.chunking.silenceToleranceSec, chunkDuration / 2);
+
+  const cuts = [0];
+  const boundaries = [];
+  while (totalDuration - cuts[cuts.length - 1] > chunkDuration) {
+    const target = cuts[cuts.length - 1] + chunkDuration;
+    const windowStart = target - toleranceSec;
+    const windowEnd = Math.min(target + toleranceSec, totalDuration);
+
+    let silences = [];
+    if (toleranceSec > 0) {
+      try {
+        silences = await detectSilences(inputPath, windowStart, windowEnd - windowStart, signal);
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        logger.warn(`⚠️ 停頓偵測失敗，在 ${target.toFixed(1)} 秒處直接切開: ${error.message}`);
+      }
+    }
+
+    const cut = chooseCutPoint(target, silences, toleranceSec);
+    // A pause at the very end of the recording would leave an empty last chunk
+    if (totalDuration - cut.at < 1) break;
+
+    cuts.push(cut.at);
+    boundaries.push({
+      targetSec: Math.round(target * 1000) / 1000,
+      cutSec: cut.at,
+      silence: cut.silence,
+      overlapEndSec: Math.round(Math.min(cut.at + overlapSec, totalDuration) * 1000) / 1000
+    });
+    logger.info(cut.silence
+      ? `✂️ 分塊邊界 ${boundaries.length}: ${cut.at.toFixed(1)} 秒 (預定 ${target.toFixed(1)} 秒，停頓 ${cut.silence.start.toFixed(1)}-${cut.silence.end.toFixed(1)} 秒)`
+      : `✂️ 分塊邊界 ${boundaries.length}: ${cut.at.toFixed(1)} 秒 (±${toleranceSec} 秒內沒有停頓)`);
+  }
+  cuts.push(totalDuration);
+
   const chunks = [];
-  
+  const numChunks = cuts.length - 1;
   for (let i = 0; i < numChunks; i++) {
-    const startTime = i * chunkDuration;
-    const endTime = Math.min((i + 1) * chunkDuration, totalDuration);
-    
-    const chunkPath = await extractChunk(inputPath, startTime, endTime);
-    chunks.push(chunkPath);
-    
-    logger.info(`創建時間片段 ${i + 1}/${numChunks}: ${(startTime/60).toFixed(1)}-${(endTime/60).toFixed(1)} 分鐘`);
+    const startTime = cuts[i];
+    const endTime = i < numChunks - 1 ? Math.min(cuts[i + 1] + overlapSec, totalDuration) : totalDuration;
+    chunks.push({ offset: startTime, end: endTime });
+    logger.info(`規劃時間片段 ${i + 1}/${numChunks}: ${(startTime/60).toFixed(1)}-${(endTime/60).toFixed(1)} 分鐘`);
   }
-  
-  return chunks;
+
+  return { chunks, boundaries };
+}
+
+/**
+ * Settings that change a chunk's transcript; checkpoints made with other settings are not reused.
+ */
+function checkpointSettings(transcriptionOptions) {
+  const { backend, model, language, initialPrompt, temperature, beamSize, chunkDurationSec } = transcriptionOptions;
+  return { backend, model, language, initialPrompt, temperature, beamSize, chunkDurationSec, chunking: config.chunking };
+}
+
+/**
+ * Opens the checkpoint of a chunked transcription, creating it with a fresh chunk plan when there is none.
+ * Checkpointing is best-effort: without a caseId, or when the checkpoint cannot be read or written,
+ * the chunks are planned and transcribed as usual.
+ * @returns {Promise<{ plan: object, checkpoint: object|null }>}
+ */
+async function openCheckpoint(inputPath, chunkDuration, options) {
+  const { caseId, signal, audioInfo, transcriptionOptions } = options;
+  let key = null;
+  if (caseId) {
+    try {
+      key = await chunkCheckpointStore.createKey(caseId, inputPath, checkpointSettings(transcriptionOptions));
+      const existing = chunkCheckpointStore.load(key);
+      if (existing) {
+        logger.info(`♻️ 找到分塊檢查點 ${key}，已完成 ${Object.keys(existing.chunks).length}/${existing.plan.chunks.length} 個片段`);
+        return { plan: existing.plan, checkpoint: existing };
+      }
+    } catch (error) {
+      logger.warn(`⚠️ 無法讀取分塊檢查點，重新轉錄所有片段: ${error.message}`);
+      key = null;
+    }
+  }
+
+  const plan = await planChunks(inputPath, chunkDuration, { signal, audioInfo });
+  if (!key) return { plan, checkpoint: null };
+  try {
+    return { plan, checkpoint: chunkCheckpointStore.create(key, caseId, plan) };
+  } catch (error) {
+    logger.warn(`⚠️ 無法建立分塊檢查點: ${error.message}`);
+    return { plan, checkpoint: null };
+  }
+}
+
+/**
+ * Shifts the segments returned by the Python script by the chunk's offset.
+ * Plain-text output (older script versions) has no timings; when the chunk's end is given,
+ * its text becomes a single segment spanning the chunk so that it is not lost when chunks are merged.
+ */
+function toTimedSegments(result, offset, end) {
+  if (typeof result === 'string' || !Array.isArray(result.segments) || result.segments.length === 0) {
+    const text = (typeof result === 'string' ? result : result.text || '').trim();
+    if (end === undefined || !text) return [];
+    return [{ start: Math.round(offset * 1000) / 1000, end: Math.round(end * 1000) / 1000, text }];
+  }
+  return result.segments.map(segment => ({
+    start: Math.round((segment.start + offset) * 1000) / 1000,
+    end: Math.round((segment.end + offset) * 1000) / 1000,
+    text: segment.text
+  }));
 }
 
 /**
@@ -247,7 +369,7 @@ function assessTranscriptionQuality(transcript) {
   }
   
   const chineseRatio = (transcript.match(/[\u4e00-\u9fff]/g) || []).length / transcript.length;
-  if (chineseRatio < 0.5) {
+  if (chineseRatio < config.quality.minChineseRatio) {
     score -= 20;
     confidence -= 0.2;
   }
@@ -259,94 +381,229 @@ function assessTranscriptionQuality(transcript) {
   };
 }
 
+/**
+ * Extracts, pre-processes and transcribes one chunk of a long recording.
+ * @param {object[]} chunks The chunk plan from planChunks.
+ * @param {number} i Index of the chunk to transcribe.
+ * @param {object} context { tempDir, audioInfo, signal, transcriptionOptions, audioFormat, onProgress, stats }
+ * @returns {Promise<object>} { text, segments (relative to the chunk), language, quality, processingSec }
+ */
+async function transcribeChunk(inputPath, chunks, i, context) {
+  const { tempDir, audioInfo, signal, transcriptionOptions, audioFormat, onProgress, stats } = context;
+  const { offset, end } = chunks[i];
+
+  const chunkPath = await extractChunk(inputPath, offset, end, { outputDir: tempDir, signal });
+  logger.info(`🎵 開始處理片段 ${i + 1}/${chunks.length}: ${path.basename(chunkPath)}`);
+  logger.info(`📂 片段路徑: ${chunkPath}`);
+  
+  // 步驟 1: 預處理音檔
+  const processedPath = path.join(tempDir, `processed_chunk_${i}.${audioFormat}`);
+  logger.info(`🔧 預處理片段 ${i + 1}...`);
+  onProgress('preprocess', { current: i + 1, total: chunks.length });
+  const preprocessStart = Date.now();
+  await preprocessiPhoneAudio(chunkPath, processedPath, audioInfo, { signal, format: audioFormat });
+  stats.preprocessSec += (Date.now() - preprocessStart) / 1000;
+  
+  // 步驟 2: 轉錄處理（確保一個完成後才開始下一個）
+  logger.info(`🤖 轉錄片段 ${i + 1}，等待轉錄後端處理完成...`);
+  onProgress('chunk', { current: i + 1, total: chunks.length, status: 'started' });
+  const startTime = Date.now();
+  
+  const result = await transcribeWithBackend(processedPath, { signal, transcriptionOptions });
+  
+  const endTime = Date.now();
+  const processingTime = Math.round((endTime - startTime) / 1000);
+  stats.whisperSec += (endTime - startTime) / 1000;
+  
+  const text = typeof result === 'string' ? result : result.text || '';
+  logger.info(`✅ 片段 ${i + 1} 轉錄完成 - 耗時: ${processingTime}秒, 文字長度: ${text.length}`);
+  onProgress('chunk', { current: i + 1, total: chunks.length, status: 'finished', processingTime });
+  
+  // 清理當前片段的臨時檔案，釋放空間
+  try {
+    if (fs.existsSync(chunkPath)) fs.unlinkSync(chunkPath);
+    if (fs.existsSync(processedPath)) fs.unlinkSync(processedPath);
+    logger.info(`🗑️ 已清理片段 ${i + 1} 的臨時檔案`);
+  } catch (cleanupErr) {
+    logger.warn(`⚠️ 清理片段 ${i + 1} 臨時檔案失敗: ${cleanupErr.message}`);
+  }
+  
+  // 手動觸發垃圾回收
+  if (global.gc) {
+    logger.info(`🧹 手動觸發垃圾回收...`);
+    global.gc();
+  }
+
+  return {
+    text,
+    segments: result.segments || [],
+    language: result.language,
+    quality: result.quality,
+    processingSec: (endTime - startTime) / 1000
+  };
+}
+
 /**
  * Main transcription function that orchestrates the process.
+ * @param {string} inputPath The path to the audio file.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] Called as (stage, progress) when the pipeline advances.
+ *   Chunk progress is reported twice per chunk: { current, total, status: 'started' } and
+ *   { current, total, status: 'finished', processingTime }; chunks reused from a checkpoint only report
+ *   { current, total, status: 'finished', processingTime: 0, reused: true }.
+ * @param {AbortSignal} [options.signal] Aborting kills the running ffmpeg / Whisper process (or cancels the API request).
+ * @param {object} [options.audioInfo] Result of getAudioInfo, to skip probing the file again.
+ * @param {string} [options.caseId] Checkpoints finished chunks of a long recording under this case, so that
+ *   a retry with the same audio and settings only transcribes the missing chunks.
+ * @param {object} [options.transcriptionOptions] Effective options from resolveTranscriptionOptions
+ *   (backend, model, language, initialPrompt, temperature, beamSize, chunkDurationSec, diarize, speakers, labelSalesperson).
+ * @returns {Promise<object>} { transcript, segments: [{ start, end, text, speaker? }], quality, audioInfo,
+ *   backend: { name, model },
+ *   chunking: { overlapSec, boundaries: [{ targetSec, cutSec, silence, overlapEndSec, merge, matchedChars }] } | null,
+ *   resume: { checkpointKey, resumed, totalChunks, reusedChunks, transcribedChunks, savedWhisperSec } | null,
+ *   diarization: { method, speakers } | null, labeledTranscript: string | null,
+ *   stats: { chunkCount, preprocessSec, whisperSec, diarizeSec? } }
  */
-async function transcribeAudio(inputPath) {
+async function transcribeAudio(inputPath, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const { signal, transcriptionOptions = DEFAULT_OPTIONS } = options;
+  const chunkDuration = transcriptionOptions.chunkDurationSec;
   const tempDir = tmp.dirSync({ unsafeCleanup: true });
   try {
     logger.info(`Starting transcription process for: ${inputPath}`);
+    const backend = getBackend(transcriptionOptions.backend);
+    const { audioFormat } = backend.capabilities();
+    warnUnsupportedOptions(backend, transcriptionOptions);
     
-    // 1. Get audio info
-    const audioInfo = await getAudioInfo(inputPath);
+    // 1. Get audio info (callers that already probed the file can pass it in)
+    const audioInfo = options.audioInfo || await getAudioInfo(inputPath);
     logger.info(`Audio info retrieved: ${audioInfo.duration}s, ${audioInfo.sizeMB.toFixed(2)}MB`);
 
     let fullTranscript = '';
+    // Segment timings relative to the start of the original recording
+    let segments = [];
+    // Chunk boundaries, reported for debugging (null when the audio is not split)
+    let chunking = null;
+    // Checkpoint use of a chunked transcription (null when the audio is not split or has no caseId)
+    let resume = null;
+    // Timing stats reported to the metrics endpoint
+    const stats = { chunkCount: 1, preprocessSec: 0, whisperSec: 0 };
 
     // Check if chunking is needed for very long audio
-    if (audioInfo.duration > IPHONE_OPTIMIZED_CONFIG.chunkDuration) {
-      logger.info(`Audio duration (${audioInfo.duration}s) exceeds chunk duration (${IPHONE_OPTIMIZED_CONFIG.chunkDuration}s). Splitting into chunks.`);
-      const chunks = await splitByTime(inputPath, IPHONE_OPTIMIZED_CONFIG.chunkDuration);
+    if (audioInfo.duration > chunkDuration) {
+      logger.info(`Audio duration (${audioInfo.duration}s) exceeds chunk duration (${chunkDuration}s). Splitting into chunks.`);
+      const { plan, checkpoint } = await openCheckpoint(inputPath, chunkDuration, { caseId: options.caseId, signal, audioInfo, transcriptionOptions });
+      const { chunks } = plan;
+      // Merge results are recorded on the boundaries; keep the checkpoint's plan as it was
+      const boundaries = plan.boundaries.map(boundary => ({ ...boundary }));
+      stats.chunkCount = chunks.length;
+      chunking = { overlapSec: config.chunking.overlapSec, boundaries };
+      if (checkpoint) {
+        resume = { checkpointKey: checkpoint.key, resumed: false, totalChunks: chunks.length, reusedChunks: 0, transcribedChunks: 0, savedWhisperSec: 0 };
+      }
 
       // 🔄 嚴格序列處理每個 chunk，一次只處理一個，避免資源過載
       logger.info(`📊 開始序列處理 ${chunks.length} 個音檔片段`);
       
       for (let i = 0; i < chunks.length; i++) {
-        const chunkPath = chunks[i];
-        logger.info(`🎵 開始處理片段 ${i + 1}/${chunks.length}: ${path.basename(chunkPath)}`);
-        logger.info(`📂 片段路徑: ${chunkPath}`);
-        
-        // 步驟 1: 預處理音檔
-        const processedPath = path.join(tempDir.name, `processed_chunk_${i}.mp3`);
-        logger.info(`🔧 預處理片段 ${i + 1}...`);
-        await preprocessiPhoneAudio(chunkPath, processedPath, audioInfo);
-        
-        // 步驟 2: 轉錄處理（確保一個完成後才開始下一個）
-        logger.info(`🤖 轉錄片段 ${i + 1}，等待 Whisper 處理完成...`);
-        const startTime = Date.now();
-        
-        const result = await transcribeWithOpenAIWhisper(processedPath);
-        
-        const endTime = Date.now();
-        const processingTime = Math.round((endTime - startTime) / 1000);
-        
-        const chunkTranscript = typeof result === 'string' ? result : result.text;
-        fullTranscript += chunkTranscript + ' ';
-        
-        logger.info(`✅ 片段 ${i + 1} 轉錄完成 - 耗時: ${processingTime}秒, 文字長度: ${chunkTranscript.length}`);
-        
-        // 清理當前片段的臨時檔案，釋放空間
-        try {
-          if (fs.existsSync(chunkPath)) fs.unlinkSync(chunkPath);
-          if (fs.existsSync(processedPath)) fs.unlinkSync(processedPath);
-          logger.info(`🗑️ 已清理片段 ${i + 1} 的臨時檔案`);
-        } catch (cleanupErr) {
-          logger.warn(`⚠️ 清理片段 ${i + 1} 臨時檔案失敗: ${cleanupErr.message}`);
-        }
-        
-        // 手動觸發垃圾回收
-        if (global.gc) {
-          logger.info(`🧹 手動觸發垃圾回收...`);
-          global.gc();
+        const { offset, end } = chunks[i];
+        let result = checkpoint && checkpoint.chunks[i];
+
+        if (result) {
+          // 重試時沿用已完成的片段
+          resume.resumed = true;
+          resume.reusedChunks++;
+          resume.savedWhisperSec += result.processingSec;
+          logger.info(`⏭️ 片段 ${i + 1}/${chunks.length} 已於 ${result.finishedAt} 完成，沿用檢查點`);
+          onProgress('chunk', { current: i + 1, total: chunks.length, status: 'finished', processingTime: 0, reused: true });
+        } else {
+          result = await transcribeChunk(inputPath, chunks, i, { tempDir: tempDir.name, audioInfo, signal, transcriptionOptions, audioFormat, onProgress, stats });
+          if (checkpoint) {
+            resume.transcribedChunks++;
+            try {
+              chunkCheckpointStore.saveChunk(checkpoint, i, result);
+            } catch (error) {
+              logger.warn(`⚠️ 無法保存片段 ${i + 1} 的檢查點: ${error.message}`);
+            }
+          }
         }
-        
-        // 在片段之間加入短暫延遲，確保資源完全釋放
-        if (i < chunks.length - 1) {
-          logger.info(`⏸️ 片段 ${i + 1} 處理完成，等待 2 秒後處理下一片段...`);
-          await new Promise(resolve => setTimeout(resolve, 2000));
+
+        const chunkSegments = toTimedSegments(result, offset, end);
+        if (i === 0) {
+          segments = chunkSegments;
+        } else {
+          // 去掉兩個片段在重疊區都聽到的字
+          const merge = mergeChunkSegments(segments, chunkSegments, { start: offset, end: chunks[i - 1].end });
+          segments = merge.segments;
+          Object.assign(boundaries[i - 1], { merge: merge.method, matchedChars: merge.matchedChars });
+          logger.info(`🔗 合併片段 ${i}/${i + 1} 的重疊區 - 方式: ${merge.method}, 相同字元: ${merge.matchedChars}`);
         }
       }
       
+      if (resume) {
+        resume.savedWhisperSec = Math.round(resume.savedWhisperSec * 10) / 10;
+        if (resume.resumed) {
+          logger.info(`♻️ 沿用檢查點的 ${resume.reusedChunks}/${resume.totalChunks} 個片段，省下約 ${resume.savedWhisperSec} 秒 Whisper 處理時間`);
+        }
+      }
+      fullTranscript = joinSegmentTexts(segments);
       logger.info(`🎉 所有 ${chunks.length} 個片段序列處理完成，總文字長度: ${fullTranscript.length}`);
     } else {
       // 2. Pre-process audio (single file)
-      const processedPath = path.join(tempDir.name, 'processed.mp3');
-      await preprocessiPhoneAudio(inputPath, processedPath, audioInfo);
+      const processedPath = path.join(tempDir.name, `processed.${audioFormat}`);
+      onProgress('preprocess', { current: 1, total: 1 });
+      const preprocessStart = Date.now();
+      await preprocessiPhoneAudio(inputPath, processedPath, audioInfo, { signal, format: audioFormat });
+      stats.preprocessSec = (Date.now() - preprocessStart) / 1000;
 
-      // 3. Transcribe using OpenAI whisper python script (single file)
-      const result = await transcribeWithOpenAIWhisper(processedPath);
+      // 3. Transcribe with the job's backend (single file)
+      onProgress('chunk', { current: 1, total: 1, status: 'started' });
+      const startTime = Date.now();
+      const result = await transcribeWithBackend(processedPath, { signal, transcriptionOptions });
       fullTranscript = typeof result === 'string' ? result : result.text;
-      logger.info(`Transcription received from Python script. Length: ${fullTranscript.length}`);
+      segments.push(...toTimedSegments(result, 0));
+      stats.whisperSec = (Date.now() - startTime) / 1000;
+      onProgress('chunk', { current: 1, total: 1, status: 'finished', processingTime: Math.round(stats.whisperSec) });
+      logger.info(`Transcription received from ${backend.name}. Length: ${fullTranscript.length}`);
+    }
+
+    // 4. Speaker diarization on the original file (the preprocessed audio is downmixed to mono)
+    let diarization = null;
+    let labeledTranscript = null;
+    if (transcriptionOptions.diarize && segments.length > 0) {
+      onProgress('diarize');
+      const diarizeStart = Date.now();
+      try {
+        diarization = await diarizeSegments(inputPath, segments, {
+          audioInfo,
+          speakers: transcriptionOptions.speakers,
+          labelSalesperson: transcriptionOptions.labelSalesperson,
+          signal
+        });
+        labeledTranscript = toLabeledTranscript(segments, diarization.speakers);
+      } catch (diarizeError) {
+        if (signal && signal.aborted) throw diarizeError;
+        // The transcript is still usable without speaker labels
+        logger.warn(`⚠️ 說話者分離失敗，保留未分段的逐字稿: ${diarizeError.message}`);
+      }
+      stats.diarizeSec = (Date.now() - diarizeStart) / 1000;
     }
 
-    // 4. Assess quality
+    // 5. Assess quality
     const quality = assessTranscriptionQuality(fullTranscript);
     logger.info(`Transcription quality assessed: Score ${quality.score}, Confidence ${quality.confidence}`);
 
     return {
       transcript: fullTranscript,
+      segments: segments,
+      chunking: chunking,
+      resume: resume,
+      diarization: diarization,
+      labeledTranscript: labeledTranscript,
       quality: quality,
-      audioInfo: audioInfo
+      audioInfo: audioInfo,
+      backend: { name: backend.name, model: backend.resolveModel(toWorkerOptions(transcriptionOptions)) },
+      stats: stats
     };
 
   } catch (error) {
@@ -367,6 +624,7 @@ async function transcribeAudio(inputPath) {
 
 module.exports = {
   transcribeAudio,
+  chunkCheckpointStore,
   getAudioInfo,
   preprocessiPhoneAudio,
   assessTranscriptionQuality
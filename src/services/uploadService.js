@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { createLogger } = require('../logger');
+const { config } = require('../config');
+
+const logger = createLogger('uploadService');
+
+// 上傳檔案存放於 data/ 之下，服務重啟後佇列中的任務仍可取得音檔
+const UPLOAD_DIR = config.upload.dir;
+const MAX_UPLOAD_SIZE_MB = config.upload.maxSizeMB;
+
+// 允許的音檔格式 (iPhone 錄音常以 application/octet-stream 上傳，因此同時檢查副檔名)
+const ALLOWED_EXTENSIONS = ['.m4a', '.mp3', '.wav', '.aac', '.mp4', '.mov', '.ogg', '.oga', '.webm', '.flac', '.amr', '.caf'];
+const ALLOWED_MIME_PREFIXES = ['audio/', 'video/mp4', 'video/quicktime', 'video/webm'];
+
+/**
+ * 上傳錯誤 (附帶 HTTP 狀態碼)
+ */
+class UploadError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'UploadError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 檢查檔案是否為允許的音檔格式
+ */
+function isAllowedAudioFile(originalName, mimeType) {
+  const extension = path.extname(originalName || '').toLowerCase();
+  if (!ALLOWED_EXTENSIONS.includes(extension)) {
+    return false;
+  }
+
+  return mimeType === 'application/octet-stream' ||
+    ALLOWED_MIME_PREFIXES.some(prefix => (mimeType || '').startsWith(prefix));
+}
+
+/**
+ * 每個上傳檔案使用獨立目錄，任務結束時可整個目錄清除
+ */
+const storage = multer.diskStorage({
+  destination: (req, file, callback) => {
+    try {
+      fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+      callback(null, fs.mkdtempSync(path.join(UPLOAD_DIR, 'upload-')));
+    } catch (error) {
+      callback(error);
+    }
+  },
+  filename: (req, file, callback) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    callback(null, `audio${extension}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!isAllowedAudioFile(file.originalname, file.mimetype)) {
+      callback(new UploadError(`不支援的檔案格式: ${file.originalname} (${file.mimetype})，允許的副檔名: ${ALLOWED_EXTENSIONS.join(', ')}`, 415));
+      return;
+    }
+    callback(null, true);
+  }
+});
+
+/**
+ * 接收單一音檔欄位 (audio) 的 Express 中介軟體
+ * 錯誤會轉換為 UploadError 交由路由處理
+ */
+function receiveAudioUpload(req, res, next) {
+  upload.single('audio')(req, res, (error) => {
+    if (!error) {
+      next();
+      return;
+    }
+
+    if (error instanceof multer.MulterError) {
+      const statusCode = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `檔案超過大小上限 ${MAX_UPLOAD_SIZE_MB} MB`
+        : `上傳失敗: ${error.message}`;
+      next(new UploadError(message, statusCode));
+      return;
+    }
+
+    next(error);
+  });
+}
+
+/**
+ * 產生上傳任務的 Case ID (例如 upload-20240101-a1b2c3)
+ */
+function generateCaseId() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `upload-${date}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * 移除上傳檔案所在目錄
+ */
+function removeUpload(filePath) {
+  try {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    logger.info(`已清理上傳檔案: ${filePath}`);
+  } catch (error) {
+    logger.warn(`清理上傳檔案失敗: ${error.message}`);
+  }
+}
+
+/**
+ * 將已下載的音檔移入上傳目錄 (每個檔案獨立目錄)，讓任務與直接上傳一樣在重啟後仍可取得音檔
+ * 原檔所在的暫存目錄會一併移除
+ * @returns {string} 新的檔案路徑
+ */
+function storeUpload(filePath) {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  const targetPath = path.join(fs.mkdtempSync(path.join(UPLOAD_DIR, 'upload-')), `audio${path.extname(filePath).toLowerCase()}`);
+
+  try {
+    fs.renameSync(filePath, targetPath);
+  } catch (error) {
+    // 暫存目錄與上傳目錄位於不同檔案系統時改用複製
+    if (error.code !== 'EXDEV') {
+      fs.rmSync(path.dirname(targetPath), { recursive: true, force: true });
+      throw error;
+    }
+    fs.copyFileSync(filePath, targetPath);
+  }
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+
+  return targetPath;
+}
+
+module.exports = {
+  receiveAudioUpload,
+  generateCaseId,
+  removeUpload,
+  storeUpload,
+  isAllowedAudioFile,
+  UploadError,
+  MAX_UPLOAD_SIZE_MB,
+  ALLOWED_EXTENSIONS
+};
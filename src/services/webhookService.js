@@ -0,0 +1,222 @@
+const axios = require('axios');
+const { createLogger } = require('../logger');
+const { updateGoogleSheet } = require('./googleSheetsService');
+const { signWebhookPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('./webhookSignature');
+const DeadLetterStore = require('./deadLetterStore');
+const { recordWebhookFailure } = require('./metricsService');
+const { config } = require('../config');
+
+const logger = createLogger('webhookService');
+
+// Webhook 重試設定 (指數退避 + 隨機抖動)
+const RETRY_CONFIG = {
+  maxAttempts: config.webhook.maxAttempts,
+  baseDelayMs: config.webhook.retryBaseDelayMs,
+  maxDelayMs: config.webhook.retryMaxDelayMs,
+  timeoutMs: config.webhook.timeoutMs
+};
+
+const deadLetterStore = new DeadLetterStore();
+// 重送中的 dead-letter ID，避免同一筆通知被同時送出兩次
+const replaying = new Set();
+
+/**
+ * 計算第 n 次重試前的等待時間
+ * 取指數退避值的一半再加上隨機的另一半，避免多個任務同時重試
+ */
+function computeBackoffDelay(attempt) {
+  const exponential = Math.min(RETRY_CONFIG.maxDelayMs, RETRY_CONFIG.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * 送出一次 webhook 請求 (每次都重新簽章，避免重試時時間戳過期)
+ */
+async function postWebhook(webhookUrl, webhookPayload) {
+  // 先序列化再簽章，確保簽章內容與實際送出的字串一致
+  const body = JSON.stringify(webhookPayload);
+  const headers = { 'Content-Type': 'application/json' };
+  let targetUrl = webhookUrl;
+
+  const webhookSecret = config.webhook.secret;
+  if (webhookSecret) {
+    const { timestamp, signature, header } = signWebhookPayload(body, webhookSecret);
+    headers[SIGNATURE_HEADER] = header;
+    headers[TIMESTAMP_HEADER] = String(timestamp);
+
+    // GAS doPost 無法讀取請求標頭，簽章同時附加在查詢參數
+    const url = new URL(webhookUrl);
+    url.searchParams.set('timestamp', String(timestamp));
+    url.searchParams.set('signature', signature);
+    targetUrl = url.toString();
+  }
+
+  const response = await axios.post(targetUrl, body, {
+    headers,
+    timeout: RETRY_CONFIG.timeoutMs
+  });
+
+  // GAS doPost 一律回應 200，失敗時內容為 "Error: ..."，只有回應 Success 才算送達
+  if (typeof response.data !== 'string' || response.data.trim() !== 'Success') {
+    const error = new Error(`Webhook 回應異常: ${response.status} - ${response.data}`);
+    // 簽章被拒絕 (WEBHOOK_SECRET 與 GAS 不一致或已輪替)，重試也不會成功
+    error.signatureRejected = typeof response.data === 'string' && response.data.startsWith('Error: Invalid signature');
+    throw error;
+  }
+}
+
+/**
+ * 送出通知：先以 webhook 重試，全部失敗後改用直接更新 Google Sheets
+ * @param {object} payload { caseId, transcript, status, metadata }
+ * @param {object} [options] { maxAttempts }
+ * @returns {Promise<{ success: true, method: string, attempts: number }>}
+ * @throws {Error} webhook 與備援都失敗時 (error.attempts 為總嘗試次數，error.webhookError 為最後一次 webhook 錯誤)
+ *   GAS 拒絕簽章時不重試也不改用備援 (error.signatureRejected 為 true)
+ */
+async function deliverNotification(payload, options = {}) {
+  const { caseId, transcript, status, metadata = {} } = payload;
+  const maxAttempts = options.maxAttempts || RETRY_CONFIG.maxAttempts;
+  const webhookUrl = config.webhook.url;
+  let attempts = 0;
+  let lastWebhookError = null;
+
+  if (!webhookUrl) {
+    logger.warn('⚠️ WEBHOOK_URL 環境變數未設置，跳過 webhook 通知');
+  } else {
+    const webhookPayload = {
+      caseId: caseId,
+      transcriptText: transcript,
+      status: status,
+      metadata: metadata,
+      timestamp: new Date().toISOString()
+    };
+
+    while (attempts < maxAttempts) {
+      attempts++;
+      try {
+        logger.info(`📡 發送 webhook 通知到 Google Apps Script: ${caseId} (第 ${attempts}/${maxAttempts} 次)`);
+        await postWebhook(webhookUrl, webhookPayload);
+        logger.info(`✅ Webhook 通知成功 - Case ID: ${caseId}`);
+        return { success: true, method: 'webhook', attempts };
+      } catch (error) {
+        lastWebhookError = error.message;
+        recordWebhookFailure('webhook');
+        logger.error(`❌ Webhook 通知失敗 - Case ID: ${caseId}, 第 ${attempts} 次, Error: ${error.message}`);
+
+        if (error.signatureRejected) {
+          // 不改用 Sheets 備援，寫入 dead-letter 讓維運人員修正金鑰後重送
+          logger.error(`🔐 GAS 拒絕 webhook 簽章，請確認 WEBHOOK_SECRET 與 GAS 的設定一致 - Case ID: ${caseId}`);
+          error.attempts = attempts;
+          error.webhookError = lastWebhookError;
+          throw error;
+        }
+
+        if (attempts < maxAttempts) {
+          const delay = computeBackoffDelay(attempts);
+          logger.info(`⏳ ${(delay / 1000).toFixed(1)} 秒後重試 webhook...`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    // Webhook 失敗時，改用直接更新 Google Sheets 作為備援
+    logger.info(`🔄 改用直接更新 Google Sheets 作為備援...`);
+  }
+
+  attempts++;
+  try {
+    await updateGoogleSheet(caseId, transcript, status, metadata);
+    logger.info(`✅ 備援更新成功 - Case ID: ${caseId}`);
+    return { success: true, method: 'fallback_sheets', attempts };
+  } catch (fallbackError) {
+    recordWebhookFailure('fallback_sheets');
+    logger.error(`❌ 備援更新也失敗 - Case ID: ${caseId}, Error: ${fallbackError.message}`);
+    fallbackError.attempts = attempts;
+    fallbackError.webhookError = lastWebhookError;
+    throw fallbackError;
+  }
+}
+
+/**
+ * 通知 Google Apps Script 轉錄結果
+ * 全部送達方式都失敗時寫入 dead-letter，之後可由管理端點重送，轉錄結果不會遺失
+ * @returns {Promise<{ success: boolean, method: string, attempts?: number, deadLetterId?: string }>}
+ */
+async function notifyGoogleAppsScript(caseId, transcript, status, metadata = {}) {
+  const payload = { caseId, transcript, status, metadata };
+
+  try {
+    return await deliverNotification(payload);
+  } catch (error) {
+    const entry = deadLetterStore.add(payload, {
+      attempts: error.attempts,
+      error: error.message,
+      webhookError: error.webhookError
+    });
+    return { success: false, method: 'dead_letter', deadLetterId: entry.id, error: error.message };
+  }
+}
+
+/**
+ * 重送單筆 dead letter，成功後移除
+ * 同一筆正在重送時不再送出，回傳 inProgress: true
+ * @returns {Promise<object|null>} 找不到時回傳 null
+ */
+async function replayDeadLetter(id) {
+  const entry = deadLetterStore.get(id);
+  if (!entry) return null;
+
+  if (replaying.has(id)) {
+    logger.warn(`⏳ dead-letter 正在重送中，略過 - ID: ${id}, Case ID: ${entry.caseId}`);
+    return { id, caseId: entry.caseId, success: false, inProgress: true, error: '此 dead-letter 正在重送中' };
+  }
+
+  replaying.add(id);
+  logger.info(`🔁 重送 dead-letter - ID: ${id}, Case ID: ${entry.caseId}`);
+
+  try {
+    const result = await deliverNotification(entry.payload);
+    deadLetterStore.remove(id);
+    return { id, caseId: entry.caseId, success: true, method: result.method };
+  } catch (error) {
+    const updated = deadLetterStore.recordReplayFailure(id, error.message, error.webhookError);
+    return { id, caseId: entry.caseId, success: false, error: error.message, replayCount: updated.replayCount };
+  } finally {
+    replaying.delete(id);
+  }
+}
+
+/**
+ * 依序重送所有 dead letter (正在重送中的計入 skipped)
+ * @param {object} [options] { limit, caseId }
+ */
+async function replayAllDeadLetters(options = {}) {
+  const entries = deadLetterStore.list({ caseId: options.caseId }).slice(0, options.limit || undefined);
+  const results = [];
+
+  for (const entry of entries) {
+    results.push(await replayDeadLetter(entry.id));
+  }
+
+  const succeeded = results.filter(result => result && result.success).length;
+  const skipped = results.filter(result => result && result.inProgress).length;
+  const failed = results.length - succeeded - skipped;
+  logger.info(`批次重送 dead-letter 完成: ${succeeded} 成功, ${failed} 失敗, ${skipped} 重送中略過`);
+
+  return {
+    total: results.length,
+    succeeded,
+    failed,
+    skipped,
+    results
+  };
+}
+
+module.exports = {
+  notifyGoogleAppsScript,
+  deliverNotification,
+  replayDeadLetter,
+  replayAllDeadLetters,
+  computeBackoffDelay,
+  deadLetterStore
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// 簽章標頭格式: t=<unix 秒>,v1=<hex HMAC-SHA256("<t>.<body>")>
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+// 預設允許的時間差 (秒)，超過視為重放
+const DEFAULT_TOLERANCE_SEC = 300;
+
+/**
+ * 計算簽章
+ * @param {string} body 原始請求內容 (必須與實際送出的字串完全相同)
+ * @param {string} secret
+ * @param {number} timestamp unix 秒
+ */
+function computeSignature(body, secret, timestamp) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * 為送出的 webhook 內容簽章
+ * @returns {{ timestamp: number, signature: string, header: string }}
+ */
+function signWebhookPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = computeSignature(body, secret, timestamp);
+  return {
+    timestamp,
+    signature,
+    header: `t=${timestamp},v1=${signature}`
+  };
+}
+
+/**
+ * 解析簽章標頭
+ * @returns {{ timestamp: number, signatures: string[] }|null}
+ */
+function parseSignatureHeader(header) {
+  if (!header) return null;
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of String(header).split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') timestamp = parseInt(value, 10);
+    if (key === 'v1' && value) signatures.push(value);
+  }
+
+  if (!Number.isFinite(timestamp) || signatures.length === 0) return null;
+  return { timestamp, signatures };
+}
+
+/**
+ * 驗證 webhook 簽章 (供接收端使用)
+ * @param {object} params
+ * @param {string} params.body 原始請求內容
+ * @param {string} [params.header] X-Webhook-Signature 標頭
+ * @param {string|number} [params.timestamp] 無法讀取標頭時 (例如 GAS doPost) 以查詢參數帶入的時間戳
+ * @param {string} [params.signature] 同上，查詢參數中的簽章
+ * @param {string|string[]} params.secrets 可接受的密鑰 (輪替期間可同時接受新舊密鑰)
+ * @param {number} [params.toleranceSec] 允許的時間差
+ * @param {Function} [params.isReplay] (signature) => boolean，用於拒絕已處理過的簽章
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+function verifyWebhookSignature(params) {
+  const { body, secrets, toleranceSec = DEFAULT_TOLERANCE_SEC, isReplay } = params;
+  const parsed = params.header
+    ? parseSignatureHeader(params.header)
+    : (params.signature && params.timestamp ? { timestamp: parseInt(params.timestamp, 10), signatures: [params.signature] } : null);
+
+  if (!parsed) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - parsed.timestamp) > toleranceSec) {
+    return { valid: false, reason: 'timestamp_out_of_tolerance' };
+  }
+
+  const secretList = (Array.isArray(secrets) ? secrets : [secrets]).filter(Boolean);
+  const matched = secretList.some(secret => {
+    const expected = Buffer.from(computeSignature(body, secret, parsed.timestamp), 'hex');
+    return parsed.signatures.some(signature => {
+      const received = Buffer.from(signature, 'hex');
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+  });
+
+  if (!matched) {
+    return { valid: false, reason: 'signature_mismatch' };
+  }
+
+  if (isReplay && parsed.signatures.some(signature => isReplay(signature))) {
+    return { valid: false, reason: 'replayed' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 建立記憶體內的重放檢查器：同一簽章在允許時間內只接受一次
+ * @returns {Function} (signature) => boolean，已出現過時回傳 true
+ */
+function createReplayGuard(toleranceSec = DEFAULT_TOLERANCE_SEC) {
+  const seen = new Map();
+
+  return (signature) => {
+    const now = Date.now();
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt < now) seen.delete(key);
+    }
+
+    if (seen.has(signature)) return true;
+    seen.set(signature, now + toleranceSec * 2 * 1000);
+    return false;
+  };
+}
+
+module.exports = {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  parseSignatureHeader,
+  createReplayGuard,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DEFAULT_TOLERANCE_SEC
+};
@@ -0,0 +1,416 @@
+const EventEmitter = require('events');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { createLogger, runWithoutContext, getContext } = require('../logger');
+
+const logger = createLogger('whisperWorker');
+
+const WORKER_SCRIPT = path.join(__dirname, 'whisper_worker.py');
+
+// 送出 shutdown 後等待程序自行結束的時間，逾時強制終止
+const STOP_TIMEOUT_MS = 5000;
+
+// 程序狀態
+const WORKER_STATE = {
+  STARTING: 'starting',
+  IDLE: 'idle',
+  BUSY: 'busy',
+  STOPPING: 'stopping',
+  EXITED: 'exited'
+};
+
+/**
+ * 常駐的 Python Whisper 程序 (whisper_worker.py)
+ * 模型只在啟動時載入一次，之後透過 stdin/stdout 的 JSON Lines 協定逐一處理轉錄請求
+ *
+ * - 閒置時定期 ping，逾時未回應即終止
+ * - 常駐記憶體超過 maxMemoryMB 時，完成目前請求後回收 (結束程序，下次請求重新啟動)
+ * - 請求中斷或逾時會直接終止程序 (Python 端無法中途停止轉錄)
+ *
+ * 事件:
+ * - exit ({ code, signal, reason }): 程序結束，reason 為 stopped / recycled / killed / unresponsive / crashed
+ */
+class WhisperWorker extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options; // { engine, env, model, requestTimeoutMs, maxMemoryMB, pingIntervalMs, pingTimeoutMs }
+    this.engine = options.engine || 'openai-whisper';
+    this.model = options.model;
+    this.state = WORKER_STATE.STARTING;
+    this.child = null;
+    this.pid = null;
+    this.memoryMB = null;
+    this.jobsCompleted = 0;
+    this.startedAt = null;
+    this.pending = new Map(); // request id -> (error, message) => void
+    this.nextId = 0;
+    this.reserved = false;
+    this.exitReason = null;
+    this.startPromise = null;
+    this.stopPromise = null;
+    this.pingTimer = null;
+    // 目前 (或最近一次) 請求的關聯欄位，Python 的輸出會帶上這些欄位 (stderr 可能晚於結果送達，完成後不清除)
+    this.logContext = {};
+  }
+
+  /**
+   * 啟動程序並等待模型載入完成
+   */
+  start() {
+    if (this.startPromise) return this.startPromise;
+
+    this.startPromise = new Promise((resolve, reject) => {
+      logger.info(`🚀 啟動 Whisper 常駐程序 (引擎: ${this.engine}, 模型: ${this.model})`);
+      // 程序跨請求共用，在關聯範圍外建立，避免事件沿用第一個請求的 requestId
+      const args = [WORKER_SCRIPT, '--engine', this.engine, '--model', this.model];
+      const child = runWithoutContext(() => spawn('python3', args, {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: { ...process.env, ...this.options.env }
+      }));
+      this.child = child;
+      this.pid = child.pid;
+
+      // 模型可能需要先下載，啟動逾時與單次轉錄相同
+      const startTimer = setTimeout(() => {
+        logger.error(`⏰ Whisper 常駐程序啟動逾時 (PID: ${this.pid})`);
+        this.kill('killed');
+      }, this.options.requestTimeoutMs);
+
+      const onStartFailed = (error) => {
+        clearTimeout(startTimer);
+        reject(error);
+      };
+
+      child.on('error', (error) => {
+        logger.error(`❌ 無法啟動 Whisper 常駐程序: ${error.message}`);
+        onStartFailed(error);
+      });
+      child.stdin.on('error', (error) => {
+        logger.warn(`⚠️ 無法寫入 Whisper 常駐程序 (PID: ${this.pid}): ${error.message}`);
+      });
+
+      readline.createInterface({ input: child.stderr }).on('line', (line) => {
+        if (line.trim()) logger.info(`[Whisper ${this.pid}]: ${line}`, this.logContext);
+      });
+
+      readline.createInterface({ input: child.stdout }).on('line', (line) => {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (error) {
+          logger.warn(`⚠️ 無法解析 Whisper 常駐程序輸出: ${line.slice(0, 200)}`);
+          return;
+        }
+
+        if (message.memoryMB !== undefined && message.memoryMB !== null) {
+          this.memoryMB = message.memoryMB;
+        }
+        if (message.type === 'ready') {
+          clearTimeout(startTimer);
+          this.startedAt = new Date().toISOString();
+          this.state = WORKER_STATE.IDLE;
+          logger.info(`✅ Whisper 常駐程序已就緒 (PID: ${this.pid}, 模型: ${message.model}, 記憶體: ${this.memoryMB} MB)`);
+          this.schedulePing();
+          resolve(this);
+          return;
+        }
+
+        const settle = this.pending.get(message.id);
+        if (settle) settle(null, message);
+      });
+
+      // 啟動失敗 (例如找不到 python3) 不會觸發 exit，只有 close
+      child.on('close', (code, signal) => {
+        clearTimeout(startTimer);
+        clearInterval(this.pingTimer);
+        const wasStopping = this.state === WORKER_STATE.STOPPING;
+        this.state = WORKER_STATE.EXITED;
+        this.exitReason = this.exitReason || (wasStopping ? 'stopped' : 'crashed');
+
+        const level = this.exitReason === 'crashed' ? 'error' : 'info';
+        logger[level](`🔄 Whisper 常駐程序結束 (PID: ${this.pid}, code: ${code}, signal: ${signal}, 原因: ${this.exitReason})`);
+
+        const error = new Error(`Whisper 常駐程序已結束 (code: ${code}, signal: ${signal})`);
+        for (const settle of this.pending.values()) {
+          settle(error);
+        }
+        onStartFailed(error);
+        this.emit('exit', { code, signal, reason: this.exitReason });
+      });
+    });
+
+    return this.startPromise;
+  }
+
+  /**
+   * 轉錄一個音檔
+   * @param {string} audioPath
+   * @param {object} options toWorkerOptions 的結果
+   * @param {object} [context]
+   * @param {AbortSignal} [context.signal] 中斷時終止程序
+   * @returns {Promise<object>} whisper_transcribe.py 格式的結果 (包含 success 與 error)
+   */
+  transcribe(audioPath, options, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const id = ++this.nextId;
+      this.state = WORKER_STATE.BUSY;
+      this.logContext = getContext();
+
+      const onAbort = () => {
+        logger.warn(`🛑 任務已中斷，終止 Whisper 常駐程序 (PID: ${this.pid})`);
+        settle(signal.reason);
+        this.kill('killed');
+      };
+
+      const timer = setTimeout(() => {
+        logger.error(`⏰ Whisper 轉錄逾時，終止常駐程序 (PID: ${this.pid})`);
+        settle(new Error(`Whisper 轉錄逾時 (${this.options.requestTimeoutMs} ms)`));
+        this.kill('killed');
+      }, this.options.requestTimeoutMs);
+
+      const settle = (error, message) => {
+        if (!this.pending.has(id)) return;
+        this.pending.delete(id);
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        this.jobsCompleted++;
+        if (this.state === WORKER_STATE.BUSY) this.state = WORKER_STATE.IDLE;
+        const result = { ...message };
+        delete result.id;
+        delete result.type;
+        delete result.memoryMB;
+        resolve(result);
+        this.checkMemory();
+      };
+
+      this.pending.set(id, settle);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      this.send({ id, type: 'transcribe', audioPath, options });
+    });
+  }
+
+  /**
+   * 閒置時定期確認程序仍有回應
+   */
+  schedulePing() {
+    const { pingIntervalMs, pingTimeoutMs } = this.options;
+    if (!pingIntervalMs) return;
+
+    this.pingTimer = setInterval(() => {
+      if (this.state !== WORKER_STATE.IDLE || this.reserved) return;
+
+      const id = ++this.nextId;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        logger.error(`❌ Whisper 常駐程序 ${pingTimeoutMs} ms 內未回應 ping，終止程序 (PID: ${this.pid})`);
+        this.kill('unresponsive');
+      }, pingTimeoutMs);
+
+      this.pending.set(id, (error) => {
+        this.pending.delete(id);
+        clearTimeout(timer);
+        if (!error) this.checkMemory();
+      });
+      this.send({ id, type: 'ping' });
+    }, pingIntervalMs);
+    this.pingTimer.unref();
+  }
+
+  /**
+   * 記憶體超過上限 (WHISPER_WORKER_MAX_MEMORY_MB) 時回收程序
+   */
+  checkMemory() {
+    const { maxMemoryMB } = this.options;
+    if (!maxMemoryMB || this.memoryMB === null || this.memoryMB <= maxMemoryMB) return;
+    if (this.state !== WORKER_STATE.IDLE) return;
+
+    logger.warn(`♻️ Whisper 常駐程序記憶體 ${this.memoryMB} MB 超過上限 ${maxMemoryMB} MB，回收程序 (PID: ${this.pid})`);
+    this.exitReason = 'recycled';
+    this.stop();
+  }
+
+  send(message) {
+    if (this.child && this.child.stdin.writable) {
+      this.child.stdin.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+
+  /**
+   * 請程序結束 (處理中的請求完成後)，逾時則強制終止
+   */
+  stop() {
+    if (!this.child || this.state === WORKER_STATE.EXITED) return Promise.resolve();
+    if (this.stopPromise) return this.stopPromise;
+
+    this.state = WORKER_STATE.STOPPING;
+    this.stopPromise = new Promise(resolve => this.once('exit', resolve));
+    this.send({ type: 'shutdown' });
+    this.child.stdin.end();
+
+    const killTimer = setTimeout(() => {
+      logger.warn(`⚠️ Whisper 常駐程序 ${STOP_TIMEOUT_MS} ms 內未結束，強制終止 (PID: ${this.pid})`);
+      this.kill();
+    }, STOP_TIMEOUT_MS);
+    killTimer.unref();
+    this.once('exit', () => clearTimeout(killTimer));
+
+    return this.stopPromise;
+  }
+
+  kill(reason) {
+    if (reason && !this.exitReason) this.exitReason = reason;
+    if (this.child && this.child.exitCode === null && this.child.signalCode === null) {
+      this.child.kill('SIGKILL');
+    }
+  }
+
+  isAvailable() {
+    return this.state === WORKER_STATE.IDLE && !this.reserved;
+  }
+
+  getStats() {
+    return {
+      pid: this.pid,
+      engine: this.engine,
+      model: this.model,
+      state: this.state,
+      memoryMB: this.memoryMB,
+      jobsCompleted: this.jobsCompleted,
+      startedAt: this.startedAt
+    };
+  }
+}
+
+/**
+ * Whisper 常駐程序池
+ * 最多 size 個程序 (與同時執行的任務數相同)，優先使用已載入相同模型的閒置程序；
+ * 程序結束 (崩潰、回收、中斷) 後由下一個請求重新啟動
+ */
+class WhisperWorkerPool {
+  constructor(options) {
+    this.options = options; // { size, engine, env, requestTimeoutMs, maxMemoryMB, pingIntervalMs, pingTimeoutMs }
+    this.workers = new Set();
+    this.waiting = []; // 等待可用程序的請求 (喚醒後重新嘗試取得)
+    this.counters = { started: 0, stopped: 0, recycled: 0, killed: 0, unresponsive: 0, crashed: 0 };
+    this.closed = false;
+  }
+
+  /**
+   * 以常駐程序轉錄音檔
+   * @param {string} audioPath
+   * @param {object} options toWorkerOptions 的結果
+   * @param {object} [context]
+   * @param {AbortSignal} [context.signal]
+   */
+  async transcribe(audioPath, options, { signal } = {}) {
+    const worker = await this.acquire(options.model, signal);
+    try {
+      return await worker.transcribe(audioPath, options, { signal });
+    } finally {
+      this.release(worker);
+    }
+  }
+
+  async acquire(model, signal) {
+    for (;;) {
+      if (this.closed) throw new Error('Whisper 常駐程序池已關閉');
+      if (signal && signal.aborted) throw signal.reason;
+
+      const available = [...this.workers].filter(worker => worker.isAvailable());
+      // 沒有相同模型的閒置程序且已達上限時，由閒置程序切換模型
+      const worker = available.find(candidate => candidate.model === model)
+        || (this.workers.size >= this.options.size ? available[0] : null);
+      if (worker) {
+        worker.reserved = true;
+        worker.model = model;
+        return worker;
+      }
+
+      if (this.workers.size < this.options.size) {
+        const created = this.createWorker(model);
+        created.reserved = true;
+        try {
+          await created.start();
+        } catch (error) {
+          throw new Error(`無法啟動 Whisper 常駐程序: ${error.message}`);
+        }
+        return created;
+      }
+
+      await this.waitForWorker(signal);
+    }
+  }
+
+  release(worker) {
+    worker.reserved = false;
+    this.wakeNext();
+  }
+
+  createWorker(model) {
+    const worker = new WhisperWorker({ ...this.options, model });
+    this.workers.add(worker);
+    this.counters.started++;
+    worker.once('exit', ({ reason }) => {
+      this.workers.delete(worker);
+      this.counters[reason]++;
+      this.wakeNext();
+    });
+    return worker;
+  }
+
+  waitForWorker(signal) {
+    return new Promise((resolve, reject) => {
+      const waiter = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      const onAbort = () => {
+        this.waiting = this.waiting.filter(item => item !== waiter);
+        reject(signal.reason);
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      this.waiting.push(waiter);
+    });
+  }
+
+  wakeNext() {
+    const waiter = this.waiting.shift();
+    if (waiter) waiter();
+  }
+
+  getStats() {
+    return {
+      size: this.options.size,
+      waiting: this.waiting.length,
+      ...this.counters,
+      workers: [...this.workers].map(worker => worker.getStats())
+    };
+  }
+
+  /**
+   * 結束所有常駐程序 (服務關閉時)
+   */
+  async shutdown() {
+    this.closed = true;
+    for (const waiter of this.waiting.splice(0)) waiter();
+    await Promise.all([...this.workers].map(worker => worker.stop()));
+  }
+}
+
+module.exports = {
+  WhisperWorker,
+  WhisperWorkerPool,
+  WORKER_STATE
+};
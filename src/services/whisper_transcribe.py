@@ -6,7 +6,6 @@ OpenAI Whisper 轉錄服務
 
 import sys
 import json
-import whisper
 import argparse
 import warnings
 from pathlib import Path
@@ -14,14 +13,17 @@ from pathlib import Path
 # 抑制警告訊息
 warnings.filterwarnings("ignore")
 
-def transcribe_audio(audio_path, model_name="base", language="zh"):
+def transcribe_audio(audio_path, model_name="base", language="zh", initial_prompt=None, temperature=None, beam_size=None):
     """
-    使用 OpenAI Whisper 轉錄音檔
+    使用 OpenAI Whisper 轉錄音檔 (每次載入模型，供命令列使用)
     
     Args:
         audio_path (str): 音檔路徑
-        model_name (str): 模型名稱 (tiny, base, small, medium, large)
-        language (str): 語言代碼
+        model_name (str): 模型名稱 (tiny, base, small, medium, large, large-v2, large-v3)
+        language (str): 語言代碼，auto 為自動偵測
+        initial_prompt (str): 提示詞 (專有名詞等)
+        temperature (float): 取樣溫度，None 使用 Whisper 預設的逐步提高策略
+        beam_size (int): beam search 寬度
     
     Returns:
         dict: 轉錄結果
@@ -33,90 +35,146 @@ def transcribe_audio(audio_path, model_name="base", language="zh"):
         
         # 載入模型
         print(f"🤖 正在載入 Whisper 模型: {model_name}", file=sys.stderr)
-        model = whisper.load_model(model_name)
+        model = load_model(model_name)
+        
+        result = transcribe_with_model(model, audio_path, language, initial_prompt, temperature, beam_size)
+        
+        # 清理模型以釋放記憶體
+        print(f"🗑️ 轉錄完成，清理模型資源", file=sys.stderr)
+        del model
+        
+        return result
+        
+    except Exception as e:
+        return failure_result(e)
+
+def load_model(model_name):
+    """載入 OpenAI Whisper 模型 (whisper_worker.py 的 openai-whisper 引擎)"""
+    import whisper
+    return whisper.load_model(model_name)
+
+def transcribe_with_model(model, audio_path, language="zh", initial_prompt=None, temperature=None, beam_size=None):
+    """
+    使用已載入的模型轉錄音檔 (常駐的 whisper_worker.py 重複使用同一個模型)
+    
+    Returns:
+        dict: 轉錄結果，失敗時 success 為 False
+    """
+    try:
+        if not Path(audio_path).exists():
+            raise FileNotFoundError(f"音檔不存在: {audio_path}")
         
         # 轉錄選項
         options = {
-            "language": language,
+            "language": None if language == "auto" else language,
             "fp16": False,  # 避免在 CPU 上的潛在問題
             "verbose": False
         }
+        if initial_prompt:
+            options["initial_prompt"] = initial_prompt
+        if temperature is not None:
+            options["temperature"] = temperature
+        if beam_size is not None:
+            options["beam_size"] = beam_size
         
         # 執行轉錄
         print(f"🎵 開始轉錄: {Path(audio_path).name}", file=sys.stderr)
         result = model.transcribe(audio_path, **options)
         
-        # 清理模型以釋放記憶體
-        print(f"🗑️ 轉錄完成，清理模型資源", file=sys.stderr)
-        del model
-        
-        # 計算品質指標
-        text = result["text"].strip()
-        segments = result.get("segments", [])
-        
-        # 計算平均信心度
-        avg_confidence = 0.0
-        if segments:
-            confidences = []
-            for segment in segments:
-                # Whisper segments 可能沒有 confidence，使用 no_speech_prob 反推
-                if "no_speech_prob" in segment:
-                    confidence = 1.0 - segment["no_speech_prob"]
-                else:
-                    confidence = 0.8  # 預設值
-                confidences.append(confidence)
-            avg_confidence = sum(confidences) / len(confidences)
-        else:
-            avg_confidence = 0.8 if text else 0.0
-        
-        # 檢查中文字元比例
-        chinese_chars = sum(1 for char in text if '\u4e00' <= char <= '\u9fff')
-        chinese_ratio = chinese_chars / len(text) if text else 0
-        
-        # 計算品質分數
-        quality_score = min(100, max(0, 
-            avg_confidence * 60 +  # 信心度佔 60%
-            (chinese_ratio * 30) +  # 中文比例佔 30%
-            (min(len(text) / 10, 10))  # 長度bonus佔 10%
-        ))
-        
-        return {
-            "success": True,
-            "text": text,
-            "language": result.get("language", language),
-            "duration": len(segments) * 30 if segments else 0,  # 估算
-            "segments_count": len(segments),
-            "quality": {
-                "score": round(quality_score, 2),
-                "confidence": round(avg_confidence, 3),
-                "chinese_ratio": round(chinese_ratio, 3)
-            }
-        }
+        return build_result(result["text"].strip(), result.get("language", language), result.get("segments", []))
         
     except Exception as e:
-        return {
-            "success": False,
-            "error": str(e),
-            "text": "",
-            "quality": {
-                "score": 0,
-                "confidence": 0.0,
-                "chinese_ratio": 0.0
-            }
+        return failure_result(e)
+
+def build_result(text, language, segments):
+    """
+    計算品質指標並整理為回傳格式 (faster_whisper_transcribe.py 共用)
+    
+    Args:
+        text (str): 完整文字
+        language (str): 偵測或指定的語言
+        segments (list): 片段 (dict，含 start、end、text，可能有 no_speech_prob)
+    """
+    # 計算平均信心度
+    avg_confidence = 0.0
+    if segments:
+        confidences = []
+        for segment in segments:
+            # Whisper segments 可能沒有 confidence，使用 no_speech_prob 反推
+            if segment.get("no_speech_prob") is not None:
+                confidence = 1.0 - segment["no_speech_prob"]
+            else:
+                confidence = 0.8  # 預設值
+            confidences.append(confidence)
+        avg_confidence = sum(confidences) / len(confidences)
+    else:
+        avg_confidence = 0.8 if text else 0.0
+    
+    # 檢查中文字元比例
+    chinese_chars = sum(1 for char in text if '\u4e00' <= char <= '\u9fff')
+    chinese_ratio = chinese_chars / len(text) if text else 0
+    
+    # 計算品質分數
+    quality_score = min(100, max(0, 
+        avg_confidence * 60 +  # 信心度佔 60%
+        (chinese_ratio * 30) +  # 中文比例佔 30%
+        (min(len(text) / 10, 10))  # 長度bonus佔 10%
+    ))
+    
+    # 保留每個片段的起訖時間 (秒，相對於此音檔開頭)
+    timed_segments = [
+        {
+            "start": round(float(segment["start"]), 3),
+            "end": round(float(segment["end"]), 3),
+            "text": segment["text"].strip()
+        }
+        for segment in segments
+        if segment.get("text", "").strip()
+    ]
+    
+    return {
+        "success": True,
+        "text": text,
+        "language": language,
+        "duration": len(segments) * 30 if segments else 0,  # 估算
+        "segments_count": len(segments),
+        "segments": timed_segments,
+        "quality": {
+            "score": round(quality_score, 2),
+            "confidence": round(avg_confidence, 3),
+            "chinese_ratio": round(chinese_ratio, 3)
+        }
+    }
+
+def failure_result(error):
+    """轉錄失敗時的回傳格式"""
+    return {
+        "success": False,
+        "error": str(error),
+        "text": "",
+        "quality": {
+            "score": 0,
+            "confidence": 0.0,
+            "chinese_ratio": 0.0
         }
+    }
 
 def main():
     parser = argparse.ArgumentParser(description="OpenAI Whisper 音檔轉錄")
     parser.add_argument("audio_path", help="音檔路徑")
-    parser.add_argument("--model", default="base", choices=["tiny", "base", "small", "medium", "large"], 
+    parser.add_argument("--model", default="base", choices=["tiny", "base", "small", "medium", "large", "large-v2", "large-v3"], 
                        help="Whisper 模型大小")
-    parser.add_argument("--language", default="zh", help="語言代碼 (zh, en, etc.)")
+    parser.add_argument("--language", default="zh", help="語言代碼 (zh, en, etc.)，auto 為自動偵測")
+    parser.add_argument("--initial-prompt", default=None, help="提示詞 (專有名詞等)")
+    parser.add_argument("--temperature", type=float, default=None, help="取樣溫度 (0-1)")
+    parser.add_argument("--beam-size", type=int, default=None, help="beam search 寬度")
     parser.add_argument("--output-json", action="store_true", help="輸出 JSON 格式")
     
     args = parser.parse_args()
     
     # 執行轉錄
-    result = transcribe_audio(args.audio_path, args.model, args.language)
+    result = transcribe_audio(args.audio_path, args.model, args.language,
+                              args.initial_prompt, args.temperature, args.beam_size)
     
     if args.output_json:
         # 輸出 JSON 格式（供 Node.js 解析）
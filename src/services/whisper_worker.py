@@ -0,0 +1,131 @@
+#!/usr/bin/env python3
+"""
+常駐 Whisper 轉錄程序
+模型只載入一次，透過 stdin/stdout 的 JSON Lines 協定接收轉錄任務 (由 whisperWorker.js 管理)
+--engine 選擇 openai-whisper (whisper_transcribe.py) 或 faster-whisper (faster_whisper_transcribe.py)
+
+請求 (每行一個 JSON):
+    {"id": 1, "type": "transcribe", "audioPath": "...", "options": {"model", "language", "initialPrompt", "temperature", "beamSize"}}
+    {"id": 2, "type": "ping"}
+    {"type": "shutdown"}
+
+回應:
+    {"type": "ready", "pid", "engine", "model", "memoryMB"}       啟動並載入模型後
+    {"id": 1, "type": "result", "success", "text", ..., "memoryMB"} 轉錄結果 (格式同 whisper_transcribe.py)
+    {"id": 2, "type": "pong", "model", "memoryMB"}
+"""
+
+import argparse
+import gc
+import importlib
+import json
+import os
+import sys
+import warnings
+
+from whisper_transcribe import failure_result
+
+# 轉錄引擎模組，皆提供 load_model(name) 與 transcribe_with_model(model, audio_path, ...)
+ENGINES = {
+    "openai-whisper": "whisper_transcribe",
+    "faster-whisper": "faster_whisper_transcribe",
+}
+
+# 抑制警告訊息
+warnings.filterwarnings("ignore")
+
+# 協定使用原本的 stdout，其他輸出 (whisper 的進度、print) 一律導向 stderr
+protocol_out = sys.stdout
+sys.stdout = sys.stderr
+
+engine = None
+model = None
+model_name = None
+
+
+def send(message):
+    protocol_out.write(json.dumps(message, ensure_ascii=False) + "\n")
+    protocol_out.flush()
+
+
+def memory_mb():
+    """目前程序的常駐記憶體 (MB)，讀取 /proc，無法取得時為 None"""
+    try:
+        with open("/proc/self/status") as status:
+            for line in status:
+                if line.startswith("VmRSS:"):
+                    return round(int(line.split()[1]) / 1024, 1)
+    except OSError:
+        pass
+    return None
+
+
+def ensure_model(name):
+    """載入指定模型，與目前模型不同時先釋放舊模型"""
+    global model, model_name
+    if model is not None and model_name == name:
+        return model
+    if model is not None:
+        print(f"🔄 切換 Whisper 模型: {model_name} -> {name}", file=sys.stderr)
+        model = None
+        gc.collect()
+    print(f"🤖 正在載入 Whisper 模型: {name}", file=sys.stderr)
+    model = engine.load_model(name)
+    model_name = name
+    return model
+
+
+def handle_transcribe(request):
+    options = request.get("options") or {}
+    try:
+        current = ensure_model(options.get("model") or model_name)
+    except Exception as e:
+        return failure_result(f"無法載入模型: {e}")
+    print(f"🎵 開始轉錄: {os.path.basename(request.get('audioPath', ''))}", file=sys.stderr)
+    return engine.transcribe_with_model(
+        current,
+        request.get("audioPath", ""),
+        options.get("language", "zh"),
+        options.get("initialPrompt"),
+        options.get("temperature"),
+        options.get("beamSize"),
+    )
+
+
+def main():
+    global engine
+    parser = argparse.ArgumentParser(description="常駐 Whisper 轉錄程序")
+    parser.add_argument("--engine", default="openai-whisper", choices=sorted(ENGINES), help="轉錄引擎")
+    parser.add_argument("--model", default="base", help="啟動時預先載入的模型")
+    args = parser.parse_args()
+
+    engine = importlib.import_module(ENGINES[args.engine])
+    ensure_model(args.model)
+    send({"type": "ready", "pid": os.getpid(), "engine": args.engine, "model": model_name, "memoryMB": memory_mb()})
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        try:
+            request = json.loads(line)
+        except ValueError:
+            print(f"⚠️ 無法解析的請求: {line[:200]}", file=sys.stderr)
+            continue
+
+        request_type = request.get("type")
+        if request_type == "shutdown":
+            break
+        if request_type == "ping":
+            send({"id": request.get("id"), "type": "pong", "model": model_name, "memoryMB": memory_mb()})
+        elif request_type == "transcribe":
+            result = handle_transcribe(request)
+            send({"id": request.get("id"), "type": "result", **result, "memoryMB": memory_mb()})
+        else:
+            send({"id": request.get("id"), "type": "result", **failure_result(f"未知的請求類型: {request_type}")})
+
+    print("👋 Whisper 常駐程序結束", file=sys.stderr)
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobManager = require('../src/services/jobManager');
+const AdmissionController = require('../src/services/admissionController');
+
+const { AdmissionError } = AdmissionController;
+
+describe('AdmissionController', () => {
+  let tempDir;
+  let jobManager;
+  let controller;
+  let releaseJobs;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'admission-test-'));
+    jobManager = new JobManager({
+      storePath: path.join(tempDir, 'jobs.json'),
+      canStart: (job) => controller.canStart(job)
+    });
+    controller = new AdmissionController(jobManager, { maxQueuedJobs: 2, memoryBudgetMB: 4096, defaultJobDurationSec: 600 });
+  });
+
+  afterEach(async () => {
+    if (releaseJobs) releaseJobs();
+    releaseJobs = null;
+    await Promise.all(jobManager.running.values());
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * 任務開始後一直執行到 releaseJobs() 為止
+   */
+  function holdRunningJobs() {
+    const held = new Promise(resolve => { releaseJobs = resolve; });
+    jobManager.setProcessor(() => held);
+  }
+
+  const submit = (caseId) => jobManager.submit({ caseId }, { admit: () => controller.assertCanAdmit() });
+
+  describe('assertCanAdmit', () => {
+    test('等待中的任務未達上限時放行', () => {
+      submit('case-1');
+      expect(() => controller.assertCanAdmit()).not.toThrow();
+      expect(controller.getCapacity()).toMatchObject({ acceptingJobs: true, queued: 1, retryAfterSec: 0 });
+    });
+
+    test('達上限時以 429 拒絕，沒有執行中的任務時以平均任務時間作為 Retry-After', () => {
+      submit('case-1');
+      submit('case-2');
+
+      let rejection;
+      try {
+        submit('case-3');
+      } catch (error) {
+        rejection = error;
+      }
+
+      expect(rejection).toBeInstanceOf(AdmissionError);
+      expect(rejection.statusCode).toBe(429);
+      expect(rejection.retryAfterSec).toBe(600);
+      expect(rejection.message).toContain('(2)');
+      expect(jobManager.listJobs()).toHaveLength(2);
+      expect(controller.getCapacity()).toMatchObject({ acceptingJobs: false, queued: 2, retryAfterSec: 600 });
+    });
+
+    test('重複的請求不受上限影響', () => {
+      submit('case-1');
+      submit('case-2');
+
+      expect(submit('case-1').reused).toBe('active');
+    });
+
+    test('Retry-After 取最早結束的執行中任務', () => {
+      holdRunningJobs();
+      const { job: running } = submit('case-1');
+      expect(running.status).toBe('Processing');
+      submit('case-2');
+      submit('case-3');
+
+      running.eta = { scope: 'transcription', seconds: 42.3 };
+      expect(() => controller.assertCanAdmit()).toThrow(expect.objectContaining({ statusCode: 429, retryAfterSec: 43 }));
+
+      running.eta = null;
+      running.audioDurationSec = 300;
+      running.startedAt = new Date(Date.now() - 100 * 1000).toISOString();
+      expect(controller.estimateRetryAfterSec()).toBe(200);
+    });
+
+    test('Retry-After 介於 1 秒與 1 小時之間', () => {
+      holdRunningJobs();
+      const { job: running } = submit('case-1');
+
+      running.eta = { scope: 'transcription', seconds: 0 };
+      expect(controller.estimateRetryAfterSec()).toBe(1);
+
+      running.eta = { scope: 'transcription', seconds: 5 * 3600 };
+      expect(controller.estimateRetryAfterSec()).toBe(3600);
+    });
+  });
+
+  describe('canStart', () => {
+    test('記憶體不足時留在佇列，沒有執行中的任務時一律放行', () => {
+      controller = new AdmissionController(jobManager, { memoryBudgetMB: 1500, baseMemoryMB: 1024, memoryPerAudioMinuteMB: 0 });
+      const job = { id: 'job-1', data: { options: { model: 'base' } } };
+
+      expect(controller.canStart(job)).toBe(true);
+      controller.reserve(job);
+      expect(controller.canStart({ id: 'job-2', data: { options: { model: 'base' } } })).toBe(false);
+
+      controller.release('job-1');
+      expect(controller.canStart({ id: 'job-2', data: { options: { model: 'base' } } })).toBe(true);
+    });
+  });
+});
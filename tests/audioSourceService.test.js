@@ -0,0 +1,179 @@
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// 只有 localhost 可以連到內部網路 (測試伺服器)
+process.env.HTTP_SOURCE_ALLOWED_PRIVATE_HOSTS = 'localhost';
+// file 來源只能讀取 allowedDir
+const localRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-source-test-'));
+const allowedDir = path.join(localRoot, 'allowed');
+process.env.AUDIO_SOURCE_ALLOWED_DIRS = allowedDir;
+
+const { parseSourceRequest, parseDriveFileId, fetchAudioSource, isPrivateAddress } = require('../src/services/audioSourceService');
+
+// 解析到 loopback 的外部主機名稱 (DNS rebinding 類型的攻擊)
+const REBOUND_HOST = 'audio.rebind.test';
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '2002:a9fe:a9fe::1', '2002:7f00:1::'
+  ])('%s 為內部位址', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(['8.8.8.8', '142.250.72.14', '2001:4860:4860::8888', 'example.com'])('%s 不是內部位址', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('parseDriveFileId', () => {
+  const FILE_ID = '1AbCdEfGhIjKlMnOp_-9';
+
+  test.each([
+    `https://drive.google.com/file/d/${FILE_ID}/view?usp=sharing`,
+    `https://drive.google.com/open?id=${FILE_ID}`,
+    `https://docs.google.com/uc?export=download&id=${FILE_ID}`
+  ])('取出 %s 的 File ID', (link) => {
+    expect(parseDriveFileId(link)).toBe(FILE_ID);
+  });
+
+  test.each([
+    `https://evil.example.com/file/d/${FILE_ID}/view`,
+    `https://drive.google.com.evil.example.com/open?id=${FILE_ID}`,
+    `https://evil.example.com/?next=https://drive.google.com/open&id=${FILE_ID}`,
+    `/file/d/${FILE_ID}/view`,
+    'https://drive.google.com/drive/folders'
+  ])('不接受 %s', (link) => {
+    expect(parseDriveFileId(link)).toBeNull();
+  });
+
+  test('drive 來源的連結不是 Google Drive 時拒絕', () => {
+    expect(() => parseSourceRequest({ source: { type: 'drive', url: `https://evil.example.com/file/d/${FILE_ID}/view` } }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(parseSourceRequest({ source: { type: 'drive', url: `https://drive.google.com/file/d/${FILE_ID}/view` } }))
+      .toEqual({ type: 'drive', fileId: FILE_ID });
+  });
+});
+
+describe('parseSourceRequest (http)', () => {
+  test.each([
+    'http://127.0.0.1:3000/health',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/a.mp3',
+    'http://[::ffff:127.0.0.1]/a.mp3',
+    'http://[2002:a9fe:a9fe::1]/a.mp3',
+    'http://2130706433/a.mp3',
+    'http://10.0.0.5/a.mp3',
+    'http://api.localhost/a.mp3'
+  ])('拒絕 %s', (url) => {
+    expect(() => parseSourceRequest({ source: { type: 'http', url } })).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  test('接受外部網址與允許的主機', () => {
+    expect(parseSourceRequest({ source: { type: 'http', url: 'https://example.com/a.mp3' } }))
+      .toEqual({ type: 'http', url: 'https://example.com/a.mp3' });
+    expect(parseSourceRequest({ source: { type: 'http', url: 'http://localhost:8080/a.mp3' } }).type).toBe('http');
+  });
+});
+
+describe('fetchAudioSource (http)', () => {
+  let server;
+  let port;
+  const cleanupDirs = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/audio.wav') {
+        res.writeHead(200, { 'content-type': 'audio/wav', 'content-length': 4 });
+        return res.end('RIFF');
+      }
+      if (req.url.startsWith('/redirect?to=')) {
+        res.writeHead(302, { location: decodeURIComponent(req.url.slice('/redirect?to='.length)) });
+        return res.end();
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+
+    const lookup = dns.lookup;
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      if (hostname === REBOUND_HOST) return callback(null, [{ address: '127.0.0.1', family: 4 }]);
+      return lookup(hostname, options, callback);
+    });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+    for (const dir of cleanupDirs) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const fetchUrl = (url) => fetchAudioSource({ type: 'http', url }, { fileName: 'audio.wav' });
+
+  test('允許的主機可以下載', async () => {
+    const { filePath, cleanupDir } = await fetchUrl(`http://localhost:${port}/audio.wav`);
+    cleanupDirs.push(cleanupDir);
+    expect(path.basename(filePath)).toBe('audio.wav');
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('RIFF');
+  });
+
+  test('拒絕 IP 位址，不送出請求', async () => {
+    await expect(fetchUrl(`http://127.0.0.1:${port}/audio.wav`)).rejects.toThrow('內部網路位址');
+  });
+
+  test('拒絕解析到內部位址的主機名稱', async () => {
+    await expect(fetchUrl(`http://${REBOUND_HOST}:${port}/audio.wav`)).rejects.toThrow(`${REBOUND_HOST} (127.0.0.1)`);
+  });
+
+  test('每次重新導向都重新檢查', async () => {
+    const toIp = encodeURIComponent(`http://127.0.0.1:${port}/audio.wav`);
+    await expect(fetchUrl(`http://localhost:${port}/redirect?to=${toIp}`)).rejects.toThrow('內部網路位址');
+
+    const toRebound = encodeURIComponent(`http://${REBOUND_HOST}:${port}/audio.wav`);
+    await expect(fetchUrl(`http://localhost:${port}/redirect?to=${toRebound}`)).rejects.toThrow(`${REBOUND_HOST} (127.0.0.1)`);
+  });
+});
+
+describe('file 來源', () => {
+  beforeAll(() => {
+    fs.mkdirSync(path.join(allowedDir, 'recordings'), { recursive: true });
+    fs.writeFileSync(path.join(allowedDir, 'recordings', 'a.wav'), 'RIFF');
+    fs.writeFileSync(path.join(localRoot, 'secret.txt'), 'secret');
+    fs.symlinkSync(path.join(localRoot, 'secret.txt'), path.join(allowedDir, 'link.wav'));
+    fs.mkdirSync(`${allowedDir}-other`);
+    fs.writeFileSync(`${allowedDir}-other/a.wav`, 'RIFF');
+  });
+
+  afterAll(() => {
+    fs.rmSync(localRoot, { recursive: true, force: true });
+  });
+
+  test('允許目錄內的檔案', async () => {
+    const filePath = path.join(allowedDir, 'recordings', 'a.wav');
+
+    expect(parseSourceRequest({ source: { type: 'file', path: filePath } })).toEqual({ type: 'file', path: filePath });
+    expect(await fetchAudioSource({ type: 'file', path: filePath }, { fileName: 'a.wav' }))
+      .toEqual({ filePath: fs.realpathSync(filePath), cleanupDir: null });
+  });
+
+  test.each([
+    ['以 ../ 跳出允許的目錄', path.join(allowedDir, 'recordings', '..', '..', 'secret.txt')],
+    ['符號連結指向允許的目錄外', path.join(allowedDir, 'link.wav')],
+    ['名稱前綴相同的其他目錄', `${allowedDir}-other/a.wav`]
+  ])('%s時拒絕', (name, filePath) => {
+    expect(() => parseSourceRequest({ source: { type: 'file', path: filePath } }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: expect.stringContaining('不在允許的目錄內') }));
+  });
+
+  test('檔案不存在時回傳 404，目錄回傳 400', () => {
+    expect(() => parseSourceRequest({ source: { type: 'file', path: path.join(allowedDir, 'missing.wav') } }))
+      .toThrow(expect.objectContaining({ statusCode: 404 }));
+    expect(() => parseSourceRequest({ source: { type: 'file', path: path.join(allowedDir, 'recordings') } }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
@@ -0,0 +1,87 @@
+const express = require('express');
+const { createApiKeyAuth, parseApiKeys } = require('../src/services/authService');
+
+describe('parseApiKeys', () => {
+  test('有名稱的金鑰保留名稱，沒有名稱時依順序命名', () => {
+    const keys = parseApiKeys(['gas:key-1', 'key-2', 'ops:with:colon']);
+
+    expect(keys.map(key => key.name)).toEqual(['gas', 'key-2', 'ops']);
+    expect(keys.every(key => Buffer.isBuffer(key.digest))).toBe(true);
+  });
+});
+
+describe('createApiKeyAuth', () => {
+  let server;
+  let baseUrl;
+
+  /**
+   * 以指定的中介軟體啟動測試伺服器，回應驗證通過的金鑰名稱
+   */
+  async function listen(auth) {
+    const app = express();
+    app.get('/protected', auth, (req, res) => res.json({ apiKeyName: req.apiKeyName || null }));
+    server = await new Promise(resolve => {
+      const started = app.listen(0, '127.0.0.1', () => resolve(started));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const request = async (path, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  describe('已設定金鑰', () => {
+    beforeEach(() => listen(createApiKeyAuth({ keys: parseApiKeys(['gas:key-1', 'ops:key-2']) })));
+
+    test('接受 Bearer 與 X-API-Key，附上金鑰名稱', async () => {
+      expect(await request('/protected', { Authorization: 'Bearer key-1' })).toMatchObject({ status: 200, body: { apiKeyName: 'gas' } });
+      expect(await request('/protected', { 'X-API-Key': 'key-2' })).toMatchObject({ status: 200, body: { apiKeyName: 'ops' } });
+    });
+
+    test('缺少金鑰時回傳 401 與 WWW-Authenticate', async () => {
+      const response = await request('/protected');
+
+      expect(response.status).toBe(401);
+      expect(response.headers.get('www-authenticate')).toBe('Bearer');
+      expect(response.body.error).toContain('缺少 API 金鑰');
+    });
+
+    test('金鑰錯誤時回傳 401，長度不同也不例外', async () => {
+      for (const key of ['key-3', 'k', 'key-1-but-longer']) {
+        const response = await request('/protected', { Authorization: `Bearer ${key}` });
+        expect(response.status).toBe(401);
+        expect(response.headers.get('www-authenticate')).toBe('Bearer error="invalid_token"');
+      }
+    });
+
+    test('未允許時不接受查詢參數中的金鑰', async () => {
+      expect((await request('/protected?api_key=key-1')).status).toBe(401);
+    });
+  });
+
+  test('SSE 端點可用查詢參數帶入金鑰', async () => {
+    await listen(createApiKeyAuth({ keys: parseApiKeys(['gas:key-1']), allowQueryToken: true }));
+
+    expect(await request('/protected?api_key=key-1')).toMatchObject({ status: 200, body: { apiKeyName: 'gas' } });
+    expect((await request('/protected?api_key=wrong')).status).toBe(401);
+  });
+
+  test('未設定金鑰時放行', async () => {
+    await listen(createApiKeyAuth({ keys: [] }));
+
+    expect(await request('/protected')).toMatchObject({ status: 200, body: { apiKeyName: null } });
+  });
+
+  test('required 的端點在未設定金鑰時一律拒絕', async () => {
+    await listen(createApiKeyAuth({ keys: [], required: true }));
+
+    const response = await request('/protected', { Authorization: 'Bearer anything' });
+    expect(response.status).toBe(403);
+    expect(response.body.error).toContain('請先設定 API_KEYS');
+  });
+});
@@ -0,0 +1,129 @@
+const { chooseCutPoint, mergeChunkSegments, joinSegmentTexts } = require('../src/services/chunkBoundaries');
+
+describe('chooseCutPoint', () => {
+  test('選擇容許範圍內離預定位置最近的停頓，切在停頓中間', () => {
+    const silences = [{ start: 590, end: 592 }, { start: 603, end: 605 }];
+    expect(chooseCutPoint(600, silences, 15)).toEqual({ at: 604, silence: { start: 603, end: 605 } });
+  });
+
+  test('只計算停頓在容許範圍內的部分', () => {
+    expect(chooseCutPoint(600, [{ start: 610, end: 700 }], 15)).toEqual({ at: 612.5, silence: { start: 610, end: 700 } });
+  });
+
+  test('距離相同時選較長的停頓', () => {
+    const silences = [{ start: 596, end: 598 }, { start: 601, end: 605 }];
+    expect(chooseCutPoint(600, silences, 15).at).toBe(603);
+    expect(chooseCutPoint(600, [{ start: 602, end: 604 }, { start: 595, end: 599 }], 15).at).toBe(597);
+  });
+
+  test('範圍內沒有停頓時在預定位置切開', () => {
+    expect(chooseCutPoint(600, [], 15)).toEqual({ at: 600, silence: null });
+    expect(chooseCutPoint(600, [{ start: 500, end: 580 }, { start: 616, end: 620 }], 15)).toEqual({ at: 600, silence: null });
+  });
+});
+
+describe('mergeChunkSegments', () => {
+  const overlap = { start: 8, end: 12 };
+
+  test('依重疊區相同的文字去除重複 (忽略標點)', () => {
+    const previous = [
+      { start: 0, end: 5, text: '我們今天討論價格。' },
+      { start: 5, end: 10, text: '這個方案每月一千元，' }
+    ];
+    const next = [
+      { start: 8, end: 11, text: '方案每月一千元，包含安裝。' },
+      { start: 12, end: 15, text: '請問您的想法？' }
+    ];
+
+    const result = mergeChunkSegments(previous, next, overlap);
+
+    expect(result.method).toBe('text');
+    expect(result.matchedChars).toBe(7);
+    expect(result.segments).toEqual([
+      { start: 0, end: 5, text: '我們今天討論價格。' },
+      { start: 5, end: 10, text: '這個方案每月一千元' },
+      { start: 10, end: 11, text: '，包含安裝。' },
+      { start: 12, end: 15, text: '請問您的想法？' }
+    ]);
+  });
+
+  test('英文比對不分大小寫', () => {
+    const previous = [{ start: 4, end: 10, text: 'The monthly plan costs ten' }];
+    const next = [{ start: 8, end: 11, text: 'plan Costs Ten dollars.' }];
+
+    const result = mergeChunkSegments(previous, next, overlap);
+
+    expect(result.method).toBe('text');
+    expect(result.segments).toEqual([
+      { start: 4, end: 10, text: 'The monthly plan costs ten' },
+      { start: 10, end: 11, text: 'dollars.' }
+    ]);
+  });
+
+  test('後一塊的相同文字之後沒有內容時不留下空片段', () => {
+    const previous = [{ start: 5, end: 10, text: '這個方案每月一千元' }];
+    const next = [{ start: 8, end: 10, text: '方案每月一千元' }, { start: 12, end: 14, text: '好的' }];
+
+    expect(mergeChunkSegments(previous, next, overlap).segments).toEqual([
+      { start: 5, end: 10, text: '這個方案每月一千元' },
+      { start: 12, end: 14, text: '好的' }
+    ]);
+  });
+
+  test('文字對不上時以重疊區中點切開', () => {
+    const previous = [
+      { start: 0, end: 5, text: '開場' },
+      { start: 8, end: 9.5, text: '嗯' },
+      { start: 10, end: 11.5, text: '對' }
+    ];
+    const next = [
+      { start: 8.2, end: 9.6, text: '恩' },
+      { start: 10.1, end: 11.4, text: '是' },
+      { start: 12, end: 15, text: '下一段' }
+    ];
+
+    const result = mergeChunkSegments(previous, next, overlap);
+
+    expect(result).toEqual({
+      method: 'time',
+      matchedChars: 0,
+      segments: [
+        { start: 0, end: 5, text: '開場' },
+        { start: 8, end: 9.5, text: '嗯' },
+        { start: 10.1, end: 11.4, text: '是' },
+        { start: 12, end: 15, text: '下一段' }
+      ]
+    });
+  });
+
+  test('只有一塊在重疊區有內容時照常保留', () => {
+    const previous = [{ start: 0, end: 5, text: '開場' }, { start: 10.2, end: 11, text: '前一塊' }];
+    const next = [{ start: 11.2, end: 11.8, text: '後一塊' }, { start: 12, end: 15, text: '下一段' }];
+
+    expect(mergeChunkSegments(previous, next, overlap).segments.map(segment => segment.text))
+      .toEqual(['開場', '前一塊', '後一塊', '下一段']);
+  });
+});
+
+describe('joinSegmentTexts', () => {
+  const join = (...texts) => joinSegmentTexts(texts.map(text => ({ text })));
+
+  test('中文直接相連', () => {
+    expect(join('您好，', '這裡是業務部。', '請問')).toBe('您好，這裡是業務部。請問');
+  });
+
+  test('英數字之間補空白', () => {
+    expect(join('Hello', 'world')).toBe('Hello world');
+    expect(join('costs 100.', 'Next')).toBe('costs 100. Next');
+    expect(join('方案 A', '2 年')).toBe('方案 A 2 年');
+  });
+
+  test('中英文交界不補空白', () => {
+    expect(join('價格', 'OK')).toBe('價格OK');
+    expect(join('plan', '方案')).toBe('plan方案');
+  });
+
+  test('略過空白片段', () => {
+    expect(join('', 'Hello', '', 'world')).toBe('Hello world');
+  });
+});
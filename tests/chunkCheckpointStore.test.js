@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChunkCheckpointStore = require('../src/services/chunkCheckpointStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SETTINGS = { backend: 'faster-whisper', model: 'base', language: 'zh', chunkDurationSec: 600 };
+const PLAN = { chunks: [{ offset: 0, end: 600 }, { offset: 595, end: 1200 }], boundaries: [] };
+
+describe('ChunkCheckpointStore', () => {
+  let tempDir;
+  let store;
+  let audioPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+    store = new ChunkCheckpointStore({ dir: path.join(tempDir, 'checkpoints'), ttlHours: 1 });
+    audioPath = path.join(tempDir, 'audio.mp3');
+    fs.writeFileSync(audioPath, 'audio-content');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('createKey', () => {
+    test('相同的音檔與設定得到相同的 key', async () => {
+      const key = await store.createKey('case/1', audioPath, SETTINGS);
+      expect(key).toMatch(/^case%2F1-[0-9a-f]{16}$/);
+      expect(await store.createKey('case/1', audioPath, { ...SETTINGS })).toBe(key);
+    });
+
+    test('設定、音檔內容或 caseId 改變時 key 不同', async () => {
+      const key = await store.createKey('case-1', audioPath, SETTINGS);
+
+      expect(await store.createKey('case-1', audioPath, { ...SETTINGS, model: 'small' })).not.toBe(key);
+      expect(await store.createKey('case-1', audioPath, { ...SETTINGS, initialPrompt: '報價' })).not.toBe(key);
+      expect(await store.createKey('case-2', audioPath, SETTINGS)).not.toBe(key);
+
+      fs.writeFileSync(audioPath, 'other-content');
+      expect(await store.createKey('case-1', audioPath, SETTINGS)).not.toBe(key);
+    });
+  });
+
+  describe('恢復', () => {
+    test('重新建立的 store 讀回分塊計畫與已完成的分塊', async () => {
+      const key = await store.createKey('case-1', audioPath, SETTINGS);
+      const entry = store.create(key, 'case-1', PLAN);
+      store.saveChunk(entry, 0, { text: '第一塊', segments: [{ start: 0, end: 5, text: '第一塊' }], language: 'zh' });
+
+      const loaded = new ChunkCheckpointStore({ dir: store.dir, ttlHours: 1 }).load(key);
+
+      expect(loaded.plan).toEqual(PLAN);
+      expect(Object.keys(loaded.chunks)).toEqual(['0']);
+      expect(loaded.chunks[0]).toMatchObject({ text: '第一塊', language: 'zh' });
+      expect(loaded.updatedAt).toBe(loaded.chunks[0].finishedAt);
+    });
+
+    test('同一個 caseId 建立新的檢查點時移除舊的', async () => {
+      const oldKey = await store.createKey('case-1', audioPath, SETTINGS);
+      store.create(oldKey, 'case-1', PLAN);
+      const otherKey = await store.createKey('case-10', audioPath, SETTINGS);
+      store.create(otherKey, 'case-10', PLAN);
+
+      const newKey = await store.createKey('case-1', audioPath, { ...SETTINGS, model: 'small' });
+      store.create(newKey, 'case-1', PLAN);
+
+      expect(store.load(oldKey)).toBeNull();
+      expect(store.load(newKey)).not.toBeNull();
+      expect(store.load(otherKey)).not.toBeNull();
+    });
+
+    test('移除後不再讀到', async () => {
+      const key = await store.createKey('case-1', audioPath, SETTINGS);
+      store.create(key, 'case-1', PLAN);
+
+      expect(store.remove(key)).toBe(true);
+      expect(store.remove(key)).toBe(false);
+      expect(store.load(key)).toBeNull();
+    });
+  });
+
+  describe('過期', () => {
+    test('超過保留時間未更新的檢查點讀取時視為不存在並移除', async () => {
+      const key = await store.createKey('case-1', audioPath, SETTINGS);
+      store.create(key, 'case-1', PLAN);
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + HOUR_MS + 1000);
+
+      expect(store.load(key)).toBeNull();
+      expect(store.count()).toBe(0);
+    });
+
+    test('sweep 依檔案修改時間清理，包含寫入中斷留下的暫存檔', async () => {
+      const staleKey = await store.createKey('case-1', audioPath, SETTINGS);
+      store.create(staleKey, 'case-1', PLAN);
+      const freshKey = await store.createKey('case-2', audioPath, SETTINGS);
+      store.create(freshKey, 'case-2', PLAN);
+      const tempPath = path.join(store.dir, 'case-3-0123456789abcdef.json.tmp');
+      fs.writeFileSync(tempPath, '{');
+      fs.writeFileSync(path.join(store.dir, 'README'), 'not a checkpoint');
+
+      const past = new Date(Date.now() - 2 * HOUR_MS);
+      fs.utimesSync(store.filePath(staleKey), past, past);
+      fs.utimesSync(tempPath, past, past);
+      fs.utimesSync(path.join(store.dir, 'README'), past, past);
+
+      expect(store.sweep()).toBe(2);
+      expect(fs.readdirSync(store.dir).sort()).toEqual(['README', `${freshKey}.json`]);
+    });
+
+    test('目錄不存在時不做任何事', () => {
+      expect(store.sweep()).toBe(0);
+      expect(store.count()).toBe(0);
+    });
+  });
+});
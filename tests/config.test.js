@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, redactConfig, ConfigError } = require('../src/config');
+
+describe('loadConfig', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * 寫入設定檔，回傳路徑
+   */
+  function writeConfigFile(content) {
+    const file = path.join(tempDir, 'config.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  }
+
+  /**
+   * 執行 loadConfig，回傳拋出的 ConfigError
+   */
+  function configError(env) {
+    try {
+      loadConfig(env);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('預期 loadConfig 拋出 ConfigError');
+  }
+
+  test('未設定時使用預設值', () => {
+    const { values, sources, configFile } = loadConfig({});
+
+    expect(configFile).toBeNull();
+    expect(values.jobs.concurrency).toBe(1);
+    expect(values.logging.level).toBe('info');
+    expect(values.webhook.url).toBeNull();
+    expect(sources['jobs.concurrency']).toBe('default');
+  });
+
+  test('環境變數 > 設定檔 > 預設值', () => {
+    const CONFIG_FILE = writeConfigFile({ jobs: { concurrency: 2, maxAttempts: 5 }, logging: { level: 'debug' } });
+
+    const { values, sources, configFile } = loadConfig({ CONFIG_FILE, CONCURRENT_JOBS: '3' });
+
+    expect(configFile).toBe(CONFIG_FILE);
+    expect(values.jobs).toMatchObject({ concurrency: 3, maxAttempts: 5 });
+    expect(values.logging.level).toBe('debug');
+    expect(values.logging.maxSize).toBe('20m');
+    expect(sources).toMatchObject({
+      'jobs.concurrency': 'env:CONCURRENT_JOBS',
+      'jobs.maxAttempts': 'file',
+      'logging.level': 'file',
+      'logging.maxSize': 'default'
+    });
+  });
+
+  test('空字串的環境變數視為未設定', () => {
+    const CONFIG_FILE = writeConfigFile({ jobs: { concurrency: 2 } });
+
+    expect(loadConfig({ CONFIG_FILE, CONCURRENT_JOBS: '' }).values.jobs.concurrency).toBe(2);
+    expect(loadConfig({ LOG_LEVEL: '' }).values.logging.level).toBe('info');
+  });
+
+  test('環境變數依設定轉換型別', () => {
+    const { values } = loadConfig({
+      CONCURRENT_JOBS: '2',
+      API_KEYS: 'gas:key-1, , ops:key-2',
+      ADMISSION_MEMORY_BUDGET_MB: '2048'
+    });
+
+    expect(values.jobs.concurrency).toBe(2);
+    expect(values.auth.apiKeys).toEqual(['gas:key-1', 'ops:key-2']);
+    expect(values.admission.memoryBudgetMB).toBe(2048);
+  });
+
+  test('不正確的值一次列出所有問題與來源', () => {
+    const CONFIG_FILE = writeConfigFile({ logging: { level: 'loud' } });
+
+    const error = configError({ CONFIG_FILE, CONCURRENT_JOBS: 'many', WEBHOOK_URL: 'ftp://example.com' });
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.details).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'jobs.concurrency', source: 'env:CONCURRENT_JOBS' }),
+      expect.objectContaining({ field: 'webhook.url', source: 'env:WEBHOOK_URL' }),
+      expect.objectContaining({ field: 'logging.level', source: 'file' })
+    ]));
+    expect(error.message).toContain('jobs.concurrency (env:CONCURRENT_JOBS)');
+  });
+
+  test('設定檔拼錯的欄位不會被忽略', () => {
+    const CONFIG_FILE = writeConfigFile({ jobs: { concurency: 2 } });
+
+    expect(configError({ CONFIG_FILE }).details).toEqual([expect.objectContaining({ field: 'jobs.concurency', source: 'file' })]);
+  });
+
+  test('設定檔無法讀取或不是 JSON 物件', () => {
+    const missing = configError({ CONFIG_FILE: path.join(tempDir, 'missing.json') });
+    expect(missing.details).toEqual([expect.objectContaining({ field: 'CONFIG_FILE', message: expect.stringContaining('無法讀取設定檔') })]);
+
+    expect(configError({ CONFIG_FILE: writeConfigFile('{ jobs: 1 }') }).details[0].message).toContain('不是有效的 JSON');
+    expect(configError({ CONFIG_FILE: writeConfigFile('[]') }).details[0].message).toContain('最外層必須是物件');
+  });
+
+  test('JSON 格式的環境變數解析失敗時回報', () => {
+    const error = configError({ GOOGLE_SERVICE_ACCOUNT_KEY: '{not json' });
+    expect(error.details).toEqual([expect.objectContaining({ source: 'env:GOOGLE_SERVICE_ACCOUNT_KEY', message: expect.stringContaining('不是有效的 JSON') })]);
+  });
+});
+
+describe('redactConfig', () => {
+  test('遮蔽機密欄位，API 金鑰保留名稱', () => {
+    const loaded = loadConfig({ API_KEYS: 'gas:key-1,key-2', WEBHOOK_SECRET: 'secret', CONCURRENT_JOBS: '2' });
+
+    const { config, sources } = redactConfig(loaded);
+
+    expect(config.auth.apiKeys).toEqual(['gas:[REDACTED]', '[REDACTED]']);
+    expect(config.webhook.secret).toBe('[REDACTED]');
+    expect(config.jobs.concurrency).toBe(2);
+    expect(sources['webhook.secret']).toBe('env:WEBHOOK_SECRET');
+    expect(loaded.values.webhook.secret).toBe('secret');
+  });
+});
@@ -0,0 +1,72 @@
+const { buildSpeakers, toLabeledTranscript } = require('../src/services/diarizationService');
+
+describe('buildSpeakers', () => {
+  const segments = [
+    { start: 0, end: 4, text: '您好' },
+    { start: 4, end: 5, text: '你好' },
+    { start: 5, end: 12, text: '介紹方案' },
+    { start: 12, end: 13.25, text: '好' }
+  ];
+
+  test('依首次出現順序編號並統計說話時間', () => {
+    expect(buildSpeakers(segments, [1, 0, 1, 0], false)).toEqual([
+      { id: 'S1', label: '說話者 1', role: null, speakingSec: 11, segmentCount: 2, cluster: 1 },
+      { id: 'S2', label: '說話者 2', role: null, speakingSec: 2.3, segmentCount: 2, cluster: 0 }
+    ]);
+  });
+
+  test('說話時間最長者標為業務，其他為客戶', () => {
+    const speakers = buildSpeakers(segments, [0, 1, 1, 0], true);
+
+    expect(speakers.map(({ id, label, role }) => ({ id, label, role }))).toEqual([
+      { id: 'S1', label: '客戶', role: 'customer' },
+      { id: 'S2', label: '業務', role: 'salesperson' }
+    ]);
+  });
+
+  test('多位客戶依出現順序編號', () => {
+    const speakers = buildSpeakers(segments, [0, 1, 2, 0], true);
+
+    expect(speakers.map(speaker => speaker.label)).toEqual(['客戶 1', '客戶 2', '業務']);
+  });
+
+  test('只有一位說話者時標為業務', () => {
+    expect(buildSpeakers(segments, [0, 0, 0, 0], true)).toEqual([
+      expect.objectContaining({ id: 'S1', label: '業務', role: 'salesperson', speakingSec: 13.3, segmentCount: 4 })
+    ]);
+  });
+});
+
+describe('toLabeledTranscript', () => {
+  const speakers = [
+    { id: 'S1', label: '業務' },
+    { id: 'S2', label: '客戶' }
+  ];
+
+  test('連續同一人的片段合併為一段', () => {
+    const segments = [
+      { speaker: 'S1', text: '您好，' },
+      { speaker: 'S1', text: '這裡是業務部。' },
+      { speaker: 'S2', text: '請問價格？' },
+      { speaker: 'S1', text: '每月一千元。' }
+    ];
+
+    expect(toLabeledTranscript(segments, speakers)).toBe('業務：您好，這裡是業務部。\n客戶：請問價格？\n業務：每月一千元。');
+  });
+
+  test('非中日韓文字之間以空格分隔', () => {
+    const segments = [
+      { speaker: 'S1', text: 'The plan' },
+      { speaker: 'S1', text: 'costs 100' },
+      { speaker: 'S1', text: '元' },
+      { speaker: 'S2', text: '好的' },
+      { speaker: 'S2', text: 'OK' }
+    ];
+
+    expect(toLabeledTranscript(segments, speakers)).toBe('業務：The plan costs 100 元\n客戶：好的 OK');
+  });
+
+  test('沒有名稱的說話者使用 ID', () => {
+    expect(toLabeledTranscript([{ speaker: 'S3', text: '喂？' }], speakers)).toBe('S3：喂？');
+  });
+});
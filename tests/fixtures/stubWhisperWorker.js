@@ -0,0 +1,25 @@
+/**
+ * 代替 whisper_worker.py 的測試程序，使用相同的 JSON Lines 協定
+ * 依 audioPath 決定行為：crash 結束程序、hang 不回應，其他回傳轉錄結果
+ * STUB_MEMORY_MB: 回報的記憶體 (MB)
+ */
+const readline = require('readline');
+
+const model = process.argv[process.argv.indexOf('--model') + 1];
+const memoryMB = Number(process.env.STUB_MEMORY_MB) || 100;
+
+const send = (message) => process.stdout.write(`${JSON.stringify(message)}\n`);
+
+process.stderr.write(`載入模型: ${model}\n`);
+send({ type: 'ready', pid: process.pid, engine: 'stub', model, memoryMB });
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const request = JSON.parse(line);
+  if (request.type === 'shutdown') process.exit(0);
+  if (request.type === 'ping') send({ id: request.id, type: 'pong', model, memoryMB });
+  if (request.type !== 'transcribe') return;
+
+  if (request.audioPath === 'crash') process.exit(1);
+  if (request.audioPath === 'hang') return;
+  send({ id: request.id, type: 'result', success: true, text: `轉錄 ${request.audioPath}`, language: request.options.language, segments: [], memoryMB });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const JobManager = require('../src/services/jobManager');
+const { createJobEventStream } = require('../src/services/jobEventStream');
+
+describe('createJobEventStream', () => {
+  let tempDir;
+  let manager;
+  let server;
+  let port;
+  let release;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-events-test-'));
+    manager = new JobManager({ storePath: path.join(tempDir, 'jobs.json') });
+
+    const app = express();
+    app.get('/jobs/:id/events', createJobEventStream(manager, { heartbeatMs: 20 }));
+    server = await new Promise(resolve => {
+      const started = app.listen(0, '127.0.0.1', () => resolve(started));
+    });
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    if (release) release();
+    release = null;
+    await Promise.all(manager.running.values());
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * 任務回報下載進度後一直等到 release() 才完成
+   */
+  function holdRunningJobs(result) {
+    manager.setProcessor(async (data, { onProgress }) => {
+      await new Promise(resolve => { release = resolve; });
+      onProgress('download', { percent: 50 });
+      return result;
+    });
+  }
+
+  /**
+   * 連線到事件串流
+   * received: 收到第一段資料時 resolve；ended: 連線結束時 resolve 收到的事件 (不含 heartbeat 註解行)
+   */
+  function openStream(jobId) {
+    let onFirstData;
+    const received = new Promise(resolve => { onFirstData = resolve; });
+    let request;
+    const ended = new Promise((resolve, reject) => {
+      request = http.get({ host: '127.0.0.1', port, path: `/jobs/${jobId}/events` }, (res) => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          raw += chunk;
+          onFirstData(res);
+        });
+        res.on('end', () => resolve({ res, ...parseEvents(raw) }));
+      });
+      request.on('error', reject);
+    });
+    return { received, ended, request };
+  }
+
+  function parseEvents(raw) {
+    const events = raw.split('\n\n').filter(block => block.startsWith('event: ')).map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+    return { events };
+  }
+
+  test('送出目前狀態、進度與最終結果後關閉連線', async () => {
+    holdRunningJobs({ transcript: '您好' });
+    const { job } = manager.submit({ caseId: 'case-1' });
+
+    const stream = openStream(job.id);
+    const res = await stream.received;
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    release();
+
+    const { events } = await stream.ended;
+    expect(events.map(entry => entry.event)).toEqual(['snapshot', 'progress', 'progress', 'result']);
+    expect(events[0].data).toMatchObject({ jobId: job.id, status: 'Processing', stage: 'start' });
+    expect(events[0].data).not.toHaveProperty('result');
+    expect(events[1].data).toMatchObject({ stage: 'download', progress: { percent: 50 } });
+    expect(events[2].data.stage).toBe('done');
+    expect(events[3].data).toMatchObject({ status: 'Completed', result: { transcript: '您好' } });
+    expect(manager.listenerCount('progress')).toBe(0);
+  });
+
+  test('已結束的任務立即送出結果', async () => {
+    const { job } = manager.submit({ caseId: 'case-1' });
+    manager.cancel(job.id);
+
+    const { events } = await openStream(job.id).ended;
+
+    expect(events.map(entry => entry.event)).toEqual(['snapshot', 'result']);
+    expect(events[1].data).toMatchObject({ status: 'Cancelled', result: null });
+  });
+
+  test('閒置時送出 heartbeat，連線中斷後移除監聽器', async () => {
+    holdRunningJobs({ transcript: '您好' });
+    const { job } = manager.submit({ caseId: 'case-1' });
+
+    const stream = openStream(job.id);
+    const res = await stream.received;
+    const heartbeat = new Promise(resolve => res.on('data', chunk => chunk.includes(': heartbeat') && resolve()));
+    await heartbeat;
+    expect(manager.listenerCount('progress')).toBe(1);
+
+    const closed = new Promise(resolve => res.on('close', resolve));
+    stream.request.destroy();
+    await closed;
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(manager.listenerCount('progress')).toBe(0);
+    expect(manager.listenerCount('finished')).toBe(0);
+  });
+
+  test('找不到任務時回傳 404', async () => {
+    const response = await fetch(`http://127.0.0.1:${port}/jobs/missing/events`);
+
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ error: '找不到任務: missing' });
+  });
+});
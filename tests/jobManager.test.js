@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobManager = require('../src/services/jobManager');
+
+const { JOB_STATUS, IdempotencyKeyConflictError } = JobManager;
+
+describe('JobManager.submit', () => {
+  let tempDir;
+  let manager;
+
+  const createManager = (options = {}) => new JobManager({ storePath: path.join(tempDir, 'jobs.json'), ...options });
+
+  /**
+   * 以指定結果執行佇列中的任務，等待任務結束
+   */
+  async function finishWith(job, outcome) {
+    const finished = new Promise(resolve => {
+      const onFinished = (finishedJob) => {
+        if (finishedJob.id !== job.id) return;
+        manager.removeListener('finished', onFinished);
+        resolve(finishedJob);
+      };
+      manager.on('finished', onFinished);
+    });
+    manager.setProcessor(async () => {
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    });
+    return finished;
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-manager-test-'));
+    manager = createManager();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('新的 caseId 建立任務並呼叫 admit', () => {
+    const admit = jest.fn();
+    const { job, reused } = manager.submit({ caseId: 'case-1' }, { admit });
+
+    expect(reused).toBeNull();
+    expect(job).toMatchObject({ caseId: 'case-1', status: JOB_STATUS.QUEUED, data: { caseId: 'case-1' } });
+    expect(admit).toHaveBeenCalledTimes(1);
+  });
+
+  test('admit 拒絕時不建立任務', () => {
+    const rejection = Object.assign(new Error('佇列已滿'), { statusCode: 429 });
+    expect(() => manager.submit({ caseId: 'case-1' }, { admit: () => { throw rejection; } })).toThrow(rejection);
+    expect(manager.listJobs()).toHaveLength(0);
+  });
+
+  describe('依 caseId', () => {
+    test('進行中的 caseId 附加到既有任務，force 也不重複執行', () => {
+      const { job } = manager.submit({ caseId: 'case-1' });
+      const admit = jest.fn();
+
+      expect(manager.submit({ caseId: 'case-1' }, { admit })).toEqual({ job, reused: 'active' });
+      expect(manager.submit({ caseId: 'case-1' }, { force: true, admit })).toEqual({ job, reused: 'active' });
+      expect(admit).not.toHaveBeenCalled();
+      expect(manager.listJobs()).toHaveLength(1);
+    });
+
+    test('已完成的 caseId 回傳保存的結果', async () => {
+      const { job } = manager.submit({ caseId: 'case-1' });
+      await finishWith(job, { transcript: '您好' });
+
+      const resubmitted = manager.submit({ caseId: 'case-1' });
+      expect(resubmitted.reused).toBe('completed');
+      expect(resubmitted.job.id).toBe(job.id);
+      expect(resubmitted.job.result).toEqual({ transcript: '您好' });
+    });
+
+    test('佇列檔案只保存結果摘要，重啟後以 loadResult 取回逐字稿', async () => {
+      const { job } = manager.submit({ caseId: 'case-1' });
+      await finishWith(job, { transcript: '您好', segments: [{ start: 0, end: 1, text: '您好' }], quality: { score: 80 } });
+
+      const stored = JSON.parse(fs.readFileSync(path.join(tempDir, 'jobs.json'), 'utf8'));
+      expect(stored[0].result).toEqual({ quality: { score: 80 }, detached: true });
+
+      const loadResult = jest.fn(() => ({ transcript: '您好', segments: [{ start: 0, end: 1, text: '您好' }], quality: { score: 10 } }));
+      manager = createManager({ loadResult });
+      const restored = manager.submit({ caseId: 'case-1' }).job;
+
+      expect(manager.getResult(restored)).toEqual({ quality: { score: 80 }, transcript: '您好', segments: [{ start: 0, end: 1, text: '您好' }] });
+      expect(loadResult).toHaveBeenCalledWith(restored);
+      await expect(manager.waitFor(job.id)).resolves.toMatchObject({ transcript: '您好' });
+    });
+
+    test('取不回完整結果時回傳摘要', async () => {
+      const { job } = manager.submit({ caseId: 'case-1' });
+      await finishWith(job, { transcript: '您好', quality: { score: 80 } });
+
+      manager = createManager();
+      expect(manager.getResult(manager.getJob(job.id))).toEqual({ quality: { score: 80 }, detached: true });
+    });
+
+    test('force=true 時重新轉錄已完成的 caseId', async () => {
+      const { job } = manager.submit({ caseId: 'case-1' });
+      await finishWith(job, { transcript: '您好' });
+      manager.setProcessor(null);
+
+      const admit = jest.fn();
+      const forced = manager.submit({ caseId: 'case-1' }, { force: true, admit });
+
+      expect(forced.reused).toBeNull();
+      expect(forced.job.id).not.toBe(job.id);
+      expect(admit).toHaveBeenCalledTimes(1);
+    });
+
+    test('失敗的 caseId 可以重新送出', async () => {
+      const { job } = manager.submit({ caseId: 'case-1' });
+      await finishWith(job, new Error('下載失敗'));
+      manager.setProcessor(null);
+
+      const resubmitted = manager.submit({ caseId: 'case-1' });
+      expect(resubmitted.reused).toBeNull();
+      expect(resubmitted.job.id).not.toBe(job.id);
+    });
+  });
+
+  describe('依 Idempotency-Key', () => {
+    test('相同金鑰回傳同一個任務，即使 force=true', async () => {
+      const { job } = manager.submit({ caseId: 'case-1' }, { idempotencyKey: 'key-1' });
+      expect(manager.submit({ caseId: 'case-1' }, { idempotencyKey: 'key-1' })).toEqual({ job, reused: 'idempotency_key' });
+
+      await finishWith(job, { transcript: '您好' });
+      manager.setProcessor(null);
+      expect(manager.submit({ caseId: 'case-1' }, { idempotencyKey: 'key-1', force: true })).toEqual({ job, reused: 'idempotency_key' });
+    });
+
+    test('金鑰用於其他 caseId 時拒絕', () => {
+      manager.submit({ caseId: 'case-1' }, { idempotencyKey: 'key-1' });
+
+      expect(() => manager.submit({ caseId: 'case-2' }, { idempotencyKey: 'key-1' })).toThrow(IdempotencyKeyConflictError);
+    });
+
+    test('金鑰對應的任務已取消時建立新任務', () => {
+      const { job } = manager.submit({ caseId: 'case-1' }, { idempotencyKey: 'key-1' });
+      manager.cancel(job.id);
+
+      const retried = manager.submit({ caseId: 'case-1' }, { idempotencyKey: 'key-1' });
+      expect(retried.reused).toBeNull();
+      expect(retried.job.id).not.toBe(job.id);
+      expect(manager.findJobByIdempotencyKey('key-1').id).toBe(retried.job.id);
+    });
+
+    test('重啟後仍可依金鑰與 caseId 找到任務', () => {
+      const { job } = manager.submit({ caseId: 'case-1' }, { idempotencyKey: 'key-1' });
+
+      manager = createManager();
+
+      expect(manager.submit({ caseId: 'case-1' }, { idempotencyKey: 'key-1' })).toMatchObject({ job: { id: job.id }, reused: 'idempotency_key' });
+      expect(manager.submit({ caseId: 'case-1' })).toMatchObject({ job: { id: job.id }, reused: 'active' });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const express = require('express');
+const winston = require('winston');
+
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+process.env.LOG_DIR = logDir;
+
+const {
+  createLogger,
+  enableFileLogging,
+  runWithContext,
+  runWithoutContext,
+  getContext,
+  setContext,
+  requestContext
+} = require('../src/logger');
+
+const logger = createLogger('logger-test');
+const entries = [];
+logger.add(new winston.transports.Stream({
+  stream: new Writable({
+    write(chunk, encoding, callback) {
+      entries.push(JSON.parse(chunk.toString()));
+      callback();
+    }
+  })
+}));
+
+afterAll(() => {
+  fs.rmSync(logDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  entries.length = 0;
+});
+
+describe('日誌範圍', () => {
+  test('巢狀範圍繼承外層欄位，離開後恢復', async () => {
+    await runWithContext({ requestId: 'req-1' }, async () => {
+      await runWithContext({ jobId: 'job-1' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(getContext()).toEqual({ requestId: 'req-1', jobId: 'job-1' });
+      });
+      expect(getContext()).toEqual({ requestId: 'req-1' });
+    });
+
+    expect(getContext()).toEqual({});
+  });
+
+  test('setContext 補上目前範圍的欄位，範圍外呼叫無效', () => {
+    runWithContext({ requestId: 'req-1' }, () => {
+      setContext({ caseId: 'case-1' });
+      expect(getContext()).toEqual({ requestId: 'req-1', caseId: 'case-1' });
+    });
+
+    setContext({ caseId: 'case-2' });
+    expect(getContext()).toEqual({});
+  });
+
+  test('runWithoutContext 內不帶外層欄位', () => {
+    runWithContext({ requestId: 'req-1' }, () => {
+      runWithoutContext(() => {
+        expect(getContext()).toEqual({});
+      });
+    });
+  });
+
+  test('日誌帶上範圍欄位，日誌本身的欄位優先', () => {
+    runWithContext({ requestId: 'req-1', jobId: 'job-1' }, () => {
+      logger.info('開始轉錄');
+      logger.info('改派任務', { jobId: 'job-2' });
+    });
+    logger.info('範圍外');
+
+    expect(entries).toEqual([
+      expect.objectContaining({ message: '開始轉錄', module: 'logger-test', requestId: 'req-1', jobId: 'job-1' }),
+      expect.objectContaining({ message: '改派任務', requestId: 'req-1', jobId: 'job-2' }),
+      expect.not.objectContaining({ requestId: expect.anything() })
+    ]);
+  });
+});
+
+describe('requestContext', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(requestContext);
+    app.get('/context', (req, res) => {
+      logger.info('處理請求');
+      res.json({ requestId: req.requestId, context: getContext() });
+    });
+    app.get('/twice', requestContext, (req, res) => res.json({ context: getContext() }));
+    server = await new Promise(resolve => {
+      const started = app.listen(0, '127.0.0.1', () => resolve(started));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const request = async (pathname, headers = {}) => {
+    const response = await fetch(`${baseUrl}${pathname}`, { headers });
+    return { header: response.headers.get('x-request-id'), body: await response.json() };
+  };
+
+  test('沒有請求 ID 時產生新的，並在回應標頭回傳', async () => {
+    const { header, body } = await request('/context');
+
+    expect(header).toMatch(/^[0-9a-f-]{36}$/);
+    expect(body).toEqual({ requestId: header, context: { requestId: header } });
+    expect(entries).toEqual([expect.objectContaining({ message: '處理請求', requestId: header })]);
+  });
+
+  test('沿用合法的 X-Request-Id', async () => {
+    const { header, body } = await request('/context', { 'X-Request-Id': 'gateway:abc-123' });
+
+    expect(header).toBe('gateway:abc-123');
+    expect(body.context.requestId).toBe('gateway:abc-123');
+  });
+
+  test.each([
+    ['含有空白', 'abc 123'],
+    ['超過 128 字元', 'a'.repeat(129)]
+  ])('不合法的 X-Request-Id (%s) 改用新的 ID', async (label, incoming) => {
+    const { header } = await request('/context', { 'X-Request-Id': incoming });
+
+    expect(header).not.toBe(incoming);
+    expect(header).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('同一個請求再次經過時沿用 req.requestId', async () => {
+    const { header, body } = await request('/twice');
+
+    expect(body.context.requestId).toBe(header);
+  });
+});
+
+describe('enableFileLogging', () => {
+  test('舊的 app.log 改名保留，寫入依日期輪替的檔案並建立連結', async () => {
+    fs.writeFileSync(path.join(logDir, 'app.log'), '舊的日誌\n');
+
+    enableFileLogging();
+    enableFileLogging();
+    runWithContext({ caseId: 'case-1' }, () => logger.info('寫入檔案'));
+
+    const link = path.join(logDir, 'app.log');
+    for (let attempt = 0; attempt < 50 && !fs.existsSync(link); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    expect(fs.readFileSync(path.join(logDir, 'app-previous.log'), 'utf8')).toBe('舊的日誌\n');
+    expect(fs.lstatSync(link).isSymbolicLink()).toBe(true);
+    expect(fs.readlinkSync(link)).toMatch(/^app-\d{4}-\d{2}-\d{2}\.log$/);
+
+    let lines = [];
+    for (let attempt = 0; attempt < 50 && lines.length === 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      lines = fs.readFileSync(link, 'utf8').split('\n').filter(Boolean);
+    }
+    expect(lines.map(line => JSON.parse(line))).toEqual([
+      expect.objectContaining({ message: '寫入檔案', caseId: 'case-1', module: 'logger-test' })
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobManager = require('../src/services/jobManager');
+const metrics = require('../src/services/metricsService');
+
+const { register } = metrics;
+
+/**
+ * 取得指標某組標籤的值 (histogram 可用 metricName 指定 _count / _sum)
+ */
+async function valueOf(name, labels = {}, metricName = name) {
+  const { values } = await register.getSingleMetric(name).get();
+  const matched = values.find(entry => (entry.metricName || name) === metricName
+    && Object.entries(labels).every(([key, value]) => entry.labels[key] === value));
+  return matched ? matched.value : undefined;
+}
+
+describe('metricsService', () => {
+  let tempDir;
+  let jobManager;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+    jobManager = new JobManager({ storePath: path.join(tempDir, 'jobs.json') });
+    metrics.bindJobManager(jobManager);
+  });
+
+  afterAll(async () => {
+    await Promise.all(jobManager.running.values());
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('尚未發生的結果與失敗也輸出 0', async () => {
+    const output = await register.metrics();
+
+    expect(output).toContain('transcription_jobs_total{outcome="completed"} 0');
+    expect(output).toContain('transcription_jobs_total{outcome="cancelled"} 0');
+    expect(output).toContain('transcription_webhook_failures_total{method="fallback_sheets"} 0');
+    expect(output).toContain('process_cpu_user_seconds_total');
+  });
+
+  test('依任務結果累計，抓取時讀取佇列狀態', async () => {
+    const { job: queued } = jobManager.submit({ caseId: 'case-1' });
+    jobManager.submit({ caseId: 'case-2' });
+    expect(await valueOf('transcription_jobs_queued')).toBe(2);
+    expect(await valueOf('transcription_jobs_in_flight')).toBe(0);
+
+    jobManager.cancel(queued.id);
+    expect(await valueOf('transcription_jobs_total', { outcome: 'cancelled' })).toBe(1);
+
+    const finished = new Promise(resolve => jobManager.once('finished', resolve));
+    jobManager.setProcessor(async () => ({ transcript: '您好' }));
+    await finished;
+
+    expect(await valueOf('transcription_jobs_total', { outcome: 'completed' })).toBe(1);
+    expect(await valueOf('transcription_jobs_queued')).toBe(0);
+  });
+
+  test('記錄各階段耗時、音檔長度與處理速度', async () => {
+    metrics.recordTranscription({ duration: 600 }, { chunkCount: 2, preprocessSec: 30, whisperSec: 270, diarizeSec: 12 });
+
+    const stage = 'transcription_stage_duration_seconds';
+    expect(await valueOf(stage, { stage: 'whisper' }, `${stage}_sum`)).toBe(270);
+    expect(await valueOf(stage, { stage: 'diarize' }, `${stage}_count`)).toBe(1);
+    expect(await valueOf('transcription_audio_seconds_total')).toBe(600);
+    expect(await valueOf('transcription_realtime_factor', {}, 'transcription_realtime_factor_sum')).toBe(0.5);
+    expect(await valueOf('transcription_chunks_per_job', { le: 2 }, 'transcription_chunks_per_job_bucket')).toBe(1);
+  });
+
+  test('音檔長度未知時不計入音檔統計', async () => {
+    const before = await valueOf('transcription_audio_seconds_total');
+
+    metrics.recordTranscription(null, { chunkCount: 1, preprocessSec: 1, whisperSec: 2 });
+
+    expect(await valueOf('transcription_audio_seconds_total')).toBe(before);
+  });
+
+  test('依方式累計通知失敗', async () => {
+    metrics.recordWebhookFailure('webhook');
+    metrics.recordWebhookFailure('webhook');
+
+    expect(await valueOf('transcription_webhook_failures_total', { method: 'webhook' })).toBe(2);
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.QUALITY_HISTORY_SIZE = '10';
+
+const QualityMonitor = require('../src/services/qualityMonitor');
+
+describe('QualityMonitor 歷史紀錄', () => {
+  let tempDir;
+  let statsPath;
+  let monitor;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quality-test-'));
+    statsPath = path.join(tempDir, 'stats', 'quality-stats.json');
+    monitor = new QualityMonitor({ statsPath });
+    jest.useFakeTimers({ now: new Date('2024-03-01T09:00:00.000Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * 在指定時間記錄一次轉錄
+   */
+  function recordAt(time, result) {
+    jest.setSystemTime(new Date(time));
+    monitor.recordTranscription(result);
+  }
+
+  const success = (caseId, score, extra = {}) => ({
+    success: true,
+    caseId,
+    jobId: `job-${caseId}`,
+    processingMethod: 'openai-whisper',
+    quality: { score, confidence: 0.9, repetitionRatio: 0, chineseRatio: 0.9 },
+    ...extra
+  });
+
+  test('成功紀錄附上品質等級與評估，失敗紀錄保留錯誤', () => {
+    recordAt('2024-03-01T09:00:00Z', success('case-1', 82));
+    recordAt('2024-03-01T10:00:00Z', success('case-2', 45, { quality: { score: 45, confidence: 0.4 } }));
+    recordAt('2024-03-01T11:00:00Z', { success: false, caseId: 'case-3', error: '下載失敗' });
+
+    const [good, poor, failed] = monitor.getHistory();
+    expect(good).toMatchObject({
+      caseId: 'case-1',
+      jobId: 'job-case-1',
+      success: true,
+      score: 82,
+      qualityLevel: 'GOOD',
+      issues: [],
+      overallQuality: 'good'
+    });
+    expect(poor).toMatchObject({ qualityLevel: 'POOR', overallQuality: 'poor' });
+    expect(poor.issues).toEqual(['品質分數較低: 45/100', '信心度較低: 0.40']);
+    expect(failed).toEqual({
+      timestamp: new Date('2024-03-01T11:00:00Z'),
+      caseId: 'case-3',
+      jobId: null,
+      success: false,
+      processingMethod: null,
+      error: '下載失敗'
+    });
+
+    expect(monitor.stats).toMatchObject({
+      totalTranscriptions: 3,
+      successfulTranscriptions: 2,
+      failedTranscriptions: 1,
+      consecutiveFailures: 1,
+      averageQuality: 63.5
+    });
+  });
+
+  test('依時間、caseId 與成功與否篩選，limit 保留最新的幾筆', () => {
+    recordAt('2024-03-01T09:00:00Z', success('case-1', 80));
+    recordAt('2024-03-02T09:00:00Z', { success: false, caseId: 'case-2', error: '逾時' });
+    recordAt('2024-03-03T09:00:00Z', success('case-2', 70));
+    recordAt('2024-03-04T09:00:00Z', success('case-3', 90));
+
+    const caseIds = entries => entries.map(item => item.caseId);
+    expect(caseIds(monitor.getHistory({ from: new Date('2024-03-02'), to: new Date('2024-03-04') }))).toEqual(['case-2', 'case-2']);
+    expect(caseIds(monitor.getHistory({ from: new Date('2024-03-04T09:00:00Z') }))).toEqual(['case-3']);
+    expect(monitor.getHistory({ caseId: 'case-2' }).map(item => item.success)).toEqual([false, true]);
+    expect(caseIds(monitor.getHistory({ success: false }))).toEqual(['case-2']);
+    expect(caseIds(monitor.getHistory({ success: true, limit: 2 }))).toEqual(['case-2', 'case-3']);
+  });
+
+  test('單一案件回傳最近一次的評估與所有嘗試', () => {
+    recordAt('2024-03-01T09:00:00Z', { success: false, caseId: 'case-1', error: '逾時' });
+    expect(monitor.getCaseRecord('case-1')).toMatchObject({ evaluation: null, attempts: [expect.anything()] });
+
+    recordAt('2024-03-01T10:00:00Z', success('case-1', 55));
+
+    const record = monitor.getCaseRecord('case-1');
+    expect(record.latest).toMatchObject({ success: true, score: 55 });
+    expect(record.evaluation).toEqual({ hasIssues: true, issues: ['品質分數較低: 55/100'], overallQuality: 'fair' });
+    expect(record.attempts).toHaveLength(2);
+    expect(monitor.getCaseRecord('missing')).toBeNull();
+  });
+
+  test('舊版紀錄沒有評估結果時以分數重新評估', () => {
+    monitor.stats.qualityHistory.push({ timestamp: new Date(), caseId: 'legacy', score: 85, confidence: 0.5 });
+
+    expect(monitor.getCaseRecord('legacy').evaluation).toEqual({
+      hasIssues: true,
+      issues: ['信心度較低: 0.50'],
+      overallQuality: 'good'
+    });
+    expect(monitor.getHistory({ success: true }).map(item => item.caseId)).toEqual(['legacy']);
+  });
+
+  test('CSV 帶 BOM，跳脫逗號與引號，公式開頭的值加上單引號', () => {
+    recordAt('2024-03-01T09:00:00Z', success('=HYPERLINK("x")', 45, { quality: { score: 45, confidence: 0.4 } }));
+    recordAt('2024-03-01T10:00:00Z', { success: false, caseId: 'case-2', error: '-1, "失敗"' });
+
+    const csv = monitor.toCsv(monitor.getHistory());
+    const lines = csv.slice(1).split('\r\n');
+
+    expect(csv.startsWith('\uFEFF')).toBe(true);
+    expect(lines[0]).toBe('timestamp,caseId,jobId,success,score,confidence,qualityLevel,processingMethod,issues,error');
+    expect(lines[1]).toBe('2024-03-01T09:00:00.000Z,"\'=HYPERLINK(""x"")","job-=HYPERLINK(""x"")",true,45,0.4,POOR,openai-whisper,'
+      + '品質分數較低: 45/100; 信心度較低: 0.40,');
+    expect(lines[2]).toBe('2024-03-01T10:00:00.000Z,case-2,,false,,,,,,"\'-1, ""失敗"""');
+    expect(lines[3]).toBe('');
+  });
+
+  test('只保留最近 QUALITY_HISTORY_SIZE 筆，統計仍累計全部', () => {
+    for (let index = 1; index <= 12; index++) {
+      recordAt(`2024-03-01T09:${String(index).padStart(2, '0')}:00Z`, success(`case-${index}`, 80));
+    }
+
+    const history = monitor.getHistory();
+    expect(history).toHaveLength(10);
+    expect(history[0].caseId).toBe('case-3');
+    expect(monitor.stats.totalTranscriptions).toBe(12);
+  });
+
+  test('保存到檔案，重新載入時時間轉回 Date', () => {
+    recordAt('2024-03-01T09:00:00Z', success('case-1', 80));
+    recordAt('2024-03-01T10:00:00Z', { success: false, caseId: 'case-2', error: '逾時' });
+
+    const reloaded = new QualityMonitor({ statsPath });
+
+    expect(reloaded.stats.totalTranscriptions).toBe(2);
+    expect(reloaded.stats.lastFailureTime).toEqual(new Date('2024-03-01T10:00:00Z'));
+    expect(reloaded.getHistory({ from: new Date('2024-03-01T09:30:00Z') }).map(item => item.caseId)).toEqual(['case-2']);
+    expect(reloaded.getCaseRecord('case-1').latest.timestamp).toEqual(new Date('2024-03-01T09:00:00Z'));
+
+    reloaded.resetStats();
+    expect(new QualityMonitor({ statsPath }).getHistory()).toEqual([]);
+  });
+});
@@ -0,0 +1,37 @@
+const openApiSpec = require('../src/openapi');
+const { createRequestValidator, ValidationError } = require('../src/services/requestValidator');
+
+const validate = createRequestValidator(openApiSpec);
+
+/**
+ * 以請求內容執行驗證中介軟體，回傳交給 next 的錯誤 (通過時為 undefined)
+ */
+function run(operationId, body) {
+  let result;
+  validate(operationId)({ body, params: {}, query: {}, headers: {} }, {}, (error) => { result = error; });
+  return result;
+}
+
+describe('createTranscription', () => {
+  test('fileId 與 source 都未提供時合併為一筆說明', () => {
+    const error = run('createTranscription', { caseId: 'case-1' });
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.statusCode).toBe(400);
+    expect(error.details).toEqual([{ field: 'body', message: '必須提供 fileId 或 source' }]);
+  });
+
+  test('與其他欄位錯誤一起回報', () => {
+    const { details } = run('createTranscription', {});
+    expect(details.map(detail => detail.field).sort()).toEqual(['body', 'body.caseId']);
+  });
+
+  test('提供 fileId 或 source 其中之一即可', () => {
+    expect(run('createTranscription', { caseId: 'case-1', fileId: 'abc' })).toBeUndefined();
+    expect(run('createTranscription', { caseId: 'case-1', source: { type: 'http', url: 'https://example.com/a.mp3' } })).toBeUndefined();
+  });
+
+  test('source 內的錯誤指向欄位', () => {
+    const { details } = run('createTranscription', { caseId: 'case-1', source: { type: 'ftp' } });
+    expect(details).toEqual([expect.objectContaining({ field: 'body.source.type', message: expect.stringContaining('drive, http, file') })]);
+  });
+});
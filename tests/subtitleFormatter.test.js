@@ -0,0 +1,109 @@
+const { formatSegments, buildOutputs, formatTimestamp } = require('../src/services/subtitleFormatter');
+
+const SEGMENTS = [
+  { start: 0, end: 2.5, text: '您好，這裡是業務部。' },
+  { start: 2.5, end: 3661.0456, text: '請問您有什麼問題？' }
+];
+
+const SPEAKERS = [
+  { id: 'SPEAKER_00', label: '業務' },
+  { id: 'SPEAKER_01', label: '客戶' }
+];
+
+describe('formatTimestamp', () => {
+  test('SRT 以逗號、WebVTT 以句點分隔毫秒', () => {
+    expect(formatTimestamp(3661.0456, ',')).toBe('01:01:01,046');
+    expect(formatTimestamp(3661.0456)).toBe('01:01:01.046');
+  });
+
+  test('毫秒四捨五入並進位到秒', () => {
+    expect(formatTimestamp(59.9996)).toBe('00:01:00.000');
+    expect(formatTimestamp(0.0004)).toBe('00:00:00.000');
+  });
+
+  test('不帶毫秒、負數視為 0', () => {
+    expect(formatTimestamp(125.9, '.', false)).toBe('00:02:05');
+    expect(formatTimestamp(-1)).toBe('00:00:00.000');
+  });
+
+  test('超過 99 小時不截斷', () => {
+    expect(formatTimestamp(100 * 3600)).toBe('100:00:00.000');
+  });
+});
+
+describe('formatSegments', () => {
+  test('SRT 每個字幕有編號，字幕之間以空行分隔', () => {
+    expect(formatSegments(SEGMENTS, 'srt')).toBe([
+      '1',
+      '00:00:00,000 --> 00:00:02,500',
+      '您好，這裡是業務部。',
+      '',
+      '2',
+      '00:00:02,500 --> 01:01:01,046',
+      '請問您有什麼問題？',
+      ''
+    ].join('\n'));
+  });
+
+  test('WebVTT 以標頭開始，不編號', () => {
+    expect(formatSegments(SEGMENTS, 'vtt')).toBe([
+      'WEBVTT',
+      '',
+      '00:00:00.000 --> 00:00:02.500',
+      '您好，這裡是業務部。',
+      '',
+      '00:00:02.500 --> 01:01:01.046',
+      '請問您有什麼問題？',
+      ''
+    ].join('\n'));
+  });
+
+  test('純文字每個片段一行，時間不帶毫秒', () => {
+    expect(formatSegments(SEGMENTS, 'text')).toBe([
+      '[00:00:00 - 00:00:02] 您好，這裡是業務部。',
+      '[00:00:02 - 01:01:01] 請問您有什麼問題？'
+    ].join('\n'));
+  });
+
+  test('說話者以顯示名稱標示，沒有名稱時使用 ID', () => {
+    const segments = [
+      { ...SEGMENTS[0], speaker: 'SPEAKER_00' },
+      { ...SEGMENTS[1], speaker: 'SPEAKER_02' }
+    ];
+
+    expect(formatSegments(segments, 'srt', SPEAKERS)).toContain('\n業務：您好，這裡是業務部。\n');
+    expect(formatSegments(segments, 'vtt', SPEAKERS)).toContain('\n<v 業務>您好，這裡是業務部。\n');
+    expect(formatSegments(segments, 'text', SPEAKERS).split('\n')).toEqual([
+      '[00:00:00 - 00:00:02] 業務：您好，這裡是業務部。',
+      '[00:00:02 - 01:01:01] SPEAKER_02：請問您有什麼問題？'
+    ]);
+  });
+
+  test('json 只在有說話者時附上 speakers', () => {
+    expect(formatSegments(SEGMENTS, 'json')).toEqual({ segments: SEGMENTS });
+    expect(formatSegments(SEGMENTS, 'json', SPEAKERS)).toEqual({ speakers: SPEAKERS, segments: SEGMENTS });
+  });
+
+  test('沒有片段時不輸出字幕 (WebVTT 保留標頭)', () => {
+    expect(formatSegments([], 'srt')).toBe('');
+    expect(formatSegments([], 'vtt')).toBe('WEBVTT\n\n');
+  });
+
+  test('不支援的格式', () => {
+    expect(() => formatSegments(SEGMENTS, 'ass')).toThrow('不支援的輸出格式: ass');
+  });
+});
+
+describe('buildOutputs', () => {
+  test('依請求的格式產生輸出', () => {
+    const outputs = buildOutputs(SEGMENTS, ['srt', 'json']);
+
+    expect(Object.keys(outputs)).toEqual(['srt', 'json']);
+    expect(outputs.srt).toBe(formatSegments(SEGMENTS, 'srt'));
+  });
+
+  test('未指定格式時為 null', () => {
+    expect(buildOutputs(SEGMENTS)).toBeNull();
+    expect(buildOutputs(SEGMENTS, [])).toBeNull();
+  });
+});
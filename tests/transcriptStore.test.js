@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TranscriptStore = require('../src/services/transcriptStore');
+
+/**
+ * 轉錄結果紀錄 (完成時間可指定)
+ */
+function record(caseId, finishedAt, overrides = {}) {
+  return {
+    caseId,
+    jobId: `job-${caseId}`,
+    transcript: '您好，這裡是業務部。',
+    quality: { score: 80 },
+    qualityLevel: 'GOOD',
+    audioInfo: { duration: 120 },
+    options: { model: 'base', language: 'zh' },
+    processingMethod: 'openai-whisper',
+    timings: { finishedAt, totalSec: 42 },
+    ...overrides
+  };
+}
+
+describe('TranscriptStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-store-test-'));
+    store = new TranscriptStore(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('保存完整結果，重新轉錄時覆寫並累加版本', () => {
+    const first = store.save(record('case-1', '2024-01-01T10:00:00.000Z'));
+    const second = store.save(record('case-1', '2024-01-02T10:00:00.000Z', { transcript: '重新轉錄', jobId: 'job-2' }));
+
+    expect(first.revision).toBe(1);
+    expect(second).toMatchObject({ revision: 2, createdAt: first.createdAt });
+    expect(store.get('case-1')).toMatchObject({ jobId: 'job-2', transcript: '重新轉錄', revision: 2 });
+    expect(store.count()).toBe(1);
+  });
+
+  test('caseId 編碼後作為檔名，不會寫出目錄外', () => {
+    store.save(record('../../etc/passwd', '2024-01-01T10:00:00.000Z'));
+
+    expect(fs.readdirSync(dir)).toEqual(['..%2F..%2Fetc%2Fpasswd.json']);
+    expect(store.get('../../etc/passwd').caseId).toBe('../../etc/passwd');
+    expect(store.get('missing')).toBeNull();
+  });
+
+  test('列表只有摘要，新到舊並可依條件篩選與分頁', () => {
+    store.save(record('case-1', '2024-01-01T10:00:00.000Z'));
+    store.save(record('case-2', '2024-01-02T10:00:00.000Z', { qualityLevel: 'POOR' }));
+    store.save(record('case-3', '2024-01-03T10:00:00.000Z', { processingMethod: 'faster-whisper' }));
+
+    const all = store.list();
+    expect(all).toMatchObject({ total: 3, page: 1, pageSize: 20, totalPages: 1 });
+    expect(all.items.map(item => item.caseId)).toEqual(['case-3', 'case-2', 'case-1']);
+    expect(all.items[0]).not.toHaveProperty('transcript');
+    expect(all.items[0]).toMatchObject({ transcriptLength: 10, qualityScore: 80, audioDurationSec: 120, model: 'base' });
+
+    expect(store.list({ from: new Date('2024-01-02'), to: new Date('2024-01-03') }).items.map(item => item.caseId)).toEqual(['case-2']);
+    expect(store.list({ qualityLevel: 'POOR' }).total).toBe(1);
+    expect(store.list({ processingMethod: 'faster-whisper' }).items[0].caseId).toBe('case-3');
+
+    const page = store.list({ page: 2, pageSize: 2 });
+    expect(page).toMatchObject({ total: 3, totalPages: 2 });
+    expect(page.items.map(item => item.caseId)).toEqual(['case-1']);
+  });
+
+  test('重啟後由檔案重建索引，略過毀損的檔案', () => {
+    store.save(record('case-1', '2024-01-01T10:00:00.000Z'));
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+    const reopened = new TranscriptStore(dir);
+
+    expect(reopened.count()).toBe(1);
+    expect(reopened.list().items[0]).toMatchObject({ caseId: 'case-1', revision: 1 });
+    expect(reopened.get('case-1').transcript).toBe('您好，這裡是業務部。');
+  });
+});
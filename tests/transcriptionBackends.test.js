@@ -0,0 +1,122 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const API_KEY = 'mock-key';
+const LATENCY_MS = 300;
+
+process.env.OPENAI_API_KEY = API_KEY;
+process.env.OPENAI_API_MAX_FILE_SIZE_MB = '1';
+
+const OPTIONS = { model: 'base', language: 'zh', initialPrompt: null, temperature: null, beamSize: null };
+
+/**
+ * 取得目前沒有使用的連接埠
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * 啟動模擬轉錄 API，印出啟動訊息後才回傳
+ */
+function startMockServer(port) {
+  const child = spawn(process.execPath, [path.join(__dirname, '../mock-transcription-server.js')], {
+    env: {
+      ...process.env,
+      MOCK_PORT: String(port),
+      MOCK_API_KEY: API_KEY,
+      MOCK_LATENCY_MS: String(LATENCY_MS),
+      MOCK_TRANSCRIPT: '您好，這裡是業務部。我們明天再聯絡。'
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  return new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`模擬伺服器結束 (code ${code})`)));
+    child.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('已啟動')) resolve(child);
+    });
+  });
+}
+
+describe('OpenAIApiBackend (模擬轉錄 API)', () => {
+  let server;
+  let backend;
+  let config;
+  let tempDir;
+  let audioPath;
+
+  beforeAll(async () => {
+    const port = await findFreePort();
+    process.env.OPENAI_API_BASE_URL = `http://127.0.0.1:${port}/v1`;
+    server = await startMockServer(port);
+
+    ({ config } = require('../src/config'));
+    backend = require('../src/services/transcriptionBackends').getBackend('openai-api');
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openai-api-test-'));
+    audioPath = path.join(tempDir, 'chunk.mp3');
+    fs.writeFileSync(audioPath, Buffer.alloc(1024));
+  });
+
+  afterAll(() => {
+    if (server) {
+      server.removeAllListeners('exit');
+      server.kill();
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('將 verbose_json 的片段轉換為秒數與去除空白的文字', async () => {
+    const result = await backend.transcribe(audioPath, OPTIONS);
+
+    expect(result).toEqual({
+      text: '您好，這裡是業務部。我們明天再聯絡。',
+      language: 'zh',
+      segments: [
+        { start: 0, end: 5, text: '您好，這裡是業務部。' },
+        { start: 5, end: 10, text: '我們明天再聯絡。' }
+      ]
+    });
+  });
+
+  test('超過檔案大小上限時不送出請求', async () => {
+    const largePath = path.join(tempDir, 'large.mp3');
+    fs.writeFileSync(largePath, Buffer.alloc(1024 * 1024 + 1));
+
+    await expect(backend.transcribe(largePath, OPTIONS)).rejects.toThrow('超過轉錄 API 上限 1 MB');
+  });
+
+  test('HTTP 錯誤帶上 API 回應的說明', async () => {
+    config.openaiApi.apiKey = 'wrong-key';
+    try {
+      await expect(backend.transcribe(audioPath, OPTIONS))
+        .rejects.toThrow('轉錄 API 請求失敗: HTTP 401 - Incorrect API key provided');
+    } finally {
+      config.openaiApi.apiKey = API_KEY;
+    }
+  });
+
+  test('中斷時以 signal.reason 結束', async () => {
+    const controller = new AbortController();
+    const reason = new Error('任務已取消');
+    setTimeout(() => controller.abort(reason), LATENCY_MS / 3);
+
+    await expect(backend.transcribe(audioPath, OPTIONS, { signal: controller.signal })).rejects.toBe(reason);
+  });
+
+  test('統計成功與失敗次數', () => {
+    expect(backend.getStats()).toEqual({ transcribed: 1, failed: 3 });
+  });
+});
@@ -0,0 +1,81 @@
+process.env.TRANSCRIPTION_BACKEND = 'openai-whisper';
+process.env.TRANSCRIPTION_ALLOWED_BACKENDS = 'faster-whisper';
+
+const { resolveTranscriptionOptions, toWorkerOptions, DEFAULT_OPTIONS } = require('../src/services/transcriptionOptions');
+const { ValidationError } = require('../src/services/requestValidator');
+
+/**
+ * 執行 resolveTranscriptionOptions，回傳拋出的 ValidationError
+ */
+function validationError(requested, field) {
+  try {
+    resolveTranscriptionOptions(requested, field);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('預期 resolveTranscriptionOptions 拋出 ValidationError');
+}
+
+describe('resolveTranscriptionOptions', () => {
+  test('未指定時使用預設值 (每次回傳新的物件)', () => {
+    const resolved = resolveTranscriptionOptions();
+
+    expect(resolved).toEqual(DEFAULT_OPTIONS);
+    expect(resolved).not.toBe(DEFAULT_OPTIONS);
+    expect(resolveTranscriptionOptions(null)).toMatchObject({ backend: 'openai-whisper', language: 'zh', chunkDurationSec: 1800 });
+  });
+
+  test('請求的設定覆寫預設值，其餘保留', () => {
+    const resolved = resolveTranscriptionOptions({ model: 'small', language: 'auto', initialPrompt: 'iCHEF POS', chunkDurationSec: 600 });
+
+    expect(resolved).toEqual({
+      ...DEFAULT_OPTIONS,
+      model: 'small',
+      language: 'auto',
+      initialPrompt: 'iCHEF POS',
+      chunkDurationSec: 600
+    });
+  });
+
+  test('一次列出所有不正確的欄位', () => {
+    const error = validationError({ model: 'huge', temperature: 2, chunkDurationSec: 30, speed: 'fast' });
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.statusCode).toBe(400);
+    expect(error.details.map(detail => detail.field).sort()).toEqual([
+      'body.options.chunkDurationSec',
+      'body.options.model',
+      'body.options.speed',
+      'body.options.temperature'
+    ]);
+    expect(error.details.find(detail => detail.field === 'body.options.model').message).toContain('可用值:');
+  });
+
+  test('欄位路徑使用呼叫端指定的前綴', () => {
+    const error = validationError({ outputFormats: ['srt', 'srt'] }, 'form.options');
+
+    expect(error.details).toEqual([expect.objectContaining({ field: 'form.options.outputFormats' })]);
+  });
+
+  test('只能使用部署允許的後端', () => {
+    expect(resolveTranscriptionOptions({ backend: 'faster-whisper' }).backend).toBe('faster-whisper');
+
+    const error = validationError({ backend: 'openai-api' });
+    expect(error.details).toEqual([{
+      field: 'body.options.backend',
+      message: '此部署未開放 openai-api 後端 (可用值: openai-whisper, faster-whisper)'
+    }]);
+  });
+});
+
+describe('toWorkerOptions', () => {
+  test('只保留轉錄後端使用的欄位，未指定的值為 null', () => {
+    expect(toWorkerOptions({ ...DEFAULT_OPTIONS, model: 'small', initialPrompt: '', temperature: 0 })).toEqual({
+      model: 'small',
+      language: 'zh',
+      initialPrompt: null,
+      temperature: 0,
+      beamSize: null
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// 測試環境沒有 ffmpeg：指令不執行，直接結束
+jest.mock('fluent-ffmpeg', () => {
+  const { EventEmitter } = require('events');
+  const CHAIN = ['seekInput', 'duration', 'noVideo', 'audioCodec', 'audioBitrate', 'audioFrequency', 'audioChannels', 'audioFilters', 'format', 'output'];
+  return () => {
+    const command = new EventEmitter();
+    for (const method of CHAIN) command[method] = () => command;
+    command.run = () => setImmediate(() => command.emit('end'));
+    command.kill = () => {};
+    return command;
+  };
+});
+
+const mockBackend = {
+  name: 'stub',
+  capabilities: () => ({ audioFormat: 'mp3', options: {} }),
+  resolveModel: () => 'stub-model',
+  transcribe: jest.fn()
+};
+jest.mock('../src/services/transcriptionBackends', () => ({ getBackend: () => mockBackend }));
+
+const { transcribeAudio } = require('../src/services/transcriptionService');
+const { DEFAULT_OPTIONS } = require('../src/services/transcriptionOptions');
+const { config } = require('../src/config');
+
+const AUDIO_INFO = { duration: 150, sizeMB: 1.2 };
+
+describe('transcribeAudio 分塊模式', () => {
+  const originalChunking = config.chunking;
+
+  beforeEach(() => {
+    config.chunking = { ...originalChunking, overlapSec: 0, silenceToleranceSec: 0 };
+    mockBackend.transcribe.mockReset();
+  });
+
+  afterEach(() => {
+    config.chunking = originalChunking;
+  });
+
+  const transcribe = () => transcribeAudio('/tmp/recording.m4a', {
+    audioInfo: AUDIO_INFO,
+    transcriptionOptions: { ...DEFAULT_OPTIONS, chunkDurationSec: 60, diarize: false }
+  });
+
+  test('後端只回傳文字時保留該片段的逐字稿', async () => {
+    mockBackend.transcribe
+      .mockResolvedValueOnce({ text: '您好，這裡是業務部。', segments: [{ start: 0, end: 3, text: '您好，這裡是業務部。' }] })
+      .mockResolvedValueOnce({ text: '請問您有什麼問題？' })
+      .mockResolvedValueOnce('我想了解方案。');
+
+    const result = await transcribe();
+
+    expect(mockBackend.transcribe).toHaveBeenCalledTimes(3);
+    expect(result.transcript).toContain('請問您有什麼問題？');
+    expect(result.transcript).toContain('我想了解方案。');
+    expect(result.segments).toEqual([
+      { start: 0, end: 3, text: '您好，這裡是業務部。' },
+      { start: 60, end: 120, text: '請問您有什麼問題？' },
+      { start: 120, end: 150, text: '我想了解方案。' }
+    ]);
+  });
+
+  test('沒有文字的片段不產生空白片段', async () => {
+    mockBackend.transcribe
+      .mockResolvedValueOnce({ text: '您好。', segments: [{ start: 0, end: 2, text: '您好。' }] })
+      .mockResolvedValueOnce({ text: '  ' })
+      .mockResolvedValueOnce({ text: '再見。', segments: [{ start: 1, end: 2, text: '再見。' }] });
+
+    const result = await transcribe();
+
+    expect(result.segments).toEqual([
+      { start: 0, end: 2, text: '您好。' },
+      { start: 121, end: 122, text: '再見。' }
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+const uploadDir = path.join(tempDir, 'uploads');
+process.env.UPLOAD_DIR = uploadDir;
+process.env.UPLOAD_MAX_SIZE_MB = '1';
+
+const { receiveAudioUpload, storeUpload, removeUpload, generateCaseId, isAllowedAudioFile } = require('../src/services/uploadService');
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('isAllowedAudioFile', () => {
+  test.each([
+    ['recording.m4a', 'audio/x-m4a'],
+    ['Recording.M4A', 'application/octet-stream'],
+    ['meeting.mov', 'video/quicktime']
+  ])('接受 %s (%s)', (name, mimeType) => {
+    expect(isAllowedAudioFile(name, mimeType)).toBe(true);
+  });
+
+  test.each([
+    ['notes.txt', 'text/plain'],
+    ['script.sh', 'audio/mpeg'],
+    ['recording.mp3', 'text/html'],
+    ['recording', 'audio/mpeg']
+  ])('拒絕 %s (%s)', (name, mimeType) => {
+    expect(isAllowedAudioFile(name, mimeType)).toBe(false);
+  });
+});
+
+describe('receiveAudioUpload', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.post('/upload', receiveAudioUpload, (req, res) => {
+      res.json({ path: req.file.path, size: req.file.size, caseId: req.body.caseId });
+    });
+    app.use((error, req, res, next) => {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    });
+    server = await new Promise(resolve => {
+      const started = app.listen(0, '127.0.0.1', () => resolve(started));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const upload = async (fileName, type, content, fields = {}) => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    form.append('audio', new Blob([content], { type }), fileName);
+    const response = await fetch(`${baseUrl}/upload`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('音檔存入上傳目錄下的獨立目錄，檔名不使用上傳的名稱', async () => {
+    const { status, body } = await upload('../../客戶錄音.M4A', 'application/octet-stream', 'RIFF', { caseId: 'case-1' });
+
+    expect(status).toBe(200);
+    expect(body.caseId).toBe('case-1');
+    expect(path.basename(body.path)).toBe('audio.m4a');
+    expect(path.dirname(path.dirname(body.path))).toBe(uploadDir);
+    expect(fs.readFileSync(body.path, 'utf8')).toBe('RIFF');
+  });
+
+  test('不支援的格式回傳 415', async () => {
+    const { status, body } = await upload('notes.txt', 'text/plain', 'hello');
+
+    expect(status).toBe(415);
+    expect(body.error).toContain('不支援的檔案格式: notes.txt');
+  });
+
+  test('超過大小上限回傳 413', async () => {
+    const { status, body } = await upload('long.wav', 'audio/wav', Buffer.alloc(1024 * 1024 + 1));
+
+    expect(status).toBe(413);
+    expect(body.error).toBe('檔案超過大小上限 1 MB');
+  });
+});
+
+describe('storeUpload / removeUpload', () => {
+  test('移入上傳目錄並移除原本的暫存目錄', () => {
+    const downloadDir = fs.mkdtempSync(path.join(tempDir, 'download-'));
+    const downloaded = path.join(downloadDir, 'Meeting.MP3');
+    fs.writeFileSync(downloaded, 'ID3');
+
+    const stored = storeUpload(downloaded);
+
+    expect(path.basename(stored)).toBe('audio.mp3');
+    expect(fs.readFileSync(stored, 'utf8')).toBe('ID3');
+    expect(fs.existsSync(downloadDir)).toBe(false);
+
+    removeUpload(stored);
+    expect(fs.existsSync(path.dirname(stored))).toBe(false);
+  });
+});
+
+describe('generateCaseId', () => {
+  test('包含日期與隨機後綴', () => {
+    expect(generateCaseId()).toMatch(/^upload-\d{8}-[0-9a-f]{6}$/);
+    expect(generateCaseId()).not.toBe(generateCaseId());
+  });
+});
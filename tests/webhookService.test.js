@@ -0,0 +1,83 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+process.env.DEAD_LETTER_DIR = tempDir;
+process.env.WEBHOOK_SECRET = 'test-secret';
+
+const { config } = require('../src/config');
+const { verifyWebhookSignature } = require('../src/services/webhookSignature');
+const { notifyGoogleAppsScript, replayDeadLetter, deadLetterStore } = require('../src/services/webhookService');
+
+describe('notifyGoogleAppsScript', () => {
+  let server;
+  let requests;
+  let reply;
+  let delayMs = 0;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ body, timestamp: url.searchParams.get('timestamp'), signature: url.searchParams.get('signature') });
+        setTimeout(() => res.end(reply), delayMs);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    config.webhook.url = `http://127.0.0.1:${server.address().port}/exec`;
+  });
+
+  beforeEach(() => {
+    requests = [];
+    delayMs = 0;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('GAS 回應 Success 時送達，查詢參數帶有可驗證的簽章', async () => {
+    reply = 'Success';
+
+    const result = await notifyGoogleAppsScript('case-1', '您好', 'Completed');
+
+    expect(result).toEqual({ success: true, method: 'webhook', attempts: 1 });
+    const [request] = requests;
+    expect(verifyWebhookSignature({ body: request.body, timestamp: request.timestamp, signature: request.signature, secrets: 'test-secret' }))
+      .toEqual({ valid: true });
+  });
+
+  test('GAS 拒絕簽章時不重試也不改用備援，直接寫入 dead-letter', async () => {
+    reply = 'Error: Invalid signature';
+
+    const result = await notifyGoogleAppsScript('case-2', '您好', 'Completed');
+
+    expect(result).toMatchObject({ success: false, method: 'dead_letter' });
+    expect(requests).toHaveLength(1);
+    expect(deadLetterStore.get(result.deadLetterId)).toMatchObject({
+      caseId: 'case-2',
+      deliveryAttempts: 1,
+      webhookError: expect.stringContaining('Error: Invalid signature')
+    });
+  });
+
+  test('同一筆 dead-letter 重送中時不重複送出', async () => {
+    reply = 'Error: Invalid signature';
+    const { deadLetterId } = await notifyGoogleAppsScript('case-3', '您好', 'Completed');
+    requests = [];
+    reply = 'Success';
+    delayMs = 100;
+
+    const [first, second] = await Promise.all([replayDeadLetter(deadLetterId), replayDeadLetter(deadLetterId)]);
+
+    expect(first).toMatchObject({ id: deadLetterId, success: true });
+    expect(second).toEqual({ id: deadLetterId, caseId: 'case-3', success: false, inProgress: true, error: '此 dead-letter 正在重送中' });
+    expect(requests).toHaveLength(1);
+    expect(deadLetterStore.get(deadLetterId)).toBeNull();
+  });
+});
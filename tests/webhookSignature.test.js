@@ -0,0 +1,89 @@
+const {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  parseSignatureHeader,
+  createReplayGuard,
+  DEFAULT_TOLERANCE_SEC
+} = require('../src/services/webhookSignature');
+
+const SECRET = 'test-secret';
+const BODY = JSON.stringify({ caseId: 'case-1', transcriptText: '您好', status: 'Completed' });
+
+describe('signWebhookPayload', () => {
+  test('標頭包含時間戳與 HMAC-SHA256 簽章', () => {
+    const { timestamp, signature, header } = signWebhookPayload(BODY, SECRET, 1700000000);
+
+    expect(timestamp).toBe(1700000000);
+    expect(signature).toMatch(/^[0-9a-f]{64}$/);
+    expect(header).toBe(`t=1700000000,v1=${signature}`);
+    expect(parseSignatureHeader(header)).toEqual({ timestamp: 1700000000, signatures: [signature] });
+  });
+
+  test('未指定時使用目前時間', () => {
+    const before = Math.floor(Date.now() / 1000);
+    expect(signWebhookPayload(BODY, SECRET).timestamp).toBeGreaterThanOrEqual(before);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  test('標頭或查詢參數的簽章都可驗證', () => {
+    const { timestamp, signature, header } = signWebhookPayload(BODY, SECRET);
+
+    expect(verifyWebhookSignature({ body: BODY, header, secrets: SECRET })).toEqual({ valid: true });
+    expect(verifyWebhookSignature({ body: BODY, timestamp: String(timestamp), signature, secrets: SECRET })).toEqual({ valid: true });
+  });
+
+  test('內容被修改時拒絕', () => {
+    const { header } = signWebhookPayload(BODY, SECRET);
+    const tampered = BODY.replace('您好', '再見');
+
+    expect(verifyWebhookSignature({ body: tampered, header, secrets: SECRET }))
+      .toEqual({ valid: false, reason: 'signature_mismatch' });
+  });
+
+  test('密鑰不符時拒絕，輪替期間接受新舊密鑰', () => {
+    const { header } = signWebhookPayload(BODY, 'old-secret');
+
+    expect(verifyWebhookSignature({ body: BODY, header, secrets: SECRET }).reason).toBe('signature_mismatch');
+    expect(verifyWebhookSignature({ body: BODY, header, secrets: [SECRET, 'old-secret'] }).valid).toBe(true);
+  });
+
+  test('時間戳超過允許範圍時拒絕', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const expired = signWebhookPayload(BODY, SECRET, now - DEFAULT_TOLERANCE_SEC - 10);
+    const future = signWebhookPayload(BODY, SECRET, now + DEFAULT_TOLERANCE_SEC + 10);
+
+    expect(verifyWebhookSignature({ body: BODY, header: expired.header, secrets: SECRET }))
+      .toEqual({ valid: false, reason: 'timestamp_out_of_tolerance' });
+    expect(verifyWebhookSignature({ body: BODY, header: future.header, secrets: SECRET }).reason)
+      .toBe('timestamp_out_of_tolerance');
+    expect(verifyWebhookSignature({ body: BODY, header: expired.header, secrets: SECRET, toleranceSec: 3600 }).valid)
+      .toBe(true);
+  });
+
+  test('時間戳被修改時簽章不符', () => {
+    const { timestamp, signature } = signWebhookPayload(BODY, SECRET);
+
+    expect(verifyWebhookSignature({ body: BODY, header: `t=${timestamp + 1},v1=${signature}`, secrets: SECRET }).reason)
+      .toBe('signature_mismatch');
+  });
+
+  test('缺少或格式錯誤的簽章', () => {
+    expect(verifyWebhookSignature({ body: BODY, secrets: SECRET }).reason).toBe('missing_signature');
+    expect(verifyWebhookSignature({ body: BODY, header: 'v1=abc', secrets: SECRET }).reason).toBe('missing_signature');
+    expect(verifyWebhookSignature({ body: BODY, header: 't=1700000000', secrets: SECRET }).reason).toBe('missing_signature');
+
+    const { timestamp } = signWebhookPayload(BODY, SECRET);
+    expect(verifyWebhookSignature({ body: BODY, header: `t=${timestamp},v1=not-hex`, secrets: SECRET }).reason)
+      .toBe('signature_mismatch');
+  });
+
+  test('同一簽章只接受一次', () => {
+    const isReplay = createReplayGuard();
+    const { header } = signWebhookPayload(BODY, SECRET);
+
+    expect(verifyWebhookSignature({ body: BODY, header, secrets: SECRET, isReplay }).valid).toBe(true);
+    expect(verifyWebhookSignature({ body: BODY, header, secrets: SECRET, isReplay }))
+      .toEqual({ valid: false, reason: 'replayed' });
+  });
+});
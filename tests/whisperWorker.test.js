@@ -0,0 +1,103 @@
+const { once } = require('events');
+
+// 以 Node 執行的測試程序代替 python3 whisper_worker.py
+jest.mock('child_process', () => {
+  const actual = jest.requireActual('child_process');
+  const stub = require('path').join(__dirname, 'fixtures/stubWhisperWorker.js');
+  return {
+    ...actual,
+    spawn: (command, args, options) => actual.spawn(process.execPath, [stub, ...args.slice(1)], options)
+  };
+});
+
+const { WhisperWorkerPool, WORKER_STATE } = require('../src/services/whisperWorker');
+
+const OPTIONS = { model: 'base', language: 'zh', initialPrompt: null, temperature: null, beamSize: null };
+
+describe('WhisperWorkerPool', () => {
+  let pool;
+
+  const createPool = (options = {}) => {
+    pool = new WhisperWorkerPool({ size: 1, engine: 'openai-whisper', requestTimeoutMs: 5000, ...options });
+    return pool;
+  };
+
+  afterEach(async () => {
+    await pool.shutdown();
+  });
+
+  test('啟動一次後以 JSON Lines 處理多個請求', async () => {
+    createPool();
+
+    const first = await pool.transcribe('a.mp3', OPTIONS);
+    const second = await pool.transcribe('b.mp3', OPTIONS);
+
+    expect(first).toEqual({ success: true, text: '轉錄 a.mp3', language: 'zh', segments: [] });
+    expect(second.text).toBe('轉錄 b.mp3');
+    expect(pool.getStats()).toMatchObject({
+      started: 1,
+      workers: [expect.objectContaining({ state: WORKER_STATE.IDLE, model: 'base', memoryMB: 100, jobsCompleted: 2 })]
+    });
+  });
+
+  test('程序崩潰時請求失敗，下一個請求重新啟動程序', async () => {
+    createPool();
+    await pool.transcribe('a.mp3', OPTIONS);
+    const [crashed] = pool.workers;
+
+    await expect(pool.transcribe('crash', OPTIONS)).rejects.toThrow('Whisper 常駐程序已結束 (code: 1');
+    expect(crashed.exitReason).toBe('crashed');
+
+    await expect(pool.transcribe('b.mp3', OPTIONS)).resolves.toMatchObject({ text: '轉錄 b.mp3' });
+    const [restarted] = pool.workers;
+    expect(restarted.pid).not.toBe(crashed.pid);
+    expect(pool.getStats()).toMatchObject({ started: 2, crashed: 1 });
+  });
+
+  test('記憶體超過上限時完成請求後回收程序', async () => {
+    createPool({ maxMemoryMB: 500, env: { STUB_MEMORY_MB: '800' } });
+
+    const result = await pool.transcribe('a.mp3', OPTIONS);
+    const [worker] = pool.workers;
+    expect(result.text).toBe('轉錄 a.mp3');
+
+    const [exit] = await once(worker, 'exit');
+    expect(exit).toEqual({ code: 0, signal: null, reason: 'recycled' });
+    expect(pool.getStats()).toMatchObject({ recycled: 1, workers: [] });
+  });
+
+  test('中斷時以 SIGKILL 終止程序並回傳 signal.reason', async () => {
+    createPool();
+    await pool.transcribe('a.mp3', OPTIONS);
+    const [worker] = pool.workers;
+    const exited = once(worker, 'exit');
+
+    const controller = new AbortController();
+    const reason = new Error('任務已取消');
+    const pending = pool.transcribe('hang', OPTIONS, { signal: controller.signal });
+    setTimeout(() => controller.abort(reason), 50);
+
+    await expect(pending).rejects.toBe(reason);
+    expect(await exited).toEqual([{ code: null, signal: 'SIGKILL', reason: 'killed' }]);
+    expect(pool.getStats().killed).toBe(1);
+  });
+
+  test('逾時未回應時終止程序', async () => {
+    createPool({ requestTimeoutMs: 1000 });
+    await pool.transcribe('a.mp3', OPTIONS);
+    const [worker] = pool.workers;
+    const exited = once(worker, 'exit');
+
+    await expect(pool.transcribe('hang', OPTIONS)).rejects.toThrow('Whisper 轉錄逾時 (1000 ms)');
+    expect(await exited).toEqual([expect.objectContaining({ signal: 'SIGKILL', reason: 'killed' })]);
+  });
+
+  test('已中斷的請求不送出', async () => {
+    createPool();
+    const controller = new AbortController();
+    controller.abort(new Error('任務已取消'));
+
+    await expect(pool.transcribe('a.mp3', OPTIONS, { signal: controller.signal })).rejects.toThrow('任務已取消');
+    expect(pool.getStats().started).toBe(0);
+  });
+});